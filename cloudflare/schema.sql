@@ -26,7 +26,12 @@ CREATE TABLE IF NOT EXISTS restaurants (
   default_language TEXT DEFAULT 'pt-BR',
   ui_messages_json TEXT DEFAULT '{}',
   category_labels_json TEXT DEFAULT '{}',
-  integrations_json TEXT DEFAULT '{}'
+  integrations_json TEXT DEFAULT '{}',
+  timezone TEXT DEFAULT '',
+  schedule_json TEXT DEFAULT '{}',
+  charges_json TEXT DEFAULT '{}',
+  fulfillment_json TEXT DEFAULT '{}',
+  reservation_settings_json TEXT DEFAULT '{}'
 );
 
 CREATE TABLE IF NOT EXISTS items (
@@ -40,6 +45,13 @@ CREATE TABLE IF NOT EXISTS items (
   model_usdz TEXT DEFAULT '',
   category TEXT DEFAULT '',
   scans_json TEXT DEFAULT '[]',
+  option_groups_json TEXT DEFAULT '[]',
+  combo_groups_json TEXT DEFAULT '[]',
+  available INTEGER DEFAULT 1,
+  stock_daily INTEGER,
+  stock_remaining INTEGER,
+  stock_date TEXT DEFAULT '',
+  daypart_ids_json TEXT DEFAULT '[]',
   FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
 );
 
@@ -47,10 +59,28 @@ CREATE TABLE IF NOT EXISTS orders (
   id TEXT PRIMARY KEY,
   restaurant_id TEXT NOT NULL,
   table_label TEXT NOT NULL,
+  table_id TEXT DEFAULT '',
+  tab_id TEXT DEFAULT '',
+  payment_status TEXT DEFAULT '',
   items_json TEXT NOT NULL,
+  subtotal REAL,
+  service_percent REAL DEFAULT 0,
+  service_charge REAL DEFAULT 0,
+  tip_percent REAL DEFAULT 0,
+  tip REAL DEFAULT 0,
+  discount REAL DEFAULT 0,
+  coupon_code TEXT DEFAULT '',
+  promotions_json TEXT DEFAULT '[]',
+  order_type TEXT DEFAULT 'dine_in',
+  fulfillment_json TEXT,
+  delivery_fee REAL DEFAULT 0,
   total REAL DEFAULT 0,
   status TEXT DEFAULT 'novo',
+  note TEXT DEFAULT '',
+  status_reason TEXT DEFAULT '',
+  status_history_json TEXT DEFAULT '[]',
   created_at TEXT NOT NULL,
+  updated_at TEXT DEFAULT '',
   FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
 );
 
@@ -143,6 +173,21 @@ CREATE TABLE IF NOT EXISTS reservations (
   source TEXT DEFAULT '',
   meta_json TEXT DEFAULT '{}',
   created_at TEXT NOT NULL,
+  code TEXT DEFAULT '',
+  starts_at TEXT DEFAULT '',
+  ends_at TEXT DEFAULT '',
+  table_id TEXT DEFAULT '',
+  table_label TEXT DEFAULT '',
+  area TEXT DEFAULT '',
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS reservation_holds (
+  restaurant_id TEXT NOT NULL,
+  table_id TEXT NOT NULL,
+  slot_start TEXT NOT NULL,
+  reservation_id TEXT NOT NULL,
+  PRIMARY KEY (restaurant_id, table_id, slot_start),
   FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
 );
 
@@ -156,6 +201,14 @@ CREATE TABLE IF NOT EXISTS waitlist_entries (
   source TEXT DEFAULT '',
   meta_json TEXT DEFAULT '{}',
   created_at TEXT NOT NULL,
+  status TEXT DEFAULT '',
+  token TEXT DEFAULT '',
+  parties_ahead INTEGER DEFAULT 0,
+  notified_at TEXT DEFAULT '',
+  notify_count INTEGER DEFAULT 0,
+  last_notice_json TEXT DEFAULT '',
+  seated_at TEXT DEFAULT '',
+  closed_at TEXT DEFAULT '',
   FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
 );
 
@@ -169,6 +222,95 @@ CREATE TABLE IF NOT EXISTS feedback_entries (
   source TEXT DEFAULT '',
   meta_json TEXT DEFAULT '{}',
   created_at TEXT NOT NULL,
+  order_id TEXT DEFAULT '',
+  nps INTEGER,
+  items_json TEXT DEFAULT '[]',
+  follow_up TEXT DEFAULT '',
+  follow_up_at TEXT DEFAULT '',
+  follow_up_by TEXT DEFAULT '',
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS restaurant_tables (
+  id TEXT PRIMARY KEY,
+  restaurant_id TEXT NOT NULL,
+  label TEXT NOT NULL,
+  zone TEXT DEFAULT '',
+  seats INTEGER NOT NULL DEFAULT 4,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS service_requests (
+  id TEXT PRIMARY KEY,
+  restaurant_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  table_label TEXT NOT NULL,
+  table_id TEXT DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending',
+  created_at TEXT NOT NULL,
+  acknowledged_at TEXT DEFAULT '',
+  acknowledged_by TEXT DEFAULT '',
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS table_tabs (
+  id TEXT PRIMARY KEY,
+  restaurant_id TEXT NOT NULL,
+  table_label TEXT NOT NULL,
+  table_id TEXT DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'open',
+  opened_at TEXT NOT NULL,
+  closed_at TEXT DEFAULT '',
+  closed_by TEXT DEFAULT '',
+  summary_json TEXT DEFAULT '',
+  split_json TEXT DEFAULT '',
+  settled INTEGER DEFAULT 0,
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id TEXT PRIMARY KEY,
+  restaurant_id TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  method TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pendente',
+  amount REAL NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'BRL',
+  provider_ref TEXT DEFAULT '',
+  checkout_url TEXT DEFAULT '',
+  pix_code TEXT DEFAULT '',
+  expires_at TEXT DEFAULT '',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id TEXT PRIMARY KEY,
+  restaurant_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  code TEXT DEFAULT '',
+  rule_json TEXT DEFAULT '{}',
+  max_uses INTEGER NOT NULL DEFAULT 0,
+  used_count INTEGER NOT NULL DEFAULT 0,
+  starts_at TEXT DEFAULT '',
+  expires_at TEXT DEFAULT '',
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS pickup_slots (
+  restaurant_id TEXT NOT NULL,
+  slot_start TEXT NOT NULL,
+  orders_count INTEGER NOT NULL DEFAULT 0,
+  items_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (restaurant_id, slot_start),
   FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
 );
 
@@ -184,3 +326,14 @@ CREATE INDEX IF NOT EXISTS idx_leads_restaurant_created ON leads(restaurant_id,
 CREATE INDEX IF NOT EXISTS idx_reservations_restaurant_created ON reservations(restaurant_id, created_at);
 CREATE INDEX IF NOT EXISTS idx_waitlist_restaurant_created ON waitlist_entries(restaurant_id, created_at);
 CREATE INDEX IF NOT EXISTS idx_feedback_restaurant_created ON feedback_entries(restaurant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_restaurant_tables_restaurant ON restaurant_tables(restaurant_id, label);
+CREATE INDEX IF NOT EXISTS idx_service_requests_restaurant_status ON service_requests(restaurant_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_table_tabs_restaurant_status ON table_tabs(restaurant_id, status, opened_at);
+CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payments_provider_ref ON payments(provider_ref);
+CREATE INDEX IF NOT EXISTS idx_promotions_restaurant ON promotions(restaurant_id, code);
+CREATE INDEX IF NOT EXISTS idx_reservations_code ON reservations(code);
+CREATE INDEX IF NOT EXISTS idx_reservation_holds_reservation ON reservation_holds(reservation_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_token ON waitlist_entries(token);
+CREATE INDEX IF NOT EXISTS idx_waitlist_restaurant_status ON waitlist_entries(restaurant_id, status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_order ON feedback_entries(restaurant_id, order_id) WHERE order_id != '';
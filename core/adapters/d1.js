@@ -0,0 +1,119 @@
+const { toInt, parseJsonSafe } = require("../sanitize");
+const { sanitizeOptionGroups } = require("../modifiers");
+const { sanitizeComboGroups } = require("../combos");
+
+function mapItemRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name,
+    description: row.description || "",
+    price: Number(row.price) || 0,
+    image: row.image || "",
+    modelGlb: row.model_glb || "",
+    modelUsdz: row.model_usdz || "",
+    category: row.category || "",
+    optionGroups: sanitizeOptionGroups(parseJsonSafe(row.option_groups_json, [])),
+    comboGroups: sanitizeComboGroups(parseJsonSafe(row.combo_groups_json, [])),
+    daypartIds: parseJsonSafe(row.daypart_ids_json, []),
+    available: row.available !== 0,
+    stockDaily: row.stock_daily ?? null,
+    stockRemaining: row.stock_remaining ?? null,
+    stockDate: row.stock_date || "",
+    scans: parseJsonSafe(row.scans_json, [])
+  };
+}
+
+function mapModelJobRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    itemId: row.item_id,
+    sourceType: row.source_type,
+    provider: row.provider || "manual",
+    aiModel: row.ai_model || "",
+    autoMode: Boolean(row.auto_mode),
+    status: row.status || "enviado",
+    notes: row.notes || "",
+    modelGlb: row.model_glb || "",
+    modelUsdz: row.model_usdz || "",
+    referenceImages: parseJsonSafe(row.reference_images_json, []),
+    providerTaskId: row.provider_task_id || "",
+    providerTaskEndpoint: row.provider_task_endpoint || "",
+    providerStatus: row.provider_status || "",
+    qaScore: toInt(row.qa_score, 0),
+    qaBand: (row.qa_band || "fraca").toString(),
+    qaChecklist: parseJsonSafe(row.qa_checklist_json, []),
+    qaNotes: row.qa_notes || "",
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    createdBy: row.created_by || ""
+  };
+}
+
+function createD1Repository(DB) {
+  return {
+    async listRestaurantIds(limit) {
+      const { results } = await DB.prepare("SELECT id FROM restaurants ORDER BY name COLLATE NOCASE LIMIT ?1")
+        .bind(limit)
+        .all();
+      return (results || []).map((row) => row.id);
+    },
+
+    async getItem(id) {
+      const row = await DB.prepare("SELECT * FROM items WHERE id = ?1").bind(id).first();
+      return row ? mapItemRow(row) : null;
+    },
+
+    async listAutoModeJobs(restaurantId, limit) {
+      const { results } = await DB.prepare(
+        `SELECT * FROM model_jobs
+         WHERE restaurant_id = ?1 AND auto_mode = 1
+         ORDER BY updated_at DESC
+         LIMIT ?2`
+      )
+        .bind(restaurantId, limit)
+        .all();
+      return (results || []).map(mapModelJobRow);
+    },
+
+    async saveModelJob(job) {
+      await DB.prepare(
+        `UPDATE model_jobs
+         SET provider = ?1, ai_model = ?2, status = ?3, model_glb = ?4, model_usdz = ?5,
+             provider_task_id = ?6, provider_task_endpoint = ?7, provider_status = ?8,
+             qa_score = ?9, qa_band = ?10, qa_checklist_json = ?11, qa_notes = ?12, updated_at = ?13
+         WHERE id = ?14`
+      )
+        .bind(
+          job.provider || "manual",
+          job.aiModel || "",
+          job.status,
+          job.modelGlb || "",
+          job.modelUsdz || "",
+          job.providerTaskId || "",
+          job.providerTaskEndpoint || "",
+          job.providerStatus || "",
+          toInt(job.qaScore, 0),
+          (job.qaBand || "fraca").toString(),
+          JSON.stringify(job.qaChecklist || []),
+          job.qaNotes || "",
+          job.updatedAt,
+          job.id
+        )
+        .run();
+    },
+
+    async saveItemModels(itemId, models) {
+      await DB.prepare("UPDATE items SET model_glb = ?1, model_usdz = ?2 WHERE id = ?3")
+        .bind(models.modelGlb || "", models.modelUsdz || "", itemId)
+        .run();
+    }
+  };
+}
+
+module.exports = {
+  mapItemRow,
+  mapModelJobRow,
+  createD1Repository
+};
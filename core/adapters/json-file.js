@@ -0,0 +1,64 @@
+const fs = require("fs/promises");
+
+function createJsonFileStore(filePath, options = {}) {
+  const prepare = typeof options.prepare === "function" ? options.prepare : (db) => db;
+  let writeQueue = Promise.resolve();
+
+  return {
+    async read() {
+      const raw = await fs.readFile(filePath, "utf-8");
+      return prepare(JSON.parse(raw));
+    },
+
+    async write(db) {
+      const snapshot = JSON.stringify(db, null, 2);
+      const runWrite = async () => {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(tempPath, snapshot, "utf-8");
+        await fs.rename(tempPath, filePath);
+      };
+      writeQueue = writeQueue.then(runWrite, runWrite);
+      await writeQueue;
+    }
+  };
+}
+
+// Works on an already loaded snapshot; callers persist it with store.write().
+function createJsonRepository(db) {
+  return {
+    async listRestaurantIds(limit) {
+      return [...db.restaurants]
+        .sort((a, b) => (a.name || "").localeCompare(b.name || "", undefined, { sensitivity: "base" }))
+        .slice(0, limit)
+        .map((restaurant) => restaurant.id);
+    },
+
+    async getItem(id) {
+      return db.items.find((item) => item.id === id) || null;
+    },
+
+    async listAutoModeJobs(restaurantId, limit) {
+      return db.modelJobs
+        .filter((job) => job.restaurantId === restaurantId && job.autoMode)
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))
+        .slice(0, limit);
+    },
+
+    async saveModelJob(job) {
+      const current = db.modelJobs.find((entry) => entry.id === job.id);
+      if (current && current !== job) Object.assign(current, job);
+    },
+
+    async saveItemModels(itemId, models) {
+      const item = db.items.find((entry) => entry.id === itemId);
+      if (!item) return;
+      if (models.modelGlb) item.modelGlb = models.modelGlb;
+      if (models.modelUsdz) item.modelUsdz = models.modelUsdz;
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileStore,
+  createJsonRepository
+};
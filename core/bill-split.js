@@ -0,0 +1,187 @@
+const { sanitizeText } = require("./sanitize");
+
+const SPLIT_MODES = ["equal", "items", "custom"];
+const SPLIT_MAX_SHARES = 30;
+
+function toCents(value) {
+  return Math.round((Number(value) || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function shareLabel(value, index) {
+  return sanitizeText(value, 40) || `Pessoa ${index + 1}`;
+}
+
+// Remaining cents go to the first shares so the parts always add up to the bill.
+function splitEqual(totalCents, input, labelOffset = 0) {
+  const people = Math.floor(Number(input.people));
+  if (!Number.isFinite(people) || people < 2 || people > SPLIT_MAX_SHARES) return { error: "invalid_split_people" };
+  const labels = Array.isArray(input.labels) ? input.labels : [];
+  const base = Math.floor(totalCents / people);
+  const remainder = totalCents - base * people;
+  return {
+    shares: Array.from({ length: people }, (_, index) => ({
+      label: shareLabel(labels[index], labelOffset + index),
+      cents: base + (index < remainder ? 1 : 0),
+      items: []
+    }))
+  };
+}
+
+function splitByItems(totalCents, lines, input) {
+  const assignments = Array.isArray(input.shares) ? input.shares : [];
+  if (assignments.length < 1 || assignments.length > SPLIT_MAX_SHARES) return { error: "invalid_split_shares" };
+  const remaining = new Map(lines.map((line) => [line.key, Number(line.qty) || 0]));
+  const shares = [];
+  for (let index = 0; index < assignments.length; index += 1) {
+    const entries = Array.isArray(assignments[index].items) ? assignments[index].items : [];
+    const items = [];
+    let cents = 0;
+    for (const entry of entries) {
+      const line = lines.find((candidate) => candidate.key === entry.key);
+      const qty = Math.round((Number(entry.qty) || 0) * 100) / 100;
+      if (!line || qty <= 0) return { error: "invalid_split_item", detail: { key: entry.key || "" } };
+      const left = remaining.get(line.key) - qty;
+      if (left < -0.001) return { error: "split_item_overassigned", detail: { key: line.key, name: line.name } };
+      remaining.set(line.key, left);
+      cents += Math.round(toCents(line.price) * qty);
+      items.push({ key: line.key, name: line.name, qty });
+    }
+    shares.push({ label: shareLabel(assignments[index].label, index), cents, items });
+  }
+  const missing = lines.filter((line) => remaining.get(line.key) > 0.001);
+  if (missing.length) {
+    return {
+      error: "split_items_unassigned",
+      detail: { items: missing.map((line) => ({ key: line.key, name: line.name, qty: remaining.get(line.key) })) }
+    };
+  }
+  // Discounts, service charge and tips are spread in proportion to what each person ordered.
+  const itemsCents = shares.reduce((acc, share) => acc + share.cents, 0);
+  if (itemsCents > 0) {
+    shares.forEach((share) => {
+      share.cents = Math.floor((share.cents * totalCents) / itemsCents);
+    });
+  }
+  let remainder = totalCents - shares.reduce((acc, share) => acc + share.cents, 0);
+  for (let index = 0; remainder > 0; index = (index + 1) % shares.length, remainder -= 1) {
+    shares[index].cents += 1;
+  }
+  return { shares };
+}
+
+function splitCustom(totalCents, input, labelOffset = 0) {
+  const entries = Array.isArray(input.shares) ? input.shares : [];
+  if (entries.length < 1 || entries.length > SPLIT_MAX_SHARES) return { error: "invalid_split_shares" };
+  const shares = entries.map((entry, index) => ({
+    label: shareLabel(entry.label, labelOffset + index),
+    cents: toCents(entry.amount),
+    items: []
+  }));
+  if (shares.some((share) => share.cents <= 0)) return { error: "invalid_split_amount" };
+  const sum = shares.reduce((acc, share) => acc + share.cents, 0);
+  if (sum !== totalCents) {
+    return { error: "split_total_mismatch", detail: { total: fromCents(totalCents), sum: fromCents(sum) } };
+  }
+  return { shares };
+}
+
+function buildBillSplit(summary, input, { createId, now = new Date().toISOString() }) {
+  const body = input || {};
+  const mode = (body.mode || "").toString().trim().toLowerCase();
+  if (!SPLIT_MODES.includes(mode)) return { error: "invalid_split_mode" };
+  const totalCents = toCents(summary.total);
+  if (totalCents <= 0) return { error: "split_nothing_to_pay" };
+  let result;
+  if (mode === "equal") result = splitEqual(totalCents, body);
+  else if (mode === "items") result = splitByItems(totalCents, summary.lines || [], body);
+  else result = splitCustom(totalCents, body);
+  if (result.error) return result;
+  return {
+    split: {
+      mode,
+      total: fromCents(totalCents),
+      createdAt: now,
+      shares: result.shares.map((share) => createShare(share, createId))
+    }
+  };
+}
+
+function createShare(share, createId) {
+  return {
+    id: createId(),
+    label: share.label,
+    amount: fromCents(share.cents),
+    items: share.items,
+    status: "unpaid",
+    paidAt: "",
+    paidBy: ""
+  };
+}
+
+// Splits only what is still unpaid (after a new order, say) and keeps the paid shares as they are. Items mode is
+// left out: the paid shares do not say which items they covered.
+function buildRemainderSplit(split, summary, input, { createId, now = new Date().toISOString() }) {
+  const body = input || {};
+  const mode = (body.mode || "").toString().trim().toLowerCase();
+  if (mode !== "equal" && mode !== "custom") return { error: "invalid_split_mode" };
+  const paid = split ? split.shares.filter((share) => share.status === "paid") : [];
+  const totalCents = toCents(summary.total);
+  const remainingCents = totalCents - paid.reduce((acc, share) => acc + toCents(share.amount), 0);
+  if (remainingCents <= 0) return { error: "split_nothing_to_pay" };
+  const result =
+    mode === "equal" ? splitEqual(remainingCents, body, paid.length) : splitCustom(remainingCents, body, paid.length);
+  if (result.error) return result;
+  return {
+    split: {
+      mode,
+      total: fromCents(totalCents),
+      createdAt: now,
+      shares: paid.concat(result.shares.map((share) => createShare(share, createId)))
+    }
+  };
+}
+
+// Paid shares only settle the bill they were split from; any later change to the tab total reopens it.
+function isSplitSettled(split, total) {
+  return Boolean(
+    split &&
+      toCents(split.total) === toCents(total) &&
+      split.shares.length &&
+      split.shares.every((share) => share.status === "paid")
+  );
+}
+
+// A split with payments recorded is only replaced on an explicit force from staff.
+function canReplaceSplit(split, force) {
+  if (!split || force) return true;
+  return !split.shares.some((share) => share.status === "paid");
+}
+
+function setSharePaid(split, shareId, paid, userId, now = new Date().toISOString()) {
+  if (!split) return { error: "split_not_found", httpStatus: 404 };
+  const share = split.shares.find((entry) => entry.id === shareId);
+  if (!share) return { error: "share_not_found", httpStatus: 404 };
+  const next = {
+    ...split,
+    shares: split.shares.map((entry) =>
+      entry.id === shareId
+        ? { ...entry, status: paid ? "paid" : "unpaid", paidAt: paid ? now : "", paidBy: paid ? userId || "" : "" }
+        : entry
+    )
+  };
+  return { split: next };
+}
+
+module.exports = {
+  SPLIT_MODES,
+  SPLIT_MAX_SHARES,
+  buildBillSplit,
+  buildRemainderSplit,
+  isSplitSettled,
+  canReplaceSplit,
+  setSharePaid
+};
@@ -0,0 +1,68 @@
+const { sanitizeText } = require("./sanitize");
+const { roundMoney } = require("./modifiers");
+
+const SERVICE_CHARGE_MAX_PERCENT = 30;
+const TIP_MAX_PERCENT = 50;
+const TIP_MAX_OPTIONS = 6;
+const DEFAULT_SERVICE_CHARGE_LABEL = "Taxa de servico";
+
+function toPercent(value, max) {
+  const percent = Math.round((Number(value) || 0) * 100) / 100;
+  return Math.max(0, Math.min(max, percent));
+}
+
+function sanitizeCharges(value) {
+  const raw = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  const tipOptions = Array.isArray(raw.tipOptions) ? raw.tipOptions : [];
+  return {
+    serviceChargePercent: toPercent(raw.serviceChargePercent, SERVICE_CHARGE_MAX_PERCENT),
+    serviceChargeLabel: sanitizeText(raw.serviceChargeLabel, 40) || DEFAULT_SERVICE_CHARGE_LABEL,
+    tipOptions: [
+      ...new Set(
+        tipOptions
+          .map((option) => Math.round((Number(option) || 0) * 100) / 100)
+          .filter((option) => option > 0 && option <= TIP_MAX_PERCENT)
+      )
+    ]
+      .sort((a, b) => a - b)
+      .slice(0, TIP_MAX_OPTIONS)
+  };
+}
+
+// Only the percentages offered by the restaurant are accepted, so the guest cannot post arbitrary tips.
+function sanitizeTipPercent(value, charges) {
+  if (value === undefined || value === null || value === "") return { tipPercent: 0 };
+  const percent = Number(value);
+  if (percent === 0) return { tipPercent: 0 };
+  if (!sanitizeCharges(charges).tipOptions.includes(percent)) return { error: "invalid_tip" };
+  return { tipPercent: percent };
+}
+
+// Service charge and tip are both computed on the item subtotal after discounts; the delivery fee is added as is.
+function computeOrderCharges(subtotal, charges, tipPercent = 0, discount = 0, deliveryFee = 0) {
+  const config = sanitizeCharges(charges);
+  const itemsTotal = roundMoney(Number(subtotal) || 0);
+  const discountTotal = roundMoney(Math.min(itemsTotal, Math.max(0, Number(discount) || 0)));
+  const base = roundMoney(itemsTotal - discountTotal);
+  const serviceCharge = roundMoney((base * config.serviceChargePercent) / 100);
+  const tip = roundMoney((base * (Number(tipPercent) || 0)) / 100);
+  const fee = roundMoney(Math.max(0, Number(deliveryFee) || 0));
+  return {
+    subtotal: itemsTotal,
+    discount: discountTotal,
+    servicePercent: config.serviceChargePercent,
+    serviceCharge,
+    tipPercent: Number(tipPercent) || 0,
+    tip,
+    deliveryFee: fee,
+    total: roundMoney(base + serviceCharge + tip + fee)
+  };
+}
+
+module.exports = {
+  SERVICE_CHARGE_MAX_PERCENT,
+  TIP_MAX_PERCENT,
+  sanitizeCharges,
+  sanitizeTipPercent,
+  computeOrderCharges
+};
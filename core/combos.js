@@ -0,0 +1,53 @@
+const { normalizeSlug, sanitizeText } = require("./sanitize");
+
+const MAX_COMBO_GROUPS = 6;
+const MAX_COMBO_CHOICES = 20;
+
+// Each group is one course of the combo (main, drink, dessert) and the guest picks exactly one item from it.
+function sanitizeComboGroups(groups, knownItemIds) {
+  if (!Array.isArray(groups)) return [];
+  const known = Array.isArray(knownItemIds) ? new Set(knownItemIds) : null;
+  const usedIds = new Set();
+  const result = [];
+  for (const raw of groups.slice(0, MAX_COMBO_GROUPS)) {
+    if (!raw || typeof raw !== "object") continue;
+    const name = sanitizeText(raw.name, 80);
+    const itemIds = Array.from(
+      new Set((Array.isArray(raw.itemIds) ? raw.itemIds : []).map((id) => sanitizeText(id, 80)).filter(Boolean))
+    )
+      .filter((id) => !known || known.has(id))
+      .slice(0, MAX_COMBO_CHOICES);
+    if (!name || !itemIds.length) continue;
+    const baseId = normalizeSlug(raw.id || name).slice(0, 40) || "etapa";
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) id = `${baseId}-${suffix}`;
+    usedIds.add(id);
+    result.push({ id, name, itemIds });
+  }
+  return result;
+}
+
+function isComboItem(item) {
+  return Boolean(item && Array.isArray(item.comboGroups) && item.comboGroups.length);
+}
+
+function resolveComboComponents(menuItem, entry, menuMap) {
+  if (!isComboItem(menuItem)) return { components: [] };
+  const picks = Array.isArray(entry.components) ? entry.components : [];
+  const components = [];
+  for (const group of menuItem.comboGroups) {
+    const pick = picks.find((candidate) => candidate && candidate.groupId === group.id);
+    if (!pick) return { error: "combo_component_required", groupId: group.id };
+    const item = group.itemIds.includes(pick.itemId) ? menuMap.get(pick.itemId) : null;
+    if (!item || isComboItem(item) || item.available === false) return { error: "combo_component_invalid", groupId: group.id };
+    components.push({ groupId: group.id, groupName: group.name, itemId: item.id, name: item.name });
+  }
+  return { components };
+}
+
+module.exports = {
+  MAX_COMBO_GROUPS,
+  sanitizeComboGroups,
+  isComboItem,
+  resolveComboComponents
+};
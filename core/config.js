@@ -0,0 +1,82 @@
+const { toInt, sanitizeWebhookUrl } = require("./sanitize");
+
+function getConfig(env) {
+  const captureMinStartFood = Math.max(3, Math.min(20, toInt(env.CAPTURE_MIN_START_FOOD, 6)));
+  const captureMinStartGeneral = Math.max(2, Math.min(20, toInt(env.CAPTURE_MIN_START_GENERAL, 4)));
+  const captureRecommendedFood = Math.max(
+    captureMinStartFood,
+    Math.min(40, toInt(env.CAPTURE_RECOMMENDED_FOOD, 20))
+  );
+  const captureRecommendedGeneral = Math.max(
+    captureMinStartGeneral,
+    Math.min(40, toInt(env.CAPTURE_RECOMMENDED_GENERAL, 12))
+  );
+  return {
+    tokenTtlMs: toInt(env.TOKEN_TTL_MS, 24 * 60 * 60 * 1000),
+    loginWindowMs: toInt(env.LOGIN_WINDOW_MS, 15 * 60 * 1000),
+    loginMaxAttempts: toInt(env.LOGIN_MAX_ATTEMPTS, 6),
+    loginLockMs: toInt(env.LOGIN_LOCK_MS, 15 * 60 * 1000),
+    orderWindowMs: toInt(env.ORDER_WINDOW_MS, 5 * 60 * 1000),
+    orderMaxPerWindow: toInt(env.ORDER_MAX_PER_WINDOW, 20),
+    serviceRequestWindowMs: toInt(env.SERVICE_REQUEST_WINDOW_MS, 5 * 60 * 1000),
+    serviceRequestMaxPerWindow: toInt(env.SERVICE_REQUEST_MAX_PER_WINDOW, 6),
+    eventWindowMs: toInt(env.PUBLIC_EVENT_WINDOW_MS, 5 * 60 * 1000),
+    eventMaxPerWindow: toInt(env.PUBLIC_EVENT_MAX_PER_WINDOW, 200),
+    aiActionWindowMs: toInt(env.AI_ACTION_WINDOW_MS, 60 * 1000),
+    aiActionMaxPerWindow: toInt(env.AI_ACTION_MAX_PER_WINDOW, 12),
+    translateWindowMs: toInt(env.TRANSLATE_WINDOW_MS, 60 * 1000),
+    translateMaxPerWindow: toInt(env.TRANSLATE_MAX_PER_WINDOW, 20),
+    translateMaxTexts: Math.max(1, Math.min(100, toInt(env.TRANSLATE_MAX_TEXTS, 80))),
+    translateMaxCharsPerText: Math.max(1, Math.min(2000, toInt(env.TRANSLATE_MAX_CHARS_PER_TEXT, 300))),
+    translateMaxTotalChars: Math.max(1, Math.min(30000, toInt(env.TRANSLATE_MAX_TOTAL_CHARS, 6000))),
+    orderStreamPollMs: Math.max(1000, Math.min(30000, toInt(env.ORDER_STREAM_POLL_MS, 3000))),
+    orderStreamWindowMs: Math.max(5000, Math.min(300000, toInt(env.ORDER_STREAM_WINDOW_MS, 25000))),
+    qaMinPublishScore: toInt(env.QA_MIN_PUBLISH_SCORE, 70),
+    meshyModel: (env.MESHY_AI_MODEL || "meshy-6").toString(),
+    meshyMaxImages: Math.max(1, Math.min(8, toInt(env.MESHY_MAX_REFERENCE_IMAGES, 4))),
+    captureMinStartFood,
+    captureMinStartGeneral,
+    captureRecommendedFood,
+    captureRecommendedGeneral
+  };
+}
+
+function getMeshySettings(env) {
+  const config = getConfig(env);
+  return {
+    apiKey: (env.MESHY_API_KEY || "").toString().trim(),
+    model: config.meshyModel,
+    maxImages: config.meshyMaxImages
+  };
+}
+
+// Without PAYMENT_PROVIDER the menu keeps only the static payment links from integrations.
+function getPaymentSettings(env) {
+  const sessionSecret = (env.SESSION_SECRET || "").toString().trim() || "dev-session-secret-change-me";
+  const provider = (env.PAYMENT_PROVIDER || "").toString().trim().toLowerCase();
+  return {
+    provider: ["mock", "stripe"].includes(provider) ? provider : "",
+    stripeSecretKey: (env.STRIPE_SECRET_KEY || "").toString().trim(),
+    stripeWebhookSecret: (env.STRIPE_WEBHOOK_SECRET || "").toString().trim(),
+    webhookSecret: (env.PAYMENT_WEBHOOK_SECRET || "").toString().trim() || `payments:${sessionSecret}`
+  };
+}
+
+// Without NOTIFIER_PROVIDER the waitlist still tracks who was called, but no message leaves the app.
+function getNotifierSettings(env) {
+  const provider = (env.NOTIFIER_PROVIDER || "").toString().trim().toLowerCase();
+  const channel = (env.NOTIFIER_CHANNEL || "").toString().trim().toLowerCase();
+  return {
+    provider: ["console", "file", "webhook"].includes(provider) ? provider : "",
+    channel: channel === "sms" ? "sms" : "whatsapp",
+    filePath: (env.NOTIFIER_FILE || "").toString().trim(),
+    webhookUrl: sanitizeWebhookUrl(env.NOTIFIER_WEBHOOK_URL)
+  };
+}
+
+module.exports = {
+  getConfig,
+  getMeshySettings,
+  getPaymentSettings,
+  getNotifierSettings
+};
@@ -0,0 +1,86 @@
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
+const MODEL_EXTENSIONS = new Set([".glb", ".usdz"]);
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TABLE_PATTERN = /^[a-zA-Z0-9\-_.#]{1,32}$/;
+const PUBLIC_EVENT_TYPES = new Set([
+  "menu_view",
+  "item_view",
+  "ar_open",
+  "add_to_cart",
+  "order_submit",
+  "order_success",
+  "language_change",
+  "search_use",
+  "share_link",
+  "qr_scan",
+  "lead_submit",
+  "reservation_submit",
+  "waitlist_join",
+  "feedback_submit",
+  "pwa_install",
+  "map_open",
+  "social_open",
+  "delivery_open",
+  "checkout_start"
+]);
+const DEFAULT_ACCENT = "#D95F2B";
+const DEFAULT_PUBLIC_TEMPLATE = "topo-do-mundo";
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]{1,60}$/;
+const DEFAULT_LANGUAGE_CODE = "pt-BR";
+const DEFAULT_LANGUAGE_OPTIONS = ["pt-BR", "en-US", "es-ES", "fr-FR", "it-IT", "de-DE"];
+const GOOGLE_TRANSLATE_LANGUAGE_MAP = {
+  "pt-BR": "pt",
+  "en-US": "en",
+  "es-ES": "es",
+  "fr-FR": "fr",
+  "it-IT": "it",
+  "de-DE": "de"
+};
+const UI_MESSAGE_KEYS = [
+  "searchPlaceholder",
+  "modeMenu",
+  "menuPersonality",
+  "all",
+  "ar",
+  "add",
+  "noItemsFound",
+  "orderOfTable",
+  "orderSummary",
+  "close",
+  "noItemsInCart",
+  "total",
+  "tablePlaceholder",
+  "clear",
+  "submit",
+  "sending",
+  "msgNeedTable",
+  "msgEmpty",
+  "msgFail",
+  "msgOk",
+  "msgConnection",
+  "msgCleared",
+  "language"
+];
+const INTEGRATION_MAX_STRING = 280;
+const WEBHOOK_TIMEOUT_MS = 2800;
+const MESHY_API_BASE = "https://api.meshy.ai/openapi/v1";
+const GOOGLE_TRANSLATE_API_BASE = "https://translation.googleapis.com/language/translate/v2";
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  MODEL_EXTENSIONS,
+  EMAIL_PATTERN,
+  TABLE_PATTERN,
+  PUBLIC_EVENT_TYPES,
+  DEFAULT_ACCENT,
+  DEFAULT_PUBLIC_TEMPLATE,
+  TEMPLATE_NAME_PATTERN,
+  DEFAULT_LANGUAGE_CODE,
+  DEFAULT_LANGUAGE_OPTIONS,
+  GOOGLE_TRANSLATE_LANGUAGE_MAP,
+  UI_MESSAGE_KEYS,
+  INTEGRATION_MAX_STRING,
+  WEBHOOK_TIMEOUT_MS,
+  MESHY_API_BASE,
+  GOOGLE_TRANSLATE_API_BASE
+};
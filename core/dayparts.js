@@ -0,0 +1,202 @@
+const { normalizeSlug, sanitizeText } = require("./sanitize");
+
+const DEFAULT_TIMEZONE = "America/Sao_Paulo";
+const MAX_DAYPARTS = 12;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const WEEKDAY_SHORT_PT = ["dom", "seg", "ter", "qua", "qui", "sex", "sab"];
+
+function sanitizeTimezone(value) {
+  const timezone = sanitizeText(value, 60);
+  if (!timezone) return DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function sanitizeTimeOfDay(value) {
+  const raw = (value || "").toString().trim();
+  const match = raw.match(/^(\d{1,2})(?:[:h](\d{2}))?h?$/i);
+  if (!match) return "";
+  const normalized = `${match[1].padStart(2, "0")}:${match[2] || "00"}`;
+  return TIME_PATTERN.test(normalized) ? normalized : "";
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function sanitizeDayparts(list) {
+  if (!Array.isArray(list)) return [];
+  const usedIds = new Set();
+  const result = [];
+  for (const raw of list.slice(0, MAX_DAYPARTS)) {
+    if (!raw || typeof raw !== "object") continue;
+    const name = sanitizeText(raw.name, 60);
+    const start = sanitizeTimeOfDay(raw.start);
+    const end = sanitizeTimeOfDay(raw.end);
+    if (!name || !start || !end || start === end) continue;
+    const days = Array.from(
+      new Set((Array.isArray(raw.days) ? raw.days : []).map(Number).filter((day) => day >= 0 && day <= 6))
+    ).sort();
+    if (!days.length) continue;
+    const baseId = normalizeSlug(raw.id || name).slice(0, 40) || "turno";
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) id = `${baseId}-${suffix}`;
+    usedIds.add(id);
+    result.push({ id, name, days, start, end });
+  }
+  return result;
+}
+
+function sanitizeDaypartIds(ids, dayparts) {
+  if (!Array.isArray(ids)) return [];
+  const known = Array.isArray(dayparts) ? new Set(dayparts.map((daypart) => daypart.id)) : null;
+  return Array.from(new Set(ids.map((id) => normalizeSlug(id)).filter(Boolean)))
+    .filter((id) => !known || known.has(id))
+    .slice(0, MAX_DAYPARTS);
+}
+
+function sanitizeSchedule(value) {
+  const raw = value && typeof value === "object" ? value : {};
+  const dayparts = sanitizeDayparts(raw.dayparts);
+  const categories = {};
+  if (raw.categories && typeof raw.categories === "object" && !Array.isArray(raw.categories)) {
+    for (const [categoryRaw, ids] of Object.entries(raw.categories)) {
+      const category = normalizeSlug(categoryRaw);
+      const daypartIds = sanitizeDaypartIds(ids, dayparts);
+      if (category && daypartIds.length) categories[category] = daypartIds;
+    }
+  }
+  return { dayparts, categories };
+}
+
+function getZonedClock(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: sanitizeTimezone(timezone),
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(now);
+  const lookup = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  return {
+    day: WEEKDAY_INDEX[lookup.weekday] ?? 0,
+    minutes: (Number(lookup.hour) % 24) * 60 + Number(lookup.minute)
+  };
+}
+
+// Minutes between the restaurant clock and UTC at the given instant.
+function getZoneOffsetMinutes(timezone, at = new Date()) {
+  const clock = getZonedClock(timezone, at);
+  let diff = (clock.day - at.getUTCDay()) * 1440 + clock.minutes - (at.getUTCHours() * 60 + at.getUTCMinutes());
+  if (diff > 5040) diff -= 10080;
+  if (diff < -5040) diff += 10080;
+  return diff;
+}
+
+function isDaypartOpen(daypart, clock) {
+  const start = toMinutes(daypart.start);
+  const end = toMinutes(daypart.end);
+  if (start < end) {
+    return daypart.days.includes(clock.day) && clock.minutes >= start && clock.minutes < end;
+  }
+  const previousDay = (clock.day + 6) % 7;
+  return (
+    (daypart.days.includes(clock.day) && clock.minutes >= start) ||
+    (daypart.days.includes(previousDay) && clock.minutes < end)
+  );
+}
+
+function findNextDaypartStart(dayparts, clock) {
+  let best = null;
+  dayparts.forEach((daypart) => {
+    const start = toMinutes(daypart.start);
+    for (let offset = 0; offset <= 7; offset += 1) {
+      const day = (clock.day + offset) % 7;
+      if (!daypart.days.includes(day)) continue;
+      if (offset === 0 && start <= clock.minutes) continue;
+      const distance = offset * 1440 + start - clock.minutes;
+      if (!best || distance < best.distance) best = { distance, offset, day, start: daypart.start };
+      break;
+    }
+  });
+  return best;
+}
+
+function formatScheduleLabel(next) {
+  if (!next) return "indisponivel no momento";
+  const [hours, minutes] = next.start.split(":");
+  const time = minutes === "00" ? `${Number(hours)}h` : `${Number(hours)}h${minutes}`;
+  if (next.offset === 0) return `disponivel a partir de ${time}`;
+  if (next.offset === 1) return `disponivel amanha a partir de ${time}`;
+  return `disponivel ${WEEKDAY_SHORT_PT[next.day]} a partir de ${time}`;
+}
+
+function resolveItemDaypartIds(item, restaurant) {
+  const schedule = sanitizeSchedule(restaurant && restaurant.schedule);
+  const own = sanitizeDaypartIds(item.daypartIds, schedule.dayparts);
+  if (own.length) return { schedule, ids: own };
+  return { schedule, ids: schedule.categories[normalizeSlug(item.category)] || [] };
+}
+
+function getItemSchedule(item, restaurant, now = new Date()) {
+  const { schedule, ids } = resolveItemDaypartIds(item, restaurant);
+  if (!ids.length) return { servedNow: true, availableFrom: "", scheduleLabel: "" };
+  const dayparts = schedule.dayparts.filter((daypart) => ids.includes(daypart.id));
+  const clock = getZonedClock(restaurant && restaurant.timezone, now);
+  if (dayparts.some((daypart) => isDaypartOpen(daypart, clock))) {
+    return { servedNow: true, availableFrom: "", scheduleLabel: "" };
+  }
+  const next = findNextDaypartStart(dayparts, clock);
+  return {
+    servedNow: false,
+    availableFrom: next ? next.start : "",
+    scheduleLabel: formatScheduleLabel(next)
+  };
+}
+
+function checkOrderSchedule(menuItems, lines, restaurant, now = new Date()) {
+  const menuMap = menuItems instanceof Map ? menuItems : new Map(menuItems.map((item) => [item.id, item]));
+  // A combo is only served while every chosen component is on the menu too.
+  const itemIds = new Set();
+  lines.forEach((line) => {
+    itemIds.add(line.id);
+    (line.components || []).forEach((component) => itemIds.add(component.itemId));
+  });
+  for (const itemId of itemIds) {
+    const item = menuMap.get(itemId);
+    if (!item) continue;
+    const schedule = getItemSchedule(item, restaurant, now);
+    if (!schedule.servedNow) {
+      return {
+        error: "item_out_of_schedule",
+        detail: {
+          itemId: item.id,
+          name: item.name,
+          availableFrom: schedule.availableFrom,
+          scheduleLabel: schedule.scheduleLabel
+        }
+      };
+    }
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  sanitizeTimezone,
+  sanitizeTimeOfDay,
+  sanitizeDayparts,
+  sanitizeDaypartIds,
+  sanitizeSchedule,
+  getZonedClock,
+  getZoneOffsetMinutes,
+  isDaypartOpen,
+  getItemSchedule,
+  checkOrderSchedule
+};
@@ -0,0 +1,114 @@
+const FEEDBACK_FOLLOW_UP_STATUSES = ["pendente", "resolvido"];
+const FEEDBACK_LOW_RATING = 2;
+const NPS_DETRACTOR_MAX = 6;
+const NPS_PROMOTER_MIN = 9;
+const FEEDBACK_ITEMS_LIMIT = 20;
+const DAY_MS = 86400000;
+
+function resolveFeedbackItems(feedback, order) {
+  if (!feedback.orderId) return { items: [] };
+  if (!order) return { error: "feedback_order_not_found", httpStatus: 404 };
+  const names = new Map((order.items || []).map((line) => [line.id, line.name]));
+  const items = [];
+  for (const entry of feedback.items) {
+    if (!names.has(entry.itemId)) {
+      return { error: "feedback_item_not_in_order", httpStatus: 400, detail: { itemId: entry.itemId } };
+    }
+    items.push({ itemId: entry.itemId, name: names.get(entry.itemId) || "Item", rating: entry.rating });
+  }
+  return { items };
+}
+
+// A low overall rating, an NPS detractor or any badly rated dish puts the guest on the follow-up list.
+function needsFeedbackFollowUp(feedback) {
+  return (
+    (Number(feedback.rating) >= 1 && feedback.rating <= FEEDBACK_LOW_RATING) ||
+    (feedback.nps !== null && feedback.nps !== undefined && feedback.nps <= NPS_DETRACTOR_MAX) ||
+    (feedback.items || []).some((entry) => entry.rating <= FEEDBACK_LOW_RATING)
+  );
+}
+
+function applyFeedbackFollowUp(entry, value, userId, now = new Date().toISOString()) {
+  if (!FEEDBACK_FOLLOW_UP_STATUSES.includes(value)) return { error: "invalid_follow_up", httpStatus: 400 };
+  return { entry: { ...entry, followUp: value, followUpAt: now, followUpBy: userId || "" } };
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return Number((values.reduce((acc, value) => acc + value, 0) / values.length).toFixed(2));
+}
+
+function scoreCsat(ratings) {
+  if (!ratings.length) return null;
+  return Math.round((ratings.filter((rating) => rating >= 4).length / ratings.length) * 100);
+}
+
+function scoreNps(scores) {
+  const promoters = scores.filter((score) => score >= NPS_PROMOTER_MIN).length;
+  const detractors = scores.filter((score) => score <= NPS_DETRACTOR_MAX).length;
+  return {
+    score: scores.length ? Math.round(((promoters - detractors) / scores.length) * 100) : null,
+    promoters,
+    passives: scores.length - promoters - detractors,
+    detractors,
+    responses: scores.length
+  };
+}
+
+function summarizeBucket(entries) {
+  const ratings = entries.map((entry) => Number(entry.rating) || 0).filter(Boolean);
+  return {
+    responses: entries.length,
+    avgRating: average(ratings),
+    csat: scoreCsat(ratings),
+    nps: scoreNps(entries.map((entry) => entry.nps).filter((score) => Number.isFinite(score))).score
+  };
+}
+
+// Daily buckets up to a month, weekly beyond that, counted from the start of the window in UTC.
+function summarizeFeedback(entries, { days, since }) {
+  const bucketDays = days > 31 ? 7 : 1;
+  const startMs = Math.floor(Date.parse(since) / DAY_MS) * DAY_MS;
+  const buckets = Array.from({ length: Math.ceil((days + 1) / bucketDays) }, () => []);
+  const items = new Map();
+  for (const entry of entries) {
+    const index = Math.floor((Date.parse(entry.createdAt) - startMs) / (bucketDays * DAY_MS));
+    if (buckets[index]) buckets[index].push(entry);
+    for (const rated of entry.items || []) {
+      const current = items.get(rated.itemId) || { itemId: rated.itemId, name: rated.name, values: [] };
+      current.values.push(rated.rating);
+      items.set(rated.itemId, current);
+    }
+  }
+  const overall = summarizeBucket(entries);
+  return {
+    responses: overall.responses,
+    avgRating: overall.avgRating,
+    csat: overall.csat,
+    nps: scoreNps(entries.map((entry) => entry.nps).filter((score) => Number.isFinite(score))),
+    followUpPending: entries.filter((entry) => entry.followUp === "pendente").length,
+    bucketDays,
+    trend: buckets.map((bucket, index) => ({
+      date: new Date(startMs + index * bucketDays * DAY_MS).toISOString().slice(0, 10),
+      ...summarizeBucket(bucket)
+    })),
+    items: Array.from(items.values())
+      .map((item) => ({
+        itemId: item.itemId,
+        itemName: item.name || "Item",
+        ratings: item.values.length,
+        average: average(item.values),
+        low: item.values.filter((rating) => rating <= FEEDBACK_LOW_RATING).length
+      }))
+      .sort((a, b) => b.ratings - a.ratings || a.average - b.average)
+      .slice(0, FEEDBACK_ITEMS_LIMIT)
+  };
+}
+
+module.exports = {
+  FEEDBACK_FOLLOW_UP_STATUSES,
+  resolveFeedbackItems,
+  needsFeedbackFollowUp,
+  applyFeedbackFollowUp,
+  summarizeFeedback
+};
@@ -0,0 +1,273 @@
+const { normalizeSlug, sanitizeText, toInt } = require("./sanitize");
+const { roundMoney } = require("./modifiers");
+const { sanitizeTimeOfDay, getZoneOffsetMinutes, isDaypartOpen } = require("./dayparts");
+
+const ORDER_TYPES = ["dine_in", "pickup", "delivery"];
+const MAX_DELIVERY_ZONES = 20;
+const MAX_ZONE_POSTCODES = 100;
+const PICKUP_MAX_AHEAD_MS = 2 * 24 * 60 * 60 * 1000;
+const PHONE_PATTERN = /^\+?[0-9]{8,15}$/;
+const SLOT_MINUTES = [0, 5, 10, 15, 20, 30, 45, 60, 90, 120];
+const MAX_LISTED_SLOTS = 200;
+const SLOT_RELEASED_STATUSES = new Set(["cancelado", "recusado"]);
+const DEFAULT_PICKUP_HOURS = { days: [0, 1, 2, 3, 4, 5, 6], start: "11:00", end: "23:00" };
+
+function sanitizeOrderType(value) {
+  const type = (value || "").toString().trim().toLowerCase();
+  return ORDER_TYPES.includes(type) ? type : "";
+}
+
+function sanitizePostcode(value) {
+  return (value || "").toString().replace(/\D/g, "").slice(0, 10);
+}
+
+function sanitizeCoordinates(lat, lng) {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (lat === "" || lat === null || lat === undefined || lng === "" || lng === null || lng === undefined) return null;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { lat: Math.round(latitude * 1e6) / 1e6, lng: Math.round(longitude * 1e6) / 1e6 };
+}
+
+function toMinOrder(value) {
+  return Math.max(0, roundMoney(Number(value) || 0));
+}
+
+function toCapacity(value, max) {
+  return Math.max(0, Math.min(max, Math.floor(toInt(value, 0))));
+}
+
+function sanitizePickupHours(value) {
+  const raw = value && typeof value === "object" ? value : {};
+  const start = sanitizeTimeOfDay(raw.start);
+  const end = sanitizeTimeOfDay(raw.end);
+  if (!start || !end || start === end) return { ...DEFAULT_PICKUP_HOURS };
+  const days = Array.from(
+    new Set((Array.isArray(raw.days) ? raw.days : []).map(Number).filter((day) => day >= 0 && day <= 6))
+  ).sort();
+  return { days: days.length ? days : DEFAULT_PICKUP_HOURS.days, start, end };
+}
+
+// A zone matches by postcode prefix or by distance from the restaurant; the first match sets the fee.
+function sanitizeDeliveryZones(zones) {
+  if (!Array.isArray(zones)) return [];
+  const usedIds = new Set();
+  const result = [];
+  for (const raw of zones.slice(0, MAX_DELIVERY_ZONES)) {
+    if (!raw || typeof raw !== "object") continue;
+    const name = sanitizeText(raw.name, 60);
+    const radiusKm = Math.max(0, Math.min(100, Math.round((Number(raw.radiusKm) || 0) * 10) / 10));
+    const postcodes = Array.from(
+      new Set((Array.isArray(raw.postcodes) ? raw.postcodes : []).map(sanitizePostcode).filter(Boolean))
+    ).slice(0, MAX_ZONE_POSTCODES);
+    if (!name || (!radiusKm && !postcodes.length)) continue;
+    const baseId = normalizeSlug(raw.id || name).slice(0, 40) || "zona";
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) id = `${baseId}-${suffix}`;
+    usedIds.add(id);
+    result.push({ id, name, fee: Math.max(0, roundMoney(Number(raw.fee) || 0)), radiusKm, postcodes });
+  }
+  return result;
+}
+
+function sanitizeFulfillment(value) {
+  const raw = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  const pickup = raw.pickup && typeof raw.pickup === "object" ? raw.pickup : {};
+  const delivery = raw.delivery && typeof raw.delivery === "object" ? raw.delivery : {};
+  const origin = delivery.origin && typeof delivery.origin === "object" ? delivery.origin : {};
+  return {
+    dineIn: raw.dineIn !== false,
+    pickup: {
+      enabled: pickup.enabled === true,
+      leadMinutes: Math.max(0, Math.min(240, Math.floor(toInt(pickup.leadMinutes, 20)))),
+      minOrder: toMinOrder(pickup.minOrder),
+      slotMinutes: SLOT_MINUTES.includes(toInt(pickup.slotMinutes, 0)) ? toInt(pickup.slotMinutes, 0) : 0,
+      maxOrdersPerSlot: toCapacity(pickup.maxOrdersPerSlot, 999),
+      maxItemsPerSlot: toCapacity(pickup.maxItemsPerSlot, 9999),
+      hours: sanitizePickupHours(pickup.hours)
+    },
+    delivery: {
+      enabled: delivery.enabled === true,
+      minOrder: toMinOrder(delivery.minOrder),
+      origin: sanitizeCoordinates(origin.lat, origin.lng),
+      zones: sanitizeDeliveryZones(delivery.zones)
+    }
+  };
+}
+
+function distanceKm(from, to) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function findDeliveryZone(config, postcode, location) {
+  return (
+    config.zones.find((zone) => {
+      if (postcode && zone.postcodes.some((prefix) => postcode.startsWith(prefix))) return true;
+      return Boolean(zone.radiusKm && config.origin && location && distanceKm(config.origin, location) <= zone.radiusKm);
+    }) || null
+  );
+}
+
+function toLocalClock(time, offsetMinutes) {
+  const local = new Date(time + offsetMinutes * 60000);
+  return { day: local.getUTCDay(), minutes: local.getUTCHours() * 60 + local.getUTCMinutes() };
+}
+
+function buildPickupSlots(pickup, timezone, now) {
+  if (!pickup.slotMinutes) return [];
+  const slotMs = pickup.slotMinutes * 60000;
+  const earliest = now.getTime() + pickup.leadMinutes * 60000;
+  // The offset is measured once; slots never span more than two days.
+  const offset = getZoneOffsetMinutes(timezone, new Date(earliest));
+  const localMinutes = Math.floor((earliest + offset * 60000) / 60000);
+  let start = (Math.ceil(localMinutes / pickup.slotMinutes) * pickup.slotMinutes - offset) * 60000;
+  const slots = [];
+  for (; start <= now.getTime() + PICKUP_MAX_AHEAD_MS && slots.length < MAX_LISTED_SLOTS; start += slotMs) {
+    if (!isDaypartOpen(pickup.hours, toLocalClock(start, offset))) continue;
+    if (!isDaypartOpen(pickup.hours, toLocalClock(start + slotMs - 60000, offset))) continue;
+    slots.push({ start: new Date(start).toISOString(), end: new Date(start + slotMs).toISOString() });
+  }
+  return slots;
+}
+
+function getSlotRemaining(pickup, used) {
+  const current = used || { orders: 0, items: 0 };
+  return {
+    remainingOrders: pickup.maxOrdersPerSlot ? Math.max(0, pickup.maxOrdersPerSlot - current.orders) : null,
+    remainingItems: pickup.maxItemsPerSlot ? Math.max(0, pickup.maxItemsPerSlot - current.items) : null
+  };
+}
+
+function fitsSlot(remaining, itemsCount) {
+  if (remaining.remainingOrders !== null && remaining.remainingOrders < 1) return false;
+  return remaining.remainingItems === null || remaining.remainingItems >= Math.max(1, itemsCount);
+}
+
+// Usage is keyed by slot start; cancelled and refused orders give their place back.
+function summarizePickupUsage(orders) {
+  const usage = new Map();
+  orders.forEach((order) => {
+    const pickupAt = order.orderType === "pickup" && order.fulfillment && order.fulfillment.pickupAt;
+    if (!pickupAt || SLOT_RELEASED_STATUSES.has(order.status)) return;
+    const current = usage.get(pickupAt) || { orders: 0, items: 0 };
+    current.orders += 1;
+    current.items += (order.items || []).reduce((acc, item) => acc + (Number(item.qty) || 0), 0);
+    usage.set(pickupAt, current);
+  });
+  return usage;
+}
+
+function listPickupSlots(value, { timezone, usage = new Map(), now = new Date() } = {}) {
+  const pickup = sanitizeFulfillment(value).pickup;
+  if (!pickup.enabled) return { slotMinutes: 0, slots: [] };
+  return {
+    slotMinutes: pickup.slotMinutes,
+    slots: buildPickupSlots(pickup, timezone, now)
+      .map((slot) => ({ ...slot, ...getSlotRemaining(pickup, usage.get(slot.start)) }))
+      .filter((slot) => fitsSlot(slot, 1))
+  };
+}
+
+function resolvePickupSlot(pickup, value, { timezone, usage, itemsCount, now, draft }) {
+  if (!value) return draft ? { pickupAt: "" } : { error: "pickup_slot_required" };
+  const time = Date.parse(value);
+  const slot = Number.isFinite(time)
+    ? buildPickupSlots(pickup, timezone, now).find((entry) => Date.parse(entry.start) === time)
+    : null;
+  if (!slot) return { error: "invalid_pickup_slot" };
+  if (!fitsSlot(getSlotRemaining(pickup, usage && usage.get(slot.start)), itemsCount)) {
+    return { error: "pickup_slot_full", httpStatus: 409, detail: { slot: slot.start } };
+  }
+  return { pickupAt: slot.start };
+}
+
+function resolvePickupTime(value, leadMinutes, now) {
+  if (!value) return { pickupAt: "" };
+  const time = Date.parse(value);
+  const earliest = now.getTime() + (leadMinutes - 1) * 60000;
+  if (!Number.isFinite(time) || time < earliest || time > now.getTime() + PICKUP_MAX_AHEAD_MS) {
+    return { error: "invalid_pickup_time", detail: { earliest: new Date(earliest + 60000).toISOString() } };
+  }
+  return { pickupAt: new Date(time).toISOString() };
+}
+
+// Quotes run as drafts: contact fields may still be blank, but zone and minimum order are checked the same way.
+function resolveOrderFulfillment(
+  value,
+  body,
+  subtotal,
+  { draft = false, now = new Date(), timezone, slotUsage, itemsCount = 0 } = {}
+) {
+  const config = sanitizeFulfillment(value);
+  const input = body || {};
+  const orderType = sanitizeOrderType(input.orderType) || "dine_in";
+  if (orderType === "dine_in") {
+    if (!config.dineIn) return { error: "order_type_unavailable" };
+    return { orderType, fulfillment: null, deliveryFee: 0 };
+  }
+  const options = config[orderType];
+  if (!options.enabled) return { error: "order_type_unavailable" };
+  if (subtotal < options.minOrder) return { error: "below_minimum_order", detail: { minOrder: options.minOrder } };
+
+  const customer = input.customer && typeof input.customer === "object" ? input.customer : {};
+  const customerName = sanitizeText(customer.name, 80);
+  const customerPhone = (customer.phone || "").toString().replace(/[\s().-]/g, "").slice(0, 20);
+  if (!draft && !customerName) return { error: "customer_name_required" };
+  if (!draft && !PHONE_PATTERN.test(customerPhone)) return { error: "customer_phone_invalid" };
+  const fulfillment = {
+    customerName,
+    customerPhone,
+    address: "",
+    postcode: "",
+    location: null,
+    zoneId: "",
+    zoneName: "",
+    pickupAt: ""
+  };
+
+  if (orderType === "pickup") {
+    const pickup = options.slotMinutes
+      ? resolvePickupSlot(options, input.pickupAt, { timezone, usage: slotUsage, itemsCount, now, draft })
+      : resolvePickupTime(input.pickupAt, options.leadMinutes, now);
+    if (pickup.error) return pickup;
+    fulfillment.pickupAt = pickup.pickupAt;
+    return { orderType, fulfillment, deliveryFee: 0 };
+  }
+
+  const address = input.address && typeof input.address === "object" ? input.address : {};
+  fulfillment.address = sanitizeText(address.line, 200);
+  fulfillment.postcode = sanitizePostcode(address.postcode);
+  fulfillment.location = sanitizeCoordinates(address.lat, address.lng);
+  if (!fulfillment.postcode && !fulfillment.location) {
+    if (draft) return { orderType, fulfillment, deliveryFee: 0 };
+    return { error: "address_required" };
+  }
+  if (!draft && !fulfillment.address) return { error: "address_required" };
+  const zone = findDeliveryZone(options, fulfillment.postcode, fulfillment.location);
+  if (!zone) return { error: "delivery_out_of_zone" };
+  fulfillment.zoneId = zone.id;
+  fulfillment.zoneName = zone.name;
+  return { orderType, fulfillment, deliveryFee: zone.fee };
+}
+
+function describeOrderTarget(order) {
+  if (order.orderType === "pickup") return `Retirada · ${(order.fulfillment && order.fulfillment.customerName) || ""}`;
+  if (order.orderType === "delivery") return `Entrega · ${(order.fulfillment && order.fulfillment.customerName) || ""}`;
+  return `Mesa ${order.table}`;
+}
+
+module.exports = {
+  ORDER_TYPES,
+  sanitizeOrderType,
+  sanitizeFulfillment,
+  summarizePickupUsage,
+  listPickupSlots,
+  resolveOrderFulfillment,
+  describeOrderTarget
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  ...require("./constants"),
+  ...require("./config"),
+  ...require("./sanitize"),
+  ...require("./quality"),
+  ...require("./meshy"),
+  ...require("./webhooks"),
+  ...require("./sessions"),
+  ...require("./roles"),
+  ...require("./modifiers"),
+  ...require("./combos"),
+  ...require("./charges"),
+  ...require("./promotions"),
+  ...require("./fulfillment"),
+  ...require("./reservations"),
+  ...require("./waitlist"),
+  ...require("./notifiers"),
+  ...require("./feedback"),
+  ...require("./stock"),
+  ...require("./dayparts"),
+  ...require("./tables"),
+  ...require("./qr-kit"),
+  ...require("./orders"),
+  ...require("./order-stream"),
+  ...require("./service-requests"),
+  ...require("./bill-split"),
+  ...require("./tabs"),
+  ...require("./payments"),
+  ...require("./pix"),
+  ...require("./repository"),
+  ...require("./model-jobs")
+};
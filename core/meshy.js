@@ -0,0 +1,178 @@
+const { MESHY_API_BASE } = require("./constants");
+const { isRemoteHttpUrl } = require("./sanitize");
+
+function getAiProviders(meshy) {
+  const hasMeshy = Boolean(meshy.apiKey);
+  return [
+    {
+      id: "meshy",
+      label: "Meshy",
+      enabled: hasMeshy,
+      supportsAuto: true,
+      supportsMultiImage: true,
+      notes: hasMeshy
+        ? `Pronto para gerar 3D (ate ${meshy.maxImages} fotos por job).`
+        : "Defina MESHY_API_KEY para habilitar."
+    },
+    {
+      id: "manual",
+      label: "Manual",
+      enabled: true,
+      supportsAuto: false,
+      notes: "Pipeline assistido por voce (scanner + blender)."
+    }
+  ];
+}
+
+function getAiProvider(meshy, providerId) {
+  return getAiProviders(meshy).find((provider) => provider.id === providerId);
+}
+
+async function buildJobImageInputs(runtime, item, job) {
+  const maxImages = runtime.meshy.maxImages;
+  const referenceImages = Array.isArray(job.referenceImages) ? [...job.referenceImages].reverse() : [];
+  const scans = Array.isArray(item.scans) ? [...item.scans].reverse() : [];
+  const candidates = [...referenceImages, ...scans, item.image || ""].filter(Boolean);
+  const unique = [];
+  const seen = new Set();
+
+  for (const candidate of candidates) {
+    const resolved = await runtime.resolveImage(candidate);
+    if (!resolved || seen.has(resolved)) continue;
+    seen.add(resolved);
+    unique.push(resolved);
+  }
+
+  if (unique.length <= maxImages) {
+    return unique;
+  }
+
+  const sampled = [];
+  for (let index = 0; index < maxImages; index += 1) {
+    const ratio = maxImages === 1 ? 0 : index / (maxImages - 1);
+    const sourceIndex = Math.round(ratio * (unique.length - 1));
+    sampled.push(unique[sourceIndex]);
+  }
+
+  return [...new Set(sampled)].slice(0, maxImages);
+}
+
+function buildMeshyStartRequest(meshy, imageInputs, options = {}) {
+  const aiModel = (options.aiModel || meshy.model || "").toString().trim();
+  const payload = { should_texture: true };
+  if (aiModel) payload.ai_model = aiModel;
+  if (options.targetPolycount) payload.target_polycount = Number(options.targetPolycount);
+
+  if (imageInputs.length > 1) {
+    payload.image_urls = imageInputs.slice(0, meshy.maxImages);
+    return { endpoint: "multi-image-to-3d", payload };
+  }
+  payload.image_url = imageInputs[0];
+  return { endpoint: "image-to-3d", payload };
+}
+
+function extractMeshyTaskId(payload) {
+  if (!payload || typeof payload !== "object") return "";
+  const values = [
+    payload.result,
+    payload.id,
+    payload.task_id,
+    payload.taskId,
+    payload.task && payload.task.id,
+    payload.data && payload.data.id,
+    payload.result && payload.result.id
+  ];
+  for (const value of values) {
+    if (typeof value === "string" && value.trim()) return value.trim();
+  }
+  return "";
+}
+
+async function startMeshyImageTo3D(meshy, imageInputs, options = {}) {
+  const apiKey = meshy.apiKey;
+  if (!apiKey) throw new Error("meshy_key_missing");
+  const normalizedInputs = Array.isArray(imageInputs) ? imageInputs.filter(Boolean) : [];
+  if (!normalizedInputs.length) throw new Error("meshy_image_input_missing");
+  const request = buildMeshyStartRequest(meshy, normalizedInputs, options);
+  const response = await fetch(`${MESHY_API_BASE}/${request.endpoint}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(request.payload)
+  });
+  if (!response.ok) {
+    const details = await response.text();
+    throw new Error(`meshy_start_failed:${request.endpoint}:${response.status}:${details.slice(0, 300)}`);
+  }
+  const payload = await response.json();
+  const taskId = extractMeshyTaskId(payload);
+  if (!taskId) throw new Error("meshy_task_id_missing");
+  return { taskId, endpoint: request.endpoint };
+}
+
+function getMeshyTaskEndpoints(endpointHint) {
+  const hint = (endpointHint || "").toLowerCase().trim();
+  if (hint.includes("multi-image-to-3d")) return ["multi-image-to-3d", "image-to-3d"];
+  if (hint.includes("image-to-3d")) return ["image-to-3d", "multi-image-to-3d"];
+  return ["image-to-3d", "multi-image-to-3d"];
+}
+
+async function fetchMeshyTask(meshy, taskId, endpointHint = "") {
+  const apiKey = meshy.apiKey;
+  if (!apiKey) throw new Error("meshy_key_missing");
+  const errors = [];
+  for (const endpoint of getMeshyTaskEndpoints(endpointHint)) {
+    const response = await fetch(`${MESHY_API_BASE}/${endpoint}/${encodeURIComponent(taskId)}`, {
+      headers: { Authorization: `Bearer ${apiKey}` }
+    });
+    if (response.ok) {
+      return { endpoint, task: await response.json() };
+    }
+    const details = await response.text();
+    errors.push(`${endpoint}:${response.status}:${details.slice(0, 200)}`);
+    if (response.status !== 404) break;
+  }
+  throw new Error(`meshy_sync_failed:${errors.join(" | ")}`);
+}
+
+function mapMeshyStatus(statusRaw) {
+  const status = (statusRaw || "").toString().toUpperCase();
+  if (status === "SUCCEEDED" || status === "COMPLETED") return "revisao";
+  if (["FAILED", "ERROR", "CANCELED", "CANCELLED"].includes(status)) return "erro";
+  return "processando";
+}
+
+function extractMeshyModelUrls(taskData) {
+  const containers = [
+    taskData?.model_urls,
+    taskData?.result?.model_urls,
+    taskData?.result?.modelUrls,
+    taskData?.output?.model_urls,
+    taskData?.data?.model_urls
+  ].filter(Boolean);
+  const urls = {};
+  for (const entry of containers) {
+    if (!urls.glb && isRemoteHttpUrl(entry.glb)) urls.glb = entry.glb;
+    if (!urls.usdz && isRemoteHttpUrl(entry.usdz)) urls.usdz = entry.usdz;
+  }
+  if (!urls.glb && isRemoteHttpUrl(taskData?.glb_url)) urls.glb = taskData.glb_url;
+  if (!urls.glb && isRemoteHttpUrl(taskData?.result?.glb_url)) urls.glb = taskData.result.glb_url;
+  if (!urls.usdz && isRemoteHttpUrl(taskData?.usdz_url)) urls.usdz = taskData.usdz_url;
+  if (!urls.usdz && isRemoteHttpUrl(taskData?.result?.usdz_url)) urls.usdz = taskData.result.usdz_url;
+  return urls;
+}
+
+module.exports = {
+  getAiProviders,
+  getAiProvider,
+  buildJobImageInputs,
+  buildMeshyStartRequest,
+  extractMeshyTaskId,
+  startMeshyImageTo3D,
+  getMeshyTaskEndpoints,
+  fetchMeshyTask,
+  mapMeshyStatus,
+  extractMeshyModelUrls
+};
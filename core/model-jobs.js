@@ -0,0 +1,213 @@
+const { sanitizeText, toInt } = require("./sanitize");
+const { evaluateCaptureReadiness, evaluateJobQuality } = require("./quality");
+const {
+  getAiProvider,
+  buildJobImageInputs,
+  startMeshyImageTo3D,
+  fetchMeshyTask,
+  mapMeshyStatus,
+  extractMeshyModelUrls
+} = require("./meshy");
+const { assertRepository } = require("./repository");
+
+async function applyQualityGate(runtime, item, job) {
+  const evaluation = await evaluateJobQuality(runtime, item, job);
+  job.qaScore = evaluation.score;
+  job.qaBand = evaluation.band;
+  job.qaChecklist = evaluation.checklist;
+  const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
+  if (evaluation.score >= runtime.config.qaMinPublishScore && hasRequiredModels) {
+    job.status = "publicado";
+  }
+  return evaluation;
+}
+
+async function publishJobModels(repo, item, job) {
+  await repo.saveItemModels(item.id, {
+    modelGlb: job.modelGlb || item.modelGlb || "",
+    modelUsdz: job.modelUsdz || item.modelUsdz || ""
+  });
+}
+
+async function autoProcessRestaurantJobs(runtime, restaurantId, options = {}) {
+  const repo = assertRepository(runtime.repo);
+  const config = runtime.config;
+  const maxJobs = Math.max(1, Math.min(30, toInt(options.maxJobs, 12)));
+  const providerMeshy = getAiProvider(runtime.meshy, "meshy");
+  const summary = {
+    restaurantId,
+    total: 0,
+    started: 0,
+    synced: 0,
+    published: 0,
+    skipped: 0,
+    failed: 0,
+    details: []
+  };
+
+  const jobs = await repo.listAutoModeJobs(restaurantId, maxJobs);
+  summary.total = jobs.length;
+
+  for (const job of jobs) {
+    const detail = { jobId: job.id, itemId: job.itemId, action: "skip", status: job.status, reason: "" };
+    const item = await repo.getItem(job.itemId);
+    if (!item) {
+      summary.failed += 1;
+      detail.action = "error";
+      detail.reason = "item_not_found";
+      summary.details.push(detail);
+      continue;
+    }
+
+    try {
+      if (["enviado", "triagem"].includes(job.status) && !job.providerTaskId) {
+        if (!providerMeshy || !providerMeshy.enabled) {
+          summary.skipped += 1;
+          detail.reason = "provider_not_configured";
+          summary.details.push(detail);
+          continue;
+        }
+        const capture = evaluateCaptureReadiness(item, job, config);
+        if (!capture.readyToStart) {
+          job.status = "triagem";
+          job.updatedAt = new Date().toISOString();
+          await repo.saveModelJob(job);
+          summary.skipped += 1;
+          detail.reason = "capture_insufficient";
+          detail.status = job.status;
+          detail.capture = capture;
+          summary.details.push(detail);
+          continue;
+        }
+        const imageInputs = await buildJobImageInputs(runtime, item, job);
+        if (!imageInputs.length) {
+          job.status = "triagem";
+          job.updatedAt = new Date().toISOString();
+          await repo.saveModelJob(job);
+          summary.skipped += 1;
+          detail.reason = "image_source_not_found";
+          detail.status = job.status;
+          summary.details.push(detail);
+          continue;
+        }
+
+        const aiModel = sanitizeText(job.aiModel || runtime.meshy.model, 60);
+        const startResult = await startMeshyImageTo3D(runtime.meshy, imageInputs, { aiModel });
+        job.provider = "meshy";
+        job.aiModel = aiModel;
+        job.providerTaskId = startResult.taskId;
+        job.providerTaskEndpoint = startResult.endpoint || "";
+        job.providerStatus = "SUBMITTED";
+        job.status = "processando";
+        job.qaScore = 0;
+        job.qaBand = "fraca";
+        job.qaChecklist = [];
+        job.qaNotes = "";
+        job.updatedAt = new Date().toISOString();
+        await repo.saveModelJob(job);
+        summary.started += 1;
+        detail.action = "started";
+        detail.status = job.status;
+        detail.reason = "ok";
+        summary.details.push(detail);
+        continue;
+      }
+
+      if (job.provider === "meshy" && job.providerTaskId && ["processando", "triagem"].includes(job.status)) {
+        const sync = await fetchMeshyTask(runtime.meshy, job.providerTaskId, job.providerTaskEndpoint || "");
+        const taskData = sync.task || {};
+        const taskStatus = (taskData.status || "").toString();
+        job.providerTaskEndpoint = sync.endpoint || job.providerTaskEndpoint || "";
+        job.providerStatus = taskStatus;
+        job.status = mapMeshyStatus(taskStatus);
+
+        if (job.status === "revisao") {
+          const modelUrls = extractMeshyModelUrls(taskData);
+          if (modelUrls.glb && !job.modelGlb) {
+            job.modelGlb = await runtime.downloadModel(modelUrls.glb, ".glb");
+          }
+          if (modelUrls.usdz && !job.modelUsdz) {
+            job.modelUsdz = await runtime.downloadModel(modelUrls.usdz, ".usdz");
+          }
+          await applyQualityGate(runtime, item, job);
+        }
+
+        job.updatedAt = new Date().toISOString();
+        await repo.saveModelJob(job);
+        if (job.status === "publicado") {
+          await publishJobModels(repo, item, job);
+          summary.published += 1;
+        }
+        summary.synced += 1;
+        detail.action = "synced";
+        detail.status = job.status;
+        detail.reason = "ok";
+        summary.details.push(detail);
+        continue;
+      }
+
+      if (job.status === "revisao") {
+        await applyQualityGate(runtime, item, job);
+        if (job.status === "publicado") {
+          await publishJobModels(repo, item, job);
+          summary.published += 1;
+        }
+        job.updatedAt = new Date().toISOString();
+        await repo.saveModelJob(job);
+        detail.action = "qa_review";
+        detail.status = job.status;
+        detail.reason = "ok";
+        summary.details.push(detail);
+        continue;
+      }
+
+      summary.skipped += 1;
+      detail.reason = "status_not_eligible";
+      summary.details.push(detail);
+    } catch (error) {
+      summary.failed += 1;
+      detail.action = "error";
+      detail.reason = error?.message || "auto_process_failed";
+      summary.details.push(detail);
+    }
+  }
+
+  return summary;
+}
+
+async function autoProcessAllRestaurants(runtime, options = {}) {
+  const repo = assertRepository(runtime.repo);
+  const maxRestaurants = Math.max(1, Math.min(100, toInt(options.maxRestaurants, 40)));
+  const restaurantIds = await repo.listRestaurantIds(maxRestaurants);
+
+  const rollup = {
+    restaurants: 0,
+    jobsTotal: 0,
+    started: 0,
+    synced: 0,
+    published: 0,
+    skipped: 0,
+    failed: 0,
+    perRestaurant: []
+  };
+
+  for (const restaurantId of restaurantIds) {
+    const summary = await autoProcessRestaurantJobs(runtime, restaurantId, options);
+    rollup.restaurants += 1;
+    rollup.jobsTotal += summary.total;
+    rollup.started += summary.started;
+    rollup.synced += summary.synced;
+    rollup.published += summary.published;
+    rollup.skipped += summary.skipped;
+    rollup.failed += summary.failed;
+    rollup.perRestaurant.push(summary);
+  }
+
+  return rollup;
+}
+
+module.exports = {
+  applyQualityGate,
+  autoProcessRestaurantJobs,
+  autoProcessAllRestaurants
+};
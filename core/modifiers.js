@@ -0,0 +1,151 @@
+const { toInt, normalizeSlug, sanitizeText } = require("./sanitize");
+const { sanitizeOrderNote } = require("./orders");
+const { resolveComboComponents } = require("./combos");
+
+const MAX_OPTION_GROUPS = 10;
+const MAX_OPTIONS_PER_GROUP = 20;
+const MAX_ORDER_LINES = 30;
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function sanitizePriceDelta(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return 0;
+  return roundMoney(Math.max(-9999, Math.min(9999, num)));
+}
+
+function claimUniqueId(base, used) {
+  const root = normalizeSlug(base).slice(0, 40) || "opcao";
+  let candidate = root;
+  let suffix = 2;
+  while (used.has(candidate)) {
+    candidate = `${root}-${suffix}`;
+    suffix += 1;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+function sanitizeOptionGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  const groupIds = new Set();
+  const optionIds = new Set();
+  const result = [];
+
+  for (const raw of groups.slice(0, MAX_OPTION_GROUPS)) {
+    if (!raw || typeof raw !== "object") continue;
+    const name = sanitizeText(raw.name, 80);
+    if (!name) continue;
+
+    const options = [];
+    const rawOptions = Array.isArray(raw.options) ? raw.options : [];
+    for (const rawOption of rawOptions.slice(0, MAX_OPTIONS_PER_GROUP)) {
+      if (!rawOption || typeof rawOption !== "object") continue;
+      const optionName = sanitizeText(rawOption.name, 80);
+      if (!optionName) continue;
+      options.push({
+        id: claimUniqueId(rawOption.id || optionName, optionIds),
+        name: optionName,
+        priceDelta: sanitizePriceDelta(rawOption.priceDelta)
+      });
+    }
+    if (!options.length) continue;
+
+    const required = Boolean(raw.required) || toInt(raw.min, 0) > 0;
+    const min = Math.max(required ? 1 : 0, Math.min(options.length, toInt(raw.min, required ? 1 : 0)));
+    const max = Math.max(Math.max(1, min), Math.min(options.length, toInt(raw.max, Math.max(1, min))));
+    result.push({
+      id: claimUniqueId(raw.id || name, groupIds),
+      name,
+      required: min > 0,
+      min,
+      max,
+      options
+    });
+  }
+
+  return result;
+}
+
+function priceOrderLine(menuItem, entry) {
+  const qty = Math.max(1, Math.min(50, Number(entry.qty) || 1));
+  const groups = Array.isArray(menuItem.optionGroups) ? menuItem.optionGroups : [];
+  const requested = Array.isArray(entry.optionIds) ? entry.optionIds : [];
+  const selected = new Set(requested.slice(0, 60).map((value) => (value || "").toString()));
+  const matched = new Set();
+  const modifiers = [];
+  let unitPrice = Number(menuItem.price) || 0;
+
+  for (const group of groups) {
+    const chosen = group.options.filter((option) => selected.has(option.id));
+    if (chosen.length < group.min) return { error: "option_required", groupId: group.id };
+    if (chosen.length > group.max) return { error: "too_many_options", groupId: group.id };
+    chosen.forEach((option) => {
+      matched.add(option.id);
+      unitPrice += option.priceDelta;
+      modifiers.push({
+        groupId: group.id,
+        groupName: group.name,
+        optionId: option.id,
+        name: option.name,
+        priceDelta: option.priceDelta
+      });
+    });
+  }
+  if ([...selected].some((optionId) => !matched.has(optionId))) {
+    return { error: "option_invalid", groupId: "" };
+  }
+
+  const price = roundMoney(Math.max(0, unitPrice));
+  return {
+    line: {
+      id: menuItem.id,
+      name: menuItem.name,
+      basePrice: Number(menuItem.price) || 0,
+      price,
+      qty,
+      modifiers,
+      note: sanitizeOrderNote(entry.note),
+      lineTotal: roundMoney(price * qty)
+    }
+  };
+}
+
+function buildOrderLines(menuItems, entries) {
+  const menuMap = menuItems instanceof Map ? menuItems : new Map(menuItems.map((item) => [item.id, item]));
+  const lines = [];
+  let total = 0;
+
+  for (const entry of (Array.isArray(entries) ? entries : []).slice(0, MAX_ORDER_LINES)) {
+    const menuItem = entry && menuMap.get(entry.id);
+    if (!menuItem) continue;
+    const priced = priceOrderLine(menuItem, entry);
+    if (priced.error) {
+      return {
+        error: "invalid_item_options",
+        detail: { itemId: menuItem.id, reason: priced.error, groupId: priced.groupId }
+      };
+    }
+    const combo = resolveComboComponents(menuItem, entry, menuMap);
+    if (combo.error) {
+      return {
+        error: "invalid_item_options",
+        detail: { itemId: menuItem.id, reason: combo.error, groupId: combo.groupId }
+      };
+    }
+    if (combo.components.length) priced.line.components = combo.components;
+    lines.push(priced.line);
+    total += priced.line.lineTotal;
+  }
+
+  return { lines, total: roundMoney(total) };
+}
+
+module.exports = {
+  roundMoney,
+  sanitizeOptionGroups,
+  priceOrderLine,
+  buildOrderLines
+};
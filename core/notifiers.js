@@ -0,0 +1,66 @@
+const { sendWebhook } = require("./webhooks");
+
+function formatNoticeLine(notifier, channel, message) {
+  return JSON.stringify({ at: new Date().toISOString(), notifier, channel, ...message });
+}
+
+// Notifiers expose { id, label, send }. send receives ({ channel, to, text, meta }) and resolves to
+// { ok, ref? }; delivery failures are reported, never thrown, so a status change never depends on them.
+function createConsoleNotifier() {
+  return {
+    id: "console",
+    label: "Console (simulador)",
+    async send(message) {
+      console.log(`[notifier] ${formatNoticeLine("console", message.channel, message)}`);
+      return { ok: true, ref: "" };
+    }
+  };
+}
+
+// appendLine is injected by the runtime; without a filesystem (Worker) notices fall back to the console.
+function createFileNotifier(appendLine) {
+  if (typeof appendLine !== "function") return createConsoleNotifier();
+  return {
+    id: "file",
+    label: "Arquivo (simulador)",
+    async send(message) {
+      try {
+        await appendLine(formatNoticeLine("file", message.channel, message));
+        return { ok: true, ref: "" };
+      } catch {
+        return { ok: false, ref: "" };
+      }
+    }
+  };
+}
+
+// Hands the message to an SMS/WhatsApp gateway (Twilio function, Zapier, n8n...) that does the actual delivery.
+function createWebhookNotifier(url) {
+  return {
+    id: "webhook",
+    label: "Gateway externo",
+    async send(message) {
+      const result = await sendWebhook(url, { type: "guest_notice", ...message });
+      return { ok: Boolean(result.ok), ref: String(result.status || "") };
+    }
+  };
+}
+
+function getGuestNotifier(settings, { appendLine } = {}) {
+  if (settings.provider === "console") return createConsoleNotifier();
+  if (settings.provider === "file") return createFileNotifier(appendLine);
+  if (settings.provider === "webhook" && settings.webhookUrl) return createWebhookNotifier(settings.webhookUrl);
+  return null;
+}
+
+async function sendGuestNotice(notifier, channel, message) {
+  if (!notifier) return { provider: "", channel, ok: false, skipped: true, at: new Date().toISOString() };
+  const result = await notifier.send({ channel, ...message });
+  const at = new Date().toISOString();
+  return { provider: notifier.id, channel, ok: Boolean(result.ok), ref: result.ref || "", at };
+}
+
+module.exports = {
+  getGuestNotifier,
+  sendGuestNotice
+};
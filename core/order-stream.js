@@ -0,0 +1,33 @@
+function formatSseEvent(event, data, options = {}) {
+  const lines = [];
+  if (options.id) lines.push(`id: ${options.id}`);
+  if (options.retry) lines.push(`retry: ${options.retry}`);
+  lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data ?? {})}`);
+  return `${lines.join("\n")}\n\n`;
+}
+
+// Payment updates change nothing in the kitchen flow but still need to reach the panel.
+function orderSnapshotKey(order) {
+  return `${order.status}:${order.paymentStatus || ""}`;
+}
+
+function diffOrderSnapshots(previousStatuses, orders, since = "") {
+  const events = [];
+  for (const order of orders) {
+    if (!previousStatuses.has(order.id)) {
+      if (!since || order.createdAt > since) events.push({ type: "order.created", order });
+      continue;
+    }
+    if (previousStatuses.get(order.id) !== orderSnapshotKey(order)) {
+      events.push({ type: "order.updated", order });
+    }
+  }
+  return events.reverse();
+}
+
+module.exports = {
+  formatSseEvent,
+  orderSnapshotKey,
+  diffOrderSnapshots
+};
@@ -0,0 +1,121 @@
+const { sanitizeText } = require("./sanitize");
+
+const ORDER_STATUSES = ["novo", "aceito", "em_preparo", "pronto", "entregue", "cancelado", "recusado"];
+const ORDER_TRANSITIONS = {
+  novo: ["aceito", "recusado", "cancelado"],
+  aceito: ["em_preparo", "cancelado"],
+  em_preparo: ["pronto", "cancelado"],
+  pronto: ["entregue", "cancelado"],
+  entregue: [],
+  cancelado: [],
+  recusado: []
+};
+const ORDER_REASON_REQUIRED = new Set(["cancelado", "recusado"]);
+// Cancelled and refused orders give back what they claimed and stay out of the money totals.
+const ORDER_VOID_STATUSES = new Set(["cancelado", "recusado"]);
+const ORDER_HISTORY_LIMIT = 50;
+const ORDER_LINE_NOTE_MAX = 140;
+const ORDER_NOTE_MAX = 280;
+const ALLERGY_PATTERN =
+  /(alerg|allerg|intoleran|celiac|gluten|lactose|amendoim|castanha|nozes|\bnuts?\b|peanut|frutos do mar|crustace|marisco|shellfish|anafila)/;
+
+function sanitizeOrderStatus(value) {
+  const status = (value || "").toString().trim().toLowerCase();
+  return ORDER_STATUSES.includes(status) ? status : "";
+}
+
+function isOrderVoid(order) {
+  return Boolean(order) && ORDER_VOID_STATUSES.has(order.status);
+}
+
+function getAllowedOrderTransitions(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+function createOrderHistoryEntry(from, to, userId, reason, at) {
+  return {
+    from: from || "",
+    to,
+    at: at || new Date().toISOString(),
+    userId: userId || "",
+    reason: reason || ""
+  };
+}
+
+function normalizeOrderHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter((entry) => entry && typeof entry === "object" && sanitizeOrderStatus(entry.to))
+    .slice(-ORDER_HISTORY_LIMIT)
+    .map((entry) =>
+      createOrderHistoryEntry(
+        sanitizeOrderStatus(entry.from),
+        sanitizeOrderStatus(entry.to),
+        sanitizeText(entry.userId, 80),
+        sanitizeText(entry.reason, 200),
+        sanitizeText(entry.at, 40)
+      )
+    );
+}
+
+function sanitizeOrderNote(value, max = ORDER_LINE_NOTE_MAX) {
+  return sanitizeText((value || "").toString().replace(/[\u0000-\u001f\u007f<>]/g, " "), max);
+}
+
+function hasAllergyMention(text) {
+  const normalized = (text || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  return ALLERGY_PATTERN.test(normalized);
+}
+
+function detectOrderAllergy(order) {
+  if (hasAllergyMention(order.note)) return true;
+  return (Array.isArray(order.items) ? order.items : []).some((line) => hasAllergyMention(line && line.note));
+}
+
+function transitionOrder(order, input, userId) {
+  const status = sanitizeOrderStatus(input && input.status);
+  if (!status) return { error: "invalid_status", httpStatus: 400 };
+  const current = sanitizeOrderStatus(order.status) || "novo";
+  const allowed = getAllowedOrderTransitions(current);
+  if (!allowed.includes(status)) {
+    return { error: "invalid_transition", httpStatus: 409, from: current, allowed };
+  }
+  const reason = sanitizeText(input && input.reason, 200);
+  if (ORDER_REASON_REQUIRED.has(status) && !reason) {
+    return { error: "reason_required", httpStatus: 400 };
+  }
+  const at = new Date().toISOString();
+  return {
+    order: {
+      ...order,
+      status,
+      statusReason: ORDER_REASON_REQUIRED.has(status) ? reason : order.statusReason || "",
+      updatedAt: at,
+      statusHistory: normalizeOrderHistory([
+        ...(order.statusHistory || []),
+        createOrderHistoryEntry(current, status, userId, reason, at)
+      ])
+    }
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  ORDER_VOID_STATUSES,
+  isOrderVoid,
+  sanitizeOrderStatus,
+  getAllowedOrderTransitions,
+  createOrderHistoryEntry,
+  normalizeOrderHistory,
+  ORDER_LINE_NOTE_MAX,
+  ORDER_NOTE_MAX,
+  sanitizeOrderNote,
+  hasAllergyMention,
+  detectOrderAllergy,
+  transitionOrder
+};
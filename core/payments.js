@@ -0,0 +1,272 @@
+const PAYMENT_METHODS = ["checkout", "pix"];
+const PAYMENT_STATUSES = ["pendente", "pago", "falhou", "expirado"];
+const PAYMENT_FINAL_STATUSES = new Set(["pago", "falhou", "expirado"]);
+const PAYMENT_TTL_MS = 30 * 60 * 1000;
+const STRIPE_API_BASE = "https://api.stripe.com/v1";
+const STRIPE_SIGNATURE_TOLERANCE_S = 300;
+const encoder = new TextEncoder();
+
+function sanitizePaymentMethod(value) {
+  const method = (value || "").toString().trim().toLowerCase();
+  return PAYMENT_METHODS.includes(method) ? method : "";
+}
+
+async function hmacHex(secret, text) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(text));
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function safeEqual(a, b) {
+  const left = (a || "").toString();
+  const right = (b || "").toString();
+  if (!left || left.length !== right.length) return false;
+  let diff = 0;
+  for (let index = 0; index < left.length; index += 1) diff |= left.charCodeAt(index) ^ right.charCodeAt(index);
+  return diff === 0;
+}
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+// Providers expose { id, label, methods, createCheckout, createPixCharge, parseWebhook }.
+// create* receive (payment, { origin, returnUrl, description }) and resolve to
+// { providerRef, checkoutUrl?, pixCode?, expiresAt }; parseWebhook receives
+// { headers, rawBody } and resolves to { providerRef, paymentId, status } or { ignored } / { error }.
+function createMockProvider(settings) {
+  const expiresAt = () => new Date(Date.now() + PAYMENT_TTL_MS).toISOString();
+  return {
+    id: "mock",
+    label: "Simulador local",
+    methods: PAYMENT_METHODS,
+    async createCheckout(payment, ctx) {
+      return {
+        providerRef: `mock_cs_${payment.id}`,
+        checkoutUrl: `${ctx.origin}/api/public/payments/${payment.id}/mock`,
+        expiresAt: expiresAt()
+      };
+    },
+    async createPixCharge(payment, ctx) {
+      return {
+        providerRef: `mock_pix_${payment.id}`,
+        checkoutUrl: `${ctx.origin}/api/public/payments/${payment.id}/mock`,
+        pixCode: `MOCKPIX-${payment.id}-${toCents(payment.amount)}`,
+        expiresAt: expiresAt()
+      };
+    },
+    async parseWebhook({ headers, rawBody }) {
+      const expected = await hmacHex(settings.webhookSecret, rawBody || "");
+      if (!safeEqual(headers["x-mock-signature"], expected)) return { error: "invalid_signature" };
+      let event;
+      try {
+        event = JSON.parse(rawBody);
+      } catch {
+        return { error: "invalid_payload" };
+      }
+      if (!PAYMENT_STATUSES.includes(event.status)) return { ignored: true };
+      return { providerRef: event.providerRef || "", paymentId: event.paymentId || "", status: event.status };
+    }
+  };
+}
+
+async function buildMockWebhook(settings, payment, status) {
+  const rawBody = JSON.stringify({ paymentId: payment.id, providerRef: payment.providerRef, status });
+  return { headers: { "x-mock-signature": await hmacHex(settings.webhookSecret, rawBody) }, rawBody };
+}
+
+async function stripeRequest(settings, path, params) {
+  const response = await fetch(`${STRIPE_API_BASE}${path}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${settings.stripeSecretKey}`,
+      "Content-Type": "application/x-www-form-urlencoded"
+    },
+    body: new URLSearchParams(params).toString()
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error((data.error && data.error.code) || "stripe_request_failed");
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+const STRIPE_EVENT_STATUS = {
+  "checkout.session.completed": (object) => (object.payment_status === "paid" ? "pago" : ""),
+  "checkout.session.async_payment_succeeded": () => "pago",
+  "checkout.session.async_payment_failed": () => "falhou",
+  "checkout.session.expired": () => "expirado",
+  "payment_intent.succeeded": () => "pago",
+  "payment_intent.payment_failed": () => "falhou",
+  "payment_intent.canceled": () => "expirado"
+};
+
+function createStripeProvider(settings) {
+  return {
+    id: "stripe",
+    label: "Stripe",
+    methods: PAYMENT_METHODS,
+    async createCheckout(payment, ctx) {
+      const session = await stripeRequest(settings, "/checkout/sessions", {
+        mode: "payment",
+        success_url: ctx.returnUrl,
+        cancel_url: ctx.returnUrl,
+        client_reference_id: payment.id,
+        "metadata[paymentId]": payment.id,
+        "line_items[0][quantity]": "1",
+        "line_items[0][price_data][currency]": "brl",
+        "line_items[0][price_data][unit_amount]": String(toCents(payment.amount)),
+        "line_items[0][price_data][product_data][name]": ctx.description
+      });
+      return {
+        providerRef: session.id,
+        checkoutUrl: session.url,
+        expiresAt: session.expires_at ? new Date(session.expires_at * 1000).toISOString() : ""
+      };
+    },
+    async createPixCharge(payment, ctx) {
+      const intent = await stripeRequest(settings, "/payment_intents", {
+        amount: String(toCents(payment.amount)),
+        currency: "brl",
+        confirm: "true",
+        description: ctx.description,
+        "payment_method_types[0]": "pix",
+        "payment_method_data[type]": "pix",
+        "metadata[paymentId]": payment.id
+      });
+      const qr = (intent.next_action && intent.next_action.pix_display_qr_code) || {};
+      return {
+        providerRef: intent.id,
+        pixCode: qr.data || "",
+        expiresAt: qr.expires_at ? new Date(qr.expires_at * 1000).toISOString() : ""
+      };
+    },
+    async parseWebhook({ headers, rawBody }) {
+      const parts = Object.fromEntries(
+        (headers["stripe-signature"] || "")
+          .toString()
+          .split(",")
+          .map((part) => part.split("="))
+      );
+      const timestamp = Number(parts.t);
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > STRIPE_SIGNATURE_TOLERANCE_S) {
+        return { error: "invalid_signature" };
+      }
+      const expected = await hmacHex(settings.stripeWebhookSecret, `${parts.t}.${rawBody || ""}`);
+      if (!safeEqual(parts.v1, expected)) return { error: "invalid_signature" };
+      let event;
+      try {
+        event = JSON.parse(rawBody);
+      } catch {
+        return { error: "invalid_payload" };
+      }
+      const resolve = STRIPE_EVENT_STATUS[event.type];
+      const object = (event.data && event.data.object) || {};
+      const status = resolve ? resolve(object) : "";
+      if (!status) return { ignored: true };
+      return { providerRef: object.id || "", paymentId: (object.metadata && object.metadata.paymentId) || "", status };
+    }
+  };
+}
+
+function getPaymentProvider(settings) {
+  if (settings.provider === "mock") return createMockProvider(settings);
+  if (settings.provider === "stripe" && settings.stripeSecretKey && settings.stripeWebhookSecret) {
+    return createStripeProvider(settings);
+  }
+  return null;
+}
+
+function createPaymentRecord({ id, restaurantId, orderId, method, amount, provider, createdAt }) {
+  return {
+    id,
+    restaurantId,
+    orderId,
+    provider,
+    method,
+    status: "pendente",
+    amount,
+    currency: "BRL",
+    providerRef: "",
+    checkoutUrl: "",
+    pixCode: "",
+    expiresAt: "",
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+// Final statuses are sticky so late or replayed webhooks never undo a settled payment.
+function applyPaymentStatus(payment, status, now = new Date().toISOString()) {
+  if (!PAYMENT_STATUSES.includes(status)) return { payment, changed: false };
+  if (payment.status === status || PAYMENT_FINAL_STATUSES.has(payment.status)) return { payment, changed: false };
+  return { payment: { ...payment, status, updatedAt: now }, changed: true };
+}
+
+function findWebhookPayment(payments, event) {
+  return (
+    payments.find((payment) => event.paymentId && payment.id === event.paymentId) ||
+    payments.find((payment) => event.providerRef && payment.providerRef === event.providerRef) ||
+    null
+  );
+}
+
+function toPublicPayment(payment) {
+  return {
+    id: payment.id,
+    orderId: payment.orderId,
+    provider: payment.provider,
+    method: payment.method,
+    status: payment.status,
+    amount: payment.amount,
+    checkoutUrl: payment.checkoutUrl || "",
+    pixCode: payment.pixCode || "",
+    expiresAt: payment.expiresAt || ""
+  };
+}
+
+function renderMockCheckoutPage(payment, restaurantName) {
+  const action = `/api/public/payments/${encodeURIComponent(payment.id)}/mock`;
+  const amount = Number(payment.amount || 0).toFixed(2);
+  return `<!doctype html>
+<html lang="pt-BR">
+<head><meta charset="utf-8" /><meta name="viewport" content="width=device-width, initial-scale=1" /><title>Pagamento simulado</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto; padding: 0 16px;">
+  <h1>Pagamento simulado</h1>
+  <p>${escapeHtml(restaurantName)} · ${payment.method === "pix" ? "Pix" : "Cartao"} · R$ ${amount}</p>
+  <p>Status atual: <strong>${escapeHtml(payment.status)}</strong></p>
+  ${payment.pixCode ? `<p><code>${escapeHtml(payment.pixCode)}</code></p>` : ""}
+  <form method="post" action="${action}?outcome=pago"><button type="submit">Aprovar pagamento</button></form>
+  <form method="post" action="${action}?outcome=falhou"><button type="submit">Recusar pagamento</button></form>
+</body>
+</html>`;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  sanitizePaymentMethod,
+  getPaymentProvider,
+  buildMockWebhook,
+  createPaymentRecord,
+  applyPaymentStatus,
+  findWebhookPayment,
+  toPublicPayment,
+  renderMockCheckoutPage
+};
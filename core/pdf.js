@@ -0,0 +1,151 @@
+// Minimal PDF 1.4 writer: Helvetica fonts, JPEG and opaque PNG images and raw content streams.
+const A4_WIDTH = 595;
+const A4_HEIGHT = 842;
+
+function toPdfText(input) {
+  return (input || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+}
+
+function estimateTextWidth(text, fontSize, bold = false) {
+  return (text || "").toString().length * fontSize * (bold ? 0.58 : 0.52);
+}
+
+function bytesToBinaryString(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return binary;
+}
+
+function binaryStringToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function readJpegInfo(bytes) {
+  if (!bytes || bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// Opaque 8-bit PNGs (gray or RGB, not interlaced) embed as is: their IDAT data is already Flate with PNG predictors.
+// Transparency and palettes would need decoding, so those return null like any other unsupported format.
+function readPngInfo(bytes) {
+  const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  if (!bytes || bytes.length < 33 || signature.some((byte, index) => bytes[index] !== byte)) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const width = view.getUint32(16);
+  const height = view.getUint32(20);
+  const [bitDepth, colorType, , , interlace] = bytes.subarray(24, 29);
+  if (bitDepth !== 8 || interlace !== 0 || (colorType !== 0 && colorType !== 2)) return null;
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === "IDAT") chunks.push(bytes.subarray(offset + 8, offset + 8 + length));
+    if (type === "IEND") break;
+    offset += 12 + length;
+  }
+  if (!chunks.length) return null;
+  const data = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
+  chunks.reduce((at, chunk) => {
+    data.set(chunk, at);
+    return at + chunk.length;
+  }, 0);
+  const components = colorType === 2 ? 3 : 1;
+  return {
+    width,
+    height,
+    components,
+    filter: "FlateDecode",
+    decodeParms: `<< /Predictor 15 /Colors ${components} /BitsPerComponent 8 /Columns ${width} >>`,
+    data
+  };
+}
+
+function readImageInfo(bytes) {
+  const jpeg = readJpegInfo(bytes);
+  return jpeg ? { ...jpeg, filter: "DCTDecode", data: bytes } : readPngInfo(bytes);
+}
+
+// pages: [{ content, width?, height? }]
+// images: [{ name, width, height, components, data (Uint8Array), filter? (DCTDecode), decodeParms? }]
+function renderPdf({ pages, images = [] }) {
+  const objects = ["<< /Type /Catalog /Pages 2 0 R >>", ""];
+  const fontRegular = objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const fontBold = objects.push(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  );
+  const imageRefs = images.map((image) => {
+    const colorSpace = image.components === 1 ? "/DeviceGray" : image.components === 4 ? "/DeviceCMYK" : "/DeviceRGB";
+    const id = objects.push(
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /${image.filter || "DCTDecode"} ` +
+        (image.decodeParms ? `/DecodeParms ${image.decodeParms} ` : "") +
+        `/Length ${image.data.length} >>\n` +
+        `stream\n${bytesToBinaryString(image.data)}\nendstream`
+    );
+    return `/${image.name} ${id} 0 R`;
+  });
+  const resources =
+    `<< /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >>` +
+    (imageRefs.length ? ` /XObject << ${imageRefs.join(" ")} >>` : "") +
+    " >>";
+
+  const pageIds = pages.map((page) => {
+    const contentId = objects.push(`<< /Length ${page.content.length} >>\nstream\n${page.content}\nendstream`);
+    return objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width || A4_WIDTH} ${page.height || A4_HEIGHT}] ` +
+        `/Resources ${resources} /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[1] = `<< /Type /Pages /Count ${pageIds.length} /Kids [ ${pageIds.map((id) => `${id} 0 R`).join(" ")} ] >>`;
+
+  let output = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(output.length);
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefStart = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    output += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefStart}\n%%EOF`;
+  return binaryStringToBytes(output);
+}
+
+module.exports = {
+  A4_WIDTH,
+  A4_HEIGHT,
+  toPdfText,
+  estimateTextWidth,
+  readJpegInfo,
+  readPngInfo,
+  readImageInfo,
+  renderPdf
+};
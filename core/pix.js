@@ -0,0 +1,117 @@
+const { encodeQr } = require("./qrcode");
+
+const PIX_GUI = "br.gov.bcb.pix";
+const PIX_KEY_MAX = 77;
+const PIX_TXID_MAX = 25;
+const PIX_DEFAULT_CITY = "BRASIL";
+
+function emvField(id, value) {
+  return `${id}${String(value.length).padStart(2, "0")}${value}`;
+}
+
+// CRC16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as required by the BR Code spec.
+function crc16(text) {
+  let crc = 0xffff;
+  for (const byte of new TextEncoder().encode(text)) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+}
+
+function toEmvText(value, max) {
+  return (value || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toUpperCase()
+    .slice(0, max)
+    .trim();
+}
+
+function normalizePixKey(value) {
+  const key = (value || "").toString().trim();
+  if (key.includes("@")) return key.toLowerCase();
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key)) return key.toLowerCase();
+  if (key.startsWith("+")) return `+${key.replace(/\D/g, "")}`;
+  if (/^[\d.\-/\s()]+$/.test(key)) return key.replace(/\D/g, "");
+  return key.replace(/\s+/g, "");
+}
+
+function toPixTxid(value) {
+  return (value || "").toString().replace(/[^A-Za-z0-9]/g, "").slice(0, PIX_TXID_MAX) || "***";
+}
+
+function buildPixPayload({ key, merchantName, merchantCity, amount, txid }) {
+  const pixKey = normalizePixKey(key);
+  if (!pixKey || pixKey.length > PIX_KEY_MAX) return { error: "invalid_pix_key" };
+  const name = toEmvText(merchantName, 25);
+  if (!name) return { error: "invalid_pix_merchant" };
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) return { error: "invalid_pix_amount" };
+  const body = [
+    emvField("00", "01"),
+    emvField("26", `${emvField("00", PIX_GUI)}${emvField("01", pixKey)}`),
+    emvField("52", "0000"),
+    emvField("53", "986"),
+    emvField("54", value.toFixed(2)),
+    emvField("58", "BR"),
+    emvField("59", name),
+    emvField("60", toEmvText(merchantCity, 15) || PIX_DEFAULT_CITY),
+    emvField("62", emvField("05", toPixTxid(txid)))
+  ].join("");
+  const unsigned = `${body}6304`;
+  return { payload: `${unsigned}${crc16(unsigned)}` };
+}
+
+function renderQrSvg(text) {
+  const qr = encodeQr(text);
+  const size = qr.size + 8;
+  let path = "";
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x += 1) {
+      if (!row[x]) continue;
+      let end = x;
+      while (end + 1 < qr.size && row[end + 1]) end += 1;
+      path += `M${x + 4} ${y + 4}h${end - x + 1}v1h-${end - x + 1}z`;
+      x = end;
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path fill="#000" d="${path}"/></svg>`;
+}
+
+// Static BR Code straight to the restaurant key; settlement is confirmed by staff.
+function buildPixCharge(restaurant, { amount, txid }) {
+  const payments = (restaurant.integrations && restaurant.integrations.payments) || {};
+  if (!payments.pixKey) return { error: "pix_not_configured" };
+  const result = buildPixPayload({
+    key: payments.pixKey,
+    merchantName: payments.pixMerchantName || restaurant.name,
+    merchantCity: payments.pixCity,
+    amount,
+    txid
+  });
+  if (result.error) return result;
+  return {
+    pix: {
+      payload: result.payload,
+      qrSvg: renderQrSvg(result.payload),
+      amount: Number(Number(amount).toFixed(2)),
+      txid: toPixTxid(txid)
+    }
+  };
+}
+
+module.exports = {
+  crc16,
+  normalizePixKey,
+  toPixTxid,
+  buildPixPayload,
+  renderQrSvg,
+  buildPixCharge
+};
@@ -0,0 +1,225 @@
+const { normalizeSlug, sanitizeText, toInt } = require("./sanitize");
+const { roundMoney } = require("./modifiers");
+const { sanitizeTimeOfDay, getZonedClock, isDaypartOpen } = require("./dayparts");
+const { isOrderVoid } = require("./orders");
+
+const PROMOTION_TYPES = ["percent", "fixed", "happy_hour", "buy_x_get_y"];
+const COUPON_PROMOTION_TYPES = new Set(["percent", "fixed"]);
+const MAX_PROMOTIONS_PER_RESTAURANT = 50;
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+function sanitizeCouponCode(value) {
+  const code = (value || "").toString().trim().toUpperCase();
+  return COUPON_CODE_PATTERN.test(code) ? code : "";
+}
+
+function sanitizeIsoDate(value) {
+  if (!value) return "";
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : "";
+}
+
+function sanitizePromotionWindow(value) {
+  const raw = value && typeof value === "object" ? value : {};
+  const start = sanitizeTimeOfDay(raw.start);
+  const end = sanitizeTimeOfDay(raw.end);
+  if (!start || !end || start === end) return null;
+  const days = Array.from(
+    new Set((Array.isArray(raw.days) ? raw.days : []).map(Number).filter((day) => day >= 0 && day <= 6))
+  ).sort();
+  return { days: days.length ? days : [0, 1, 2, 3, 4, 5, 6], start, end };
+}
+
+// Updates send only the changed fields; they are merged over the stored promotion and validated as a whole.
+function sanitizePromotionInput(input, current = {}) {
+  const raw = { ...current, ...(input || {}) };
+  const name = sanitizeText(raw.name, 80);
+  if (!name) return { error: "invalid_promotion_name" };
+  const type = (raw.type || "").toString().trim().toLowerCase();
+  if (!PROMOTION_TYPES.includes(type)) return { error: "invalid_promotion_type" };
+  const promotion = {
+    name,
+    type,
+    code: "",
+    percent: 0,
+    amount: 0,
+    category: "",
+    buyQty: 0,
+    freeQty: 0,
+    window: null,
+    minSubtotal: Math.max(0, roundMoney(Number(raw.minSubtotal) || 0)),
+    maxUses: Math.max(0, Math.floor(toInt(raw.maxUses, 0))),
+    startsAt: sanitizeIsoDate(raw.startsAt),
+    expiresAt: sanitizeIsoDate(raw.expiresAt),
+    active: !(raw.active === false || raw.active === "false" || raw.active === 0)
+  };
+  if (promotion.startsAt && promotion.expiresAt && promotion.expiresAt <= promotion.startsAt) {
+    return { error: "invalid_promotion_dates" };
+  }
+  if (COUPON_PROMOTION_TYPES.has(type)) {
+    promotion.code = sanitizeCouponCode(raw.code);
+    if (!promotion.code) return { error: "invalid_coupon_code" };
+  }
+  if (type === "percent" || type === "happy_hour") {
+    promotion.percent = Math.round((Number(raw.percent) || 0) * 100) / 100;
+    if (promotion.percent <= 0 || promotion.percent > 100) return { error: "invalid_promotion_percent" };
+  }
+  if (type === "fixed") {
+    promotion.amount = roundMoney(Number(raw.amount) || 0);
+    if (promotion.amount <= 0) return { error: "invalid_promotion_amount" };
+  }
+  if (type === "happy_hour" || type === "buy_x_get_y") {
+    promotion.category = normalizeSlug(raw.category);
+  }
+  if (type === "happy_hour") {
+    promotion.window = sanitizePromotionWindow(raw.window);
+    if (!promotion.window) return { error: "invalid_promotion_window" };
+  }
+  if (type === "buy_x_get_y") {
+    if (!promotion.category) return { error: "invalid_promotion_category" };
+    promotion.buyQty = Math.floor(toInt(raw.buyQty, 2));
+    promotion.freeQty = Math.floor(toInt(raw.freeQty, 1));
+    if (promotion.buyQty < 1 || promotion.buyQty > 10 || promotion.freeQty < 1 || promotion.freeQty > 10) {
+      return { error: "invalid_promotion_quantity" };
+    }
+  }
+  return { promotion };
+}
+
+function findPromotionByCode(promotions, code) {
+  const wanted = sanitizeCouponCode(code);
+  return (wanted && promotions.find((promotion) => promotion.code === wanted)) || null;
+}
+
+function getPromotionState(promotion, now) {
+  if (!promotion.active) return "inactive";
+  const iso = now.toISOString();
+  if (promotion.startsAt && iso < promotion.startsAt) return "not_started";
+  if (promotion.expiresAt && iso >= promotion.expiresAt) return "expired";
+  if (promotion.maxUses && (Number(promotion.usedCount) || 0) >= promotion.maxUses) return "exhausted";
+  return "live";
+}
+
+function matchesCategory(promotion, menuItem) {
+  return !promotion.category || Boolean(menuItem && normalizeSlug(menuItem.category) === promotion.category);
+}
+
+// The cheapest units of the category are the ones given away.
+function computeBuyXGetYDiscount(promotion, lines, menuMap) {
+  const units = [];
+  lines.forEach((line) => {
+    if (!matchesCategory(promotion, menuMap.get(line.id))) return;
+    for (let index = 0; index < line.qty; index += 1) units.push(Number(line.price) || 0);
+  });
+  const freeUnits = Math.floor(units.length / (promotion.buyQty + promotion.freeQty)) * promotion.freeQty;
+  return units
+    .sort((a, b) => a - b)
+    .slice(0, freeUnits)
+    .reduce((acc, price) => acc + price, 0);
+}
+
+function computeHappyHourDiscount(promotion, lines, menuMap) {
+  const base = lines
+    .filter((line) => matchesCategory(promotion, menuMap.get(line.id)))
+    .reduce((acc, line) => acc + (Number(line.lineTotal) || 0), 0);
+  return (base * promotion.percent) / 100;
+}
+
+// Automatic promotions stack with at most one coupon; the discount never exceeds the item subtotal.
+function applyPromotions(promotions, { lines, menuItems, couponCode, timezone, now = new Date() }) {
+  const menuMap = menuItems instanceof Map ? menuItems : new Map(menuItems.map((item) => [item.id, item]));
+  const subtotal = roundMoney(lines.reduce((acc, line) => acc + (Number(line.lineTotal) || 0), 0));
+  const clock = getZonedClock(timezone, now);
+  const applied = [];
+  let remaining = subtotal;
+  const push = (promotion, value) => {
+    const amount = roundMoney(Math.min(remaining, value));
+    if (amount <= 0) return;
+    remaining = roundMoney(remaining - amount);
+    applied.push({ id: promotion.id, name: promotion.name, type: promotion.type, code: promotion.code || "", amount });
+  };
+
+  promotions
+    .filter((promotion) => !COUPON_PROMOTION_TYPES.has(promotion.type))
+    .filter((promotion) => getPromotionState(promotion, now) === "live" && subtotal >= promotion.minSubtotal)
+    .forEach((promotion) => {
+      if (promotion.type === "happy_hour") {
+        if (!isDaypartOpen(promotion.window, clock)) return;
+        push(promotion, computeHappyHourDiscount(promotion, lines, menuMap));
+      } else {
+        push(promotion, computeBuyXGetYDiscount(promotion, lines, menuMap));
+      }
+    });
+
+  if (couponCode) {
+    const coupon = findPromotionByCode(promotions, couponCode);
+    const state = coupon ? getPromotionState(coupon, now) : "missing";
+    if (state === "missing" || state === "inactive") return { error: "invalid_coupon" };
+    if (state === "not_started" || state === "expired") return { error: "coupon_expired" };
+    if (state === "exhausted") return { error: "coupon_exhausted" };
+    if (subtotal < coupon.minSubtotal) {
+      return { error: "coupon_min_subtotal", detail: { minSubtotal: coupon.minSubtotal } };
+    }
+    push(coupon, coupon.type === "percent" ? (remaining * coupon.percent) / 100 : coupon.amount);
+  }
+
+  return {
+    discount: roundMoney(subtotal - remaining),
+    promotions: applied,
+    couponCode: applied.some((entry) => entry.code) ? sanitizeCouponCode(couponCode) : ""
+  };
+}
+
+// Only the automatic promotions are listed publicly; coupon codes stay private.
+function toPublicPromotion(promotion) {
+  return {
+    id: promotion.id,
+    name: promotion.name,
+    type: promotion.type,
+    percent: promotion.percent,
+    category: promotion.category,
+    buyQty: promotion.buyQty,
+    freeQty: promotion.freeQty,
+    window: promotion.window,
+    minSubtotal: promotion.minSubtotal
+  };
+}
+
+function listPublicPromotions(promotions, now = new Date()) {
+  const live = promotions.filter((promotion) => getPromotionState(promotion, now) === "live");
+  return {
+    promotions: live.filter((promotion) => !COUPON_PROMOTION_TYPES.has(promotion.type)).map(toPublicPromotion),
+    acceptsCoupons: live.some((promotion) => COUPON_PROMOTION_TYPES.has(promotion.type))
+  };
+}
+
+// Cancelled and refused orders gave their uses back, so they are not counted here either.
+function summarizePromotionUsage(orders) {
+  const usage = new Map();
+  orders.forEach((order) => {
+    if (isOrderVoid(order)) return;
+    (order.promotions || []).forEach((entry) => {
+      const current = usage.get(entry.id) || {
+        id: entry.id,
+        name: entry.name,
+        code: entry.code || "",
+        uses: 0,
+        discount: 0
+      };
+      current.uses += 1;
+      current.discount = roundMoney(current.discount + (Number(entry.amount) || 0));
+      usage.set(entry.id, current);
+    });
+  });
+  return Array.from(usage.values()).sort((a, b) => b.discount - a.discount);
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  MAX_PROMOTIONS_PER_RESTAURANT,
+  sanitizeCouponCode,
+  sanitizePromotionInput,
+  applyPromotions,
+  listPublicPromotions,
+  summarizePromotionUsage
+};
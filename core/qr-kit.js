@@ -0,0 +1,202 @@
+const { DEFAULT_ACCENT } = require("./constants");
+const { encodeQr } = require("./qrcode");
+const { A4_WIDTH, A4_HEIGHT, toPdfText, estimateTextWidth, readImageInfo, renderPdf } = require("./pdf");
+
+const QR_KIT_LAYOUTS = {
+  a4: { columns: 3, rows: 4, qrSize: 130 },
+  stickers: { columns: 4, rows: 6, qrSize: 82 },
+  tents: { columns: 1, rows: 1, qrSize: 210 }
+};
+const QR_KIT_SOURCES = ["tables", "items"];
+const QR_KIT_MAX_ENTRIES = 300;
+const HEADER_HEIGHT = 64;
+const CALL_TO_ACTION = "Aponte a camera do celular para abrir o cardapio";
+
+function sanitizeQrKitOptions(input) {
+  const raw = input || {};
+  const layout = (raw.layout || "").toString().trim().toLowerCase();
+  const source = (raw.source || "").toString().trim().toLowerCase();
+  return {
+    layout: QR_KIT_LAYOUTS[layout] ? layout : "a4",
+    source: QR_KIT_SOURCES.includes(source) ? source : "tables"
+  };
+}
+
+function parseAccentColor(value) {
+  const match = (value || "").toString().trim().match(/^#?([0-9a-f]{6}|[0-9a-f]{3})$/i);
+  const hex = match ? match[1] : DEFAULT_ACCENT.replace("#", "");
+  const full = hex.length === 3 ? hex.replace(/./g, (char) => char + char) : hex;
+  return [0, 2, 4].map((index) => (parseInt(full.slice(index, index + 2), 16) / 255).toFixed(3)).join(" ");
+}
+
+function fitText(text, fontSize, maxWidth, bold) {
+  let value = (text || "").toString();
+  while (value.length > 1 && estimateTextWidth(value, fontSize, bold) > maxWidth) value = value.slice(0, -1);
+  return value === (text || "").toString() ? value : `${value.slice(0, -1)}...`;
+}
+
+function drawText(text, x, y, { size = 10, bold = false, color = "0 0 0", maxWidth = 0, align = "left" } = {}) {
+  const value = maxWidth ? fitText(text, size, maxWidth, bold) : (text || "").toString();
+  if (!value) return "";
+  const left = align === "center" ? x - estimateTextWidth(value, size, bold) / 2 : x;
+  return `BT /${bold ? "F2" : "F1"} ${size} Tf ${color} rg ${left.toFixed(2)} ${y.toFixed(2)} Td (${toPdfText(value)}) Tj ET\n`;
+}
+
+// Dark modules are merged into horizontal runs to keep the content stream small.
+function drawQr(url, x, y, size) {
+  const qr = encodeQr(url);
+  const cell = size / (qr.size + 8);
+  const origin = cell * 4;
+  let out = `1 1 1 rg ${x.toFixed(2)} ${y.toFixed(2)} ${size.toFixed(2)} ${size.toFixed(2)} re f\n0 0 0 rg\n`;
+  qr.modules.forEach((row, rowIndex) => {
+    const top = y + size - origin - (rowIndex + 1) * cell;
+    for (let col = 0; col < qr.size; col += 1) {
+      if (!row[col]) continue;
+      let end = col;
+      while (end + 1 < qr.size && row[end + 1]) end += 1;
+      out += `${(x + origin + col * cell).toFixed(2)} ${top.toFixed(2)} ${((end - col + 1) * cell).toFixed(2)} ${cell.toFixed(2)} re\n`;
+      col = end;
+    }
+  });
+  return `${out}f\n`;
+}
+
+function drawLogo(logo, x, y, maxHeight) {
+  if (!logo) return { content: "", width: 0 };
+  const height = maxHeight;
+  const width = Math.min((logo.width / logo.height) * height, 140);
+  return {
+    content: `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Logo Do Q\n`,
+    width
+  };
+}
+
+function drawHeader(restaurant, accent, logo) {
+  const top = A4_HEIGHT - HEADER_HEIGHT;
+  let out = `${accent} rg 0 ${top} ${A4_WIDTH} ${HEADER_HEIGHT} re f\n`;
+  const mark = drawLogo(logo, 30, top + 12, HEADER_HEIGHT - 24);
+  out += mark.content;
+  const nameX = 30 + (mark.width ? mark.width + 12 : 0);
+  out += drawText(restaurant.name, nameX, top + 28, {
+    size: 20,
+    bold: true,
+    color: "1 1 1",
+    maxWidth: A4_WIDTH - nameX - 30
+  });
+  out += drawText(CALL_TO_ACTION, nameX, top + 12, { size: 9, color: "1 1 1", maxWidth: A4_WIDTH - nameX - 30 });
+  return out;
+}
+
+function drawGridPage(restaurant, entries, layout, accent, logo) {
+  const { columns, rows, qrSize } = QR_KIT_LAYOUTS[layout];
+  const margin = 24;
+  const cellWidth = (A4_WIDTH - margin * 2) / columns;
+  const cellHeight = (A4_HEIGHT - HEADER_HEIGHT - margin * 2) / rows;
+  const small = layout === "stickers";
+  let out = drawHeader(restaurant, accent, logo);
+  out += "0.7 0.7 0.7 RG 0.5 w [4 3] 0 d\n";
+  entries.forEach((entry, index) => {
+    const x = margin + (index % columns) * cellWidth;
+    const y = A4_HEIGHT - HEADER_HEIGHT - margin - (Math.floor(index / columns) + 1) * cellHeight;
+    const centerX = x + cellWidth / 2;
+    out += `${x.toFixed(2)} ${y.toFixed(2)} ${cellWidth.toFixed(2)} ${cellHeight.toFixed(2)} re S\n`;
+    const qrY = y + cellHeight - qrSize - (small ? 6 : 12);
+    out += drawQr(entry.url, centerX - qrSize / 2, qrY, qrSize);
+    out += drawText(entry.title, centerX, qrY - (small ? 12 : 18), {
+      size: small ? 10 : 14,
+      bold: true,
+      color: accent,
+      maxWidth: cellWidth - 12,
+      align: "center"
+    });
+    out += drawText(entry.subtitle, centerX, qrY - (small ? 22 : 32), {
+      size: small ? 7 : 9,
+      color: "0.35 0.35 0.35",
+      maxWidth: cellWidth - 12,
+      align: "center"
+    });
+  });
+  return out;
+}
+
+function drawTentFace(restaurant, entry, accent, logo) {
+  const half = A4_HEIGHT / 2;
+  const centerX = A4_WIDTH / 2;
+  let out = `${accent} rg 0 ${half - 48} ${A4_WIDTH} 48 re f\n`;
+  const mark = drawLogo(logo, 30, half - 40, 32);
+  out += mark.content;
+  out += drawText(restaurant.name, centerX, half - 31, {
+    size: 18,
+    bold: true,
+    color: "1 1 1",
+    maxWidth: A4_WIDTH - 2 * (mark.width + 40),
+    align: "center"
+  });
+  const qrSize = QR_KIT_LAYOUTS.tents.qrSize;
+  out += drawQr(entry.url, centerX - qrSize / 2, half - 60 - qrSize, qrSize);
+  out += drawText(entry.title, centerX, 92, { size: 28, bold: true, color: accent, maxWidth: 500, align: "center" });
+  out += drawText(entry.subtitle, centerX, 72, { size: 11, color: "0.35 0.35 0.35", maxWidth: 500, align: "center" });
+  out += drawText(CALL_TO_ACTION, centerX, 40, { size: 11, color: "0 0 0", maxWidth: 500, align: "center" });
+  return out;
+}
+
+// Tent: both halves carry the same face; the top one is rotated so it reads correctly once folded.
+function drawTentPage(restaurant, entry, accent, logo) {
+  const face = drawTentFace(restaurant, entry, accent, logo);
+  return (
+    face +
+    `q -1 0 0 -1 ${A4_WIDTH} ${A4_HEIGHT} cm\n${face}Q\n` +
+    `0.6 0.6 0.6 RG 0.5 w [6 4] 0 d 0 ${A4_HEIGHT / 2} m ${A4_WIDTH} ${A4_HEIGHT / 2} l S\n`
+  );
+}
+
+// Tables must already carry their signed `path` (see signTableToken).
+function buildQrKitEntries(source, origin, { tables = [], items = [] }) {
+  if (source === "items") {
+    return items.slice(0, QR_KIT_MAX_ENTRIES).map((item) => ({
+      title: item.name,
+      subtitle: item.category || "",
+      url: `${origin}/i/${item.id}`
+    }));
+  }
+  return tables
+    .filter((table) => table.active !== false)
+    .slice(0, QR_KIT_MAX_ENTRIES)
+    .map((table) => ({
+      title: `Mesa ${table.label}`,
+      subtitle: table.zone || "",
+      url: `${origin}${table.path}`
+    }));
+}
+
+function buildQrKitPdf({ restaurant, entries, layout, logoBytes }) {
+  const accent = parseAccentColor(restaurant.theme && restaurant.theme.accent);
+  const image = readImageInfo(logoBytes);
+  const logo = image ? { ...image, name: "Logo" } : null;
+  const { columns, rows } = QR_KIT_LAYOUTS[layout];
+  const perPage = columns * rows;
+  const pages = [];
+  for (let index = 0; index < entries.length; index += perPage) {
+    const chunk = entries.slice(index, index + perPage);
+    pages.push({
+      content:
+        layout === "tents"
+          ? drawTentPage(restaurant, chunk[0], accent, logo)
+          : drawGridPage(restaurant, chunk, layout, accent, logo)
+    });
+  }
+  // A logo the writer cannot embed (WebP, PNG with transparency) is left out and reported instead of dropped silently.
+  return {
+    pdf: renderPdf({ pages, images: logo ? [logo] : [] }),
+    warnings: logoBytes && !logo ? ["logo_skipped"] : []
+  };
+}
+
+module.exports = {
+  QR_KIT_LAYOUTS,
+  QR_KIT_SOURCES,
+  QR_KIT_MAX_ENTRIES,
+  sanitizeQrKitOptions,
+  buildQrKitEntries,
+  buildQrKitPdf
+};
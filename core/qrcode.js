@@ -0,0 +1,299 @@
+// QR Code model 2, byte mode, error correction level M (ISO/IEC 18004).
+const ECC_CODEWORDS_PER_BLOCK_M = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28,
+  28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const NUM_ECC_BLOCKS_M = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31,
+  33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+const FORMAT_BITS_M = 0;
+const MAX_VERSION = 40;
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version) {
+  return (
+    Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK_M[version] * NUM_ECC_BLOCKS_M[version]
+  );
+}
+
+function getAlignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function computeDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function computeRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, index) => {
+      result[index] ^= gfMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+function encodeDataCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+  };
+  push(0x4, 4);
+  push(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((byte) => push(byte, 8));
+  const capacityBits = getNumDataCodewords(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ECC_BLOCKS_M[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK_M[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = computeDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i += 1) {
+    const block = data.slice(offset, offset + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = computeRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, index) => {
+      if (i !== shortBlockLen - blockEccLen || index >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4]
+  ].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const alignment = getAlignmentPositions(version);
+  const last = alignment.length - 1;
+  alignment.forEach((cx, i) => {
+    alignment.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  drawFormatBits(modules, isFunction, 0);
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+  return { size, modules, isFunction };
+}
+
+function drawFormatBits(modules, isFunction, mask) {
+  const size = modules.length;
+  const data = (FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+  for (let i = 0; i <= 5; i += 1) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i += 1) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+function drawCodewords(modules, isFunction, codewords) {
+  const size = modules.length;
+  let index = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && index < codewords.length * 8) {
+          modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) !== 0;
+          index += 1;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask(modules, isFunction, mask) {
+  const size = modules.length;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// Runs, 2x2 blocks and dark balance; finder-like pattern rule is skipped since any mask stays decodable.
+function getPenaltyScore(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  for (let a = 0; a < size; a += 1) {
+    let rowRun = 1;
+    let colRun = 1;
+    for (let b = 0; b < size; b += 1) {
+      if (modules[a][b]) dark += 1;
+      if (b === 0) continue;
+      rowRun = modules[a][b] === modules[a][b - 1] ? rowRun + 1 : 1;
+      colRun = modules[b][a] === modules[b - 1][a] ? colRun + 1 : 1;
+      if (rowRun === 5) penalty += 3;
+      else if (rowRun > 5) penalty += 1;
+      if (colRun === 5) penalty += 3;
+      else if (colRun > 5) penalty += 1;
+    }
+  }
+  for (let y = 0; y < size - 1; y += 1) {
+    for (let x = 0; x < size - 1; x += 1) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+function encodeQr(text) {
+  const bytes = Array.from(new TextEncoder().encode((text || "").toString()));
+  let version = 1;
+  while (
+    version <= MAX_VERSION &&
+    4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version) * 8
+  ) {
+    version += 1;
+  }
+  if (version > MAX_VERSION) throw new Error("qr_data_too_long");
+
+  const codewords = addEccAndInterleave(encodeDataCodewords(bytes, version), version);
+  const { size, modules, isFunction } = createMatrix(version);
+  drawCodewords(modules, isFunction, codewords);
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask += 1) {
+    applyMask(modules, isFunction, mask);
+    drawFormatBits(modules, isFunction, mask);
+    const penalty = getPenaltyScore(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(modules, isFunction, mask);
+  }
+  applyMask(modules, isFunction, bestMask);
+  drawFormatBits(modules, isFunction, bestMask);
+  return { version, size, modules };
+}
+
+module.exports = {
+  encodeQr
+};
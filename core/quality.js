@@ -0,0 +1,231 @@
+const { sanitizeText } = require("./sanitize");
+
+function looksLikeFoodItem(item) {
+  const text = `${item?.name || ""} ${item?.description || ""}`.toLowerCase();
+  const foodHints = [
+    "prato",
+    "massa",
+    "penne",
+    "pizza",
+    "burger",
+    "hamb",
+    "sobremesa",
+    "dessert",
+    "bolo",
+    "cheese",
+    "frango",
+    "carne",
+    "peixe",
+    "salada",
+    "food",
+    "menu"
+  ];
+  return foodHints.some((hint) => text.includes(hint));
+}
+
+function getCaptureTargets(config, isFoodItem) {
+  const requiredToStart = isFoodItem
+    ? config.captureMinStartFood
+    : config.captureMinStartGeneral;
+  const recommendedForQuality = Math.max(
+    requiredToStart,
+    isFoodItem ? config.captureRecommendedFood : config.captureRecommendedGeneral
+  );
+  return { requiredToStart, recommendedForQuality };
+}
+
+function evaluateCaptureReadiness(item, job, config) {
+  const referenceCount = Array.isArray(job?.referenceImages) ? job.referenceImages.length : 0;
+  const scanCount = Array.isArray(item?.scans) ? item.scans.length : 0;
+  const heroImageCount = item?.image ? 1 : 0;
+  const isFoodItem = looksLikeFoodItem(item);
+  const targets = getCaptureTargets(config, isFoodItem);
+  const totalVisualInputs = referenceCount + scanCount + heroImageCount;
+  const progress = Math.min(
+    100,
+    Math.round((totalVisualInputs / Math.max(1, targets.recommendedForQuality)) * 100)
+  );
+  const readyToStart = totalVisualInputs >= targets.requiredToStart;
+  const qualityReady = totalVisualInputs >= targets.recommendedForQuality;
+  const hints = [];
+
+  if (!readyToStart) {
+    hints.push(
+      `Capture pelo menos ${targets.requiredToStart} fotos (atual: ${totalVisualInputs}).`
+    );
+  }
+  if (scanCount < Math.ceil(targets.requiredToStart / 2)) {
+    hints.push("Use o scanner para capturar fotos em 360 graus na mesa.");
+  }
+  if (referenceCount < Math.ceil(targets.requiredToStart / 3)) {
+    hints.push("Envie fotos extras no job para cobrir detalhes e evitar malha estourada.");
+  }
+  if (isFoodItem && totalVisualInputs < targets.recommendedForQuality) {
+    hints.push(
+      `Para comida, recomendamos ${targets.recommendedForQuality}+ fotos para realismo de textura.`
+    );
+  }
+  if (qualityReady) {
+    hints.push("Captura forte para pipeline automatico.");
+  }
+
+  return {
+    isFoodItem,
+    referenceCount,
+    scanCount,
+    heroImageCount,
+    totalVisualInputs,
+    requiredToStart: targets.requiredToStart,
+    recommendedForQuality: targets.recommendedForQuality,
+    readyToStart,
+    qualityReady,
+    progress,
+    hints
+  };
+}
+
+function toModelQualityBand(score) {
+  if (score >= 85) return "excelente";
+  if (score >= 70) return "boa";
+  if (score >= 55) return "aceitavel";
+  return "fraca";
+}
+
+async function evaluateJobQuality(runtime, item, job) {
+  const config = runtime.config;
+  let score = 0;
+  const checklist = [];
+  const capture = evaluateCaptureReadiness(item, job, config);
+  const totalRefs = capture.totalVisualInputs;
+  const isFood = capture.isFoodItem;
+
+  if (capture.qualityReady && totalRefs >= capture.recommendedForQuality + 4) {
+    score += 24;
+    checklist.push("captura_fotos:excelente");
+  } else if (capture.qualityReady) {
+    score += 20;
+    checklist.push("captura_fotos:ok");
+  } else if (capture.readyToStart) {
+    score += 14;
+    checklist.push("captura_fotos:minima");
+  } else if (totalRefs >= Math.max(1, capture.requiredToStart - 2)) {
+    score += 8;
+    checklist.push("captura_fotos:baixa");
+  } else {
+    checklist.push("captura_fotos:insuficiente");
+  }
+  if (!capture.readyToStart) {
+    score -= 10;
+  }
+  if (capture.scanCount > 0 && capture.referenceCount > 0) {
+    score += 4;
+    checklist.push("captura_fontes:mista");
+  } else {
+    checklist.push("captura_fontes:unica");
+  }
+
+  const glbInfo = await runtime.inspectModel(job.modelGlb || "");
+  const usdzInfo = await runtime.inspectModel(job.modelUsdz || "");
+  const hasGlb = Boolean(job.modelGlb);
+  const hasUsdz = Boolean(job.modelUsdz);
+
+  if (hasGlb) {
+    score += 18;
+    checklist.push("arquivo_glb:ok");
+  } else {
+    checklist.push("arquivo_glb:ausente");
+  }
+  if (hasUsdz) {
+    score += 18;
+    checklist.push("arquivo_usdz:ok");
+  } else {
+    checklist.push("arquivo_usdz:ausente");
+  }
+
+  if (glbInfo.exists && glbInfo.size >= 150 * 1024 && glbInfo.size <= 40 * 1024 * 1024) {
+    score += 10;
+    checklist.push("peso_glb:ok");
+  } else if (hasGlb) {
+    checklist.push("peso_glb:revisar");
+  }
+
+  if (usdzInfo.exists && usdzInfo.size >= 150 * 1024 && usdzInfo.size <= 40 * 1024 * 1024) {
+    score += 10;
+    checklist.push("peso_usdz:ok");
+  } else if (hasUsdz) {
+    checklist.push("peso_usdz:revisar");
+  }
+
+  if (isFood) {
+    if (totalRefs >= capture.recommendedForQuality) {
+      score += 12;
+      checklist.push("food_refs:alto");
+    } else if (totalRefs >= capture.requiredToStart) {
+      score += 6;
+      checklist.push("food_refs:minimo");
+    } else {
+      score -= 8;
+      checklist.push("food_refs:baixo");
+    }
+
+    if (capture.scanCount < 3) {
+      score -= 4;
+      checklist.push("food_angulo_scanner:baixo");
+    } else {
+      checklist.push("food_angulo_scanner:ok");
+    }
+
+    if (glbInfo.exists && usdzInfo.exists) {
+      const ratio = Math.max(glbInfo.size, usdzInfo.size) / Math.max(1, Math.min(glbInfo.size, usdzInfo.size));
+      if (ratio <= 4) {
+        score += 6;
+        checklist.push("food_consistencia_arquivos:ok");
+      } else if (ratio > 8) {
+        score -= 6;
+        checklist.push("food_consistencia_arquivos:revisar");
+      }
+    }
+
+    if ((glbInfo.size > 20 * 1024 * 1024) || (usdzInfo.size > 20 * 1024 * 1024)) {
+      score -= 4;
+      checklist.push("food_tamanho_mobile:alto");
+    }
+  }
+
+  if ((job.providerStatus || "").toUpperCase() === "SUCCEEDED") {
+    score += 10;
+    checklist.push("status_ia:sucesso");
+  } else if ((job.providerStatus || "").toUpperCase() === "FAILED") {
+    checklist.push("status_ia:falha");
+  } else {
+    checklist.push("status_ia:pendente");
+  }
+
+  if ((job.notes || "").length >= 20) {
+    score += 4;
+    checklist.push("observacoes:ok");
+  } else {
+    checklist.push("observacoes:curtas");
+  }
+  if (Array.isArray(capture.hints) && capture.hints.length > 0) {
+    capture.hints.slice(0, 4).forEach((hint) => {
+      checklist.push(`captura_hint:${sanitizeText(hint, 70)}`);
+    });
+  }
+
+  const boundedScore = Math.max(0, Math.min(100, Math.round(score)));
+  return {
+    score: boundedScore,
+    band: toModelQualityBand(boundedScore),
+    checklist,
+    capture
+  };
+}
+
+module.exports = {
+  looksLikeFoodItem,
+  getCaptureTargets,
+  evaluateCaptureReadiness,
+  toModelQualityBand,
+  evaluateJobQuality
+};
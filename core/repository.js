@@ -0,0 +1,22 @@
+// Storage adapters (JSON file, D1) implement these async methods; jobs and
+// items use the camelCase shape returned by the public API.
+const REPOSITORY_METHODS = [
+  "listRestaurantIds",
+  "getItem",
+  "listAutoModeJobs",
+  "saveModelJob",
+  "saveItemModels"
+];
+
+function assertRepository(repo) {
+  const missing = REPOSITORY_METHODS.filter((method) => !repo || typeof repo[method] !== "function");
+  if (missing.length) {
+    throw new Error(`repository_incomplete:${missing.join(",")}`);
+  }
+  return repo;
+}
+
+module.exports = {
+  REPOSITORY_METHODS,
+  assertRepository
+};
@@ -0,0 +1,244 @@
+const { toInt } = require("./sanitize");
+const { sanitizeTimeOfDay, getZoneOffsetMinutes, isDaypartOpen } = require("./dayparts");
+
+const RESERVATION_STATUSES = ["novo", "confirmado", "sentado", "finalizado", "cancelado", "no_show"];
+const RESERVATION_CLOSED_STATUSES = new Set(["finalizado", "cancelado", "no_show"]);
+const RESERVATION_SLOT_MINUTES = [15, 30, 60];
+const MAX_RESERVATION_WINDOWS = 6;
+const HOLD_MINUTES = 15;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_PATTERN = /^[A-HJ-NP-Z2-9]{6}$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DEFAULT_RESERVATION_HOURS = [
+  { days: ALL_DAYS, start: "12:00", end: "15:00" },
+  { days: ALL_DAYS, start: "19:00", end: "23:00" }
+];
+
+function clamp(value, fallback, min, max) {
+  return Math.max(min, Math.min(max, Math.floor(toInt(value, fallback))));
+}
+
+function sanitizeReservationHours(list) {
+  if (!Array.isArray(list)) return DEFAULT_RESERVATION_HOURS.map((window) => ({ ...window }));
+  const result = [];
+  for (const raw of list.slice(0, MAX_RESERVATION_WINDOWS)) {
+    if (!raw || typeof raw !== "object") continue;
+    const start = sanitizeTimeOfDay(raw.start);
+    const end = sanitizeTimeOfDay(raw.end);
+    if (!start || !end || start === end) continue;
+    const days = Array.from(
+      new Set((Array.isArray(raw.days) ? raw.days : []).map(Number).filter((day) => day >= 0 && day <= 6))
+    ).sort();
+    result.push({ days: days.length ? days : ALL_DAYS, start, end });
+  }
+  return result;
+}
+
+// The turn is rounded up to whole slots, so bookings always start and end on the slot grid.
+function sanitizeReservationSettings(value) {
+  const raw = value && typeof value === "object" ? value : {};
+  const slotMinutes = RESERVATION_SLOT_MINUTES.includes(toInt(raw.slotMinutes, 30)) ? toInt(raw.slotMinutes, 30) : 30;
+  const turnMinutes = clamp(raw.turnMinutes, 90, 30, 360);
+  return {
+    enabled: raw.enabled === true,
+    autoConfirm: raw.autoConfirm !== false,
+    slotMinutes,
+    turnMinutes: Math.ceil(turnMinutes / slotMinutes) * slotMinutes,
+    minAdvanceMinutes: clamp(raw.minAdvanceMinutes, 60, 0, 2880),
+    maxDaysAhead: clamp(raw.maxDaysAhead, 30, 1, 90),
+    maxGuests: clamp(raw.maxGuests, 12, 1, 20),
+    hours: sanitizeReservationHours(raw.hours)
+  };
+}
+
+function sanitizeReservationDate(value) {
+  const match = (value || "").toString().trim().match(DATE_PATTERN);
+  if (!match) return "";
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(time).toISOString().slice(0, 10) === match[0] ? match[0] : "";
+}
+
+function sanitizeReservationCode(value) {
+  const code = (value || "").toString().trim().toUpperCase();
+  return CODE_PATTERN.test(code) ? code : "";
+}
+
+function generateReservationCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  return Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Bookable start times of a local date: on the slot grid, inside opening hours and within the booking window.
+function buildReservationTimes(config, date, { timezone, now }) {
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  const day = new Date(midnight).getUTCDay();
+  const offset = getZoneOffsetMinutes(timezone, new Date(midnight + 12 * 3600000));
+  const earliest = now.getTime() + config.minAdvanceMinutes * 60000;
+  const latest = now.getTime() + config.maxDaysAhead * 86400000;
+  const times = [];
+  for (let minutes = 0; minutes < 1440; minutes += config.slotMinutes) {
+    if (!config.hours.some((window) => isDaypartOpen(window, { day, minutes }))) continue;
+    const start = midnight + (minutes - offset) * 60000;
+    if (start < earliest || start > latest) continue;
+    times.push({ time: formatTime(minutes), start, end: start + config.turnMinutes * 60000 });
+  }
+  return times;
+}
+
+function isHoldingReservation(reservation) {
+  return Boolean(reservation.tableId && reservation.startsAt && !RESERVATION_CLOSED_STATUSES.has(reservation.status));
+}
+
+function isSameArea(table, area) {
+  return !area || (table.zone || "").toLowerCase() === area.toLowerCase();
+}
+
+// Smallest free table that seats the party, so large tables stay open for large groups.
+function findReservationTable(tables, reservations, { guests, area, start, end }) {
+  const busy = new Set(
+    reservations
+      .filter(
+        (reservation) =>
+          isHoldingReservation(reservation) &&
+          Date.parse(reservation.startsAt) < end &&
+          Date.parse(reservation.endsAt) > start
+      )
+      .map((reservation) => reservation.tableId)
+  );
+  return (
+    tables
+      .filter((table) => table.active !== false && table.seats >= guests && isSameArea(table, area))
+      .filter((table) => !busy.has(table.id))
+      .sort((a, b) => a.seats - b.seats || a.label.localeCompare(b.label, "pt-BR", { numeric: true }))[0] || null
+  );
+}
+
+// With no tables registered there is nothing to assign, so every slot within the hours stays bookable.
+function hasReservationTables(tables) {
+  return tables.some((table) => table.active !== false);
+}
+
+function listReservationAreas(tables) {
+  return Array.from(
+    new Set(tables.filter((table) => table.active !== false && table.zone).map((table) => table.zone))
+  ).sort((a, b) => a.localeCompare(b, "pt-BR"));
+}
+
+function checkReservationParty(config, date, guests) {
+  if (!sanitizeReservationDate(date)) return { error: "invalid_reservation_date" };
+  if (guests > config.maxGuests) return { error: "party_too_large", detail: { maxGuests: config.maxGuests } };
+  return null;
+}
+
+function listReservationTimes(value, { date, guests, area, tables, reservations, timezone, now = new Date() }) {
+  const config = sanitizeReservationSettings(value);
+  if (!config.enabled) return { enabled: false, times: [], areas: [] };
+  const party = Math.max(1, toInt(guests, 2));
+  const invalid = checkReservationParty(config, date, party);
+  if (invalid) return invalid;
+  return {
+    enabled: true,
+    date,
+    guests: party,
+    areas: listReservationAreas(tables),
+    times: buildReservationTimes(config, date, { timezone, now })
+      .filter(
+        (slot) =>
+          !hasReservationTables(tables) || findReservationTable(tables, reservations, { guests: party, area, ...slot })
+      )
+      .map((slot) => ({ time: slot.time, startsAt: new Date(slot.start).toISOString() }))
+  };
+}
+
+function resolveReservationBooking(value, input, { tables, reservations, timezone, now = new Date() }) {
+  const config = sanitizeReservationSettings(value);
+  const invalid = checkReservationParty(config, input.dateLabel, input.guests);
+  if (invalid) return invalid;
+  const time = sanitizeTimeOfDay(input.timeLabel);
+  const slot =
+    time && buildReservationTimes(config, input.dateLabel, { timezone, now }).find((entry) => entry.time === time);
+  if (!slot) return { error: "invalid_reservation_time" };
+  const seated = hasReservationTables(tables);
+  const table = seated
+    ? findReservationTable(tables, reservations, { guests: input.guests, area: input.area, ...slot })
+    : null;
+  if (seated && !table) return { error: "reservation_unavailable", httpStatus: 409 };
+  return {
+    booking: {
+      date: input.dateLabel,
+      time,
+      startsAt: new Date(slot.start).toISOString(),
+      endsAt: new Date(slot.end).toISOString(),
+      tableId: table ? table.id : "",
+      tableLabel: table ? table.label : "",
+      area: table ? table.zone || "" : input.area,
+      status: config.autoConfirm ? "confirmado" : "novo"
+    }
+  };
+}
+
+// Slot lengths are multiples of 15 minutes, so overlapping bookings of a table always share a hold key.
+function listReservationHoldSlots(reservation) {
+  const slots = [];
+  const end = Date.parse(reservation.endsAt);
+  for (let time = Date.parse(reservation.startsAt); time < end; time += HOLD_MINUTES * 60000) {
+    slots.push(new Date(time).toISOString());
+  }
+  return slots;
+}
+
+function matchesReservationPhone(reservation, phone) {
+  const digits = (value) => (value || "").toString().replace(/\D/g, "").slice(-8);
+  const wanted = digits(phone);
+  return wanted.length === 8 && digits(reservation.phone) === wanted;
+}
+
+// Closed bookings already gave their table back, so they are not reopened.
+function applyReservationStatus(reservation, status) {
+  if (!RESERVATION_STATUSES.includes(status)) return { error: "invalid_status", httpStatus: 400 };
+  if (RESERVATION_CLOSED_STATUSES.has(reservation.status) && status !== reservation.status) {
+    return { error: "reservation_closed", httpStatus: 409 };
+  }
+  return { reservation: { ...reservation, status } };
+}
+
+function cancelReservationByGuest(reservation, now = new Date()) {
+  if (RESERVATION_CLOSED_STATUSES.has(reservation.status)) return { error: "reservation_closed", httpStatus: 409 };
+  if (reservation.status === "sentado" || (reservation.startsAt && Date.parse(reservation.startsAt) <= now.getTime())) {
+    return { error: "reservation_started", httpStatus: 409 };
+  }
+  return { reservation: { ...reservation, status: "cancelado" } };
+}
+
+function toPublicReservation(reservation) {
+  return {
+    code: reservation.code || "",
+    status: reservation.status || "novo",
+    name: reservation.name,
+    guests: reservation.guests,
+    date: reservation.date || "",
+    time: reservation.time || "",
+    startsAt: reservation.startsAt || "",
+    area: reservation.area || ""
+  };
+}
+
+module.exports = {
+  RESERVATION_STATUSES,
+  RESERVATION_CLOSED_STATUSES,
+  sanitizeReservationSettings,
+  sanitizeReservationCode,
+  generateReservationCode,
+  listReservationTimes,
+  resolveReservationBooking,
+  listReservationHoldSlots,
+  matchesReservationPhone,
+  applyReservationStatus,
+  cancelReservationByGuest,
+  toPublicReservation
+};
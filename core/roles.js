@@ -0,0 +1,40 @@
+const STAFF_ROLES = ["client", "kitchen"];
+const KITCHEN_ROUTES = [
+  ["GET", "/api/me"],
+  ["POST", "/api/logout"],
+  ["POST", "/api/logout-all"],
+  ["GET", "/api/sessions"],
+  ["DELETE", "/api/sessions/:id"],
+  ["GET", "/api/restaurants/:id/orders"],
+  ["GET", "/api/restaurants/:id/orders/stream"],
+  ["PUT", "/api/orders/:id"],
+  ["GET", "/api/restaurants/:id/service-requests"],
+  ["PUT", "/api/service-requests/:id"]
+];
+
+function matchesRoutePattern(pattern, pathname) {
+  const patternParts = pattern.split("/").filter(Boolean);
+  const pathParts = (pathname || "").split("/").filter(Boolean);
+  if (patternParts.length !== pathParts.length) return false;
+  return patternParts.every((part, index) => part.startsWith(":") || part === pathParts[index]);
+}
+
+function isRouteAllowedForRole(role, method, pathname) {
+  if (role !== "kitchen") return true;
+  return KITCHEN_ROUTES.some(
+    ([routeMethod, pattern]) => routeMethod === method && matchesRoutePattern(pattern, pathname)
+  );
+}
+
+function sanitizeStaffRole(value, actorRole) {
+  const role = (value || "client").toString().trim().toLowerCase();
+  if (!STAFF_ROLES.includes(role)) return "";
+  if (actorRole === "master") return role;
+  return role === "kitchen" ? role : "";
+}
+
+module.exports = {
+  STAFF_ROLES,
+  isRouteAllowedForRole,
+  sanitizeStaffRole
+};
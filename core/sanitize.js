@@ -0,0 +1,419 @@
+const {
+  EMAIL_PATTERN,
+  TABLE_PATTERN,
+  PUBLIC_EVENT_TYPES,
+  DEFAULT_PUBLIC_TEMPLATE,
+  TEMPLATE_NAME_PATTERN,
+  DEFAULT_LANGUAGE_CODE,
+  DEFAULT_LANGUAGE_OPTIONS,
+  GOOGLE_TRANSLATE_LANGUAGE_MAP,
+  UI_MESSAGE_KEYS,
+  INTEGRATION_MAX_STRING
+} = require("./constants");
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function parseJsonSafe(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function normalizeEmail(value) {
+  return (value || "").toString().trim().toLowerCase();
+}
+
+function isRemoteHttpUrl(value) {
+  return /^https?:\/\//i.test((value || "").toString());
+}
+
+function normalizeSlug(text) {
+  if (!text) return "";
+  return text
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+function sanitizeText(value, max = 255) {
+  return (value || "").toString().trim().replace(/\s+/g, " ").slice(0, max);
+}
+
+function sanitizeTemplateName(value) {
+  const raw = (value || "").toString().trim().toLowerCase();
+  if (!raw || raw === "default") return DEFAULT_PUBLIC_TEMPLATE;
+  if (!TEMPLATE_NAME_PATTERN.test(raw)) return DEFAULT_PUBLIC_TEMPLATE;
+  return raw;
+}
+
+function resolveRestaurantTemplatePath(templateName) {
+  return `/templates/${sanitizeTemplateName(templateName)}.html`;
+}
+
+function sanitizeLanguageCode(value) {
+  const code = sanitizeText(value, 10);
+  if (!code) return DEFAULT_LANGUAGE_CODE;
+  if (DEFAULT_LANGUAGE_OPTIONS.includes(code)) return code;
+  return DEFAULT_LANGUAGE_CODE;
+}
+
+function sanitizeLanguageList(value, preferredDefault = DEFAULT_LANGUAGE_CODE) {
+  const raw = Array.isArray(value) ? value : [];
+  const ordered = [];
+  for (const item of raw) {
+    const code = sanitizeLanguageCode(item);
+    if (!ordered.includes(code)) ordered.push(code);
+  }
+
+  if (!ordered.length) {
+    ordered.push(...DEFAULT_LANGUAGE_OPTIONS);
+  }
+
+  const normalizedDefault = sanitizeLanguageCode(preferredDefault);
+  if (!ordered.includes(normalizedDefault)) {
+    ordered.unshift(normalizedDefault);
+  }
+
+  return ordered.slice(0, DEFAULT_LANGUAGE_OPTIONS.length);
+}
+
+function toGoogleLanguageCode(value, fallback = "pt") {
+  const normalized = sanitizeLanguageCode(value);
+  return GOOGLE_TRANSLATE_LANGUAGE_MAP[normalized] || fallback;
+}
+
+function decodeHtmlEntities(value) {
+  return String(value || "")
+    .replaceAll("&#39;", "'")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&amp;", "&")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">");
+}
+
+function sanitizeTranslatePayload(body, config) {
+  const rawTexts = Array.isArray(body?.texts) ? body.texts : [];
+  if (!rawTexts.length) {
+    return { ok: false, error: "texts_required" };
+  }
+  if (rawTexts.length > config.translateMaxTexts) {
+    return { ok: false, error: "too_many_texts" };
+  }
+
+  const sanitized = [];
+  let totalChars = 0;
+  for (const value of rawTexts) {
+    const text = sanitizeText(value, config.translateMaxCharsPerText);
+    sanitized.push(text);
+    totalChars += text.length;
+  }
+
+  if (totalChars > config.translateMaxTotalChars) {
+    return { ok: false, error: "texts_too_large" };
+  }
+
+  const targetLanguage = sanitizeLanguageCode(body?.targetLanguage || body?.target || "");
+  const requestedSource = sanitizeText(body?.sourceLanguage || body?.source || "", 16);
+  const sourceLanguage = requestedSource
+    ? toGoogleLanguageCode(requestedSource, "pt")
+    : "";
+
+  return {
+    ok: true,
+    texts: sanitized,
+    targetLanguage,
+    targetGoogleCode: toGoogleLanguageCode(targetLanguage, "pt"),
+    sourceLanguage
+  };
+}
+
+function sanitizeContactEmail(value) {
+  const email = sanitizeText(value, 160).toLowerCase();
+  if (!email) return "";
+  return EMAIL_PATTERN.test(email) ? email : "";
+}
+
+function sanitizeUiMessages(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const output = {};
+
+  for (const [langCode, rawEntries] of Object.entries(value)) {
+    const code = sanitizeLanguageCode(langCode);
+    if (!rawEntries || typeof rawEntries !== "object" || Array.isArray(rawEntries)) continue;
+    const entries = {};
+    for (const key of UI_MESSAGE_KEYS) {
+      if (rawEntries[key] === undefined || rawEntries[key] === null) continue;
+      const text = sanitizeText(rawEntries[key], 180);
+      if (text) entries[key] = text;
+    }
+    if (Object.keys(entries).length > 0) {
+      output[code] = entries;
+    }
+  }
+
+  return output;
+}
+
+function sanitizeCategoryLabels(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const output = {};
+
+  for (const [categoryKeyRaw, translationsRaw] of Object.entries(value)) {
+    const categoryKey = normalizeSlug(categoryKeyRaw);
+    if (!categoryKey) continue;
+    if (!translationsRaw || typeof translationsRaw !== "object" || Array.isArray(translationsRaw)) continue;
+
+    const translations = {};
+    for (const [langCode, textRaw] of Object.entries(translationsRaw)) {
+      const code = sanitizeLanguageCode(langCode);
+      const text = sanitizeText(textRaw, 80);
+      if (!text) continue;
+      translations[code] = text;
+    }
+
+    if (Object.keys(translations).length > 0) {
+      output[categoryKey] = translations;
+    }
+  }
+
+  return output;
+}
+
+function sanitizeEnumValue(value, allowed, fallback) {
+  const normalized = sanitizeText(value, 48).toLowerCase();
+  if (allowed.includes(normalized)) return normalized;
+  return fallback;
+}
+
+function sanitizePublicUrl(value, max = INTEGRATION_MAX_STRING) {
+  const text = sanitizeText(value, max);
+  if (!text) return "";
+  if (text.startsWith("/")) return text;
+  if (/^(https?:\/\/|mailto:|tel:)/i.test(text)) return text;
+  return "";
+}
+
+function sanitizeWebhookUrl(value) {
+  const text = sanitizeText(value, INTEGRATION_MAX_STRING);
+  if (!text) return "";
+  if (/^https:\/\//i.test(text)) return text;
+  return "";
+}
+
+function sanitizeShortToken(value, max = 80) {
+  return sanitizeText(value, max).replace(/[^\w\-.:/]/g, "");
+}
+
+function sanitizeIntegrations(value) {
+  const source = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  const quickLinksRaw = source.quickLinks && typeof source.quickLinks === "object" ? source.quickLinks : {};
+  const analyticsRaw = source.analytics && typeof source.analytics === "object" ? source.analytics : {};
+  const paymentsRaw = source.payments && typeof source.payments === "object" ? source.payments : {};
+  const webhooksRaw = source.webhooks && typeof source.webhooks === "object" ? source.webhooks : {};
+  const featuresRaw = source.features && typeof source.features === "object" ? source.features : {};
+  const visualRaw = source.visual && typeof source.visual === "object" ? source.visual : {};
+
+  return {
+    quickLinks: {
+      whatsapp: sanitizePublicUrl(quickLinksRaw.whatsapp),
+      telegram: sanitizePublicUrl(quickLinksRaw.telegram),
+      instagram: sanitizePublicUrl(quickLinksRaw.instagram),
+      facebook: sanitizePublicUrl(quickLinksRaw.facebook),
+      tiktok: sanitizePublicUrl(quickLinksRaw.tiktok),
+      maps: sanitizePublicUrl(quickLinksRaw.maps),
+      website: sanitizePublicUrl(quickLinksRaw.website),
+      reservation: sanitizePublicUrl(quickLinksRaw.reservation),
+      delivery: sanitizePublicUrl(quickLinksRaw.delivery),
+      pickup: sanitizePublicUrl(quickLinksRaw.pickup),
+      review: sanitizePublicUrl(quickLinksRaw.review),
+      loyalty: sanitizePublicUrl(quickLinksRaw.loyalty)
+    },
+    analytics: {
+      gtmId: sanitizeShortToken(analyticsRaw.gtmId, 32).toUpperCase(),
+      ga4Id: sanitizeShortToken(analyticsRaw.ga4Id, 32).toUpperCase(),
+      metaPixelId: sanitizeShortToken(analyticsRaw.metaPixelId, 40),
+      tiktokPixelId: sanitizeShortToken(analyticsRaw.tiktokPixelId, 40),
+      clarityId: sanitizeShortToken(analyticsRaw.clarityId, 40),
+      hotjarId: sanitizeShortToken(analyticsRaw.hotjarId, 40)
+    },
+    payments: {
+      stripeCheckoutUrl: sanitizePublicUrl(paymentsRaw.stripeCheckoutUrl),
+      paypalMeUrl: sanitizePublicUrl(paymentsRaw.paypalMeUrl),
+      mbwayPhone: sanitizeText(paymentsRaw.mbwayPhone, 40),
+      pixKey: sanitizeText(paymentsRaw.pixKey, 120),
+      pixMerchantName: sanitizeText(paymentsRaw.pixMerchantName, 25),
+      pixCity: sanitizeText(paymentsRaw.pixCity, 15)
+    },
+    webhooks: {
+      events: sanitizeWebhookUrl(webhooksRaw.events),
+      orders: sanitizeWebhookUrl(webhooksRaw.orders),
+      leads: sanitizeWebhookUrl(webhooksRaw.leads),
+      reservations: sanitizeWebhookUrl(webhooksRaw.reservations),
+      waitlist: sanitizeWebhookUrl(webhooksRaw.waitlist),
+      feedback: sanitizeWebhookUrl(webhooksRaw.feedback)
+    },
+    features: {
+      showLeadForm: Boolean(featuresRaw.showLeadForm),
+      showReservationForm: Boolean(featuresRaw.showReservationForm),
+      showWaitlistForm: Boolean(featuresRaw.showWaitlistForm),
+      showFeedbackForm: Boolean(featuresRaw.showFeedbackForm),
+      enableInstallPrompt: featuresRaw.enableInstallPrompt !== false,
+      enableFavorites: featuresRaw.enableFavorites !== false,
+      enableCompactMode: featuresRaw.enableCompactMode !== false,
+      enableQuickActions: featuresRaw.enableQuickActions !== false
+    },
+    visual: {
+      preset: sanitizeEnumValue(
+        visualRaw.preset,
+        ["clean", "editorial", "bold", "night", "beach", "bistro"],
+        "clean"
+      ),
+      density: sanitizeEnumValue(visualRaw.density, ["compact", "comfortable", "spacious"], "comfortable"),
+      cardStyle: sanitizeEnumValue(visualRaw.cardStyle, ["soft", "glass", "flat"], "soft")
+    }
+  };
+}
+
+function sanitizeNullableUrl(value, max = 600) {
+  const text = sanitizeText(value, max);
+  if (!text) return "";
+  if (text.startsWith("/uploads/")) return text;
+  if (isRemoteHttpUrl(text)) return text;
+  return "";
+}
+
+function sanitizePrice(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return 0;
+  if (num < 0) return 0;
+  if (num > 99999) return 99999;
+  return Math.round(num * 100) / 100;
+}
+
+function sanitizeTableLabel(value) {
+  const table = sanitizeText(value, 32);
+  if (!TABLE_PATTERN.test(table)) return "";
+  return table;
+}
+
+function sanitizePublicSource(value) {
+  return sanitizeText(value || "site", 40).toLowerCase() || "site";
+}
+
+function sanitizeLeadPayload(body) {
+  const payload = body && typeof body === "object" ? body : {};
+  return {
+    name: sanitizeText(payload.name, 120),
+    email: sanitizeContactEmail(payload.email),
+    phone: sanitizeText(payload.phone, 40),
+    source: sanitizePublicSource(payload.source),
+    message: sanitizeText(payload.message, 800),
+    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
+  };
+}
+
+function sanitizeReservationPayload(body) {
+  const payload = body && typeof body === "object" ? body : {};
+  return {
+    name: sanitizeText(payload.name, 120),
+    phone: sanitizeText(payload.phone, 40),
+    email: sanitizeContactEmail(payload.email),
+    guests: Math.max(1, Math.min(20, toInt(payload.guests, 2))),
+    dateLabel: sanitizeText(payload.date || payload.dateLabel, 40),
+    timeLabel: sanitizeText(payload.time || payload.timeLabel, 24),
+    area: sanitizeText(payload.area, 60),
+    notes: sanitizeText(payload.notes, 800),
+    source: sanitizePublicSource(payload.source),
+    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
+  };
+}
+
+function sanitizeWaitlistPayload(body) {
+  const payload = body && typeof body === "object" ? body : {};
+  return {
+    name: sanitizeText(payload.name, 120),
+    phone: sanitizeText(payload.phone, 40),
+    guests: Math.max(1, Math.min(20, toInt(payload.guests, 2))),
+    etaMinutes: Math.max(0, Math.min(300, toInt(payload.etaMinutes, 0))),
+    source: sanitizePublicSource(payload.source),
+    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
+  };
+}
+
+// Item ratings only count with the order they came from; rating and NPS stay null when the guest skips them.
+function sanitizeFeedbackPayload(body) {
+  const payload = body && typeof body === "object" ? body : {};
+  const items = new Map();
+  for (const entry of Array.isArray(payload.items) ? payload.items.slice(0, 30) : []) {
+    const itemId = sanitizeText(entry && entry.itemId, 80);
+    const rating = Math.round(toInt(entry && entry.rating, 0));
+    if (itemId && rating >= 1 && rating <= 5) items.set(itemId, { itemId, rating });
+  }
+  const hasNps = payload.nps !== undefined && payload.nps !== null && payload.nps !== "";
+  const rating = toInt(payload.rating, 0);
+  return {
+    name: sanitizeText(payload.name, 120),
+    email: sanitizeContactEmail(payload.email),
+    rating: rating >= 1 ? Math.min(5, rating) : null,
+    comment: sanitizeText(payload.comment, 1200),
+    orderId: sanitizeText(payload.orderId, 80),
+    nps: hasNps ? Math.max(0, Math.min(10, Math.round(toInt(payload.nps, 0)))) : null,
+    items: Array.from(items.values()),
+    source: sanitizePublicSource(payload.source),
+    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
+  };
+}
+
+function sanitizeListLimit(value) {
+  return Math.max(10, Math.min(200, toInt(value, 80)));
+}
+
+function sanitizeEventType(value) {
+  const eventType = sanitizeText(value, 40).toLowerCase();
+  if (!PUBLIC_EVENT_TYPES.has(eventType)) return "";
+  return eventType;
+}
+
+module.exports = {
+  toInt,
+  parseJsonSafe,
+  normalizeEmail,
+  isRemoteHttpUrl,
+  normalizeSlug,
+  sanitizeText,
+  sanitizeTemplateName,
+  resolveRestaurantTemplatePath,
+  sanitizeLanguageCode,
+  sanitizeLanguageList,
+  toGoogleLanguageCode,
+  decodeHtmlEntities,
+  sanitizeTranslatePayload,
+  sanitizeContactEmail,
+  sanitizeUiMessages,
+  sanitizeCategoryLabels,
+  sanitizeEnumValue,
+  sanitizePublicUrl,
+  sanitizeWebhookUrl,
+  sanitizeShortToken,
+  sanitizeIntegrations,
+  sanitizeNullableUrl,
+  sanitizePrice,
+  sanitizeTableLabel,
+  sanitizePublicSource,
+  sanitizeLeadPayload,
+  sanitizeReservationPayload,
+  sanitizeWaitlistPayload,
+  sanitizeFeedbackPayload,
+  sanitizeListLimit,
+  sanitizeEventType
+};
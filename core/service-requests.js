@@ -0,0 +1,71 @@
+const { isSameTableRef } = require("./tables");
+
+const SERVICE_REQUEST_TYPES = ["waiter", "bill"];
+const SERVICE_REQUEST_STATUSES = ["pending", "acknowledged"];
+const SERVICE_REQUEST_LIST_LIMIT = 200;
+
+function sanitizeServiceRequestType(value) {
+  const type = (value || "").toString().trim().toLowerCase();
+  return SERVICE_REQUEST_TYPES.includes(type) ? type : "";
+}
+
+// Repeated taps on the same button are folded into the request already waiting.
+function findPendingServiceRequest(requests, restaurantId, table, type) {
+  return (
+    requests.find(
+      (request) =>
+        request.restaurantId === restaurantId &&
+        request.type === type &&
+        request.status === "pending" &&
+        isSameTableRef(request, table)
+    ) || null
+  );
+}
+
+function createServiceRequest({ id, restaurantId, type, table, tableId, createdAt }) {
+  return {
+    id,
+    restaurantId,
+    type,
+    table,
+    tableId: tableId || "",
+    status: "pending",
+    createdAt,
+    acknowledgedAt: "",
+    acknowledgedBy: ""
+  };
+}
+
+function acknowledgeServiceRequest(request, input, userId, now = new Date().toISOString()) {
+  const status = ((input && input.status) || "").toString().trim().toLowerCase();
+  if (status !== "acknowledged") return { error: "invalid_status" };
+  if (request.status === "acknowledged") return { request };
+  return {
+    request: { ...request, status: "acknowledged", acknowledgedAt: now, acknowledgedBy: userId || "" }
+  };
+}
+
+function diffServiceRequestSnapshots(previousStatuses, requests, since = "") {
+  const events = [];
+  for (const request of requests) {
+    if (!previousStatuses.has(request.id)) {
+      if (!since || request.createdAt > since) events.push({ type: "service.created", request });
+      continue;
+    }
+    if (previousStatuses.get(request.id) !== request.status) {
+      events.push({ type: "service.updated", request });
+    }
+  }
+  return events.reverse();
+}
+
+module.exports = {
+  SERVICE_REQUEST_TYPES,
+  SERVICE_REQUEST_STATUSES,
+  SERVICE_REQUEST_LIST_LIMIT,
+  sanitizeServiceRequestType,
+  findPendingServiceRequest,
+  createServiceRequest,
+  acknowledgeServiceRequest,
+  diffServiceRequestSnapshots
+};
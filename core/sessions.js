@@ -0,0 +1,19 @@
+const SESSION_ID_LENGTH = 24;
+
+function getSessionId(tokenHash) {
+  return (tokenHash || "").toString().slice(0, SESSION_ID_LENGTH);
+}
+
+function toSessionSummary(session, currentTokenHash) {
+  return {
+    id: getSessionId(session.tokenHash),
+    createdAt: Number(session.createdAt) || 0,
+    expiresAt: Number(session.expiresAt) || 0,
+    current: Boolean(currentTokenHash) && session.tokenHash === currentTokenHash
+  };
+}
+
+module.exports = {
+  getSessionId,
+  toSessionSummary
+};
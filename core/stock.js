@@ -0,0 +1,121 @@
+const { getZoneOffsetMinutes } = require("./dayparts");
+
+const STOCK_MAX = 99999;
+
+// Stock days follow the restaurant clock so counts reset at local midnight, not mid-service.
+function getStockDate(timezone, now = new Date()) {
+  return new Date(now.getTime() + getZoneOffsetMinutes(timezone, now) * 60000).toISOString().slice(0, 10);
+}
+
+function sanitizeStockCount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  return Math.max(0, Math.min(STOCK_MAX, Math.floor(num)));
+}
+
+function sanitizeAvailableFlag(value) {
+  return !(value === false || value === 0 || value === "0" || value === "false");
+}
+
+// Daily stock resets to stockDaily on the first read of a new day.
+function resolveItemStock(item, today = getStockDate()) {
+  const stockDaily = sanitizeStockCount(item.stockDaily);
+  if (stockDaily === null) return { stockDaily: null, stockRemaining: null, stockDate: "" };
+  if (item.stockDate !== today) return { stockDaily, stockRemaining: stockDaily, stockDate: today };
+  const remaining = sanitizeStockCount(item.stockRemaining);
+  return { stockDaily, stockRemaining: remaining === null ? stockDaily : remaining, stockDate: today };
+}
+
+function getItemAvailability(item, today = getStockDate()) {
+  const stock = resolveItemStock(item, today);
+  const soldOut = stock.stockRemaining !== null && stock.stockRemaining <= 0;
+  return {
+    available: item.available !== false && !soldOut,
+    soldOut,
+    stockDaily: stock.stockDaily,
+    stockRemaining: stock.stockRemaining
+  };
+}
+
+function applyItemAvailabilityInput(item, input, today = getStockDate()) {
+  const body = input || {};
+  if (body.available !== undefined) item.available = sanitizeAvailableFlag(body.available);
+  if (body.stockDaily !== undefined) {
+    item.stockDaily = sanitizeStockCount(body.stockDaily);
+    item.stockRemaining = item.stockDaily;
+    item.stockDate = item.stockDaily === null ? "" : today;
+  }
+  if (body.stockRemaining !== undefined && sanitizeStockCount(item.stockDaily) !== null) {
+    const remaining = sanitizeStockCount(body.stockRemaining);
+    item.stockRemaining = remaining === null ? item.stockDaily : remaining;
+    item.stockDate = today;
+  }
+  if (item.available === undefined) item.available = true;
+  return item;
+}
+
+// Combo components draw on their own item stock, once per combo ordered.
+function countStockUnits(lines) {
+  const requested = new Map();
+  lines.forEach((line) => {
+    requested.set(line.id, (requested.get(line.id) || 0) + line.qty);
+    (line.components || []).forEach((component) => {
+      requested.set(component.itemId, (requested.get(component.itemId) || 0) + line.qty);
+    });
+  });
+  return requested;
+}
+
+function reserveOrderStock(menuItems, lines, today = getStockDate()) {
+  const menuMap = menuItems instanceof Map ? menuItems : new Map(menuItems.map((item) => [item.id, item]));
+  const updates = [];
+  for (const [itemId, qty] of countStockUnits(lines)) {
+    const item = menuMap.get(itemId);
+    if (!item) continue;
+    const availability = getItemAvailability(item, today);
+    const detail = { itemId, name: item.name, remaining: availability.stockRemaining };
+    if (item.available === false) {
+      return { error: "item_unavailable", detail: { ...detail, reason: "unavailable" } };
+    }
+    if (availability.stockRemaining === null) continue;
+    if (availability.stockRemaining < qty) {
+      const reason = availability.soldOut ? "sold_out" : "insufficient_stock";
+      return { error: "item_unavailable", detail: { ...detail, reason } };
+    }
+    updates.push({ itemId, qty, stockRemaining: availability.stockRemaining - qty, stockDate: today });
+  }
+  return { updates };
+}
+
+// Units an order took, on the stock day it was placed; a later day has already started again from stockDaily.
+function listOrderStockClaims(order, timezone) {
+  const stockDate = getStockDate(timezone, new Date(order.createdAt || Date.now()));
+  return Array.from(countStockUnits(order.items || []), ([itemId, qty]) => ({ itemId, qty, stockDate }));
+}
+
+// Gives a cancelled or refused order back to the day it was placed, never above stockDaily.
+function restockOrder(menuItems, order, timezone) {
+  const menuMap = menuItems instanceof Map ? menuItems : new Map(menuItems.map((item) => [item.id, item]));
+  const updates = [];
+  listOrderStockClaims(order, timezone).forEach(({ itemId, qty, stockDate }) => {
+    const item = menuMap.get(itemId);
+    const stockDaily = item ? sanitizeStockCount(item.stockDaily) : null;
+    if (stockDaily === null || item.stockDate !== stockDate) return;
+    const remaining = sanitizeStockCount(item.stockRemaining);
+    const stockRemaining = Math.min(stockDaily, (remaining === null ? stockDaily : remaining) + qty);
+    updates.push({ itemId, qty, stockRemaining, stockDate });
+  });
+  return { updates };
+}
+
+module.exports = {
+  getStockDate,
+  sanitizeStockCount,
+  resolveItemStock,
+  getItemAvailability,
+  applyItemAvailabilityInput,
+  reserveOrderStock,
+  listOrderStockClaims,
+  restockOrder
+};
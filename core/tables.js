@@ -0,0 +1,105 @@
+const { sanitizeText, sanitizeTableLabel, toInt } = require("./sanitize");
+
+const TABLE_TOKEN_PATTERN = /^(t-[a-zA-Z0-9-]{4,60})\.([A-Za-z0-9_-]{22})$/;
+const MAX_TABLES_PER_RESTAURANT = 300;
+const encoder = new TextEncoder();
+
+function sanitizeTableInput(input, current = {}) {
+  const body = input || {};
+  const label = body.label !== undefined ? sanitizeTableLabel(body.label) : current.label || "";
+  if (!label) return { error: "invalid_table_label" };
+  const zone = body.zone !== undefined ? sanitizeText(body.zone, 60) : current.zone || "";
+  const seats =
+    body.seats !== undefined ? Math.max(1, Math.min(50, toInt(body.seats, 4))) : toInt(current.seats, 4) || 4;
+  let active = current.active !== false;
+  if (body.active !== undefined) active = !(body.active === false || body.active === "false" || body.active === 0);
+  return { table: { label, zone, seats, active } };
+}
+
+function isSameTableLabel(a, b) {
+  return (a || "").toString().toLowerCase() === (b || "").toString().toLowerCase();
+}
+
+function findTableByLabel(tables, label) {
+  return tables.find((table) => isSameTableLabel(table.label, label)) || null;
+}
+
+// Registered tables match by id; free-text tables fall back to the label.
+function isSameTableRef(entry, ref) {
+  if (ref.tableId) return entry.tableId === ref.tableId;
+  return isSameTableLabel(entry.table, ref.label);
+}
+
+function toPublicTable(table) {
+  return { id: table.id, label: table.label, zone: table.zone || "", seats: table.seats || 0 };
+}
+
+function toBase64Url(buffer) {
+  let binary = "";
+  new Uint8Array(buffer).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function computeTableSignature(secret, restaurantId, tableId) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(`table:${secret}`),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${restaurantId}:${tableId}`));
+  return toBase64Url(signature).slice(0, 22);
+}
+
+async function signTableToken(secret, restaurantId, tableId) {
+  return `${tableId}.${await computeTableSignature(secret, restaurantId, tableId)}`;
+}
+
+async function verifyTableToken(secret, restaurantId, token) {
+  const match = (token || "").toString().trim().match(TABLE_TOKEN_PATTERN);
+  if (!match) return "";
+  const expected = await computeTableSignature(secret, restaurantId, match[1]);
+  let diff = 0;
+  for (let index = 0; index < expected.length; index += 1) {
+    diff |= expected.charCodeAt(index) ^ match[2].charCodeAt(index);
+  }
+  return diff === 0 ? match[1] : "";
+}
+
+// Guests may only change a tab from the QR of its own registered table; tabs on typed labels are left to staff.
+async function verifyTabTableToken(secret, tab, token) {
+  if (!tab.tableId || !token) return false;
+  return (await verifyTableToken(secret, tab.restaurantId, token)) === tab.tableId;
+}
+
+// Restaurants without a registry keep accepting any well-formed label; once tables are registered only the signed
+// QR token counts, so a typed label cannot order for another table.
+async function resolveOrderTable(secret, restaurantId, tables, body) {
+  const input = body || {};
+  if (input.tableToken) {
+    const tableId = await verifyTableToken(secret, restaurantId, input.tableToken);
+    const table = tables.find((entry) => entry.id === tableId && entry.active !== false);
+    if (!table) return { error: "invalid_table" };
+    return { table, label: table.label };
+  }
+  if (tables.length) return { error: "table_token_required" };
+  const label = sanitizeTableLabel(input.table || "");
+  if (!label) return { error: "table_required" };
+  return { table: null, label };
+}
+
+module.exports = {
+  TABLE_TOKEN_PATTERN,
+  MAX_TABLES_PER_RESTAURANT,
+  sanitizeTableInput,
+  findTableByLabel,
+  isSameTableRef,
+  toPublicTable,
+  signTableToken,
+  verifyTableToken,
+  verifyTabTableToken,
+  resolveOrderTable
+};
@@ -0,0 +1,146 @@
+const { roundMoney } = require("./modifiers");
+const { isSameTableRef } = require("./tables");
+const { isSplitSettled } = require("./bill-split");
+
+const TAB_STATUSES = ["open", "closed"];
+const TAB_LIST_LIMIT = 200;
+const TAB_EXCLUDED_ORDER_STATUSES = new Set(["cancelado", "recusado"]);
+const TAB_OPEN_ORDER_STATUSES = new Set(["novo", "aceito", "em_preparo", "pronto"]);
+
+function sanitizeTabStatus(value) {
+  const status = (value || "").toString().trim().toLowerCase();
+  return TAB_STATUSES.includes(status) ? status : "";
+}
+
+function findOpenTab(tabs, restaurantId, table) {
+  return (
+    tabs.find(
+      (tab) => tab.restaurantId === restaurantId && tab.status === "open" && isSameTableRef(tab, table)
+    ) || null
+  );
+}
+
+function createTab({ id, restaurantId, table, tableId, openedAt }) {
+  return {
+    id,
+    restaurantId,
+    table,
+    tableId: tableId || "",
+    status: "open",
+    openedAt,
+    closedAt: "",
+    closedBy: "",
+    summary: null,
+    split: null,
+    settled: false
+  };
+}
+
+// Cancelled and refused orders stay listed on the tab but never count towards the bill.
+function summarizeTab(tab, orders, now = new Date().toISOString()) {
+  const billable = orders.filter((order) => !TAB_EXCLUDED_ORDER_STATUSES.has(order.status));
+  const lines = new Map();
+  billable.forEach((order) => {
+    (order.items || []).forEach((item) => {
+      const components = item.components || [];
+      const key = [
+        item.id,
+        (item.modifiers || []).map((mod) => mod.optionId).join(","),
+        components.map((component) => component.itemId).join(","),
+        item.price
+      ].join(":");
+      const current = lines.get(key) || {
+        key,
+        id: item.id,
+        name: item.name,
+        modifiers: (item.modifiers || []).map((mod) => mod.name).concat(components.map((component) => component.name)),
+        price: Number(item.price) || 0,
+        qty: 0,
+        lineTotal: 0
+      };
+      current.qty += Number(item.qty) || 0;
+      current.lineTotal = roundMoney(current.lineTotal + (Number(item.lineTotal) || 0));
+      lines.set(key, current);
+    });
+  });
+  const endMs = Date.parse(tab.closedAt || now);
+  const startMs = Date.parse(tab.openedAt);
+  return {
+    ordersCount: orders.length,
+    billableOrders: billable.length,
+    itemsCount: billable.reduce(
+      (acc, order) => acc + (order.items || []).reduce((sum, item) => sum + (Number(item.qty) || 0), 0),
+      0
+    ),
+    subtotal: roundMoney(billable.reduce((acc, order) => acc + (Number(order.subtotal ?? order.total) || 0), 0)),
+    discount: roundMoney(billable.reduce((acc, order) => acc + (Number(order.discount) || 0), 0)),
+    serviceCharge: roundMoney(billable.reduce((acc, order) => acc + (Number(order.serviceCharge) || 0), 0)),
+    tip: roundMoney(billable.reduce((acc, order) => acc + (Number(order.tip) || 0), 0)),
+    total: roundMoney(billable.reduce((acc, order) => acc + (Number(order.total) || 0), 0)),
+    lines: Array.from(lines.values()),
+    durationMinutes: Number.isFinite(endMs - startMs) ? Math.max(0, Math.round((endMs - startMs) / 60000)) : 0
+  };
+}
+
+function isTabSettled(tab, orders) {
+  return isSplitSettled(tab.split, summarizeTab(tab, orders).total);
+}
+
+// Orders still moving through the kitchen keep the tab open unless staff force the close.
+function closeTab(tab, orders, userId, { force = false, now = new Date().toISOString() } = {}) {
+  if (tab.status === "closed") return { error: "tab_already_closed", httpStatus: 409 };
+  const pending = orders.filter((order) => TAB_OPEN_ORDER_STATUSES.has(order.status));
+  if (pending.length && !force) {
+    return { error: "tab_has_open_orders", httpStatus: 409, orderIds: pending.map((order) => order.id) };
+  }
+  const splitSettled = isTabSettled(tab, orders);
+  if (tab.split && !splitSettled && !force) {
+    return { error: "tab_not_settled", httpStatus: 409 };
+  }
+  // A forced close records the tab as it was; only a fully paid split or a regular close counts as settled.
+  const settled = tab.split ? splitSettled : !force;
+  const closed = { ...tab, status: "closed", closedAt: now, closedBy: userId || "", settled };
+  closed.summary = summarizeTab(closed, orders, now);
+  return { tab: closed };
+}
+
+function toPublicTab(tab, orders) {
+  const summary = tab.summary || summarizeTab(tab, orders);
+  const splitStale = Boolean(tab.split && tab.split.total !== summary.total);
+  return {
+    id: tab.id,
+    table: tab.table,
+    status: tab.status,
+    openedAt: tab.openedAt,
+    closedAt: tab.closedAt || "",
+    subtotal: summary.subtotal ?? summary.total,
+    discount: summary.discount || 0,
+    serviceCharge: summary.serviceCharge || 0,
+    tip: summary.tip || 0,
+    total: summary.total,
+    itemsCount: summary.itemsCount,
+    lines: summary.lines.map((line) => ({ key: line.key, name: line.name, price: line.price, qty: line.qty })),
+    split: tab.split || null,
+    splitStale,
+    settled: Boolean(tab.settled) && !splitStale,
+    orders: orders.map((order) => ({
+      id: order.id,
+      status: order.status,
+      total: Number(order.total) || 0,
+      createdAt: order.createdAt,
+      items: (order.items || []).map((item) => ({ name: item.name, qty: item.qty, lineTotal: item.lineTotal }))
+    }))
+  };
+}
+
+module.exports = {
+  TAB_STATUSES,
+  TAB_LIST_LIMIT,
+  sanitizeTabStatus,
+  findOpenTab,
+  createTab,
+  summarizeTab,
+  isTabSettled,
+  closeTab,
+  toPublicTab
+};
@@ -0,0 +1,120 @@
+const WAITLIST_STATUSES = ["aguardando", "avisado", "sentado", "no_show", "cancelado"];
+const WAITLIST_ACTIVE_STATUSES = new Set(["aguardando", "avisado"]);
+const WAITLIST_HISTORY_SIZE = 20;
+const WAITLIST_HISTORY_MS = 7 * 86400000;
+const WAITLIST_DEFAULT_MINUTES_PER_PARTY = 10;
+const TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+function generateWaitlistToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function sanitizeWaitlistToken(value) {
+  const token = (value || "").toString().trim().toLowerCase();
+  return TOKEN_PATTERN.test(token) ? token : "";
+}
+
+// Entries from before the live queue have no status and stay out of it.
+function isWaitlistActive(entry) {
+  return WAITLIST_ACTIVE_STATUSES.has(entry.status);
+}
+
+function countPartiesAhead(entries, createdAt) {
+  return entries.filter((entry) => isWaitlistActive(entry) && entry.createdAt < createdAt).length;
+}
+
+// Each recently seated party waited for the parties ahead of it plus its own table, which gives the pace of the queue.
+function estimateMinutesPerParty(entries, now = new Date()) {
+  const since = now.getTime() - WAITLIST_HISTORY_MS;
+  const recent = entries
+    .filter((entry) => entry.status === "sentado" && entry.seatedAt && Date.parse(entry.seatedAt) >= since)
+    .sort((a, b) => b.seatedAt.localeCompare(a.seatedAt))
+    .slice(0, WAITLIST_HISTORY_SIZE);
+  const parties = recent.reduce((acc, entry) => acc + (Number(entry.partiesAhead) || 0) + 1, 0);
+  const minutes = recent.reduce(
+    (acc, entry) => acc + Math.max(0, Date.parse(entry.seatedAt) - Date.parse(entry.createdAt)) / 60000,
+    0
+  );
+  if (!parties) return WAITLIST_DEFAULT_MINUTES_PER_PARTY;
+  return Math.max(1, Math.min(60, minutes / parties));
+}
+
+// Position counts only parties still waiting; notified parties are already walking to their table.
+function describeWaitlistQueue(entries, { now = new Date() } = {}) {
+  const pace = estimateMinutesPerParty(entries, now);
+  const queue = new Map();
+  let position = 0;
+  entries
+    .filter(isWaitlistActive)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach((entry) => {
+      if (entry.status === "avisado") {
+        queue.set(entry.id, { position: 0, estimatedWaitMinutes: 0 });
+        return;
+      }
+      position += 1;
+      queue.set(entry.id, { position, estimatedWaitMinutes: Math.ceil((position * pace) / 5) * 5 });
+    });
+  return queue;
+}
+
+// Notifying again is allowed so staff can resend the message; closed entries are final.
+function applyWaitlistStatus(entry, status, now = new Date().toISOString()) {
+  if (!WAITLIST_STATUSES.includes(status) || status === "aguardando") {
+    return { error: "invalid_status", httpStatus: 400 };
+  }
+  if (!isWaitlistActive(entry)) return { error: "waitlist_closed", httpStatus: 409 };
+  const next = { ...entry, status };
+  if (status === "avisado") {
+    next.notifiedAt = now;
+    next.notifyCount = (Number(entry.notifyCount) || 0) + 1;
+  } else if (status === "sentado") {
+    next.seatedAt = now;
+    next.closedAt = now;
+  } else {
+    next.closedAt = now;
+  }
+  return { entry: next };
+}
+
+function cancelWaitlistByGuest(entry, now = new Date().toISOString()) {
+  if (!isWaitlistActive(entry)) return { error: "waitlist_closed", httpStatus: 409 };
+  return { entry: { ...entry, status: "cancelado", closedAt: now } };
+}
+
+function buildWaitlistNotice(entry, { restaurantName, statusUrl }) {
+  const firstName = (entry.name || "").split(" ")[0];
+  const greeting = firstName ? `${firstName}, sua` : "Sua";
+  return {
+    to: entry.phone,
+    text: `${restaurantName}: ${greeting} mesa esta pronta! Apresente-se na recepcao. ${statusUrl}`,
+    meta: { waitlistId: entry.id, restaurantId: entry.restaurantId, notifyCount: entry.notifyCount || 1 }
+  };
+}
+
+function toPublicWaitlistEntry(entry, queue) {
+  const spot = (queue && queue.get(entry.id)) || { position: 0, estimatedWaitMinutes: 0 };
+  return {
+    status: entry.status,
+    name: entry.name,
+    guests: entry.guests,
+    position: spot.position,
+    estimatedWaitMinutes: spot.estimatedWaitMinutes,
+    createdAt: entry.createdAt,
+    notifiedAt: entry.notifiedAt || ""
+  };
+}
+
+module.exports = {
+  WAITLIST_STATUSES,
+  WAITLIST_HISTORY_MS,
+  generateWaitlistToken,
+  sanitizeWaitlistToken,
+  countPartiesAhead,
+  describeWaitlistQueue,
+  applyWaitlistStatus,
+  cancelWaitlistByGuest,
+  buildWaitlistNotice,
+  toPublicWaitlistEntry
+};
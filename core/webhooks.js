@@ -0,0 +1,39 @@
+const { WEBHOOK_TIMEOUT_MS } = require("./constants");
+const { sanitizeWebhookUrl } = require("./sanitize");
+
+function getRestaurantWebhookUrl(restaurant, channel) {
+  if (!restaurant || !restaurant.integrations || !restaurant.integrations.webhooks) return "";
+  const url = restaurant.integrations.webhooks[channel];
+  return sanitizeWebhookUrl(url);
+}
+
+async function sendWebhook(url, payload) {
+  if (!url) return { ok: false, skipped: true };
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json; charset=utf-8" },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    return { ok: response.ok, status: response.status };
+  } catch {
+    return { ok: false, status: 0 };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function fireRestaurantWebhook(restaurant, channel, payload) {
+  const url = getRestaurantWebhookUrl(restaurant, channel);
+  if (!url) return;
+  await sendWebhook(url, payload);
+}
+
+module.exports = {
+  getRestaurantWebhookUrl,
+  sendWebhook,
+  fireRestaurantWebhook
+};
@@ -3,11 +3,14 @@ const state = {
   user: JSON.parse(localStorage.getItem("menuz_user") || "null"),
   restaurants: [],
   items: [],
+  tables: [],
+  promotions: [],
   orders: [],
   leads: [],
   reservations: [],
   waitlist: [],
   feedback: [],
+  sessions: [],
   modelJobs: [],
   aiProviders: [],
   aiSettings: {
@@ -25,7 +28,15 @@ const state = {
     windowDays: 30
   },
   scanStream: null,
-  scanItemId: null
+  scanItemId: null,
+  orderStream: null,
+  alertOrderIds: new Set(),
+  serviceRequests: [],
+  serviceRequestsTimer: null,
+  tabs: [],
+  tabsFilter: "open",
+  ordersType: "",
+  splitTab: null
 };
 
 const loginView = document.getElementById("login-view");
@@ -34,6 +45,8 @@ const loginForm = document.getElementById("login-form");
 const loginError = document.getElementById("login-error");
 const userEmail = document.getElementById("user-email");
 const logoutBtn = document.getElementById("logout");
+const logoutAllBtn = document.getElementById("logout-all");
+const sessionsList = document.getElementById("sessions-list");
 
 const restaurantsPanel = document.getElementById("restaurants-panel");
 const restaurantsList = document.getElementById("restaurants-list");
@@ -50,10 +63,28 @@ const onboardingMsg = document.getElementById("onboarding-msg");
 const clientUserPanel = document.getElementById("client-user-panel");
 const clientUserForm = document.getElementById("client-user-form");
 const clientUserMsg = document.getElementById("client-user-msg");
+const clientRole = document.getElementById("client-role");
 
 const itemsList = document.getElementById("items-list");
 const itemsCount = document.getElementById("items-count");
+const tablesList = document.getElementById("tables-list");
+const tablesCount = document.getElementById("tables-count");
+const tablesPrint = document.getElementById("tables-print");
+const tableForm = document.getElementById("table-form");
+const tableMsg = document.getElementById("table-msg");
+const promotionsList = document.getElementById("promotions-list");
+const promotionsCount = document.getElementById("promotions-count");
+const promotionForm = document.getElementById("promotion-form");
+const promotionMsg = document.getElementById("promotion-msg");
+const qrKitSource = document.getElementById("qr-kit-source");
+const qrKitLayout = document.getElementById("qr-kit-layout");
+const qrKitDownload = document.getElementById("qr-kit-download");
+const qrKitMsg = document.getElementById("qr-kit-msg");
 const itemForm = document.getElementById("item-form");
+const itemOptionGroups = document.getElementById("item-option-groups");
+const itemOptionGroupAdd = document.getElementById("item-option-group-add");
+const itemComboGroups = document.getElementById("item-combo-groups");
+const itemComboGroupAdd = document.getElementById("item-combo-group-add");
 const modelJobForm = document.getElementById("model-job-form");
 const modelJobItem = document.getElementById("model-job-item");
 const modelJobSource = document.getElementById("model-job-source");
@@ -72,14 +103,37 @@ const modelJobsAutoMsg = document.getElementById("model-jobs-auto-msg");
 const aiConfigMsg = document.getElementById("ai-config-msg");
 
 const ordersList = document.getElementById("orders-list");
+const serviceRequestsList = document.getElementById("service-requests-list");
+const serviceRequestsCount = document.getElementById("service-requests-count");
+const tabsList = document.getElementById("tabs-list");
+const tabsTotals = document.getElementById("tabs-totals");
+const tabsFilter = document.getElementById("tabs-filter");
+const ordersTypeFilter = document.getElementById("orders-type-filter");
+const tabSummary = document.getElementById("tab-summary");
+const tabSplitPanel = document.getElementById("tab-split-panel");
+const tabSplitTitle = document.getElementById("tab-split-title");
+const tabSplitForm = document.getElementById("tab-split-form");
+const tabSplitMode = document.getElementById("tab-split-mode");
+const tabSplitPeople = document.getElementById("tab-split-people");
+const tabSplitItems = document.getElementById("tab-split-items");
+const tabSplitCustom = document.getElementById("tab-split-custom");
+const tabSplitClose = document.getElementById("tab-split-close");
+const tabSplitRemainder = document.getElementById("tab-split-remainder");
+const tabSplitMsg = document.getElementById("tab-split-msg");
+const tabSplitShares = document.getElementById("tab-split-shares");
 const ordersCount = document.getElementById("orders-count");
 const ordersRefresh = document.getElementById("orders-refresh");
+const ordersLive = document.getElementById("orders-live");
 const analyticsDays = document.getElementById("analytics-days");
 const analyticsRefresh = document.getElementById("analytics-refresh");
 const analyticsSummary = document.getElementById("analytics-summary");
 const analyticsTopAr = document.getElementById("analytics-top-ar");
 const analyticsTopOrders = document.getElementById("analytics-top-orders");
+const analyticsPromotions = document.getElementById("analytics-promotions");
 const analyticsAlerts = document.getElementById("analytics-alerts");
+const analyticsFeedbackTrend = document.getElementById("analytics-feedback-trend");
+const analyticsFeedbackAxis = document.getElementById("analytics-feedback-axis");
+const analyticsFeedbackItems = document.getElementById("analytics-feedback-items");
 const engagementRefresh = document.getElementById("engagement-refresh");
 const engagementSearch = document.getElementById("engagement-search");
 const engagementWindow = document.getElementById("engagement-window");
@@ -118,6 +172,40 @@ const sectionRestaurant = document.getElementById("restaurant-edit-form");
 const THEME_KEY = "menuz_theme";
 const LANGUAGE_CODES = ["pt-BR", "en-US", "es-ES", "fr-FR", "it-IT", "de-DE"];
 const DEFAULT_LANGUAGE_CODE = "pt-BR";
+const ORDER_STATUS_LABELS = {
+  novo: "novo",
+  aceito: "aceito",
+  em_preparo: "em preparo",
+  pronto: "pronto",
+  entregue: "entregue",
+  cancelado: "cancelado",
+  recusado: "recusado"
+};
+const PAYMENT_STATUS_LABELS = {
+  pendente: "pagamento pendente",
+  pago: "pago",
+  falhou: "pagamento falhou",
+  expirado: "pagamento expirado"
+};
+const ORDER_ACTIONS = {
+  novo: [
+    ["aceito", "Aceitar"],
+    ["recusado", "Recusar"]
+  ],
+  aceito: [
+    ["em_preparo", "Preparar"],
+    ["cancelado", "Cancelar"]
+  ],
+  em_preparo: [
+    ["pronto", "Pronto"],
+    ["cancelado", "Cancelar"]
+  ],
+  pronto: [
+    ["entregue", "Entregar"],
+    ["cancelado", "Cancelar"]
+  ]
+};
+const ORDER_REASON_STATUSES = new Set(["cancelado", "recusado"]);
 
 if (engagementWindow) {
   const initial = (engagementWindow.value || "30").trim();
@@ -457,6 +545,10 @@ async function init() {
       const data = await api("/api/me");
       state.user = data.user;
       localStorage.setItem("menuz_user", JSON.stringify(state.user));
+      if (state.user.role === "kitchen") {
+        window.location.href = "/kds";
+        return;
+      }
       showDashboard();
       await bootstrapDashboard();
       return;
@@ -482,6 +574,10 @@ loginForm.addEventListener("submit", async (event) => {
     state.user = data.user;
     localStorage.setItem("menuz_token", state.token);
     localStorage.setItem("menuz_user", JSON.stringify(state.user));
+    if (state.user.role === "kitchen") {
+      window.location.href = "/kds";
+      return;
+    }
     showDashboard();
     await bootstrapDashboard();
   } catch (err) {
@@ -489,19 +585,78 @@ loginForm.addEventListener("submit", async (event) => {
   }
 });
 
+function clearSession() {
+  stopOrderStream();
+  state.token = null;
+  state.user = null;
+  state.sessions = [];
+  localStorage.removeItem("menuz_token");
+  localStorage.removeItem("menuz_user");
+  showLogin();
+}
+
 logoutBtn.addEventListener("click", async () => {
   try {
     await api("/api/logout", { method: "POST" });
   } catch (err) {
     // ignore
   }
-  state.token = null;
-  state.user = null;
-  localStorage.removeItem("menuz_token");
-  localStorage.removeItem("menuz_user");
-  showLogin();
+  clearSession();
+});
+
+logoutAllBtn.addEventListener("click", async () => {
+  if (!window.confirm("Encerrar a sessao em todos os dispositivos?")) return;
+  try {
+    await api("/api/logout-all", { method: "POST" });
+  } catch (err) {
+    // ignore
+  }
+  clearSession();
 });
 
+async function loadSessions() {
+  try {
+    const data = await api("/api/sessions");
+    state.sessions = data.sessions || [];
+  } catch (err) {
+    state.sessions = [];
+  }
+  renderSessions();
+}
+
+function renderSessions() {
+  if (!sessionsList) return;
+  sessionsList.innerHTML = "";
+  state.sessions.forEach((session) => {
+    const row = document.createElement("div");
+    row.className = "table-row";
+    row.innerHTML = `
+      <div>
+        <strong>${session.current ? "Este dispositivo" : "Outra sessao"}</strong>
+        <div class="muted">Inicio: ${new Date(session.createdAt).toLocaleString("pt-BR")} - expira: ${new Date(session.expiresAt).toLocaleString("pt-BR")}</div>
+      </div>
+      <div class="table-actions">
+        <button class="btn btn-outline" data-session-revoke>Encerrar</button>
+      </div>
+    `;
+    row.querySelector("[data-session-revoke]").addEventListener("click", () => revokeSession(session));
+    sessionsList.appendChild(row);
+  });
+}
+
+async function revokeSession(session) {
+  try {
+    await api(`/api/sessions/${encodeURIComponent(session.id)}`, { method: "DELETE" });
+  } catch (err) {
+    // ignore
+  }
+  if (session.current) {
+    clearSession();
+    return;
+  }
+  await loadSessions();
+}
+
 restaurantForm.addEventListener("submit", async (event) => {
   event.preventDefault();
   try {
@@ -573,7 +728,12 @@ restaurantEditForm.addEventListener("submit", async (event) => {
       languages: editLanguages,
       uiMessages: parseJsonField("edit-ui-messages", {}, "Mensagens customizadas"),
       categoryLabels: parseJsonField("edit-category-labels", {}, "Categorias customizadas"),
-      integrations: parseJsonField("edit-integrations", {}, "Integracoes")
+      integrations: parseJsonField("edit-integrations", {}, "Integracoes"),
+      timezone: document.getElementById("edit-timezone").value.trim(),
+      schedule: parseJsonField("edit-schedule", {}, "Turnos"),
+      charges: parseJsonField("edit-charges", {}, "Taxas"),
+      fulfillment: parseJsonField("edit-fulfillment", {}, "Retirada e entrega"),
+      reservationSettings: parseJsonField("edit-reservation-settings", {}, "Reservas")
     };
     const data = await api(`/api/restaurants/${state.activeRestaurant.id}`, {
       method: "PUT",
@@ -593,20 +753,114 @@ clientUserForm.addEventListener("submit", async (event) => {
   clientUserMsg.textContent = "";
   const payload = {
     email: document.getElementById("client-email").value.trim(),
-    password: document.getElementById("client-password").value.trim()
+    password: document.getElementById("client-password").value.trim(),
+    role: clientRole ? clientRole.value : "client"
   };
   try {
     const data = await api(`/api/restaurants/${state.activeRestaurant.id}/users`, {
       method: "POST",
       body: JSON.stringify(payload)
     });
-    clientUserMsg.textContent = `Login criado: ${data.user.email}`;
+    clientUserMsg.textContent = `Login criado: ${data.user.email} (${data.user.role})`;
     clientUserForm.reset();
+    syncStaffRoleOptions();
   } catch (err) {
     clientUserMsg.textContent = "Erro ao criar login.";
   }
 });
 
+tableForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  if (!state.activeRestaurant) return;
+  tableMsg.textContent = "";
+  const labels = parseTableLabels(document.getElementById("table-label").value);
+  if (!labels.length) {
+    tableMsg.textContent = "Informe o nome da mesa ou um intervalo (ex: 1-20).";
+    return;
+  }
+  const zone = document.getElementById("table-zone").value.trim();
+  const seats = document.getElementById("table-seats").value.trim();
+  try {
+    const data = await api(`/api/restaurants/${state.activeRestaurant.id}/tables`, {
+      method: "POST",
+      body: JSON.stringify({
+        tables: labels.map((label) => ({ label, zone, ...(seats ? { seats: Number(seats) } : {}) }))
+      })
+    });
+    tableMsg.textContent = `${data.tables.length} mesa(s) adicionada(s).`;
+    tableForm.reset();
+    await loadTables(state.activeRestaurant.id);
+  } catch (err) {
+    const messages = {
+      table_label_in_use: "Ja existe mesa com esse nome.",
+      invalid_table_label: "Nome de mesa invalido (use letras, numeros, - _ . #).",
+      too_many_tables: "Limite de mesas atingido."
+    };
+    tableMsg.textContent = messages[err.message] || "Erro ao adicionar mesas.";
+  }
+});
+
+promotionForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  if (!state.activeRestaurant) return;
+  promotionMsg.textContent = "";
+  const field = (id) => document.getElementById(id).value.trim();
+  const type = field("promotion-type");
+  const value = Number(field("promotion-value")) || 0;
+  const expires = field("promotion-expires");
+  const payload = {
+    name: field("promotion-name"),
+    type,
+    code: field("promotion-code"),
+    percent: type === "fixed" ? 0 : value,
+    amount: type === "fixed" ? value : 0,
+    category: field("promotion-category"),
+    buyQty: field("promotion-buy") || 2,
+    freeQty: field("promotion-free") || 1,
+    window: {
+      start: field("promotion-start"),
+      end: field("promotion-end"),
+      days: field("promotion-days")
+        .split(",")
+        .map((day) => day.trim())
+        .filter(Boolean)
+    },
+    minSubtotal: Number(field("promotion-min")) || 0,
+    maxUses: Number(field("promotion-max-uses")) || 0,
+    expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : ""
+  };
+  try {
+    await api(`/api/restaurants/${state.activeRestaurant.id}/promotions`, {
+      method: "POST",
+      body: JSON.stringify(payload)
+    });
+    promotionMsg.textContent = "Promocao criada.";
+    promotionForm.reset();
+    await loadPromotions(state.activeRestaurant.id);
+  } catch (err) {
+    const messages = {
+      invalid_promotion_name: "Informe o nome da promocao.",
+      invalid_coupon_code: "Codigo invalido (3 a 30 letras, numeros, - ou _).",
+      coupon_code_in_use: "Ja existe promocao com esse codigo.",
+      invalid_promotion_percent: "Informe um percentual entre 0 e 100.",
+      invalid_promotion_amount: "Informe o valor do desconto.",
+      invalid_promotion_window: "Informe inicio e fim do happy hour (ex: 17:00 e 19:00).",
+      invalid_promotion_category: "Informe a categoria da promocao.",
+      invalid_promotion_quantity: "Leve e ganhe devem ficar entre 1 e 10.",
+      too_many_promotions: "Limite de promocoes atingido."
+    };
+    promotionMsg.textContent = messages[err.message] || "Erro ao criar promocao.";
+  }
+});
+
+tablesPrint.addEventListener("click", () => {
+  printTableQrSheet();
+});
+
+qrKitDownload.addEventListener("click", () => {
+  downloadQrKit();
+});
+
 itemForm.addEventListener("submit", async (event) => {
   event.preventDefault();
   if (!state.activeRestaurant) return;
@@ -617,8 +871,15 @@ itemForm.addEventListener("submit", async (event) => {
     description: document.getElementById("item-desc").value.trim(),
     image: document.getElementById("item-image-url").value.trim(),
     modelGlb: document.getElementById("item-model-glb").value.trim(),
-    modelUsdz: document.getElementById("item-model-usdz").value.trim()
+    modelUsdz: document.getElementById("item-model-usdz").value.trim(),
+    optionGroups: readOptionGroupsEditor(),
+    comboGroups: readComboGroupsEditor(),
+    daypartIds: Array.from(document.getElementById("item-dayparts").selectedOptions).map((option) => option.value)
   };
+  const stockInput = document.getElementById("item-stock-daily");
+  if (stockInput.value.trim() !== (stockInput.dataset.original || "")) {
+    payload.stockDaily = stockInput.value.trim();
+  }
 
   let item;
   if (itemId) {
@@ -639,6 +900,17 @@ itemForm.addEventListener("submit", async (event) => {
   await loadItems(state.activeRestaurant.id);
   itemForm.reset();
   document.getElementById("item-id").value = "";
+  document.getElementById("item-stock-daily").dataset.original = "";
+  renderOptionGroupsEditor([]);
+  renderComboGroupsEditor([]);
+});
+
+itemOptionGroupAdd.addEventListener("click", () => {
+  itemOptionGroups.appendChild(createOptionGroupRow({}));
+});
+
+itemComboGroupAdd.addEventListener("click", () => {
+  itemComboGroups.appendChild(createComboGroupRow({}));
 });
 
 modelJobForm.addEventListener("submit", async (event) => {
@@ -798,6 +1070,7 @@ if (modelJobImages) {
 }
 
 backRestaurants.addEventListener("click", () => {
+  stopOrderStream();
   managePanel.classList.add("hidden");
   restaurantsPanel.classList.remove("hidden");
   stopScanner();
@@ -839,6 +1112,29 @@ scanStop.addEventListener("click", () => {
   stopScanner();
 });
 
+if (tabSplitForm) {
+  tabSplitForm.addEventListener("submit", saveTabSplit);
+  tabSplitMode.addEventListener("change", syncTabSplitForm);
+  tabSplitPeople.addEventListener("change", syncTabSplitForm);
+  tabSplitRemainder.addEventListener("click", () => submitTabSplit({ ...readTabSplitPayload(), keepPaid: true }));
+  tabSplitClose.addEventListener("click", () => {
+    state.splitTab = null;
+    tabSplitPanel.classList.add("hidden");
+  });
+}
+
+if (tabsFilter) {
+  tabsFilter.addEventListener("change", () => {
+    state.tabsFilter = tabsFilter.value === "closed" ? "closed" : "open";
+    if (state.activeRestaurant) loadTabs(state.activeRestaurant.id);
+  });
+}
+
+ordersTypeFilter.addEventListener("change", () => {
+  state.ordersType = ordersTypeFilter.value;
+  if (state.activeRestaurant) loadOrders(state.activeRestaurant.id);
+});
+
 ordersRefresh.addEventListener("click", () => {
   if (state.activeRestaurant) {
     loadOrders(state.activeRestaurant.id);
@@ -961,6 +1257,33 @@ function fillRestaurantForm(restaurant) {
   setJsonField("edit-ui-messages", restaurant.uiMessages || {});
   setJsonField("edit-category-labels", restaurant.categoryLabels || {});
   setJsonField("edit-integrations", restaurant.integrations || {});
+  document.getElementById("edit-timezone").value = restaurant.timezone || "";
+  setJsonField("edit-schedule", restaurant.schedule || {});
+  setJsonField("edit-charges", restaurant.charges || {});
+  setJsonField("edit-fulfillment", restaurant.fulfillment || {});
+  setJsonField("edit-reservation-settings", restaurant.reservationSettings || {});
+  populateItemDayparts(restaurant.schedule && restaurant.schedule.dayparts);
+}
+
+function populateItemDayparts(dayparts) {
+  const select = document.getElementById("item-dayparts");
+  const selected = new Set(Array.from(select.selectedOptions).map((option) => option.value));
+  select.innerHTML = "";
+  (dayparts || []).forEach((daypart) => {
+    const option = document.createElement("option");
+    option.value = daypart.id;
+    option.textContent = `${daypart.name} (${daypart.start}-${daypart.end})`;
+    option.selected = selected.has(daypart.id);
+    select.appendChild(option);
+  });
+  select.disabled = !select.options.length;
+}
+
+function setSelectedDayparts(daypartIds) {
+  const ids = new Set(daypartIds || []);
+  Array.from(document.getElementById("item-dayparts").options).forEach((option) => {
+    option.selected = ids.has(option.value);
+  });
 }
 
 function populateModelJobItems() {
@@ -979,15 +1302,21 @@ function renderItems() {
   state.items.forEach((item) => {
     const priceValue = Number(item.price);
     const priceText = Number.isFinite(priceValue) ? priceValue.toFixed(2) : "0.00";
+    const availability = item.availability || { available: item.available !== false, soldOut: false };
     const row = document.createElement("div");
-    row.className = "table-row";
+    row.className = availability.available ? "table-row" : "table-row item-unavailable";
     row.innerHTML = `
       <div>
         <div><strong>${item.name}</strong></div>
-        <div class="muted">R$ ${priceText}</div>
+        <div class="muted">R$ ${priceText} · ${describeItemAvailability(item, availability)}</div>
       </div>
       <div class="muted">${item.modelGlb || "Sem 3D"}</div>
       <div class="table-actions">
+        ${
+          availability.soldOut
+            ? "<button class=\"btn\" data-action=\"restock\">Repor estoque</button>"
+            : `<button class="btn btn-outline" data-action="availability">${item.available === false ? "Reativar" : "Esgotar"}</button>`
+        }
         <button class="btn btn-outline" data-action="edit">Editar</button>
         <button class="btn btn-outline" data-action="qr">QR</button>
         <button class="btn" data-action="scan">Scanner</button>
@@ -995,6 +1324,18 @@ function renderItems() {
       </div>
     `;
 
+    const availabilityButton = row.querySelector("[data-action='availability']");
+    if (availabilityButton) {
+      availabilityButton.addEventListener("click", () => {
+        updateItemAvailability(item, { available: item.available === false });
+      });
+    }
+    const restockButton = row.querySelector("[data-action='restock']");
+    if (restockButton) {
+      restockButton.addEventListener("click", () => {
+        updateItemAvailability(item, { available: true, stockRemaining: item.stockDaily });
+      });
+    }
     row.querySelector("[data-action='edit']").addEventListener("click", () => {
       loadItemIntoForm(item);
     });
@@ -1014,6 +1355,257 @@ function renderItems() {
   renderCaptureGuidePreview();
 }
 
+function describeItemAvailability(item, availability) {
+  const stockLabel =
+    availability.stockRemaining !== null && availability.stockRemaining !== undefined
+      ? ` (${availability.stockRemaining}/${availability.stockDaily} hoje)`
+      : "";
+  if (availability.soldOut) return `Esgotado${stockLabel}`;
+  if (item.available === false) return "Indisponivel";
+  return `Disponivel${stockLabel}`;
+}
+
+async function updateItemAvailability(item, payload) {
+  try {
+    await api(`/api/items/${item.id}/availability`, {
+      method: "PUT",
+      body: JSON.stringify(payload)
+    });
+    await loadItems(state.activeRestaurant.id);
+  } catch (err) {
+    alert("Nao foi possivel atualizar a disponibilidade.");
+  }
+}
+
+function parseTableLabels(raw) {
+  const value = (raw || "").trim();
+  const range = value.match(/^(\d{1,3})\s*-\s*(\d{1,3})$/);
+  if (!range) return value ? [value] : [];
+  const start = Number(range[1]);
+  const end = Number(range[2]);
+  if (end < start || end - start >= 100) return [];
+  return Array.from({ length: end - start + 1 }, (_, index) => String(start + index));
+}
+
+function getTableUrl(table) {
+  return `${window.location.origin}${table.path}`;
+}
+
+function renderTables() {
+  const activeCount = state.tables.filter((table) => table.active !== false).length;
+  tablesCount.textContent = `${activeCount}/${state.tables.length} mesas ativas`;
+  tablesPrint.disabled = activeCount === 0;
+  tablesList.innerHTML = "";
+  if (!state.tables.length) {
+    tablesList.innerHTML = "<div class=\"muted\">Sem mesas cadastradas (o cliente digita a mesa livremente).</div>";
+    return;
+  }
+  state.tables.forEach((table) => {
+    const row = document.createElement("div");
+    row.className = table.active === false ? "table-row table-inactive" : "table-row";
+    row.innerHTML = `
+      <div>
+        <div><strong>Mesa ${escapeHtml(table.label)}</strong></div>
+        <div class="muted">${escapeHtml(table.zone || "Sem area")} · ${table.seats} lugares</div>
+      </div>
+      <div class="muted">${table.active === false ? "Inativa" : "Ativa"}</div>
+      <div class="table-actions">
+        <button class="btn btn-outline" data-action="qr">QR</button>
+        <button class="btn btn-outline" data-action="toggle">${table.active === false ? "Ativar" : "Desativar"}</button>
+        <button class="btn btn-outline" data-action="delete">Excluir</button>
+      </div>
+    `;
+    row.querySelector("[data-action='qr']").addEventListener("click", () => {
+      openQrLink(getTableUrl(table));
+    });
+    row.querySelector("[data-action='toggle']").addEventListener("click", () => {
+      updateTable(table, { active: table.active === false });
+    });
+    row.querySelector("[data-action='delete']").addEventListener("click", () => {
+      deleteTable(table);
+    });
+    tablesList.appendChild(row);
+  });
+}
+
+async function updateTable(table, payload) {
+  try {
+    await api(`/api/tables/${table.id}`, {
+      method: "PUT",
+      body: JSON.stringify(payload)
+    });
+    await loadTables(state.activeRestaurant.id);
+  } catch (err) {
+    alert("Nao foi possivel atualizar a mesa.");
+  }
+}
+
+async function deleteTable(table) {
+  if (!window.confirm(`Excluir a mesa ${table.label}? O QR impresso deixa de funcionar.`)) return;
+  try {
+    await api(`/api/tables/${table.id}`, { method: "DELETE" });
+    await loadTables(state.activeRestaurant.id);
+  } catch (err) {
+    alert("Nao foi possivel excluir a mesa.");
+  }
+}
+
+function describePromotion(promotion) {
+  const scope = promotion.category ? ` em ${promotion.category}` : "";
+  if (promotion.type === "fixed") return `Cupom ${promotion.code}: R$ ${Number(promotion.amount).toFixed(2)} off`;
+  if (promotion.type === "percent") return `Cupom ${promotion.code}: ${promotion.percent}% off`;
+  if (promotion.type === "buy_x_get_y") {
+    return `Leve ${promotion.buyQty + promotion.freeQty}, pague ${promotion.buyQty}${scope}`;
+  }
+  const window = promotion.window || {};
+  return `${promotion.percent}% off${scope} das ${window.start} as ${window.end}`;
+}
+
+function renderPromotions() {
+  const activeCount = state.promotions.filter((promotion) => promotion.active).length;
+  promotionsCount.textContent = `${activeCount}/${state.promotions.length} ativas`;
+  promotionsList.innerHTML = "";
+  if (!state.promotions.length) {
+    promotionsList.innerHTML = "<div class=\"muted\">Nenhuma promocao cadastrada.</div>";
+    return;
+  }
+  state.promotions.forEach((promotion) => {
+    const expired = promotion.expiresAt && promotion.expiresAt <= new Date().toISOString();
+    const uses = promotion.maxUses ? `${promotion.usedCount}/${promotion.maxUses} usos` : `${promotion.usedCount} usos`;
+    const row = document.createElement("div");
+    row.className = promotion.active && !expired ? "table-row" : "table-row table-inactive";
+    row.innerHTML = `
+      <div>
+        <div><strong>${escapeHtml(promotion.name)}</strong></div>
+        <div class="muted">${escapeHtml(describePromotion(promotion))}</div>
+      </div>
+      <div class="muted">${uses}${expired ? " · Expirada" : ""}</div>
+      <div class="table-actions">
+        <button class="btn btn-outline" data-action="toggle">${promotion.active ? "Pausar" : "Ativar"}</button>
+        <button class="btn btn-outline" data-action="delete">Excluir</button>
+      </div>
+    `;
+    row.querySelector("[data-action='toggle']").addEventListener("click", () => {
+      updatePromotion(promotion, { active: !promotion.active });
+    });
+    row.querySelector("[data-action='delete']").addEventListener("click", () => {
+      deletePromotion(promotion);
+    });
+    promotionsList.appendChild(row);
+  });
+}
+
+async function updatePromotion(promotion, payload) {
+  try {
+    await api(`/api/promotions/${promotion.id}`, {
+      method: "PUT",
+      body: JSON.stringify(payload)
+    });
+    await loadPromotions(state.activeRestaurant.id);
+  } catch (err) {
+    alert("Nao foi possivel atualizar a promocao.");
+  }
+}
+
+async function deletePromotion(promotion) {
+  if (!window.confirm(`Excluir a promocao ${promotion.name}?`)) return;
+  try {
+    await api(`/api/promotions/${promotion.id}`, { method: "DELETE" });
+    await loadPromotions(state.activeRestaurant.id);
+  } catch (err) {
+    alert("Nao foi possivel excluir a promocao.");
+  }
+}
+
+function createQrDataUrl(url, width) {
+  return new Promise((resolve, reject) => {
+    QRCode.toDataURL(url, { width }, (err, dataUrl) => (err ? reject(err) : resolve(dataUrl)));
+  });
+}
+
+async function printTableQrSheet() {
+  const tables = state.tables.filter((table) => table.active !== false);
+  if (!tables.length || !state.activeRestaurant) return;
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    alert("Permita pop-ups para imprimir os QR das mesas.");
+    return;
+  }
+  try {
+    const cards = await Promise.all(
+      tables.map(async (table) => {
+        const dataUrl = await createQrDataUrl(getTableUrl(table), 320);
+        return `
+          <div class="card">
+            <img src="${dataUrl}" alt="QR mesa ${escapeHtml(table.label)}" />
+            <strong>Mesa ${escapeHtml(table.label)}</strong>
+            <span>${escapeHtml(table.zone || "")}</span>
+          </div>
+        `;
+      })
+    );
+    printWindow.document.write(`<!doctype html>
+      <html lang="pt-BR">
+        <head>
+          <meta charset="utf-8" />
+          <title>QR das mesas - ${escapeHtml(state.activeRestaurant.name)}</title>
+          <style>
+            body { font-family: sans-serif; margin: 16px; }
+            .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; }
+            .card { border: 1px dashed #999; padding: 12px; text-align: center; break-inside: avoid; }
+            .card img { width: 100%; max-width: 200px; display: block; margin: 0 auto 8px; }
+            .card strong { display: block; font-size: 20px; }
+            .card span { color: #555; font-size: 13px; }
+          </style>
+        </head>
+        <body>
+          <h1>${escapeHtml(state.activeRestaurant.name)}</h1>
+          <div class="grid">${cards.join("")}</div>
+        </body>
+      </html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  } catch (err) {
+    printWindow.close();
+    alert("Nao foi possivel gerar os QR das mesas.");
+  }
+}
+
+async function downloadQrKit() {
+  if (!state.activeRestaurant) return;
+  const params = new URLSearchParams({ source: qrKitSource.value, layout: qrKitLayout.value });
+  qrKitDownload.disabled = true;
+  qrKitMsg.textContent = "Gerando PDF...";
+  try {
+    const res = await fetch(`/api/restaurants/${state.activeRestaurant.id}/qr-kit?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${state.token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || "request_failed");
+    }
+    const blobUrl = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = blobUrl;
+    link.download = `qr-${state.activeRestaurant.slug}-${params.get("source")}-${params.get("layout")}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    qrKitMsg.textContent = (res.headers.get("X-Qr-Kit-Warnings") || "").includes("logo_skipped")
+      ? "PDF gerado sem o logo: use JPEG ou PNG sem transparencia."
+      : "PDF gerado.";
+  } catch (err) {
+    qrKitMsg.textContent =
+      err.message === "qr_kit_empty"
+        ? "Nada para imprimir: cadastre mesas ativas ou itens primeiro."
+        : "Erro ao gerar o PDF.";
+  } finally {
+    qrKitDownload.disabled = false;
+  }
+}
+
 function renderModelJobs() {
   modelJobsCount.textContent = `${state.modelJobs.length} jobs`;
   modelJobsList.innerHTML = "";
@@ -1325,18 +1917,37 @@ function renderOrders() {
 
   state.orders.forEach((order) => {
     const row = document.createElement("div");
-    row.className = "table-row";
+    row.className = state.alertOrderIds.has(order.id) ? "table-row order-alert" : "table-row";
+    if (order.allergyAlert) row.classList.add("order-allergy");
     const totalItems = order.items.reduce((acc, item) => acc + item.qty, 0);
     const itemsLabel = `${totalItems} itens`;
     const statusClass = `status-badge status-${order.status}`;
+    const historyLabel = describeOrderHistory(order);
     row.innerHTML = `
       <div>
-        <div><strong>Mesa ${order.table}</strong></div>
-        <div class="muted">${itemsLabel} · R$ ${Number(order.total).toFixed(2)}</div>
+        <div>
+          <strong>${escapeHtml(describeOrderTarget(order))}</strong>
+          ${order.allergyAlert ? "<span class=\"allergy-badge\">Alergia</span>" : ""}
+          ${
+            order.paymentStatus
+              ? `<span class="payment-badge payment-${order.paymentStatus}">${
+                  PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus
+                }</span>`
+              : ""
+          }
+        </div>
+        <div class="muted">${itemsLabel} · R$ ${Number(order.total).toFixed(2)}${describeOrderCharges(order)}</div>
+        ${order.fulfillment ? `<div class="muted">${describeOrderFulfillment(order)}</div>` : ""}
+        <div class="order-lines">${describeOrderLines(order)}</div>
+        ${order.note ? `<div class="order-note">Obs: ${escapeHtml(order.note)}</div>` : ""}
+        ${historyLabel ? `<div class="muted">${historyLabel}</div>` : ""}
       </div>
-      <div class="${statusClass}">${order.status}</div>
+      <div class="${statusClass}">${ORDER_STATUS_LABELS[order.status] || order.status}</div>
       <div class="table-actions">
         ${renderOrderActions(order.status)}
+        <button class="btn btn-outline" type="button" data-paid="${order.paymentStatus === "pago" ? "0" : "1"}">
+          ${order.paymentStatus === "pago" ? "Desfazer pago" : "Marcar pago"}
+        </button>
       </div>
     `;
 
@@ -1345,51 +1956,393 @@ function renderOrders() {
         updateOrderStatus(order.id, button.dataset.status);
       });
     });
+    row.querySelector("[data-paid]").addEventListener("click", (event) => {
+      setOrderPaid(order.id, event.currentTarget.dataset.paid === "1");
+    });
 
     ordersList.appendChild(row);
   });
 }
 
-function renderSimpleRows(container, rows, renderRowHtml, emptyText) {
-  if (!container) return;
-  container.innerHTML = "";
-  if (!rows || rows.length === 0) {
-    container.innerHTML = `<div class="muted">${emptyText}</div>`;
+const SERVICE_REQUEST_LABELS = {
+  waiter: "Chamou o garcom",
+  bill: "Pediu a conta"
+};
+
+function formatRequestAge(createdAt) {
+  const minutes = Math.floor(Math.max(0, Date.now() - parseDateMs(createdAt)) / 60000);
+  if (minutes < 1) return "agora";
+  if (minutes < 60) return `ha ${minutes} min`;
+  return `ha ${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function renderServiceRequests() {
+  if (!serviceRequestsList) return;
+  const pending = state.serviceRequests.filter((request) => request.status === "pending");
+  serviceRequestsCount.textContent = `${pending.length} pendentes`;
+  serviceRequestsList.innerHTML = "";
+  if (pending.length === 0) {
+    serviceRequestsList.innerHTML = "<div class=\"muted\">Nenhuma mesa chamando.</div>";
     return;
   }
-  rows.forEach((rowData) => {
+
+  const byTable = new Map();
+  pending
+    .slice()
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+    .forEach((request) => {
+      const key = request.tableId || request.table.toLowerCase();
+      if (!byTable.has(key)) byTable.set(key, []);
+      byTable.get(key).push(request);
+    });
+
+  byTable.forEach((requests) => {
     const row = document.createElement("div");
-    row.className = "analytics-line";
-    row.innerHTML = renderRowHtml(rowData);
-    container.appendChild(row);
+    row.className = "table-row";
+    row.innerHTML = `
+      <div>
+        <strong>Mesa ${escapeHtml(requests[0].table)}</strong>
+        ${requests
+          .map(
+            (request) =>
+              `<div class="muted">${SERVICE_REQUEST_LABELS[request.type] || request.type} · ${formatRequestAge(
+                request.createdAt
+              )}</div>`
+          )
+          .join("")}
+      </div>
+      <div class="status-badge status-novo">${formatRequestAge(requests[0].createdAt)}</div>
+      <div class="table-actions">
+        <button class="btn btn-outline" type="button">Atendido</button>
+      </div>
+    `;
+    row.querySelector("button").addEventListener("click", () => {
+      acknowledgeServiceRequests(requests);
+    });
+    serviceRequestsList.appendChild(row);
   });
 }
 
-function parseDateMs(value) {
-  if (!value) return 0;
-  const ms = Date.parse(value);
-  return Number.isFinite(ms) ? ms : 0;
+async function acknowledgeServiceRequests(requests) {
+  try {
+    const results = await Promise.all(
+      requests.map((request) =>
+        api(`/api/service-requests/${request.id}`, {
+          method: "PUT",
+          body: JSON.stringify({ status: "acknowledged" })
+        })
+      )
+    );
+    results.forEach((data) => upsertServiceRequest(data.request));
+    renderServiceRequests();
+  } catch (err) {
+    if (state.activeRestaurant) await loadServiceRequests(state.activeRestaurant.id);
+  }
 }
 
-function getEngagementWindowMs() {
-  const days = Number(state.engagementFilter.windowDays || 0);
-  if (!Number.isFinite(days) || days <= 0) return 0;
-  return Date.now() - days * 24 * 60 * 60 * 1000;
+function upsertServiceRequest(request) {
+  if (!request) return false;
+  const index = state.serviceRequests.findIndex((entry) => entry.id === request.id);
+  if (index >= 0) {
+    state.serviceRequests[index] = request;
+    return false;
+  }
+  state.serviceRequests.unshift(request);
+  return true;
 }
 
-function matchesEngagementFilters(row, fields = []) {
-  const search = (state.engagementFilter.query || "").toLowerCase().trim();
-  const minDateMs = getEngagementWindowMs();
-  if (minDateMs > 0) {
-    const rowDateMs = parseDateMs(row.createdAt || row.updatedAt || "");
-    if (!rowDateMs || rowDateMs < minDateMs) return false;
-  }
-  if (!search) return true;
-  const haystack = fields
-    .map((field) => String((row && row[field]) || ""))
-    .join(" ")
-    .toLowerCase();
-  return haystack.includes(search);
+function formatMoney(value) {
+  return `R$ ${Number(value || 0).toFixed(2)}`;
+}
+
+function renderTabs(totals) {
+  if (!tabsList) return;
+  const isOpen = state.tabsFilter === "open";
+  tabsTotals.textContent = totals
+    ? `${totals.count} ${isOpen ? "abertas" : "fechadas"} · ${formatMoney(totals.total)}`
+    : "";
+  tabsList.innerHTML = "";
+  if (state.tabs.length === 0) {
+    tabsList.innerHTML = `<div class="muted">${isOpen ? "Nenhuma conta aberta." : "Nenhuma conta fechada."}</div>`;
+    return;
+  }
+
+  state.tabs.forEach((tab) => {
+    const summary = tab.summary || {};
+    const row = document.createElement("div");
+    row.className = "table-row";
+    const split = tab.split;
+    const splitLabel = split
+      ? ` · dividida em ${split.shares.length} (${split.shares.filter((share) => share.status === "paid").length} pagas)`
+      : "";
+    const when = isOpen
+      ? `aberta ${formatRequestAge(tab.openedAt)}`
+      : `fechada em ${new Date(tab.closedAt).toLocaleString("pt-BR")} · ${summary.durationMinutes || 0} min`;
+    row.innerHTML = `
+      <div>
+        <strong>Mesa ${escapeHtml(tab.table)}</strong>
+        <div class="muted">${summary.ordersCount || 0} pedidos · ${summary.itemsCount || 0} itens · ${when}${splitLabel}</div>
+      </div>
+      <div>
+        <strong>${formatMoney(summary.total)}</strong>
+        ${tab.settled ? "<span class=\"status-badge status-entregue\">Quitada</span>" : ""}
+      </div>
+      <div class="table-actions">
+        ${isOpen ? "<button class=\"btn btn-outline\" type=\"button\" data-split>Dividir</button>" : ""}
+        ${isOpen ? "<button class=\"btn btn-outline\" type=\"button\" data-close>Fechar conta</button>" : ""}
+      </div>
+    `;
+    const splitButton = row.querySelector("[data-split]");
+    if (splitButton) {
+      splitButton.addEventListener("click", () => {
+        openTabSplit(tab);
+      });
+    }
+    const closeButton = row.querySelector("[data-close]");
+    if (closeButton) {
+      closeButton.addEventListener("click", () => {
+        closeTableTab(tab);
+      });
+    }
+    tabsList.appendChild(row);
+  });
+}
+
+function renderTabSummary(tab) {
+  if (!tabSummary) return;
+  const summary = tab.summary || {};
+  const lines = (summary.lines || [])
+    .map((line) => {
+      const extras = line.modifiers && line.modifiers.length ? ` (${line.modifiers.join(", ")})` : "";
+      return `<div class="analytics-line"><span>${line.qty}x ${escapeHtml(line.name)}${escapeHtml(extras)}</span><strong>${formatMoney(line.lineTotal)}</strong></div>`;
+    })
+    .join("");
+  tabSummary.innerHTML = `
+    <div class="tag">Conta fechada · Mesa ${escapeHtml(tab.table)}</div>
+    ${lines || "<div class=\"muted\">Sem itens cobrados.</div>"}
+    <div class="analytics-line"><span>${summary.billableOrders || 0} de ${summary.ordersCount || 0} pedidos cobrados · ${summary.durationMinutes || 0} min</span><strong>Total ${formatMoney(summary.total)}</strong></div>
+  `;
+  tabSummary.classList.remove("hidden");
+}
+
+function renderSplitItemPickers(lines, people) {
+  tabSplitItems.innerHTML = "";
+  const options = Array.from({ length: people }, (_, index) => `<option value="${index}">Pessoa ${index + 1}</option>`).join("");
+  lines.forEach((line) => {
+    for (let unit = 0; unit < Math.ceil(line.qty); unit += 1) {
+      const row = document.createElement("div");
+      row.className = "form-row";
+      row.innerHTML = `
+        <span class="muted">${escapeHtml(line.name)} · ${formatMoney(line.price)}</span>
+        <select class="input" data-line-key="${escapeHtml(line.key)}" data-unit-qty="${Math.min(1, line.qty - unit)}">${options}</select>
+      `;
+      tabSplitItems.appendChild(row);
+    }
+  });
+}
+
+function syncTabSplitForm() {
+  if (!state.splitTab) return;
+  const mode = tabSplitMode.value;
+  const people = Math.max(2, Math.min(30, Number(tabSplitPeople.value) || 2));
+  tabSplitPeople.classList.toggle("hidden", mode === "custom");
+  tabSplitCustom.classList.toggle("hidden", mode !== "custom");
+  tabSplitItems.classList.toggle("hidden", mode !== "items");
+  if (mode === "items") renderSplitItemPickers((state.splitTab.summary && state.splitTab.summary.lines) || [], people);
+}
+
+function readTabSplitPayload() {
+  const mode = tabSplitMode.value;
+  const people = Math.max(2, Math.min(30, Number(tabSplitPeople.value) || 2));
+  if (mode === "equal") return { mode, people };
+  if (mode === "custom") {
+    const shares = tabSplitCustom.value
+      .split(/\n+/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [label, amount] = line.split(";").map((part) => part.trim());
+        return { label, amount: Number((amount || "").replace(",", ".")) };
+      });
+    return { mode, shares };
+  }
+  const shares = Array.from({ length: people }, (_, index) => ({ label: `Pessoa ${index + 1}`, items: [] }));
+  tabSplitItems.querySelectorAll("select[data-line-key]").forEach((select) => {
+    const share = shares[Number(select.value)];
+    const key = select.dataset.lineKey;
+    const qty = Number(select.dataset.unitQty) || 1;
+    const existing = share.items.find((entry) => entry.key === key);
+    if (existing) existing.qty += qty;
+    else share.items.push({ key, qty });
+  });
+  return { mode, shares: shares.filter((share) => share.items.length) };
+}
+
+function renderTabSplitShares(tab) {
+  tabSplitShares.innerHTML = "";
+  const hasPaidShares = Boolean(tab.split && tab.split.shares.some((share) => share.status === "paid"));
+  tabSplitRemainder.classList.toggle("hidden", !hasPaidShares);
+  if (!tab.split) return;
+  if (tab.splitStale) {
+    tabSplitShares.innerHTML = hasPaidShares
+      ? "<div class=\"muted\">A conta mudou depois da divisao. Use Dividir restante para manter as partes pagas.</div>"
+      : "<div class=\"muted\">A conta mudou depois da divisao. Refaca a divisao.</div>";
+  }
+  tab.split.shares.forEach((share) => {
+    const paid = share.status === "paid";
+    const row = document.createElement("div");
+    row.className = "table-row";
+    row.innerHTML = `
+      <div>
+        <strong>${escapeHtml(share.label)}</strong>
+        ${share.items.length ? `<div class="muted">${share.items.map((item) => `${item.qty}x ${escapeHtml(item.name)}`).join(", ")}</div>` : ""}
+      </div>
+      <div>
+        <strong>${formatMoney(share.amount)}</strong>
+        <span class="status-badge ${paid ? "status-entregue" : "status-novo"}">${paid ? "Pago" : "Pendente"}</span>
+      </div>
+      <div class="table-actions">
+        <button class="btn btn-outline" type="button">${paid ? "Desfazer" : "Marcar pago"}</button>
+      </div>
+    `;
+    row.querySelector("button").addEventListener("click", () => {
+      updateSharePaid(tab, share.id, !paid);
+    });
+    tabSplitShares.appendChild(row);
+  });
+}
+
+function openTabSplit(tab) {
+  state.splitTab = tab;
+  tabSplitTitle.textContent = `Dividir conta · Mesa ${tab.table} · ${formatMoney(tab.summary && tab.summary.total)}`;
+  tabSplitMsg.textContent = "";
+  tabSplitMode.value = (tab.split && tab.split.mode) || "equal";
+  if (tab.split && tab.split.mode !== "custom") tabSplitPeople.value = String(Math.max(2, tab.split.shares.length));
+  tabSplitCustom.value = tab.split && tab.split.mode === "custom"
+    ? tab.split.shares.map((share) => `${share.label}; ${share.amount.toFixed(2)}`).join("\n")
+    : "";
+  syncTabSplitForm();
+  renderTabSplitShares({ ...tab, splitStale: Boolean(tab.split && tab.split.total !== (tab.summary || {}).total) });
+  tabSplitPanel.classList.remove("hidden");
+}
+
+function describeSplitError(err) {
+  const messages = {
+    split_total_mismatch: "A soma dos valores precisa ser igual ao total da conta.",
+    split_items_unassigned: "Distribua todos os itens entre as pessoas.",
+    split_locked: "Ja existem partes pagas. Use Dividir restante ou desfaca os pagamentos.",
+    invalid_split_mode: "Para dividir o restante use partes iguais ou valores livres.",
+    split_nothing_to_pay: "Nada a dividir nesta conta.",
+    invalid_split_amount: "Use apenas valores maiores que zero.",
+    invalid_split_people: "Informe entre 2 e 30 pessoas."
+  };
+  return messages[err.message] || "Nao foi possivel salvar a divisao.";
+}
+
+async function saveTabSplit(event) {
+  event.preventDefault();
+  await submitTabSplit(readTabSplitPayload());
+}
+
+async function submitTabSplit(payload) {
+  const tab = state.splitTab;
+  if (!tab) return;
+  try {
+    const data = await api(`/api/tabs/${tab.id}/split`, {
+      method: "POST",
+      body: JSON.stringify(payload)
+    });
+    tabSplitMsg.textContent = "Divisao salva.";
+    state.splitTab = { ...tab, split: data.tab.split, settled: data.tab.settled };
+    renderTabSplitShares(data.tab);
+    await loadTabs(tab.restaurantId);
+  } catch (err) {
+    tabSplitMsg.textContent = describeSplitError(err);
+  }
+}
+
+async function updateSharePaid(tab, shareId, paid) {
+  try {
+    const data = await api(`/api/tabs/${tab.id}/split/shares/${shareId}`, {
+      method: "PUT",
+      body: JSON.stringify({ paid })
+    });
+    state.splitTab = { ...tab, split: data.tab.split, settled: data.tab.settled };
+    renderTabSplitShares(data.tab);
+    tabSplitMsg.textContent = data.tab.settled ? "Todas as partes pagas. Mesa quitada." : "";
+    await loadTabs(tab.restaurantId);
+  } catch (err) {
+    tabSplitMsg.textContent = "Nao foi possivel atualizar o pagamento.";
+  }
+}
+
+async function closeTableTab(tab, force = false) {
+  if (!force && !window.confirm(`Fechar a conta da mesa ${tab.table}?`)) return;
+  try {
+    const data = await api(`/api/tabs/${tab.id}/close`, {
+      method: "POST",
+      body: JSON.stringify({ force })
+    });
+    renderTabSummary(data.tab);
+    if (state.splitTab && state.splitTab.id === tab.id) tabSplitPanel.classList.add("hidden");
+    await loadTabs(tab.restaurantId);
+  } catch (err) {
+    if (err.message === "tab_has_open_orders" && !force) {
+      if (window.confirm("Ainda ha pedidos em andamento nesta conta. Fechar mesmo assim?")) {
+        await closeTableTab(tab, true);
+      }
+      return;
+    }
+    if (err.message === "tab_not_settled" && !force) {
+      if (window.confirm("Nem todas as partes da divisao foram pagas. Fechar mesmo assim?")) {
+        await closeTableTab(tab, true);
+      }
+      return;
+    }
+    await loadTabs(tab.restaurantId);
+  }
+}
+
+function renderSimpleRows(container, rows, renderRowHtml, emptyText) {
+  if (!container) return;
+  container.innerHTML = "";
+  if (!rows || rows.length === 0) {
+    container.innerHTML = `<div class="muted">${emptyText}</div>`;
+    return;
+  }
+  rows.forEach((rowData) => {
+    const row = document.createElement("div");
+    row.className = "analytics-line";
+    row.innerHTML = renderRowHtml(rowData);
+    container.appendChild(row);
+  });
+}
+
+function parseDateMs(value) {
+  if (!value) return 0;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function getEngagementWindowMs() {
+  const days = Number(state.engagementFilter.windowDays || 0);
+  if (!Number.isFinite(days) || days <= 0) return 0;
+  return Date.now() - days * 24 * 60 * 60 * 1000;
+}
+
+function matchesEngagementFilters(row, fields = []) {
+  const search = (state.engagementFilter.query || "").toLowerCase().trim();
+  const minDateMs = getEngagementWindowMs();
+  if (minDateMs > 0) {
+    const rowDateMs = parseDateMs(row.createdAt || row.updatedAt || "");
+    if (!rowDateMs || rowDateMs < minDateMs) return false;
+  }
+  if (!search) return true;
+  const haystack = fields
+    .map((field) => String((row && row[field]) || ""))
+    .join(" ")
+    .toLowerCase();
+  return haystack.includes(search);
 }
 
 function getFilteredEngagementRows(rows, fields = []) {
@@ -1402,10 +2355,10 @@ function renderEngagementStats() {
     { label: "Leads", value: getFilteredEngagementRows(state.leads, ["name", "email", "phone", "message"]).length },
     {
       label: "Reservas",
-      value: getFilteredEngagementRows(state.reservations, ["name", "email", "phone", "date", "time", "status"]).length
+      value: getFilteredEngagementRows(state.reservations, RESERVATION_SEARCH_FIELDS).length
     },
-    { label: "Fila", value: getFilteredEngagementRows(state.waitlist, ["name", "phone"]).length },
-    { label: "Feedback", value: getFilteredEngagementRows(state.feedback, ["name", "email", "comment"]).length }
+    { label: "Fila", value: getFilteredEngagementRows(state.waitlist, WAITLIST_SEARCH_FIELDS).length },
+    { label: "Feedback", value: getFilteredEngagementRows(state.feedback, FEEDBACK_SEARCH_FIELDS).length }
   ];
   engagementStats.innerHTML = "";
   stats.forEach((entry) => {
@@ -1427,17 +2380,35 @@ function renderLeads() {
   );
 }
 
+const RESERVATION_SEARCH_FIELDS = ["name", "email", "phone", "date", "time", "status", "code", "tableLabel"];
+
+const RESERVATION_ACTIONS = {
+  novo: [
+    ["confirmado", "Confirmar"],
+    ["sentado", "Sentar"],
+    ["no_show", "Nao veio"],
+    ["cancelado", "Cancelar"]
+  ],
+  confirmado: [
+    ["sentado", "Sentar"],
+    ["no_show", "Nao veio"],
+    ["cancelado", "Cancelar"]
+  ],
+  sentado: [["finalizado", "Finalizar"]]
+};
+
+function describeReservationSlot(reservation) {
+  const table = reservation.tableLabel
+    ? ` - mesa ${reservation.tableLabel}${reservation.area ? ` (${reservation.area})` : ""}`
+    : "";
+  const code = reservation.code ? ` - codigo ${reservation.code}` : "";
+  return `${reservation.guests || 2} pessoas - ${reservation.date || "-"} ${reservation.time || ""}${table}${code}`;
+}
+
 function renderReservations() {
   if (!reservationsList) return;
   reservationsList.innerHTML = "";
-  const rows = getFilteredEngagementRows(state.reservations, [
-    "name",
-    "email",
-    "phone",
-    "date",
-    "time",
-    "status"
-  ]);
+  const rows = getFilteredEngagementRows(state.reservations, RESERVATION_SEARCH_FIELDS);
   if (!rows.length) {
     reservationsList.innerHTML = "<div class=\"muted\">Sem reservas.</div>";
     return;
@@ -1448,12 +2419,13 @@ function renderReservations() {
     row.innerHTML = `
       <div>
         <strong>${reservation.name || "Reserva"}</strong>
-        <div class="muted">${reservation.guests || 2} pessoas - ${reservation.date || "-"} ${reservation.time || ""}</div>
+        <div class="muted">${describeReservationSlot(reservation)}</div>
       </div>
       <div class="status-badge status-${reservation.status || "novo"}">${reservation.status || "novo"}</div>
       <div class="table-actions">
-        <button class="btn btn-outline" data-res-status="confirmado">Confirmar</button>
-        <button class="btn btn-outline" data-res-status="cancelado">Cancelar</button>
+        ${(RESERVATION_ACTIONS[reservation.status || "novo"] || [])
+          .map(([status, label]) => `<button class="btn btn-outline" data-res-status="${status}">${label}</button>`)
+          .join("")}
       </div>
     `;
     row.querySelectorAll("[data-res-status]").forEach((button) => {
@@ -1463,26 +2435,116 @@ function renderReservations() {
   });
 }
 
+const WAITLIST_SEARCH_FIELDS = ["name", "phone", "status"];
+
+const WAITLIST_ACTIONS = {
+  aguardando: [
+    ["avisado", "Avisar"],
+    ["sentado", "Sentar"],
+    ["no_show", "Nao veio"],
+    ["cancelado", "Remover"]
+  ],
+  avisado: [
+    ["avisado", "Avisar de novo"],
+    ["sentado", "Sentar"],
+    ["no_show", "Nao veio"],
+    ["cancelado", "Remover"]
+  ]
+};
+
+function describeWaitlistNotice(notice) {
+  if (!notice) return "";
+  if (notice.skipped) return " - mensagem nao enviada (sem notificador)";
+  return notice.ok ? ` - mensagem enviada (${notice.channel})` : " - falha ao enviar mensagem";
+}
+
+function describeWaitlistEntry(entry) {
+  const guests = `${entry.guests || 2} pessoas`;
+  if (entry.status === "aguardando") return `${guests} - ${entry.position}o da fila - ~${entry.estimatedWaitMinutes} min`;
+  if (entry.status === "avisado") {
+    const time = new Date(entry.notifiedAt).toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+    return `${guests} - avisado as ${time}${describeWaitlistNotice(entry.lastNotice)}`;
+  }
+  return `${guests} - ${(entry.createdAt || "").slice(0, 10)}`;
+}
+
 function renderWaitlist() {
-  const rows = getFilteredEngagementRows(state.waitlist, ["name", "phone"]);
-  renderSimpleRows(
-    waitlistList,
-    rows,
-    (entry) =>
-      `<div><strong>${entry.name || "Fila"}</strong><div class="muted">${entry.guests || 2} pessoas</div></div><span class="muted">${(entry.createdAt || "").slice(0, 10)}</span>`,
-    "Sem fila de espera."
-  );
+  if (!waitlistList) return;
+  waitlistList.innerHTML = "";
+  const rows = getFilteredEngagementRows(state.waitlist, WAITLIST_SEARCH_FIELDS);
+  if (!rows.length) {
+    waitlistList.innerHTML = "<div class=\"muted\">Sem fila de espera.</div>";
+    return;
+  }
+  rows.forEach((entry) => {
+    const status = escapeHtml(entry.status || "");
+    const row = document.createElement("div");
+    row.className = "table-row";
+    row.innerHTML = `
+      <div>
+        <strong>${escapeHtml(entry.name || "Fila")}</strong>
+        <div class="muted">${escapeHtml(describeWaitlistEntry(entry))}</div>
+      </div>
+      <div class="status-badge status-${status || "finalizado"}">${status || "-"}</div>
+      <div class="table-actions">
+        ${(WAITLIST_ACTIONS[entry.status] || [])
+          .map(([status, label]) => `<button class="btn btn-outline" data-wait-status="${status}">${label}</button>`)
+          .join("")}
+      </div>
+    `;
+    row.querySelectorAll("[data-wait-status]").forEach((button) => {
+      button.addEventListener("click", () => updateWaitlistStatus(entry.id, button.dataset.waitStatus));
+    });
+    waitlistList.appendChild(row);
+  });
+}
+
+const FEEDBACK_SEARCH_FIELDS = ["name", "email", "comment", "followUp"];
+
+const FEEDBACK_ACTIONS = {
+  "": [["pendente", "Acompanhar"]],
+  pendente: [["resolvido", "Resolvido"]],
+  resolvido: [["pendente", "Reabrir"]]
+};
+
+function describeFeedbackEntry(entry) {
+  const parts = entry.rating ? [`Nota ${entry.rating}/5`] : [];
+  if (entry.nps !== null && entry.nps !== undefined) parts.push(`NPS ${entry.nps}`);
+  if ((entry.items || []).length) {
+    parts.push(entry.items.map((item) => `${item.name} ${item.rating}/5`).join(", "));
+  }
+  parts.push((entry.comment || "-").slice(0, 80));
+  return parts.join(" - ");
 }
 
 function renderFeedback() {
-  const rows = getFilteredEngagementRows(state.feedback, ["name", "email", "comment"]);
-  renderSimpleRows(
-    feedbackList,
-    rows,
-    (entry) =>
-      `<div><strong>${entry.name || "Feedback"}</strong><div class="muted">Nota ${entry.rating || 0}/5 - ${(entry.comment || "-").slice(0, 80)}</div></div><span class="muted">${(entry.createdAt || "").slice(0, 10)}</span>`,
-    "Sem feedback."
-  );
+  if (!feedbackList) return;
+  feedbackList.innerHTML = "";
+  const rows = getFilteredEngagementRows(state.feedback, FEEDBACK_SEARCH_FIELDS);
+  if (!rows.length) {
+    feedbackList.innerHTML = "<div class=\"muted\">Sem feedback.</div>";
+    return;
+  }
+  rows.forEach((entry) => {
+    const row = document.createElement("div");
+    row.className = "table-row";
+    row.innerHTML = `
+      <div>
+        <strong>${escapeHtml(entry.name || "Feedback")}</strong>
+        <div class="muted">${escapeHtml(describeFeedbackEntry(entry))} - ${(entry.createdAt || "").slice(0, 10)}</div>
+      </div>
+      ${entry.followUp ? `<div class="status-badge status-${entry.followUp}">${entry.followUp}</div>` : "<div></div>"}
+      <div class="table-actions">
+        ${(FEEDBACK_ACTIONS[entry.followUp || ""] || [])
+          .map(([value, label]) => `<button class="btn btn-outline" data-follow-up="${value}">${label}</button>`)
+          .join("")}
+      </div>
+    `;
+    row.querySelectorAll("[data-follow-up]").forEach((button) => {
+      button.addEventListener("click", () => updateFeedbackFollowUp(entry.id, button.dataset.followUp));
+    });
+    feedbackList.appendChild(row);
+  });
 }
 
 function renderEngagementPanels() {
@@ -1512,39 +2574,37 @@ function buildEngagementCsvRows() {
       detalhes: lead.message || ""
     });
   });
-  getFilteredEngagementRows(state.reservations, ["name", "email", "phone", "date", "time", "status"]).forEach(
-    (reservation) => {
-      rows.push({
-        tipo: "reserva",
-        data: reservation.createdAt || "",
-        nome: reservation.name || "",
-        contato: reservation.email || reservation.phone || "",
-        status: reservation.status || "novo",
-        nota: "",
-        detalhes: `${reservation.guests || 2} pessoas | ${reservation.date || "-"} ${reservation.time || ""}`.trim()
-      });
-    }
-  );
-  getFilteredEngagementRows(state.waitlist, ["name", "phone"]).forEach((entry) => {
+  getFilteredEngagementRows(state.reservations, RESERVATION_SEARCH_FIELDS).forEach((reservation) => {
+    rows.push({
+      tipo: "reserva",
+      data: reservation.createdAt || "",
+      nome: reservation.name || "",
+      contato: reservation.email || reservation.phone || "",
+      status: reservation.status || "novo",
+      nota: "",
+      detalhes: describeReservationSlot(reservation)
+    });
+  });
+  getFilteredEngagementRows(state.waitlist, WAITLIST_SEARCH_FIELDS).forEach((entry) => {
     rows.push({
       tipo: "fila",
       data: entry.createdAt || "",
       nome: entry.name || "",
       contato: entry.phone || "",
-      status: "",
+      status: entry.status || "",
       nota: "",
-      detalhes: `${entry.guests || 2} pessoas`
+      detalhes: describeWaitlistEntry(entry)
     });
   });
-  getFilteredEngagementRows(state.feedback, ["name", "email", "comment"]).forEach((entry) => {
+  getFilteredEngagementRows(state.feedback, FEEDBACK_SEARCH_FIELDS).forEach((entry) => {
     rows.push({
       tipo: "feedback",
       data: entry.createdAt || "",
       nome: entry.name || "",
       contato: entry.email || "",
-      status: "",
+      status: entry.followUp || "",
       nota: entry.rating || "",
-      detalhes: entry.comment || ""
+      detalhes: describeFeedbackEntry(entry)
     });
   });
   return rows.sort((a, b) => parseDateMs(b.data) - parseDateMs(a.data));
@@ -1573,20 +2633,76 @@ function exportEngagementCsv() {
   URL.revokeObjectURL(url);
 }
 
+function describeOrderCharges(order) {
+  const parts = [];
+  if (order.discount) {
+    parts.push(`desconto R$ ${Number(order.discount).toFixed(2)}${order.couponCode ? ` ${order.couponCode}` : ""}`);
+  }
+  if (order.serviceCharge) parts.push(`servico R$ ${Number(order.serviceCharge).toFixed(2)}`);
+  if (order.tip) parts.push(`gorjeta R$ ${Number(order.tip).toFixed(2)}`);
+  if (order.deliveryFee) parts.push(`entrega R$ ${Number(order.deliveryFee).toFixed(2)}`);
+  return parts.length ? ` (${parts.join(" + ")})` : "";
+}
+
+function describeOrderTarget(order) {
+  const info = order.fulfillment || {};
+  if (order.orderType === "pickup") return `Retirada · ${info.customerName || ""}`;
+  if (order.orderType === "delivery") return `Entrega · ${info.customerName || ""}`;
+  return `Mesa ${order.table}`;
+}
+
+function describeOrderFulfillment(order) {
+  const info = order.fulfillment;
+  if (!info) return "";
+  const parts = [info.customerPhone];
+  if (order.orderType === "pickup") {
+    parts.push(info.pickupAt ? `retirar ${new Date(info.pickupAt).toLocaleString("pt-BR")}` : "retirar assim que pronto");
+  } else {
+    parts.push([info.address, info.postcode].filter(Boolean).join(" - "), info.zoneName);
+  }
+  return escapeHtml(parts.filter(Boolean).join(" · "));
+}
+
 function renderOrderActions(status) {
-  if (status === "entregue" || status === "cancelado") {
+  const actions = ORDER_ACTIONS[status] || [];
+  if (!actions.length) {
     return "<span class=\"muted\">Finalizado</span>";
   }
-  if (status === "aceito") {
-    return `
-      <button class="btn btn-outline" data-status="entregue">Entregar</button>
-      <button class="btn btn-outline" data-status="cancelado">Cancelar</button>
-    `;
-  }
-  return `
-    <button class="btn btn-outline" data-status="aceito">Aceitar</button>
-    <button class="btn btn-outline" data-status="cancelado">Cancelar</button>
-  `;
+  return actions
+    .map(([nextStatus, label]) => `<button class="btn btn-outline" data-status="${nextStatus}">${label}</button>`)
+    .join("");
+}
+
+function escapeHtml(value) {
+  return (value ?? "")
+    .toString()
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function describeOrderLines(order) {
+  return order.items
+    .map((item) => {
+      const modifiers = (item.components || [])
+        .concat(item.modifiers || [])
+        .map((modifier) => modifier.name)
+        .join(", ");
+      const label = escapeHtml(`${item.qty}x ${item.name}${modifiers ? ` (${modifiers})` : ""}`);
+      const note = item.note ? ` <span class="order-note">${escapeHtml(item.note)}</span>` : "";
+      return `<div>${label}${note}</div>`;
+    })
+    .join("");
+}
+
+function describeOrderHistory(order) {
+  const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+  const last = history[history.length - 1];
+  if (!last || !last.from) return "";
+  const time = new Date(last.at).toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+  const reason = order.statusReason ? ` - ${escapeHtml(order.statusReason)}` : "";
+  return `${escapeHtml(ORDER_STATUS_LABELS[last.to] || last.to)} as ${time}${reason}`;
 }
 
 function formatCurrency(value) {
@@ -1615,7 +2731,80 @@ function renderAnalyticsRowList(container, rows, valueLabel) {
   });
 }
 
-function renderAnalyticsAlerts(summary, conversion) {
+function renderAnalyticsPromotions(rows) {
+  if (!analyticsPromotions) return;
+  analyticsPromotions.innerHTML = "";
+  if (!rows.length) {
+    analyticsPromotions.innerHTML = "<div class=\"muted\">Sem descontos nesta janela.</div>";
+    return;
+  }
+  rows.forEach((row) => {
+    const el = document.createElement("div");
+    el.className = "analytics-line";
+    el.innerHTML = `
+      <strong>${escapeHtml(row.name)}${row.code ? ` (${escapeHtml(row.code)})` : ""}</strong>
+      <span class="muted">${row.uses} usos · ${formatCurrency(row.discount)}</span>
+    `;
+    analyticsPromotions.appendChild(el);
+  });
+}
+
+function formatScore(value, suffix = "") {
+  return value === null || value === undefined ? "-" : `${value}${suffix}`;
+}
+
+// Bar height is the average rating of the bucket; the tooltip carries the other scores.
+function renderFeedbackTrend(feedback) {
+  if (!analyticsFeedbackTrend) return;
+  const trend = feedback.trend || [];
+  if (analyticsFeedbackAxis) analyticsFeedbackAxis.innerHTML = "";
+  if (!feedback.responses || !trend.length) {
+    analyticsFeedbackTrend.innerHTML = "<div class=\"muted\">Sem feedback nesta janela.</div>";
+    return;
+  }
+  analyticsFeedbackTrend.innerHTML = trend
+    .map((bucket) => {
+      const height = bucket.avgRating ? Math.max(6, (bucket.avgRating / 5) * 100) : 6;
+      const tone = !bucket.responses ? " empty" : bucket.avgRating < 3 ? " low" : "";
+      const title = [
+        `${bucket.date}: ${bucket.responses} respostas`,
+        `nota ${formatScore(bucket.avgRating)}`,
+        `CSAT ${formatScore(bucket.csat, "%")}`,
+        `NPS ${formatScore(bucket.nps)}`
+      ].join(" · ");
+      return `<div class="feedback-bar${tone}" style="height: ${height}%" title="${escapeHtml(title)}"></div>`;
+    })
+    .join("");
+  if (analyticsFeedbackAxis) {
+    analyticsFeedbackAxis.innerHTML = `
+      <span>${trend[0].date}</span>
+      <span>${feedback.bucketDays > 1 ? "nota media por semana" : "nota media por dia"}</span>
+      <span>${trend[trend.length - 1].date}</span>
+    `;
+  }
+}
+
+function renderFeedbackItems(items) {
+  if (!analyticsFeedbackItems) return;
+  analyticsFeedbackItems.innerHTML = "";
+  if (!items.length) {
+    analyticsFeedbackItems.innerHTML = "<div class=\"muted\">Sem notas por item nesta janela.</div>";
+    return;
+  }
+  items.forEach((item) => {
+    const el = document.createElement("div");
+    el.className = "analytics-line";
+    el.innerHTML = `
+      <strong>${escapeHtml(item.itemName)}</strong>
+      <span class="muted">
+        ${Number(item.average).toFixed(1)}/5 · ${item.ratings} notas${item.low ? ` · ${item.low} baixas` : ""}
+      </span>
+    `;
+    analyticsFeedbackItems.appendChild(el);
+  });
+}
+
+function renderAnalyticsAlerts(summary, conversion, feedback) {
   if (!analyticsAlerts) return;
   const alerts = [];
   const menuViews = Number(summary.menuViews || 0);
@@ -1639,6 +2828,12 @@ function renderAnalyticsAlerts(summary, conversion) {
       "Ha visualizacoes do menu sem pedidos. Verifique fluxo de mesa, botao de pedido e tempo de resposta do atendimento."
     );
   }
+  if (feedback.followUpPending > 0) {
+    alerts.push(`${feedback.followUpPending} avaliacao(oes) baixa(s) aguardando retorno na aba de feedback.`);
+  }
+  if (feedback.nps && feedback.nps.responses >= 10 && feedback.nps.score < 0) {
+    alerts.push("NPS negativo nesta janela. Leia os comentarios dos detratores e revise os itens com notas baixas.");
+  }
   if (alerts.length === 0) {
     alerts.push("Funil estavel nesta janela. Continue testando novos modelos 3D para aumentar conversao.");
   }
@@ -1659,20 +2854,32 @@ function renderAnalytics(data) {
     analyticsTopAr.innerHTML = "<div class=\"muted\">Sem dados.</div>";
     analyticsTopOrders.innerHTML = "<div class=\"muted\">Sem dados.</div>";
     if (analyticsAlerts) analyticsAlerts.innerHTML = "";
+    if (analyticsFeedbackTrend) analyticsFeedbackTrend.innerHTML = "<div class=\"muted\">Sem dados.</div>";
+    if (analyticsFeedbackAxis) analyticsFeedbackAxis.innerHTML = "";
+    if (analyticsFeedbackItems) analyticsFeedbackItems.innerHTML = "<div class=\"muted\">Sem dados.</div>";
     return;
   }
 
   const summary = data.summary || {};
   const conversion = data.conversion || {};
+  const feedback = data.feedback || { responses: 0, nps: {}, trend: [], items: [] };
   const cards = [
     { label: "Pedidos", value: summary.ordersTotal || 0 },
     { label: "Receita", value: formatCurrency(summary.revenueTotal || 0) },
     { label: "Ticket medio", value: formatCurrency(summary.avgTicket || 0) },
+    { label: "Descontos", value: formatCurrency(summary.discountTotal || 0) },
+    { label: "Taxa de servico", value: formatCurrency(summary.serviceChargeTotal || 0) },
+    { label: "Gorjetas", value: formatCurrency(summary.tipTotal || 0) },
+    { label: "Taxas de entrega", value: formatCurrency(summary.deliveryFeeTotal || 0) },
     { label: "Views menu", value: summary.menuViews || 0 },
     { label: "Aberturas AR", value: summary.arOpens || 0 },
     { label: "Add no carrinho", value: summary.addToCart || 0 },
     { label: "Conv. menu -> AR", value: `${Number(conversion.menuToAr || 0).toFixed(1)}%` },
-    { label: "Conv. AR -> pedido", value: `${Number(conversion.arToOrder || 0).toFixed(1)}%` }
+    { label: "Conv. AR -> pedido", value: `${Number(conversion.arToOrder || 0).toFixed(1)}%` },
+    { label: "NPS", value: formatScore(feedback.nps.score) },
+    { label: "CSAT", value: formatScore(feedback.csat, "%") },
+    { label: "Nota media", value: formatScore(feedback.avgRating) },
+    { label: "Follow-ups", value: feedback.followUpPending || 0 }
   ];
 
   analyticsSummary.innerHTML = "";
@@ -1688,7 +2895,10 @@ function renderAnalytics(data) {
 
   renderAnalyticsRowList(analyticsTopAr, data.topArItems || [], "AR");
   renderAnalyticsRowList(analyticsTopOrders, data.topOrderedItems || [], "Qtd");
-  renderAnalyticsAlerts(summary, conversion);
+  renderAnalyticsPromotions(data.promotions || []);
+  renderFeedbackTrend(feedback);
+  renderFeedbackItems(feedback.items || []);
+  renderAnalyticsAlerts(summary, conversion, feedback);
 }
 
 function loadItemIntoForm(item) {
@@ -1699,10 +2909,115 @@ function loadItemIntoForm(item) {
   document.getElementById("item-image-url").value = item.image || "";
   document.getElementById("item-model-glb").value = item.modelGlb || "";
   document.getElementById("item-model-usdz").value = item.modelUsdz || "";
+  const stockInput = document.getElementById("item-stock-daily");
+  stockInput.value = item.stockDaily ?? "";
+  stockInput.dataset.original = stockInput.value;
+  setSelectedDayparts(item.daypartIds);
+  renderOptionGroupsEditor(item.optionGroups || []);
+  renderComboGroupsEditor(item.comboGroups || []);
+}
+
+function createOptionGroupRow(group) {
+  const row = document.createElement("div");
+  row.className = "option-group-row";
+  row.dataset.groupId = group.id || "";
+  const optionsText = (group.options || [])
+    .map((option) => (option.priceDelta ? `${option.name} | ${option.priceDelta}` : option.name))
+    .join("\n");
+  row.innerHTML = `
+    <div class="form-row">
+      <input class="input" data-field="name" placeholder="Grupo (ex: Ponto da carne)" />
+      <input class="input" data-field="min" type="number" min="0" max="20" placeholder="Min" />
+      <input class="input" data-field="max" type="number" min="1" max="20" placeholder="Max" />
+      <label class="muted"><input type="checkbox" data-field="required" /> Obrigatorio</label>
+      <button class="btn secondary" type="button" data-action="remove">Remover</button>
+    </div>
+    <textarea class="input" data-field="options" placeholder="Mal passado&#10;Bacon extra | 4.50"></textarea>
+  `;
+  row.querySelector("[data-field='name']").value = group.name || "";
+  row.querySelector("[data-field='min']").value = group.min ?? "";
+  row.querySelector("[data-field='max']").value = group.max ?? "";
+  row.querySelector("[data-field='required']").checked = Boolean(group.required);
+  row.querySelector("[data-field='options']").value = optionsText;
+  row.querySelector("[data-action='remove']").addEventListener("click", () => row.remove());
+  return row;
+}
+
+function renderOptionGroupsEditor(groups) {
+  itemOptionGroups.innerHTML = "";
+  groups.forEach((group) => itemOptionGroups.appendChild(createOptionGroupRow(group)));
+}
+
+function readOptionGroupsEditor() {
+  return Array.from(itemOptionGroups.querySelectorAll(".option-group-row"))
+    .map((row) => {
+      const options = row
+        .querySelector("[data-field='options']")
+        .value.split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => {
+          const [name, delta] = line.split("|").map((part) => part.trim());
+          return { name, priceDelta: Number((delta || "0").replace(",", ".")) || 0 };
+        });
+      return {
+        id: row.dataset.groupId || undefined,
+        name: row.querySelector("[data-field='name']").value.trim(),
+        min: row.querySelector("[data-field='min']").value,
+        max: row.querySelector("[data-field='max']").value,
+        required: row.querySelector("[data-field='required']").checked,
+        options
+      };
+    })
+    .filter((group) => group.name && group.options.length);
+}
+
+// Components are plain items of the same restaurant; combos cannot nest.
+function createComboGroupRow(group) {
+  const row = document.createElement("div");
+  row.className = "option-group-row";
+  row.dataset.groupId = group.id || "";
+  const editingId = document.getElementById("item-id").value;
+  const selected = new Set(group.itemIds || []);
+  const choices = state.items
+    .filter((item) => item.id !== editingId && !(item.comboGroups || []).length)
+    .map(
+      (item) =>
+        `<option value="${escapeHtml(item.id)}" ${selected.has(item.id) ? "selected" : ""}>${escapeHtml(item.name)}</option>`
+    )
+    .join("");
+  row.innerHTML = `
+    <div class="form-row">
+      <input class="input" data-field="name" placeholder="Etapa (ex: Prato, Bebida)" />
+      <button class="btn secondary" type="button" data-action="remove">Remover</button>
+    </div>
+    <select class="input" data-field="items" multiple size="5">${choices}</select>
+  `;
+  row.querySelector("[data-field='name']").value = group.name || "";
+  row.querySelector("[data-action='remove']").addEventListener("click", () => row.remove());
+  return row;
+}
+
+function renderComboGroupsEditor(groups) {
+  itemComboGroups.innerHTML = "";
+  groups.forEach((group) => itemComboGroups.appendChild(createComboGroupRow(group)));
+}
+
+function readComboGroupsEditor() {
+  return Array.from(itemComboGroups.querySelectorAll(".option-group-row"))
+    .map((row) => ({
+      id: row.dataset.groupId || undefined,
+      name: row.querySelector("[data-field='name']").value.trim(),
+      itemIds: Array.from(row.querySelector("[data-field='items']").selectedOptions).map((option) => option.value)
+    }))
+    .filter((group) => group.name && group.itemIds.length);
 }
 
 function openQr(item) {
-  const url = `${window.location.origin}/i/${item.id}`;
+  openQrLink(`${window.location.origin}/i/${item.id}`);
+}
+
+function openQrLink(url) {
   qrLink.textContent = url;
   QRCode.toDataURL(url, { width: 240 }, (err, dataUrl) => {
     if (!err) {
@@ -1754,13 +3069,15 @@ async function selectRestaurant(id) {
     state.engagementFilter.windowDays = initial === "all" ? 0 : Number(initial) || 30;
   }
   if (modelJobsAutoMsg) modelJobsAutoMsg.textContent = "";
-  if (state.user.role === "master") {
-    clientUserPanel.classList.remove("hidden");
-  } else {
-    clientUserPanel.classList.add("hidden");
-  }
+  syncStaffRoleOptions();
   await loadItems(id);
+  await loadTables(id);
+  await loadPromotions(id);
   await loadOrders(id);
+  await loadServiceRequests(id);
+  if (tabSummary) tabSummary.classList.add("hidden");
+  await loadTabs(id);
+  startOrderStream(id);
   await loadEngagement(id);
   await loadModelJobs(id);
   await loadAnalytics(id);
@@ -1935,6 +3252,26 @@ async function loadItems(restaurantId) {
   renderItems();
 }
 
+async function loadTables(restaurantId) {
+  try {
+    const data = await api(`/api/restaurants/${restaurantId}/tables`);
+    state.tables = data.tables || [];
+  } catch (err) {
+    state.tables = [];
+  }
+  renderTables();
+}
+
+async function loadPromotions(restaurantId) {
+  try {
+    const data = await api(`/api/restaurants/${restaurantId}/promotions`);
+    state.promotions = data.promotions || [];
+  } catch (err) {
+    state.promotions = [];
+  }
+  renderPromotions();
+}
+
 async function loadModelJobs(restaurantId) {
   try {
     const data = await api(`/api/restaurants/${restaurantId}/model-jobs`);
@@ -1956,7 +3293,8 @@ async function loadModelJobs(restaurantId) {
 
 async function loadOrders(restaurantId) {
   try {
-    const data = await api(`/api/restaurants/${restaurantId}/orders`);
+    const query = state.ordersType ? `?type=${encodeURIComponent(state.ordersType)}` : "";
+    const data = await api(`/api/restaurants/${restaurantId}/orders${query}`);
     state.orders = data.orders || [];
     renderOrders();
   } catch (err) {
@@ -1964,6 +3302,153 @@ async function loadOrders(restaurantId) {
   }
 }
 
+async function loadTabs(restaurantId) {
+  if (!tabsList) return;
+  try {
+    const data = await api(`/api/restaurants/${restaurantId}/tabs?status=${state.tabsFilter}`);
+    state.tabs = data.tabs || [];
+    renderTabs(data.totals);
+  } catch (err) {
+    tabsList.innerHTML = "<div class=\"muted\">Erro ao carregar contas.</div>";
+  }
+}
+
+async function loadServiceRequests(restaurantId) {
+  if (!serviceRequestsList) return;
+  try {
+    const data = await api(`/api/restaurants/${restaurantId}/service-requests`);
+    state.serviceRequests = data.requests || [];
+    renderServiceRequests();
+  } catch (err) {
+    serviceRequestsList.innerHTML = "<div class=\"muted\">Erro ao carregar chamados.</div>";
+  }
+  if (!state.serviceRequestsTimer) {
+    state.serviceRequestsTimer = setInterval(() => {
+      if (state.serviceRequests.some((request) => request.status === "pending")) renderServiceRequests();
+    }, 15000);
+  }
+}
+
+function stopOrderStream() {
+  if (state.orderStream) state.orderStream.controller.abort();
+  state.orderStream = null;
+  if (ordersLive) ordersLive.textContent = "";
+}
+
+function playOrderAlert() {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    const ctx = new AudioCtx();
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.type = "sine";
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.6);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start();
+    oscillator.stop(ctx.currentTime + 0.6);
+    oscillator.onended = () => ctx.close();
+  } catch (err) {
+    // audio blocked until user interaction
+  }
+}
+
+function handleOrderStreamEvent(type, data, restaurantId) {
+  if (!state.activeRestaurant || state.activeRestaurant.id !== restaurantId) return;
+  if (type === "ready") {
+    loadServiceRequests(restaurantId);
+    loadTabs(restaurantId);
+    return;
+  }
+  if (type.startsWith("service.")) {
+    const request = data && data.request;
+    if (!request || request.restaurantId !== restaurantId) return;
+    if (upsertServiceRequest(request) && request.status === "pending") playOrderAlert();
+    renderServiceRequests();
+    return;
+  }
+  const order = data && data.order;
+  if (!order || order.restaurantId !== restaurantId) return;
+  if (state.ordersType && (order.orderType || "dine_in") !== state.ordersType) return;
+  const index = state.orders.findIndex((entry) => entry.id === order.id);
+  if (type === "order.created" && index < 0) {
+    state.orders.unshift(order);
+    if (order.status === "novo") {
+      state.alertOrderIds.add(order.id);
+      setTimeout(() => state.alertOrderIds.delete(order.id), 4000);
+      playOrderAlert();
+    }
+  } else if (index >= 0) {
+    state.orders[index] = order;
+  } else {
+    state.orders.unshift(order);
+  }
+  renderOrders();
+  if (order.tabId && state.tabsFilter === "open") loadTabs(restaurantId);
+}
+
+async function startOrderStream(restaurantId) {
+  stopOrderStream();
+  if (!window.ReadableStream || !window.TextDecoder) return;
+  const stream = { controller: new AbortController(), restaurantId, lastEventId: "", retryMs: 3000 };
+  state.orderStream = stream;
+  const decoder = new TextDecoder();
+  let resync = false;
+
+  while (state.orderStream === stream) {
+    try {
+      const headers = { Authorization: `Bearer ${state.token}` };
+      if (stream.lastEventId) headers["Last-Event-ID"] = stream.lastEventId;
+      const res = await fetch(`/api/restaurants/${restaurantId}/orders/stream`, {
+        headers,
+        signal: stream.controller.signal
+      });
+      if (res.status === 401 || res.status === 403 || res.status === 404) break;
+      if (!res.ok || !res.body) throw new Error("stream_failed");
+      if (ordersLive) ordersLive.textContent = "Ao vivo";
+      if (resync) await loadOrders(restaurantId);
+      resync = false;
+      const reader = res.body.getReader();
+      let buffer = "";
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary = buffer.indexOf("\n\n");
+        while (boundary >= 0) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf("\n\n");
+          let eventType = "message";
+          let dataText = "";
+          block.split("\n").forEach((line) => {
+            if (line.startsWith("event:")) eventType = line.slice(6).trim();
+            else if (line.startsWith("data:")) dataText += line.slice(5).trim();
+            else if (line.startsWith("id:")) stream.lastEventId = line.slice(3).trim();
+            else if (line.startsWith("retry:")) stream.retryMs = Number(line.slice(6).trim()) || stream.retryMs;
+          });
+          if (!dataText) continue;
+          try {
+            handleOrderStreamEvent(eventType, JSON.parse(dataText), restaurantId);
+          } catch (err) {
+            // ignore malformed event
+          }
+        }
+      }
+    } catch (err) {
+      if (stream.controller.signal.aborted) break;
+    }
+    if (state.orderStream !== stream) break;
+    // The Worker also ends streams on a timer, so every reconnect reloads what changed in between.
+    resync = true;
+    if (ordersLive) ordersLive.textContent = "Reconectando...";
+    await new Promise((resolve) => setTimeout(resolve, stream.retryMs));
+  }
+  if (state.orderStream === stream) stopOrderStream();
+}
+
 async function loadEngagement(restaurantId) {
   try {
     const [leadsData, reservationsData, waitlistData, feedbackData] = await Promise.all([
@@ -2004,17 +3489,25 @@ async function loadRestaurants() {
   renderRestaurants();
 }
 
+function syncStaffRoleOptions() {
+  if (!clientRole) return;
+  const isMaster = state.user && state.user.role === "master";
+  Array.from(clientRole.options).forEach((option) => {
+    option.hidden = !isMaster && option.value !== "kitchen";
+  });
+  if (!isMaster) clientRole.value = "kitchen";
+}
+
 async function bootstrapDashboard() {
   await loadAiProviders();
+  await loadSessions();
   if (state.user.role === "master") {
     restaurantsPanel.classList.remove("hidden");
     backRestaurants.classList.remove("hidden");
-    clientUserPanel.classList.remove("hidden");
     await loadRestaurants();
   } else {
     restaurantsPanel.classList.add("hidden");
     backRestaurants.classList.add("hidden");
-    clientUserPanel.classList.add("hidden");
     await loadRestaurantsForClient();
   }
 }
@@ -2029,15 +3522,37 @@ async function loadRestaurantsForClient() {
 
 async function updateOrderStatus(orderId, status) {
   if (!state.activeRestaurant) return;
+  let reason = "";
+  if (ORDER_REASON_STATUSES.has(status)) {
+    reason = (window.prompt(status === "recusado" ? "Motivo da recusa:" : "Motivo do cancelamento:") || "").trim();
+    if (!reason) return;
+  }
   try {
     await api(`/api/orders/${orderId}`, {
       method: "PUT",
-      body: JSON.stringify({ status })
+      body: JSON.stringify({ status, reason })
     });
     await loadOrders(state.activeRestaurant.id);
     await loadAnalytics(state.activeRestaurant.id);
   } catch (err) {
-    // ignore
+    if (err.message === "invalid_transition" || err.message === "order_status_changed") {
+      await loadOrders(state.activeRestaurant.id);
+    }
+  }
+}
+
+async function setOrderPaid(orderId, paid) {
+  if (!state.activeRestaurant) return;
+  try {
+    await api(`/api/orders/${orderId}/payment`, {
+      method: "PUT",
+      body: JSON.stringify({ paid })
+    });
+    await loadOrders(state.activeRestaurant.id);
+  } catch (err) {
+    if (err.message === "payment_confirmed_by_provider") {
+      window.alert("Pagamento confirmado pelo provedor; nao e possivel desfazer.");
+    }
   }
 }
 
@@ -2049,8 +3564,38 @@ async function updateReservationStatus(reservationId, status) {
       body: JSON.stringify({ status })
     });
     await loadEngagement(state.activeRestaurant.id);
-  } catch {
-    // ignore
+  } catch (err) {
+    if (err.message === "reservation_closed") {
+      window.alert("Reserva ja encerrada; a mesa foi liberada.");
+    }
+  }
+}
+
+async function updateFeedbackFollowUp(feedbackId, followUp) {
+  if (!state.activeRestaurant) return;
+  try {
+    await api(`/api/feedback/${feedbackId}`, {
+      method: "PUT",
+      body: JSON.stringify({ followUp })
+    });
+    await loadEngagement(state.activeRestaurant.id);
+  } catch (err) {
+    // the list keeps the last known follow-up state
+  }
+}
+
+async function updateWaitlistStatus(waitlistId, status) {
+  if (!state.activeRestaurant) return;
+  try {
+    await api(`/api/waitlist/${waitlistId}`, {
+      method: "PUT",
+      body: JSON.stringify({ status })
+    });
+    await loadEngagement(state.activeRestaurant.id);
+  } catch (err) {
+    if (err.message === "waitlist_closed") {
+      window.alert("Essa entrada ja saiu da fila.");
+    }
   }
 }
 
@@ -2075,6 +3620,8 @@ async function deleteItem(item) {
     if (document.getElementById("item-id").value === item.id) {
       itemForm.reset();
       document.getElementById("item-id").value = "";
+      renderOptionGroupsEditor([]);
+      renderComboGroupsEditor([]);
     }
     await loadItems(state.activeRestaurant.id);
     await loadModelJobs(state.activeRestaurant.id);
@@ -1,6 +1,8 @@
 const params = new URLSearchParams(window.location.search);
 const slug = params.get("r");
 const tableParam = params.get("mesa") || "";
+const TABLE_TOKEN_PATTERN = /^t-[a-zA-Z0-9-]{4,60}\.[A-Za-z0-9_-]{22}$/;
+const tableToken = TABLE_TOKEN_PATTERN.test(tableParam) ? tableParam : "";
 const THEME_KEY = "menuz_theme";
 const DEFAULT_PUBLIC_TEMPLATE = "topo-do-mundo";
 const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]{1,60}$/;
@@ -49,11 +51,20 @@ const orderModal = document.getElementById("order-modal");
 const orderItems = document.getElementById("order-items");
 const orderClose = document.getElementById("order-close");
 const orderTable = document.getElementById("order-table");
+const orderNote = document.getElementById("order-note");
 const orderSubmit = document.getElementById("order-submit");
 const orderMessage = document.getElementById("order-message");
+const optionsModal = document.getElementById("options-modal");
+const optionsForm = document.getElementById("options-form");
+const optionsTitle = document.getElementById("options-title");
+const optionsClose = document.getElementById("options-close");
+const optionsGroups = document.getElementById("options-groups");
+const optionsTotal = document.getElementById("options-total");
+const optionsMessage = document.getElementById("options-message");
 
 let menuItems = [];
 let cart = [];
+let optionsItem = null;
 let publicRestaurants = [];
 let menuSearchTerm = "";
 let menuActiveCategory = "__all__";
@@ -411,7 +422,12 @@ function parseCart(rawValue) {
     return parsed
       .map((entry) => ({
         id: typeof entry.id === "string" ? entry.id : "",
-        qty: Number(entry.qty) || 0
+        qty: Number(entry.qty) || 0,
+        note: typeof entry.note === "string" ? entry.note.slice(0, 140) : "",
+        optionIds: Array.isArray(entry.optionIds) ? entry.optionIds.filter((id) => typeof id === "string") : [],
+        components: Array.isArray(entry.components)
+          ? entry.components.filter((pick) => pick && typeof pick.groupId === "string" && typeof pick.itemId === "string")
+          : []
       }))
       .filter((entry) => entry.id && entry.qty > 0);
   } catch (_err) {
@@ -428,15 +444,57 @@ function saveCart() {
   updateOrderBar();
 }
 
+function getCartLineKey(itemId, optionIds, components) {
+  const picks = (components || []).map((pick) => `${pick.groupId}=${pick.itemId}`);
+  return `${itemId}:${[...(optionIds || [])].sort().join(",")}:${picks.sort().join(",")}`;
+}
+
+function isComboItem(menuItem) {
+  return Boolean(menuItem && Array.isArray(menuItem.comboGroups) && menuItem.comboGroups.length);
+}
+
+function describeComboComponents(menuItem, components) {
+  if (!isComboItem(menuItem)) return [];
+  const picks = components || [];
+  return menuItem.comboGroups
+    .map((group) => {
+      const pick = picks.find((entry) => entry.groupId === group.id);
+      const component = pick && menuItems.find((item) => item.id === pick.itemId);
+      return component ? { groupId: group.id, itemId: component.id, name: component.name } : null;
+    })
+    .filter(Boolean);
+}
+
+function describeItemOptions(menuItem, optionIds) {
+  const selected = new Set(optionIds || []);
+  const modifiers = [];
+  let price = Number(menuItem.price) || 0;
+  (menuItem.optionGroups || []).forEach((group) => {
+    group.options.forEach((option) => {
+      if (!selected.has(option.id)) return;
+      modifiers.push(option);
+      price += Number(option.priceDelta) || 0;
+    });
+  });
+  return { modifiers, price: Math.max(0, price) };
+}
+
 function getCartDetailed() {
   return cart
     .map((entry) => {
       const menuItem = menuItems.find((item) => item.id === entry.id);
       if (!menuItem) return null;
+      const options = describeItemOptions(menuItem, entry.optionIds);
+      const components = describeComboComponents(menuItem, entry.components);
       return {
         ...menuItem,
+        key: getCartLineKey(entry.id, entry.optionIds, entry.components),
+        optionIds: options.modifiers.map((option) => option.id),
+        modifiers: [...components, ...options.modifiers],
+        components,
+        note: entry.note || "",
         qty: entry.qty,
-        price: Number(menuItem.price) || 0
+        price: options.price
       };
     })
     .filter(Boolean);
@@ -468,22 +526,134 @@ function updateOrderBar() {
 }
 
 function addToCart(itemId) {
-  const existing = cart.find((entry) => entry.id === itemId);
+  const menuItem = menuItems.find((item) => item.id === itemId);
+  if (menuItem && (menuItem.available === false || menuItem.servedNow === false)) return;
+  if (menuItem && ((Array.isArray(menuItem.optionGroups) && menuItem.optionGroups.length) || isComboItem(menuItem))) {
+    openOptionsModal(menuItem);
+    return;
+  }
+  addCartLine(itemId, []);
+}
+
+function addCartLine(itemId, optionIds, components = []) {
+  const key = getCartLineKey(itemId, optionIds, components);
+  const existing = cart.find((entry) => getCartLineKey(entry.id, entry.optionIds, entry.components) === key);
   if (existing) {
     existing.qty += 1;
   } else {
-    cart.push({ id: itemId, qty: 1 });
+    cart.push({ id: itemId, qty: 1, optionIds: [...optionIds], components: [...components] });
   }
   saveCart();
   trackPublicEvent("add_to_cart", { itemId, table: tableParam || "" });
 }
 
-function updateCartQty(itemId, delta) {
-  const entry = cart.find((item) => item.id === itemId);
+function getSelectedOptionIds() {
+  return Array.from(optionsGroups.querySelectorAll("input[type=checkbox]:checked")).map((input) => input.value);
+}
+
+function getSelectedComponents() {
+  return Array.from(optionsGroups.querySelectorAll("input[type=radio]:checked")).map((input) => ({
+    groupId: input.dataset.group,
+    itemId: input.value
+  }));
+}
+
+function refreshOptionsTotal() {
+  if (!optionsItem) return;
+  optionsTotal.textContent = formatPrice(describeItemOptions(optionsItem, getSelectedOptionIds()).price);
+}
+
+function openOptionsModal(menuItem) {
+  if (!optionsModal) return;
+  optionsItem = menuItem;
+  optionsTitle.textContent = menuItem.name;
+  optionsMessage.textContent = "";
+  optionsGroups.replaceChildren();
+
+  (isComboItem(menuItem) ? menuItem.comboGroups : []).forEach((group) => {
+    const fieldset = createEl("fieldset", "option-group");
+    const legend = createEl("legend", "", `${group.name} `);
+    legend.appendChild(createEl("small", "muted", "Escolha 1"));
+    fieldset.appendChild(legend);
+    group.itemIds
+      .map((id) => menuItems.find((item) => item.id === id))
+      .filter((component) => component && component.available !== false)
+      .forEach((component) => {
+        const label = createEl("label", "option-choice");
+        const input = createEl("input");
+        input.type = "radio";
+        input.name = `combo-${group.id}`;
+        input.value = component.id;
+        input.dataset.group = group.id;
+        label.appendChild(input);
+        label.appendChild(createEl("span", "", component.name));
+        fieldset.appendChild(label);
+      });
+    optionsGroups.appendChild(fieldset);
+  });
+
+  (menuItem.optionGroups || []).forEach((group) => {
+    const fieldset = createEl("fieldset", "option-group");
+    const rule = group.required
+      ? `Escolha ${group.min === group.max ? group.min : `${group.min} a ${group.max}`}`
+      : `Opcional, ate ${group.max}`;
+    const legend = createEl("legend", "", `${group.name} `);
+    legend.appendChild(createEl("small", "muted", rule));
+    fieldset.appendChild(legend);
+
+    group.options.forEach((option) => {
+      const label = createEl("label", "option-choice");
+      const input = createEl("input");
+      input.type = "checkbox";
+      input.value = option.id;
+      input.addEventListener("change", () => {
+        const checked = Array.from(fieldset.querySelectorAll("input:checked"));
+        if (checked.length > group.max) {
+          checked
+            .filter((other) => other !== input)
+            .slice(0, checked.length - group.max)
+            .forEach((other) => {
+              other.checked = false;
+            });
+        }
+        refreshOptionsTotal();
+      });
+      label.appendChild(input);
+      label.appendChild(createEl("span", "", option.name));
+      if (option.priceDelta) {
+        const sign = option.priceDelta > 0 ? "+" : "-";
+        label.appendChild(createEl("small", "muted", `${sign} ${formatPrice(Math.abs(option.priceDelta))}`));
+      }
+      fieldset.appendChild(label);
+    });
+    optionsGroups.appendChild(fieldset);
+  });
+
+  refreshOptionsTotal();
+  optionsModal.classList.remove("hidden");
+  document.body.style.overflow = "hidden";
+}
+
+function closeOptionsModal() {
+  if (!optionsModal) return;
+  optionsItem = null;
+  optionsModal.classList.add("hidden");
+  document.body.style.overflow = "";
+}
+
+function updateCartNote(lineKey, note) {
+  const entry = cart.find((item) => getCartLineKey(item.id, item.optionIds, item.components) === lineKey);
+  if (!entry) return;
+  entry.note = note.slice(0, 140);
+  saveCart();
+}
+
+function updateCartQty(lineKey, delta) {
+  const entry = cart.find((item) => getCartLineKey(item.id, item.optionIds, item.components) === lineKey);
   if (!entry) return;
   entry.qty += delta;
   if (entry.qty <= 0) {
-    cart = cart.filter((item) => item.id !== itemId);
+    cart = cart.filter((item) => item !== entry);
   }
   saveCart();
   renderOrderItems();
@@ -494,7 +664,7 @@ function renderOrderItems() {
   const detailed = getCartDetailed();
   orderItems.replaceChildren();
 
-  if (tableParam) {
+  if (tableParam && !tableToken) {
     orderTable.value = tableParam;
   } else {
     orderTable.value = safeLocalStorageGet(tableKey) || "";
@@ -511,7 +681,17 @@ function renderOrderItems() {
     const title = createEl("strong", "", item.name);
     const price = createEl("div", "muted", formatPrice(item.price));
     info.appendChild(title);
+    if (item.modifiers.length) {
+      info.appendChild(createEl("div", "muted", item.modifiers.map((option) => option.name).join(", ")));
+    }
     info.appendChild(price);
+    const noteInput = createEl("input", "input order-line-note");
+    noteInput.type = "text";
+    noteInput.maxLength = 140;
+    noteInput.placeholder = "Observacao (ex: sem cebola)";
+    noteInput.value = item.note;
+    noteInput.addEventListener("change", () => updateCartNote(item.key, noteInput.value.trim()));
+    info.appendChild(noteInput);
 
     const controls = createEl("div", "order-qty");
     const minusButton = createEl("button", "btn btn-outline", "-");
@@ -520,8 +700,8 @@ function renderOrderItems() {
     const plusButton = createEl("button", "btn btn-outline", "+");
     plusButton.type = "button";
 
-    minusButton.addEventListener("click", () => updateCartQty(item.id, -1));
-    plusButton.addEventListener("click", () => updateCartQty(item.id, 1));
+    minusButton.addEventListener("click", () => updateCartQty(item.key, -1));
+    plusButton.addEventListener("click", () => updateCartQty(item.key, 1));
 
     controls.appendChild(minusButton);
     controls.appendChild(qty);
@@ -570,7 +750,37 @@ if (orderModal) {
   });
 }
 
+if (optionsModal) {
+  optionsClose.addEventListener("click", closeOptionsModal);
+  optionsModal.addEventListener("click", (event) => {
+    if (event.target === optionsModal) {
+      closeOptionsModal();
+    }
+  });
+  optionsForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    if (!optionsItem) return;
+    const selected = new Set(getSelectedOptionIds());
+    const components = getSelectedComponents();
+    const missing =
+      (optionsItem.comboGroups || []).find((group) => !components.some((pick) => pick.groupId === group.id)) ||
+      (optionsItem.optionGroups || []).find(
+        (group) => group.options.filter((option) => selected.has(option.id)).length < group.min
+      );
+    if (missing) {
+      setStatusMessage(optionsMessage, `Escolha uma opcao em ${missing.name}.`, "error");
+      return;
+    }
+    addCartLine(optionsItem.id, Array.from(selected), components);
+    closeOptionsModal();
+  });
+}
+
 document.addEventListener("keydown", (event) => {
+  if (event.key === "Escape" && optionsModal && !optionsModal.classList.contains("hidden")) {
+    closeOptionsModal();
+    return;
+  }
   if (event.key !== "Escape" || !orderModal) return;
   if (orderModal.classList.contains("hidden")) return;
   closeOrderModal();
@@ -580,8 +790,8 @@ if (orderSubmit) {
   orderSubmit.addEventListener("click", async () => {
     if (!slug || !orderTable) return;
     setOrderMessage("", "muted");
-    const tableValue = (orderTable.value || tableParam).toString().trim();
-    if (!tableValue) {
+    const tableValue = (orderTable.value || (tableToken ? "" : tableParam)).toString().trim();
+    if (!tableValue && !tableToken) {
       setOrderMessage("Informe a mesa.", "error");
       return;
     }
@@ -593,7 +803,15 @@ if (orderSubmit) {
     const payload = {
       restaurantSlug: slug,
       table: tableValue,
-      items: cart.map((item) => ({ id: item.id, qty: item.qty }))
+      ...(tableToken ? { tableToken } : {}),
+      note: orderNote ? orderNote.value.trim() : "",
+      items: getCartDetailed().map((item) => ({
+        id: item.id,
+        qty: item.qty,
+        optionIds: item.optionIds,
+        components: item.components.map((pick) => ({ groupId: pick.groupId, itemId: pick.itemId })),
+        note: item.note
+      }))
     };
 
     trackPublicEvent("order_submit", {
@@ -614,16 +832,36 @@ if (orderSubmit) {
       });
 
       if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
         if (res.status === 429) {
           setOrderMessage("Muitos pedidos em pouco tempo. Aguarde alguns segundos.", "error");
+        } else if (data.error === "invalid_table") {
+          setOrderMessage("Mesa nao encontrada. Confira o numero ou leia o QR da mesa novamente.", "error");
+        } else if (data.error === "table_token_required") {
+          setOrderMessage("Leia o QR code da mesa para fazer o pedido.", "error");
+        } else if (data.error === "invalid_item_options") {
+          setOrderMessage("Revise as opcoes escolhidas para os itens do pedido.", "error");
+        } else if (data.error === "item_out_of_schedule") {
+          const itemName = (data.detail && data.detail.name) || "Um item";
+          const label = (data.detail && data.detail.scheduleLabel) || "indisponivel";
+          setOrderMessage(`${itemName} fora do horario (${label}).`, "error");
+        } else if (data.error === "item_unavailable") {
+          const itemName = (data.detail && data.detail.name) || "Um item";
+          const message =
+            data.detail && data.detail.reason === "insufficient_stock"
+              ? `${itemName}: restam apenas ${data.detail.remaining} unidade(s).`
+              : `${itemName} esta esgotado. Remova do pedido para continuar.`;
+          setOrderMessage(message, "error");
         } else {
           setOrderMessage("Erro ao enviar pedido.", "error");
         }
         return;
       }
 
-      safeLocalStorageSet(tableKey, tableValue);
+      const result = await res.json().catch(() => ({}));
+      safeLocalStorageSet(tableKey, (result.order && result.order.table) || tableValue);
       cart = [];
+      if (orderNote) orderNote.value = "";
       saveCart();
       renderOrderItems();
       setOrderMessage("Pedido enviado. Aguarde atendimento.", "success");
@@ -827,8 +1065,14 @@ function renderMenuCards(items) {
     const actions = createEl("div", "row");
     actions.style.marginTop = "10px";
 
-    const addButton = createEl("button", "btn btn-outline", "Adicionar");
+    const soldOut = item.available === false;
+    const offSchedule = !soldOut && item.servedNow === false;
+    if (offSchedule) {
+      card.appendChild(createEl("div", "muted schedule-note", item.scheduleLabel));
+    }
+    const addButton = createEl("button", "btn btn-outline", soldOut ? "Esgotado" : "Adicionar");
     addButton.type = "button";
+    addButton.disabled = soldOut || offSchedule;
     addButton.addEventListener("click", () => addToCart(item.id));
 
     const arLink = createEl("a", "btn", "Ver em AR");
@@ -0,0 +1,402 @@
+const KDS_FLOW = ["novo", "aceito", "em_preparo", "pronto", "entregue"];
+const KDS_NEXT_LABEL = {
+  novo: "Aceitar",
+  aceito: "Iniciar preparo",
+  em_preparo: "Pronto",
+  pronto: "Entregue"
+};
+const KDS_DELIVERED_LIMIT = 12;
+const KDS_LATE_MINUTES = 15;
+
+const state = {
+  token: localStorage.getItem("menuz_token"),
+  user: JSON.parse(localStorage.getItem("menuz_user") || "null"),
+  restaurantId: "",
+  orders: [],
+  doneLines: JSON.parse(localStorage.getItem("menuz_kds_done") || "{}"),
+  stream: null,
+  alertOrderIds: new Set()
+};
+
+const loginView = document.getElementById("kds-login-view");
+const boardView = document.getElementById("kds-board-view");
+const loginForm = document.getElementById("kds-login-form");
+const loginError = document.getElementById("kds-login-error");
+const logoutBtn = document.getElementById("kds-logout");
+const liveLabel = document.getElementById("kds-live");
+const clockLabel = document.getElementById("kds-clock");
+const columns = Array.from(document.querySelectorAll("[data-kds-status]"));
+
+async function api(path, options = {}) {
+  const config = { ...options };
+  config.headers = config.headers || {};
+  if (state.token) {
+    config.headers.Authorization = `Bearer ${state.token}`;
+  }
+  if (config.body) {
+    config.headers["Content-Type"] = "application/json";
+  }
+  const res = await fetch(path, config);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    const error = new Error(data.error || "request_failed");
+    error.status = res.status;
+    throw error;
+  }
+  return res.json();
+}
+
+function escapeHtml(value) {
+  return (value ?? "")
+    .toString()
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatElapsed(createdAt) {
+  const diff = Math.max(0, Date.now() - new Date(createdAt).getTime());
+  const totalSeconds = Math.floor(diff / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+function isLate(order) {
+  if (order.status === "entregue") return false;
+  return Date.now() - new Date(order.createdAt).getTime() >= KDS_LATE_MINUTES * 60 * 1000;
+}
+
+function saveDoneLines() {
+  const activeIds = new Set(state.orders.map((order) => order.id));
+  Object.keys(state.doneLines).forEach((orderId) => {
+    if (!activeIds.has(orderId)) delete state.doneLines[orderId];
+  });
+  localStorage.setItem("menuz_kds_done", JSON.stringify(state.doneLines));
+}
+
+function toggleLine(orderId, index) {
+  const current = new Set(state.doneLines[orderId] || []);
+  if (current.has(index)) current.delete(index);
+  else current.add(index);
+  state.doneLines[orderId] = Array.from(current);
+  saveDoneLines();
+  renderBoard();
+}
+
+function describeTicketTarget(order) {
+  const info = order.fulfillment || {};
+  if (order.orderType === "pickup") {
+    const time = info.pickupAt
+      ? ` ${new Date(info.pickupAt).toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" })}`
+      : "";
+    return `Retirada${time} · ${info.customerName || ""}`;
+  }
+  if (order.orderType === "delivery") return `Entrega · ${info.customerName || ""}`;
+  return `Mesa ${order.table}`;
+}
+
+// Combos reach the kitchen as one line per component, each with its own done toggle.
+function getKitchenLines(order) {
+  return order.items.flatMap((item, index) => {
+    const components = item.components || [];
+    if (!components.length) {
+      return [{ key: String(index), qty: item.qty, name: item.name, modifiers: item.modifiers || [], note: item.note }];
+    }
+    return components.map((component, position) => ({
+      key: `${index}:${position}`,
+      qty: item.qty,
+      name: component.name,
+      modifiers: [{ name: `${item.name} · ${component.groupName}` }, ...(position === 0 ? item.modifiers || [] : [])],
+      note: position === 0 ? item.note : ""
+    }));
+  });
+}
+
+function showLogin() {
+  loginView.classList.remove("hidden");
+  boardView.classList.add("hidden");
+  logoutBtn.classList.add("hidden");
+}
+
+function showBoard() {
+  loginView.classList.add("hidden");
+  boardView.classList.remove("hidden");
+  logoutBtn.classList.remove("hidden");
+}
+
+function renderTicket(order) {
+  const ticket = document.createElement("div");
+  ticket.className = "kds-ticket";
+  if (isLate(order)) ticket.classList.add("kds-late");
+  if (state.alertOrderIds.has(order.id)) ticket.classList.add("order-alert");
+  if (order.allergyAlert) ticket.classList.add("order-allergy");
+  const done = new Set(state.doneLines[order.id] || []);
+  const nextIndex = KDS_FLOW.indexOf(order.status) + 1;
+  const nextStatus = nextIndex > 0 && nextIndex < KDS_FLOW.length ? KDS_FLOW[nextIndex] : "";
+
+  ticket.innerHTML = `
+    <div class="kds-ticket-head">
+      <strong>${escapeHtml(describeTicketTarget(order))}</strong>
+      ${order.allergyAlert ? "<span class=\"allergy-badge\">Alergia</span>" : ""}
+      <span class="kds-timer" data-created-at="${escapeHtml(order.createdAt)}">${formatElapsed(order.createdAt)}</span>
+    </div>
+    <div class="kds-lines">
+      ${getKitchenLines(order)
+        .map(
+          (item) => `
+        <button class="kds-line ${done.has(item.key) ? "done" : ""}" type="button" data-line="${escapeHtml(item.key)}">
+          <span>${item.qty}x</span> ${escapeHtml(item.name)}
+          ${(item.modifiers || []).length ? `<small>${escapeHtml(item.modifiers.map((modifier) => modifier.name).join(", "))}</small>` : ""}
+          ${item.note ? `<em class="order-note">${escapeHtml(item.note)}</em>` : ""}
+        </button>`
+        )
+        .join("")}
+    </div>
+    ${order.note ? `<div class="order-note">Obs: ${escapeHtml(order.note)}</div>` : ""}
+    ${nextStatus ? `<button class="btn" type="button" data-bump="${nextStatus}">${KDS_NEXT_LABEL[order.status]}</button>` : ""}
+  `;
+
+  ticket.querySelectorAll("[data-line]").forEach((button) => {
+    button.addEventListener("click", () => toggleLine(order.id, button.dataset.line));
+  });
+  const bump = ticket.querySelector("[data-bump]");
+  if (bump) {
+    bump.addEventListener("click", () => bumpOrder(order, bump.dataset.bump, bump));
+  }
+  return ticket;
+}
+
+function renderBoard() {
+  columns.forEach((column) => {
+    const statuses = column.dataset.kdsStatus.split(",");
+    const list = column.querySelector("[data-kds-list]");
+    const count = column.querySelector("[data-kds-count]");
+    let orders = state.orders.filter((order) => statuses.includes(order.status));
+    if (statuses.includes("entregue")) {
+      orders = orders.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)).slice(0, KDS_DELIVERED_LIMIT);
+    } else {
+      orders = orders.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+    }
+    count.textContent = `${orders.length}`;
+    list.innerHTML = "";
+    if (!orders.length) {
+      list.innerHTML = "<div class=\"muted\">Nada por aqui.</div>";
+      return;
+    }
+    orders.forEach((order) => list.appendChild(renderTicket(order)));
+  });
+}
+
+function tickTimers() {
+  clockLabel.textContent = new Date().toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+  document.querySelectorAll(".kds-timer[data-created-at]").forEach((timer) => {
+    timer.textContent = formatElapsed(timer.dataset.createdAt);
+  });
+}
+
+async function bumpOrder(order, status, button) {
+  button.disabled = true;
+  try {
+    const data = await api(`/api/orders/${order.id}`, {
+      method: "PUT",
+      body: JSON.stringify({ status })
+    });
+    upsertOrder(data.order);
+    renderBoard();
+  } catch (err) {
+    button.disabled = false;
+    if (err.status === 401) logout();
+    if (err.status === 409) await loadOrders();
+  }
+}
+
+function upsertOrder(order) {
+  const index = state.orders.findIndex((entry) => entry.id === order.id);
+  if (index >= 0) state.orders[index] = order;
+  else state.orders.unshift(order);
+}
+
+function playAlert() {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    const ctx = new AudioCtx();
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.type = "square";
+    oscillator.frequency.value = 740;
+    gain.gain.setValueAtTime(0.15, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.8);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start();
+    oscillator.stop(ctx.currentTime + 0.8);
+    oscillator.onended = () => ctx.close();
+  } catch (err) {
+    // audio blocked until user interaction
+  }
+}
+
+function handleStreamEvent(type, data) {
+  const order = data && data.order;
+  if (!order || order.restaurantId !== state.restaurantId) return;
+  const isNew = !state.orders.some((entry) => entry.id === order.id);
+  upsertOrder(order);
+  if (type === "order.created" && isNew && order.status === "novo") {
+    state.alertOrderIds.add(order.id);
+    setTimeout(() => {
+      state.alertOrderIds.delete(order.id);
+      renderBoard();
+    }, 4000);
+    playAlert();
+  }
+  renderBoard();
+}
+
+async function loadOrders() {
+  const data = await api(`/api/restaurants/${state.restaurantId}/orders`);
+  state.orders = (data.orders || []).filter((order) => KDS_FLOW.includes(order.status));
+  saveDoneLines();
+  renderBoard();
+}
+
+function stopStream() {
+  if (state.stream) state.stream.controller.abort();
+  state.stream = null;
+  liveLabel.textContent = "";
+}
+
+async function startStream() {
+  stopStream();
+  const stream = { controller: new AbortController(), lastEventId: "", retryMs: 3000 };
+  state.stream = stream;
+  const decoder = new TextDecoder();
+  let resync = false;
+
+  while (state.stream === stream) {
+    try {
+      const headers = { Authorization: `Bearer ${state.token}` };
+      if (stream.lastEventId) headers["Last-Event-ID"] = stream.lastEventId;
+      const res = await fetch(`/api/restaurants/${state.restaurantId}/orders/stream`, {
+        headers,
+        signal: stream.controller.signal
+      });
+      if (res.status === 401) {
+        logout();
+        return;
+      }
+      if (!res.ok || !res.body) throw new Error("stream_failed");
+      liveLabel.textContent = "Ao vivo";
+      if (resync) await loadOrders();
+      resync = false;
+      const reader = res.body.getReader();
+      let buffer = "";
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary = buffer.indexOf("\n\n");
+        while (boundary >= 0) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf("\n\n");
+          let eventType = "message";
+          let dataText = "";
+          block.split("\n").forEach((line) => {
+            if (line.startsWith("event:")) eventType = line.slice(6).trim();
+            else if (line.startsWith("data:")) dataText += line.slice(5).trim();
+            else if (line.startsWith("id:")) stream.lastEventId = line.slice(3).trim();
+            else if (line.startsWith("retry:")) stream.retryMs = Number(line.slice(6).trim()) || stream.retryMs;
+          });
+          if (!dataText) continue;
+          try {
+            handleStreamEvent(eventType, JSON.parse(dataText));
+          } catch (err) {
+            // ignore malformed event
+          }
+        }
+      }
+    } catch (err) {
+      if (stream.controller.signal.aborted) return;
+    }
+    if (state.stream !== stream) return;
+    // The Worker also ends streams on a timer, so every reconnect reloads what changed in between.
+    resync = true;
+    liveLabel.textContent = "Reconectando...";
+    await new Promise((resolve) => setTimeout(resolve, stream.retryMs));
+  }
+}
+
+function resolveRestaurantId(user) {
+  if (user.role === "master") {
+    return new URLSearchParams(window.location.search).get("restaurant") || "";
+  }
+  return user.restaurantId || "";
+}
+
+async function openBoard() {
+  state.restaurantId = resolveRestaurantId(state.user);
+  if (!state.restaurantId) {
+    showLogin();
+    loginError.textContent = "Login sem restaurante vinculado.";
+    return;
+  }
+  showBoard();
+  await loadOrders();
+  startStream();
+}
+
+function logout() {
+  stopStream();
+  api("/api/logout", { method: "POST" }).catch(() => {});
+  state.token = null;
+  state.user = null;
+  localStorage.removeItem("menuz_token");
+  localStorage.removeItem("menuz_user");
+  showLogin();
+}
+
+loginForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  loginError.textContent = "";
+  try {
+    const data = await api("/api/login", {
+      method: "POST",
+      body: JSON.stringify({
+        email: document.getElementById("kds-email").value.trim(),
+        password: document.getElementById("kds-password").value.trim()
+      })
+    });
+    state.token = data.token;
+    state.user = data.user;
+    localStorage.setItem("menuz_token", state.token);
+    localStorage.setItem("menuz_user", JSON.stringify(state.user));
+    await openBoard();
+  } catch (err) {
+    loginError.textContent = "Login invalido.";
+  }
+});
+
+logoutBtn.addEventListener("click", logout);
+
+async function init() {
+  setInterval(tickTimers, 1000);
+  tickTimers();
+  if (!state.token) {
+    showLogin();
+    return;
+  }
+  try {
+    const data = await api("/api/me");
+    state.user = data.user;
+    localStorage.setItem("menuz_user", JSON.stringify(state.user));
+    await openBoard();
+  } catch (err) {
+    state.token = null;
+    localStorage.removeItem("menuz_token");
+    showLogin();
+  }
+}
+
+init();
@@ -43,10 +43,41 @@ const cartModal = document.getElementById("cart-modal");
 const cartClose = document.getElementById("cart-close");
 const cartItems = document.getElementById("cart-items");
 const cartTotal = document.getElementById("cart-total");
+const tipOptions = document.getElementById("tip-options");
+const orderTypesGroup = document.getElementById("order-types");
+const fulfillmentFields = document.getElementById("fulfillment-fields");
+const customerNameInput = document.getElementById("customer-name");
+const customerPhoneInput = document.getElementById("customer-phone");
+const pickupTimeRow = document.getElementById("pickup-time-row");
+const pickupTimeLabel = document.getElementById("pickup-time-label");
+const pickupTimeInput = document.getElementById("pickup-time");
+const pickupSlotSelect = document.getElementById("pickup-slot");
+const deliveryAddressInput = document.getElementById("delivery-address");
+const deliveryLocationRow = document.getElementById("delivery-location-row");
+const deliveryPostcodeInput = document.getElementById("delivery-postcode");
+const deliveryLocateButton = document.getElementById("delivery-locate");
+const couponRow = document.getElementById("coupon-row");
+const couponInput = document.getElementById("coupon-input");
+const couponApply = document.getElementById("coupon-apply");
 const tableInput = document.getElementById("table-input");
+const orderNoteInput = document.getElementById("order-note");
 const cartClear = document.getElementById("cart-clear");
 const cartSubmit = document.getElementById("cart-submit");
 const cartMessage = document.getElementById("cart-message");
+const serviceBar = document.getElementById("service-bar");
+const serviceMessage = document.getElementById("service-message");
+const callWaiterButton = document.getElementById("call-waiter");
+const requestBillButton = document.getElementById("request-bill");
+const tabButton = document.getElementById("tab-button");
+const tabSummary = document.getElementById("tab-summary");
+const paymentPanel = document.getElementById("payment-panel");
+const optionsModal = document.getElementById("options-modal");
+const optionsForm = document.getElementById("options-form");
+const optionsTitle = document.getElementById("options-title");
+const optionsClose = document.getElementById("options-close");
+const optionsGroups = document.getElementById("options-groups");
+const optionsTotal = document.getElementById("options-total");
+const optionsMessage = document.getElementById("options-message");
 const backTopButton = document.getElementById("back-top");
 const srLive = document.getElementById("sr-live");
 const canonicalLink = document.getElementById("canonical-link");
@@ -80,6 +111,8 @@ const reservationPhoneInput = document.getElementById("reservation-phone");
 const reservationGuestsInput = document.getElementById("reservation-guests");
 const reservationDateInput = document.getElementById("reservation-date");
 const reservationTimeInput = document.getElementById("reservation-time");
+const reservationAreaSelect = document.getElementById("reservation-area");
+const reservationSlotSelect = document.getElementById("reservation-slot");
 const reservationStatus = document.getElementById("reservation-status");
 const leadForm = document.getElementById("lead-form");
 const leadNameInput = document.getElementById("lead-name");
@@ -92,12 +125,15 @@ const waitlistPhoneInput = document.getElementById("waitlist-phone");
 const waitlistGuestsInput = document.getElementById("waitlist-guests");
 const waitlistEtaInput = document.getElementById("waitlist-eta");
 const waitlistStatus = document.getElementById("waitlist-status");
+const waitlistTicket = document.getElementById("waitlist-ticket");
 const feedbackForm = document.getElementById("feedback-form");
 const feedbackNameInput = document.getElementById("feedback-name");
 const feedbackEmailInput = document.getElementById("feedback-email");
 const feedbackRatingInput = document.getElementById("feedback-rating");
 const feedbackCommentInput = document.getElementById("feedback-comment");
 const feedbackStatus = document.getElementById("feedback-status");
+const feedbackNpsSelect = document.getElementById("feedback-nps");
+const feedbackItemsBox = document.getElementById("feedback-items");
 
 const LANGUAGES = [
   { code: "pt-BR", tag: "PT", label: "Português do Brasil", subtitle: "Padrão do restaurante" },
@@ -133,6 +169,34 @@ const MESSAGES = {
     msgOk: "Pedido enviado com sucesso.",
     msgConnection: "Erro de conexao ao enviar pedido.",
     msgCleared: "Pedido limpo.",
+    tabTitle: "Conta da mesa",
+    splitBill: "Dividir a conta",
+    payCard: "Pagar com cartao",
+    payPix: "Pagar com Pix",
+    subtotal: "Subtotal",
+    tip: "Gorjeta",
+    noTip: "Sem gorjeta",
+    discount: "Desconto",
+    couponPlaceholder: "Cupom de desconto",
+    applyCoupon: "Aplicar",
+    couponInvalid: "Cupom invalido ou expirado.",
+    orderTypeDineIn: "Mesa",
+    orderTypePickup: "Retirada",
+    orderTypeDelivery: "Entrega",
+    deliveryFee: "Taxa de entrega",
+    namePlaceholder: "Seu nome",
+    phonePlaceholder: "Telefone com DDD",
+    addressPlaceholder: "Endereco com numero e complemento",
+    postcodePlaceholder: "CEP",
+    useLocation: "Usar minha localizacao",
+    pickupTime: "Horario de retirada (vazio = assim que ficar pronto)",
+    pickupSlot: "Horario de retirada",
+    noPickupSlots: "Sem horarios livres para retirada",
+    callWaiter: "Chamar garcom",
+    requestBill: "Pedir a conta",
+    msgWaiterCalled: "Garcom chamado. Ja vamos ate a sua mesa.",
+    msgBillRequested: "Conta solicitada. Ja levamos ate a sua mesa.",
+    askTable: "Qual o numero da sua mesa?",
     language: "Idioma"
   },
   "en-US": {
@@ -159,6 +223,34 @@ const MESSAGES = {
     msgOk: "Order sent successfully.",
     msgConnection: "Connection error while sending order.",
     msgCleared: "Order cleared.",
+    tabTitle: "Table bill",
+    splitBill: "Split the bill",
+    payCard: "Pay by card",
+    payPix: "Pay with Pix",
+    subtotal: "Subtotal",
+    tip: "Tip",
+    noTip: "No tip",
+    discount: "Discount",
+    couponPlaceholder: "Discount code",
+    applyCoupon: "Apply",
+    couponInvalid: "Invalid or expired code.",
+    orderTypeDineIn: "Table",
+    orderTypePickup: "Pickup",
+    orderTypeDelivery: "Delivery",
+    deliveryFee: "Delivery fee",
+    namePlaceholder: "Your name",
+    phonePlaceholder: "Phone number",
+    addressPlaceholder: "Street address, number and unit",
+    postcodePlaceholder: "Postcode",
+    useLocation: "Use my location",
+    pickupTime: "Pickup time (empty = as soon as ready)",
+    pickupSlot: "Pickup time",
+    noPickupSlots: "No pickup times available",
+    callWaiter: "Call waiter",
+    requestBill: "Request bill",
+    msgWaiterCalled: "Waiter called. We are on our way.",
+    msgBillRequested: "Bill requested. We will bring it to your table.",
+    askTable: "What is your table number?",
     language: "Language"
   },
   "es-ES": {
@@ -185,6 +277,34 @@ const MESSAGES = {
     msgOk: "Pedido enviado correctamente.",
     msgConnection: "Error de conexion al enviar.",
     msgCleared: "Pedido limpiado.",
+    tabTitle: "Cuenta de la mesa",
+    splitBill: "Dividir la cuenta",
+    payCard: "Pagar con tarjeta",
+    payPix: "Pagar con Pix",
+    subtotal: "Subtotal",
+    tip: "Propina",
+    noTip: "Sin propina",
+    discount: "Descuento",
+    couponPlaceholder: "Cupón de descuento",
+    applyCoupon: "Aplicar",
+    couponInvalid: "Cupón inválido o vencido.",
+    orderTypeDineIn: "Mesa",
+    orderTypePickup: "Retiro",
+    orderTypeDelivery: "Entrega",
+    deliveryFee: "Costo de envío",
+    namePlaceholder: "Tu nombre",
+    phonePlaceholder: "Teléfono",
+    addressPlaceholder: "Dirección con número y piso",
+    postcodePlaceholder: "Código postal",
+    useLocation: "Usar mi ubicación",
+    pickupTime: "Hora de retiro (vacío = apenas esté listo)",
+    pickupSlot: "Hora de retiro",
+    noPickupSlots: "No hay horarios de retiro disponibles",
+    callWaiter: "Llamar al camarero",
+    requestBill: "Pedir la cuenta",
+    msgWaiterCalled: "Camarero llamado. Ya vamos a su mesa.",
+    msgBillRequested: "Cuenta solicitada. La llevamos a su mesa.",
+    askTable: "¿Cuál es el número de su mesa?",
     language: "Idioma"
   },
   "fr-FR": {
@@ -211,6 +331,34 @@ const MESSAGES = {
     msgOk: "Commande envoyée avec succès.",
     msgConnection: "Erreur de connexion lors de l'envoi.",
     msgCleared: "Commande vidée.",
+    tabTitle: "Addition de la table",
+    splitBill: "Partager l'addition",
+    payCard: "Payer par carte",
+    payPix: "Payer avec Pix",
+    subtotal: "Sous-total",
+    tip: "Pourboire",
+    noTip: "Sans pourboire",
+    discount: "Remise",
+    couponPlaceholder: "Code promo",
+    applyCoupon: "Appliquer",
+    couponInvalid: "Code invalide ou expiré.",
+    orderTypeDineIn: "Table",
+    orderTypePickup: "À emporter",
+    orderTypeDelivery: "Livraison",
+    deliveryFee: "Frais de livraison",
+    namePlaceholder: "Votre nom",
+    phonePlaceholder: "Téléphone",
+    addressPlaceholder: "Adresse avec numéro et complément",
+    postcodePlaceholder: "Code postal",
+    useLocation: "Utiliser ma position",
+    pickupTime: "Heure de retrait (vide = dès que prêt)",
+    pickupSlot: "Heure de retrait",
+    noPickupSlots: "Aucun créneau de retrait disponible",
+    callWaiter: "Appeler le serveur",
+    requestBill: "Demander l'addition",
+    msgWaiterCalled: "Serveur appelé. Nous arrivons.",
+    msgBillRequested: "Addition demandée. Nous l'apportons à votre table.",
+    askTable: "Quel est le numéro de votre table ?",
     language: "Langue"
   },
   "it-IT": {
@@ -237,6 +385,34 @@ const MESSAGES = {
     msgOk: "Ordine inviato con successo.",
     msgConnection: "Errore di connessione durante l'invio.",
     msgCleared: "Ordine pulito.",
+    tabTitle: "Conto del tavolo",
+    splitBill: "Dividi il conto",
+    payCard: "Paga con carta",
+    payPix: "Paga con Pix",
+    subtotal: "Subtotale",
+    tip: "Mancia",
+    noTip: "Senza mancia",
+    discount: "Sconto",
+    couponPlaceholder: "Codice sconto",
+    applyCoupon: "Applica",
+    couponInvalid: "Codice non valido o scaduto.",
+    orderTypeDineIn: "Tavolo",
+    orderTypePickup: "Asporto",
+    orderTypeDelivery: "Consegna",
+    deliveryFee: "Costo di consegna",
+    namePlaceholder: "Il tuo nome",
+    phonePlaceholder: "Telefono",
+    addressPlaceholder: "Indirizzo con numero civico e interno",
+    postcodePlaceholder: "CAP",
+    useLocation: "Usa la mia posizione",
+    pickupTime: "Orario di ritiro (vuoto = appena pronto)",
+    pickupSlot: "Orario di ritiro",
+    noPickupSlots: "Nessun orario di ritiro disponibile",
+    callWaiter: "Chiama il cameriere",
+    requestBill: "Chiedi il conto",
+    msgWaiterCalled: "Cameriere chiamato. Arriviamo subito.",
+    msgBillRequested: "Conto richiesto. Lo portiamo al tavolo.",
+    askTable: "Qual è il numero del tuo tavolo?",
     language: "Lingua"
   },
   "de-DE": {
@@ -263,6 +439,34 @@ const MESSAGES = {
     msgOk: "Bestellung erfolgreich gesendet.",
     msgConnection: "Verbindungsfehler beim Senden.",
     msgCleared: "Bestellung geleert.",
+    tabTitle: "Tischrechnung",
+    splitBill: "Rechnung teilen",
+    payCard: "Mit Karte zahlen",
+    payPix: "Mit Pix zahlen",
+    subtotal: "Zwischensumme",
+    tip: "Trinkgeld",
+    noTip: "Kein Trinkgeld",
+    discount: "Rabatt",
+    couponPlaceholder: "Gutscheincode",
+    applyCoupon: "Einlösen",
+    couponInvalid: "Ungültiger oder abgelaufener Code.",
+    orderTypeDineIn: "Tisch",
+    orderTypePickup: "Abholung",
+    orderTypeDelivery: "Lieferung",
+    deliveryFee: "Liefergebühr",
+    namePlaceholder: "Dein Name",
+    phonePlaceholder: "Telefonnummer",
+    addressPlaceholder: "Adresse mit Hausnummer",
+    postcodePlaceholder: "Postleitzahl",
+    useLocation: "Meinen Standort verwenden",
+    pickupTime: "Abholzeit (leer = sobald fertig)",
+    pickupSlot: "Abholzeit",
+    noPickupSlots: "Keine freien Abholzeiten",
+    callWaiter: "Kellner rufen",
+    requestBill: "Rechnung anfordern",
+    msgWaiterCalled: "Kellner gerufen. Wir kommen gleich.",
+    msgBillRequested: "Rechnung angefordert. Wir bringen sie an den Tisch.",
+    askTable: "Wie lautet Ihre Tischnummer?",
     language: "Sprache"
   }
 };
@@ -350,15 +554,20 @@ function saveTranslationCache(cache) {
 
 const cartKey = slug ? `menuz_cart_${slug}` : "menuz_cart_template";
 const tableKey = slug ? `menuz_table_${slug}` : "menuz_table_template";
+const tabKey = slug ? `menuz_tab_${slug}` : "menuz_tab_template";
 const categoryKey = slug ? `menuz_category_${slug}` : "menuz_category_template";
 const searchTermKey = slug ? `menuz_search_${slug}` : "menuz_search_template";
 const favoritesKey = slug ? `menuz_favorites_${slug}` : "menuz_favorites_template";
 const densityKey = slug ? `menuz_density_${slug}` : "menuz_density_template";
 const guestProfileKey = slug ? `menuz_guest_${slug}` : "menuz_guest_template";
+const waitlistKey = slug ? `menuz_waitlist_${slug}` : "menuz_waitlist_template";
+const lastOrderKey = slug ? `menuz_last_order_${slug}` : "menuz_last_order_template";
 const techModeKey = slug ? `menuz_tech_mode_${slug}` : "menuz_tech_mode_template";
 let searchDebounceTimer = null;
 let lastFocusedElement = null;
 const TABLE_PATTERN = /^[a-zA-Z0-9\-_.#]{1,32}$/;
+const TABLE_TOKEN_PATTERN = /^t-[a-zA-Z0-9-]{4,60}\.[A-Za-z0-9_-]{22}$/;
+const tableTokenFromUrl = TABLE_TOKEN_PATTERN.test(tableFromUrl) ? tableFromUrl : "";
 
 const state = {
   restaurant: null,
@@ -368,6 +577,21 @@ const state = {
   baseCategories: [],
   integrations: {},
   cart: [],
+  tableToken: "",
+  tab: null,
+  paymentMethods: [],
+  tipPercent: 0,
+  promotions: [],
+  acceptsCoupons: false,
+  couponCode: "",
+  orderType: "dine_in",
+  deliveryLocation: null,
+  pickupSlots: null,
+  cartQuoteSeq: 0,
+  paymentPoll: null,
+  waitlistToken: "",
+  waitlistPoll: null,
+  optionsItem: null,
   selectedCategory: (() => {
     try {
       return localStorage.getItem(categoryKey) || "all";
@@ -811,6 +1035,9 @@ function applyLanguageTexts() {
   const summaryLabel = document.querySelector(".cart-head h2");
   if (summaryLabel) summaryLabel.textContent = t("orderSummary");
   if (cartClear) cartClear.textContent = t("clear");
+  if (callWaiterButton) callWaiterButton.textContent = t("callWaiter");
+  if (requestBillButton) requestBillButton.textContent = t("requestBill");
+  renderTableTab();
   if (cartSubmit) {
     const isSending = cartSubmit.dataset.sending === "1";
     cartSubmit.textContent = isSending ? t("sending") : t("submit");
@@ -823,6 +1050,14 @@ function applyLanguageTexts() {
     favoritesToggle.classList.toggle("active", state.showFavoritesOnly);
   }
   tableInput.placeholder = t("tablePlaceholder");
+  if (couponInput) couponInput.placeholder = t("couponPlaceholder");
+  if (couponApply) couponApply.textContent = t("applyCoupon");
+  if (customerNameInput) customerNameInput.placeholder = t("namePlaceholder");
+  if (customerPhoneInput) customerPhoneInput.placeholder = t("phonePlaceholder");
+  if (pickupTimeLabel) pickupTimeLabel.textContent = t(usesPickupSlots() ? "pickupSlot" : "pickupTime");
+  if (deliveryAddressInput) deliveryAddressInput.placeholder = t("addressPlaceholder");
+  if (deliveryPostcodeInput) deliveryPostcodeInput.placeholder = t("postcodePlaceholder");
+  if (deliveryLocateButton) deliveryLocateButton.textContent = t("useLocation");
   if (reservationNameInput) reservationNameInput.placeholder = "Nome";
   if (reservationPhoneInput) reservationPhoneInput.placeholder = "Telefone";
   if (reservationGuestsInput) reservationGuestsInput.placeholder = "Pessoas";
@@ -1396,7 +1631,451 @@ function closeLanguageModal() {
 
 function getTableValue() {
   const savedTable = (localStorage.getItem(tableKey) || "").trim();
-  return tableFromUrl || savedTable || "";
+  return (tableTokenFromUrl ? "" : tableFromUrl) || savedTable || "";
+}
+
+async function resolveTableToken() {
+  if (!tableTokenFromUrl || !slug) return;
+  try {
+    const res = await fetch(
+      `/api/public/restaurant/${encodeURIComponent(slug)}/tables/${encodeURIComponent(tableTokenFromUrl)}`
+    );
+    if (!res.ok) throw new Error("invalid_table");
+    const data = await res.json();
+    state.tableToken = tableTokenFromUrl;
+    localStorage.setItem(tableKey, data.table.label);
+    tableInput.value = data.table.label;
+    tableInput.readOnly = true;
+  } catch (err) {
+    state.tableToken = "";
+    tableInput.readOnly = false;
+  }
+}
+
+let serviceMessageTimer = null;
+
+const TAB_ORDER_STATUS_LABELS = {
+  novo: "Recebido",
+  aceito: "Aceito",
+  em_preparo: "Em preparo",
+  pronto: "Pronto",
+  entregue: "Entregue",
+  cancelado: "Cancelado",
+  recusado: "Recusado"
+};
+
+function renderTableTab() {
+  const tab = state.tab && state.tab.status === "open" ? state.tab : null;
+  if (tabButton) {
+    tabButton.classList.toggle("hidden", !tab);
+    if (tab) tabButton.textContent = `${t("tabTitle")}: R$ ${formatPrice(tab.total)}`;
+  }
+  if (!tabSummary) return;
+  tabSummary.classList.toggle("hidden", !tab);
+  if (!tab) {
+    tabSummary.innerHTML = "";
+    return;
+  }
+  const rows = tab.orders
+    .map(
+      (order, index) => `
+        <li>
+          <span>#${index + 1} · ${escapeHtml(TAB_ORDER_STATUS_LABELS[order.status] || order.status)}</span>
+          <span>${escapeHtml(order.items.map((item) => `${item.qty}x ${item.name}`).join(", "))}</span>
+          <strong>R$ ${formatPrice(order.total)}</strong>
+        </li>`
+    )
+    .join("");
+  tabSummary.innerHTML = `
+    <p class="brand small">${escapeHtml(t("tabTitle"))} ${escapeHtml(tab.table)}</p>
+    <ul>${rows}</ul>
+    ${tab.discount ? `<p class="tab-total">${escapeHtml(t("discount"))}: - R$ ${formatPrice(tab.discount)}</p>` : ""}
+    ${tab.serviceCharge ? `<p class="tab-total">${escapeHtml(getCharges().serviceChargeLabel)}: R$ ${formatPrice(tab.serviceCharge)}</p>` : ""}
+    ${tab.tip ? `<p class="tab-total">${escapeHtml(t("tip"))}: R$ ${formatPrice(tab.tip)}</p>` : ""}
+    <p class="tab-total">${escapeHtml(t("total"))}: R$ ${formatPrice(tab.total)}</p>
+    ${renderSplitShares(tab)}
+    ${hasDirectPix() && !tab.settled ? `<button type="button" class="btn btn-outline" data-tab-pix>${escapeHtml(t("payPix"))}</button>` : ""}
+    <div data-tab-pix-box></div>
+    ${state.tableToken ? renderSplitCalculator(tab) : ""}
+  `;
+  bindSplitCalculator(tab);
+  bindTabPix(tab);
+}
+
+// Guests split the bill only from their table QR; otherwise the staff does it from the admin.
+function renderSplitCalculator(tab) {
+  return `
+    <details class="tab-split">
+      <summary>${escapeHtml(t("splitBill"))}</summary>
+      <div class="row">
+        <select data-split-mode>
+          <option value="equal">Partes iguais</option>
+          <option value="items">Por item</option>
+          <option value="custom">Valores livres</option>
+        </select>
+        <input data-split-people type="number" min="2" max="30" value="${tab.split ? Math.max(2, tab.split.shares.length) : 2}" aria-label="Pessoas" />
+      </div>
+      <div data-split-items class="hidden"></div>
+      <textarea data-split-custom class="hidden" rows="3" placeholder="Um por linha: Nome; valor (ex: Ana; 52.50)"></textarea>
+      <button type="button" data-split-save>Salvar divisao</button>
+      <p data-split-message role="status"></p>
+    </details>
+  `;
+}
+
+function bindTabPix(tab) {
+  const box = tabSummary.querySelector("[data-tab-pix-box]");
+  tabSummary.querySelectorAll("[data-tab-pix], [data-share-pix]").forEach((button) => {
+    button.addEventListener("click", () => {
+      const query = button.dataset.sharePix ? `?shareId=${encodeURIComponent(button.dataset.sharePix)}` : "";
+      loadPixCode(`/api/public/tabs/${encodeURIComponent(tab.id)}/pix${query}`, box);
+    });
+  });
+}
+
+function renderSplitShares(tab) {
+  if (!tab.split) return "";
+  const shares = tab.split.shares
+    .map(
+      (share) => `
+        <li>
+          <span>
+            ${escapeHtml(share.label)} · ${share.status === "paid" ? "Pago" : "Pendente"}
+            ${hasDirectPix() && share.status !== "paid" ? `<button type="button" class="share-pix-btn" data-share-pix="${escapeHtml(share.id)}">Pix</button>` : ""}
+          </span>
+          <span>${escapeHtml(share.items.map((item) => `${item.qty}x ${item.name}`).join(", "))}</span>
+          <strong>R$ ${formatPrice(share.amount)}</strong>
+        </li>`
+    )
+    .join("");
+  const notice = tab.splitStale ? "<p>A conta mudou depois da divisao. Refaca a divisao.</p>" : "";
+  const settled = tab.settled ? "<p class=\"tab-total\">Conta quitada.</p>" : "";
+  return `<div class="tab-shares"><p class="brand small">Divisao</p>${notice}<ul>${shares}</ul>${settled}</div>`;
+}
+
+function renderSplitItemPickers(container, lines, people) {
+  const options = Array.from({ length: people }, (_, index) => `<option value="${index}">Pessoa ${index + 1}</option>`).join("");
+  container.innerHTML = lines
+    .map((line) =>
+      Array.from(
+        { length: Math.ceil(line.qty) },
+        (_, unit) => `
+          <label class="row">
+            <span>${escapeHtml(line.name)} · R$ ${formatPrice(line.price)}</span>
+            <select data-line-key="${escapeHtml(line.key)}" data-unit-qty="${Math.min(1, line.qty - unit)}">${options}</select>
+          </label>`
+      ).join("")
+    )
+    .join("");
+}
+
+function readSplitPayload(root) {
+  const mode = root.querySelector("[data-split-mode]").value;
+  const people = Math.max(2, Math.min(30, Number(root.querySelector("[data-split-people]").value) || 2));
+  if (mode === "equal") return { mode, people };
+  if (mode === "custom") {
+    const shares = root
+      .querySelector("[data-split-custom]")
+      .value.split(/\n+/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [label, amount] = line.split(";").map((part) => part.trim());
+        return { label, amount: Number((amount || "").replace(",", ".")) };
+      });
+    return { mode, shares };
+  }
+  const shares = Array.from({ length: people }, (_, index) => ({ label: `Pessoa ${index + 1}`, items: [] }));
+  root.querySelectorAll("select[data-line-key]").forEach((select) => {
+    const share = shares[Number(select.value)];
+    const qty = Number(select.dataset.unitQty) || 1;
+    const existing = share.items.find((entry) => entry.key === select.dataset.lineKey);
+    if (existing) existing.qty += qty;
+    else share.items.push({ key: select.dataset.lineKey, qty });
+  });
+  return { mode, shares: shares.filter((share) => share.items.length) };
+}
+
+const SPLIT_ERROR_MESSAGES = {
+  split_total_mismatch: "A soma dos valores precisa ser igual ao total da conta.",
+  split_items_unassigned: "Distribua todos os itens entre as pessoas.",
+  split_locked: "Ja existem partes pagas. Peca ajuda a equipe para refazer a divisao.",
+  table_token_required: "Leia o QR code da mesa para dividir a conta.",
+  split_nothing_to_pay: "Nada a dividir nesta conta.",
+  invalid_split_amount: "Use apenas valores maiores que zero.",
+  invalid_split_people: "Informe entre 2 e 30 pessoas."
+};
+
+function bindSplitCalculator(tab) {
+  const root = tabSummary.querySelector(".tab-split");
+  if (!root) return;
+  const modeSelect = root.querySelector("[data-split-mode]");
+  const peopleInput = root.querySelector("[data-split-people]");
+  const itemsBox = root.querySelector("[data-split-items]");
+  const customInput = root.querySelector("[data-split-custom]");
+  const message = root.querySelector("[data-split-message]");
+  const sync = () => {
+    const mode = modeSelect.value;
+    peopleInput.classList.toggle("hidden", mode === "custom");
+    customInput.classList.toggle("hidden", mode !== "custom");
+    itemsBox.classList.toggle("hidden", mode !== "items");
+    if (mode === "items") {
+      renderSplitItemPickers(itemsBox, tab.lines || [], Math.max(2, Math.min(30, Number(peopleInput.value) || 2)));
+    }
+  };
+  if (tab.split) modeSelect.value = tab.split.mode;
+  sync();
+  modeSelect.addEventListener("change", sync);
+  peopleInput.addEventListener("change", sync);
+  root.querySelector("[data-split-save]").addEventListener("click", async () => {
+    message.textContent = "";
+    try {
+      const res = await fetch(`/api/public/tabs/${encodeURIComponent(tab.id)}/split`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...readSplitPayload(root), tableToken: state.tableToken })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        message.textContent = SPLIT_ERROR_MESSAGES[data.error] || "Nao foi possivel dividir a conta.";
+        announce(message.textContent);
+        return;
+      }
+      setTableTab(data.tab);
+      announce("Divisao salva.");
+    } catch (err) {
+      message.textContent = t("msgConnection");
+    }
+  });
+}
+
+function setTableTab(tab) {
+  state.tab = tab && tab.status === "open" ? tab : null;
+  if (state.tab) localStorage.setItem(tabKey, state.tab.id);
+  else localStorage.removeItem(tabKey);
+  renderTableTab();
+}
+
+async function loadTableTab() {
+  const tabId = (localStorage.getItem(tabKey) || "").trim();
+  if (!tabId) return;
+  try {
+    const res = await fetch(`/api/public/tabs/${encodeURIComponent(tabId)}`);
+    if (res.status === 404) {
+      setTableTab(null);
+      return;
+    }
+    if (!res.ok) return;
+    const data = await res.json();
+    setTableTab(data.tab);
+  } catch (err) {
+    // keep the last known tab while offline
+  }
+}
+
+const PAYMENT_STATUS_MESSAGES = {
+  pago: "Pagamento confirmado. Obrigado!",
+  falhou: "Pagamento nao aprovado. Tente novamente ou chame o garcom.",
+  expirado: "Pagamento expirado. Gere um novo pagamento."
+};
+
+function hasDirectPix() {
+  return Boolean(state.integrations.payments && state.integrations.payments.pixKey);
+}
+
+// A restaurant Pix key takes over the provider Pix charge: no fees, staff confirm the transfer.
+function getOnlinePaymentMethods() {
+  return state.paymentMethods.filter((method) => !(method === "pix" && hasDirectPix()));
+}
+
+function renderPaymentPanel(order) {
+  if (!paymentPanel) return;
+  clearTimeout(state.paymentPoll);
+  const methods = getOnlinePaymentMethods();
+  const visible = Boolean(order) && (methods.length > 0 || hasDirectPix());
+  paymentPanel.classList.toggle("hidden", !visible);
+  if (!visible) {
+    paymentPanel.innerHTML = "";
+    return;
+  }
+  paymentPanel.innerHTML = `
+    <p class="brand small">R$ ${formatPrice(order.total)}</p>
+    <div class="row">
+      ${methods.includes("checkout") ? `<button type="button" data-pay="checkout">${escapeHtml(t("payCard"))}</button>` : ""}
+      ${methods.includes("pix") ? `<button type="button" class="btn btn-outline" data-pay="pix">${escapeHtml(t("payPix"))}</button>` : ""}
+    </div>
+    <div data-pay-pix></div>
+    <p data-pay-message role="status"></p>
+  `;
+  paymentPanel.querySelectorAll("[data-pay]").forEach((button) => {
+    button.addEventListener("click", () => startOrderPayment(order.id, button.dataset.pay, button));
+  });
+  if (hasDirectPix()) {
+    loadPixCode(`/api/public/orders/${encodeURIComponent(order.id)}/pix`, paymentPanel.querySelector("[data-pay-pix]"));
+  }
+}
+
+function renderPixBox(box, code, qrSvg = "") {
+  box.innerHTML = `
+    ${qrSvg ? `<img class="pix-qr" alt="QR Code Pix" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrSvg)}" />` : ""}
+    <textarea readonly rows="3" aria-label="Pix copia e cola">${escapeHtml(code)}</textarea>
+    <button type="button" class="btn btn-outline" data-pix-copy>Copiar codigo Pix</button>
+  `;
+  box.querySelector("[data-pix-copy]").addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      announce("Codigo Pix copiado.");
+    } catch (err) {
+      box.querySelector("textarea").select();
+    }
+  });
+}
+
+async function loadPixCode(endpoint, box) {
+  if (!box) return;
+  try {
+    const res = await fetch(endpoint);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      box.textContent = data.error === "order_already_paid" ? PAYMENT_STATUS_MESSAGES.pago : "Pix indisponivel no momento.";
+      return;
+    }
+    renderPixBox(box, data.pix.payload, data.pix.qrSvg);
+  } catch (err) {
+    box.textContent = t("msgConnection");
+  }
+}
+
+async function startOrderPayment(orderId, method, button) {
+  const message = paymentPanel.querySelector("[data-pay-message]");
+  message.textContent = "";
+  button.disabled = true;
+  try {
+    const res = await fetch(`/api/public/orders/${encodeURIComponent(orderId)}/payments`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ method })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      message.textContent =
+        data.error === "order_already_paid" ? PAYMENT_STATUS_MESSAGES.pago : "Nao foi possivel iniciar o pagamento.";
+      announce(message.textContent);
+      return;
+    }
+    trackPublicEvent("checkout_start", { table: getTableValue(), meta: { method } });
+    if (data.payment.method === "checkout" && data.payment.checkoutUrl) {
+      window.location.href = data.payment.checkoutUrl;
+      return;
+    }
+    showPixPayment(data.payment);
+  } catch (err) {
+    message.textContent = t("msgConnection");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function showPixPayment(payment) {
+  renderPixBox(paymentPanel.querySelector("[data-pay-pix]"), payment.pixCode);
+  pollPayment(payment.id);
+}
+
+async function pollPayment(paymentId) {
+  clearTimeout(state.paymentPoll);
+  try {
+    const res = await fetch(`/api/public/payments/${encodeURIComponent(paymentId)}`);
+    const data = res.ok ? await res.json() : null;
+    const status = data && data.payment ? data.payment.status : "pendente";
+    if (status !== "pendente") {
+      const message = paymentPanel.querySelector("[data-pay-message]");
+      if (message) message.textContent = PAYMENT_STATUS_MESSAGES[status] || "";
+      announce(PAYMENT_STATUS_MESSAGES[status] || "");
+      if (status === "pago") paymentPanel.querySelector("[data-pay-pix]").innerHTML = "";
+      return;
+    }
+  } catch (err) {
+    // retry on the next tick
+  }
+  state.paymentPoll = setTimeout(() => pollPayment(paymentId), 4000);
+}
+
+async function checkReturnedPayment() {
+  const paymentId = (params.get("pagamento") || "").trim();
+  if (!paymentId) return;
+  params.delete("pagamento");
+  const query = params.toString();
+  window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+  try {
+    const res = await fetch(`/api/public/payments/${encodeURIComponent(paymentId)}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    showServiceMessage(PAYMENT_STATUS_MESSAGES[data.payment.status] || "Pagamento em processamento.");
+  } catch (err) {
+    // the staff panel still shows the payment status
+  }
+}
+
+function showServiceMessage(message) {
+  if (!serviceMessage) return;
+  serviceMessage.textContent = message;
+  announce(message);
+  clearTimeout(serviceMessageTimer);
+  serviceMessageTimer = setTimeout(() => {
+    serviceMessage.textContent = "";
+  }, 6000);
+}
+
+async function sendServiceRequest(type, button) {
+  let tableValue = (tableInput.value || getTableValue()).trim();
+  if (!tableValue && !state.tableToken) {
+    tableValue = (window.prompt(t("askTable")) || "").trim();
+    if (!tableValue) return;
+  }
+  if (!state.tableToken && !TABLE_PATTERN.test(tableValue)) {
+    showServiceMessage("Mesa invalida. Use apenas letras, numeros, -, _, . e #.");
+    return;
+  }
+
+  try {
+    button.disabled = true;
+    const res = await fetch("/api/public/service-requests", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        restaurantSlug: slug,
+        type,
+        table: tableValue,
+        ...(state.tableToken ? { tableToken: state.tableToken } : {})
+      })
+    });
+    if (!res.ok) {
+      if (res.status === 429) {
+        showServiceMessage("Muitos chamados em pouco tempo. Aguarde um pouco.");
+        return;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (data.error === "invalid_table" || data.error === "table_required") {
+        showServiceMessage("Mesa nao encontrada. Confira o numero ou leia o QR da mesa novamente.");
+        return;
+      }
+      if (data.error === "table_token_required") {
+        showServiceMessage("Leia o QR code da mesa para chamar a equipe.");
+        return;
+      }
+      showServiceMessage("Nao foi possivel chamar a equipe.");
+      return;
+    }
+    if (!state.tableToken) {
+      localStorage.setItem(tableKey, tableValue);
+      tableInput.value = tableValue;
+    }
+    showServiceMessage(type === "bill" ? t("msgBillRequested") : t("msgWaiterCalled"));
+  } catch (err) {
+    showServiceMessage("Erro de conexao ao chamar a equipe.");
+  } finally {
+    button.disabled = false;
+  }
 }
 
 function getSavedSearchTerm() {
@@ -1773,7 +2452,7 @@ function updateFormsVisibility() {
   const features = integrations.features || {};
   const showReservation = Boolean(features.showReservationForm);
   const showLead = Boolean(features.showLeadForm);
-  const showWaitlist = Boolean(features.showWaitlistForm);
+  const showWaitlist = Boolean(features.showWaitlistForm || state.waitlistToken);
   const showFeedback = Boolean(features.showFeedbackForm);
   if (reservationForm) {
     reservationForm.classList.toggle("hidden", !showReservation);
@@ -1823,13 +2502,56 @@ function saveCart() {
   updateCartButton();
 }
 
+function getCartLineKey(itemId, optionIds, components) {
+  const picks = (components || []).map((component) => `${component.groupId}=${component.itemId}`);
+  return `${itemId}:${[...(optionIds || [])].sort().join(",")}:${picks.sort().join(",")}`;
+}
+
+function isComboItem(item) {
+  return Boolean(item && Array.isArray(item.comboGroups) && item.comboGroups.length);
+}
+
+function describeComboComponents(item, components) {
+  if (!isComboItem(item)) return [];
+  const picks = components || [];
+  return item.comboGroups
+    .map((group) => {
+      const pick = picks.find((entry) => entry.groupId === group.id);
+      const component = pick && state.items.find((menuItem) => menuItem.id === pick.itemId);
+      return component ? { groupId: group.id, itemId: component.id, name: component.name } : null;
+    })
+    .filter(Boolean);
+}
+
+function describeItemOptions(item, optionIds) {
+  const selected = new Set(optionIds || []);
+  const modifiers = [];
+  let price = Number(item.price) || 0;
+  (item.optionGroups || []).forEach((group) => {
+    group.options.forEach((option) => {
+      if (!selected.has(option.id)) return;
+      modifiers.push(option);
+      price += Number(option.priceDelta) || 0;
+    });
+  });
+  return { modifiers, price: Math.max(0, price) };
+}
+
 function getDetailedCart() {
   return state.cart
     .map((entry) => {
       const item = state.items.find((menuItem) => menuItem.id === entry.id);
       if (!item) return null;
+      const options = describeItemOptions(item, entry.optionIds);
+      const components = describeComboComponents(item, entry.components);
       return {
         ...item,
+        key: getCartLineKey(entry.id, entry.optionIds, entry.components),
+        optionIds: options.modifiers.map((option) => option.id),
+        modifiers: [...components, ...options.modifiers],
+        components,
+        note: typeof entry.note === "string" ? entry.note : "",
+        price: options.price,
         qty: Math.max(1, Number(entry.qty) || 1)
       };
     })
@@ -1850,23 +2572,143 @@ function updateCartButton() {
 }
 
 function addToCart(itemId) {
-  const found = state.cart.find((entry) => entry.id === itemId);
+  const item = state.items.find((menuItem) => menuItem.id === itemId);
+  if (item && item.available === false) {
+    announce("Item esgotado.");
+    return;
+  }
+  if (item && item.servedNow === false) {
+    announce(`${item.name}: ${item.scheduleLabel}.`);
+    return;
+  }
+  if (item && ((Array.isArray(item.optionGroups) && item.optionGroups.length) || isComboItem(item))) {
+    openOptionsModal(item);
+    return;
+  }
+  addCartLine(itemId, []);
+}
+
+function addCartLine(itemId, optionIds, components = []) {
+  const key = getCartLineKey(itemId, optionIds, components);
+  const found = state.cart.find((entry) => getCartLineKey(entry.id, entry.optionIds, entry.components) === key);
   if (found) {
     found.qty += 1;
   } else {
-    state.cart.push({ id: itemId, qty: 1 });
+    state.cart.push({ id: itemId, qty: 1, optionIds: [...optionIds], components: [...components] });
   }
   trackPublicEvent("add_to_cart", { itemId });
   saveCart();
   announce("Item adicionado ao pedido.");
 }
 
-function updateCartQty(itemId, delta) {
-  const found = state.cart.find((entry) => entry.id === itemId);
+function getSelectedOptionIds() {
+  return Array.from(optionsGroups.querySelectorAll("input[data-option]:checked")).map((input) => input.value);
+}
+
+function getSelectedComponents() {
+  return Array.from(optionsGroups.querySelectorAll("input[data-combo]:checked")).map((input) => ({
+    groupId: input.dataset.group,
+    itemId: input.value
+  }));
+}
+
+function renderComboGroups(item) {
+  if (!isComboItem(item)) return "";
+  return item.comboGroups
+    .map((group) => {
+      const choices = group.itemIds
+        .map((id) => state.items.find((menuItem) => menuItem.id === id))
+        .filter((component) => component && component.available !== false)
+        .map(
+          (component) => `
+          <label class="option-choice">
+            <input type="radio" name="combo-${escapeHtml(group.id)}" data-combo data-group="${escapeHtml(group.id)}" value="${escapeHtml(component.id)}" />
+            <span>${escapeHtml(component.name)}</span>
+          </label>`
+        )
+        .join("");
+      return `
+        <fieldset class="option-group" data-combo-group="${escapeHtml(group.id)}">
+          <legend>${escapeHtml(group.name)} <small>Escolha 1</small></legend>
+          ${choices || "<p>Nenhuma opcao disponivel.</p>"}
+        </fieldset>`;
+    })
+    .join("");
+}
+
+function refreshOptionsTotal() {
+  const item = state.optionsItem;
+  if (!item) return;
+  const { price } = describeItemOptions(item, getSelectedOptionIds());
+  optionsTotal.textContent = `${t("total")}: R$ ${formatPrice(price)}`;
+}
+
+function openOptionsModal(item) {
+  state.optionsItem = item;
+  optionsTitle.textContent = item.name;
+  optionsMessage.textContent = "";
+  optionsGroups.innerHTML = renderComboGroups(item) + (item.optionGroups || [])
+    .map((group) => {
+      const rule = group.required
+        ? `Escolha ${group.min === group.max ? group.min : `${group.min} a ${group.max}`}`
+        : `Opcional, ate ${group.max}`;
+      const options = group.options
+        .map(
+          (option) => `
+          <label class="option-choice">
+            <input type="checkbox" data-option data-group="${escapeHtml(group.id)}" value="${escapeHtml(option.id)}" />
+            <span>${escapeHtml(option.name)}</span>
+            ${option.priceDelta ? `<small>${option.priceDelta > 0 ? "+" : "-"} R$ ${formatPrice(Math.abs(option.priceDelta))}</small>` : ""}
+          </label>`
+        )
+        .join("");
+      return `
+        <fieldset class="option-group" data-group-id="${escapeHtml(group.id)}">
+          <legend>${escapeHtml(group.name)} <small>${rule}</small></legend>
+          ${options}
+        </fieldset>`;
+    })
+    .join("");
+  optionsGroups.querySelectorAll("input[data-option]").forEach((input) => {
+    input.addEventListener("change", () => {
+      const group = item.optionGroups.find((entry) => entry.id === input.dataset.group);
+      const checked = Array.from(
+        optionsGroups.querySelectorAll(`input[data-group="${CSS.escape(input.dataset.group)}"]:checked`)
+      );
+      if (group && checked.length > group.max) {
+        checked.filter((other) => other !== input).slice(0, checked.length - group.max).forEach((other) => {
+          other.checked = false;
+        });
+      }
+      refreshOptionsTotal();
+    });
+  });
+  refreshOptionsTotal();
+  optionsModal.classList.remove("hidden");
+  optionsModal.setAttribute("aria-hidden", "false");
+  document.body.style.overflow = "hidden";
+}
+
+function closeOptionsModal() {
+  state.optionsItem = null;
+  optionsModal.classList.add("hidden");
+  optionsModal.setAttribute("aria-hidden", "true");
+  document.body.style.overflow = "";
+}
+
+function updateCartNote(lineKey, note) {
+  const found = state.cart.find((entry) => getCartLineKey(entry.id, entry.optionIds, entry.components) === lineKey);
+  if (!found) return;
+  found.note = note.slice(0, 140);
+  saveCart();
+}
+
+function updateCartQty(lineKey, delta) {
+  const found = state.cart.find((entry) => getCartLineKey(entry.id, entry.optionIds, entry.components) === lineKey);
   if (!found) return;
   found.qty += delta;
   if (found.qty <= 0) {
-    state.cart = state.cart.filter((entry) => entry.id !== itemId);
+    state.cart = state.cart.filter((entry) => entry !== found);
   }
   saveCart();
   renderCart();
@@ -1968,7 +2810,9 @@ function buildSection(title, items) {
 
   items.forEach((item) => {
     const row = document.createElement("article");
-    row.className = `item-row ${isFavorite(item.id) ? "favorite" : ""}`.trim();
+    const soldOut = item.available === false;
+    const offSchedule = !soldOut && item.servedNow === false;
+    row.className = `item-row ${isFavorite(item.id) ? "favorite" : ""} ${soldOut || offSchedule ? "sold-out" : ""}`.trim();
     row.setAttribute("aria-label", `${item.name} - R$ ${formatPrice(item.price)}`);
     const thumb = item.image
       ? `<img src="${escapeHtml(item.image)}" alt="${escapeHtml(item.name)}" loading="lazy" decoding="async" />`
@@ -1989,10 +2833,14 @@ function buildSection(title, items) {
       <div class="item-copy">
         <h3>${escapeHtml(item.name)}</h3>
         <p>${escapeHtml(item.description || "")}</p>
-        <div class="item-price">R$ ${formatPrice(item.price)}</div>
+        <div class="item-price">
+          R$ ${formatPrice(item.price)}${soldOut ? ' <span class="sold-out-tag">Esgotado</span>' : ""}
+          ${offSchedule ? `<span class="schedule-tag">${escapeHtml(item.scheduleLabel)}</span>` : ""}
+          ${isComboItem(item) ? `<span class="combo-tag">Combo: ${escapeHtml(item.comboGroups.map((group) => group.name).join(" + "))}</span>` : ""}
+        </div>
         <div class="item-links">
           <a data-ar-link href="${itemArUrl}">${escapeHtml(t("ar"))}</a>
-          <button type="button" data-add>${escapeHtml(t("add"))}</button>
+          <button type="button" data-add ${soldOut || offSchedule ? "disabled" : ""}>${escapeHtml(t("add"))}</button>
           <button type="button" class="favorite-btn ${isFavorite(item.id) ? "active" : ""}" data-favorite>
             ${isFavorite(item.id) ? "Favorito" : "Favoritar"}
           </button>
@@ -2081,11 +2929,149 @@ function renderLoadingSkeleton() {
   menuList.appendChild(section);
 }
 
+function getOrderTypes() {
+  const config = (state.restaurant && state.restaurant.fulfillment) || {};
+  const types = [];
+  if (config.dineIn !== false) types.push("dine_in");
+  if (config.pickup && config.pickup.enabled) types.push("pickup");
+  if (config.delivery && config.delivery.enabled && (config.delivery.zones || []).length) types.push("delivery");
+  return types.length ? types : ["dine_in"];
+}
+
+const ORDER_TYPE_LABELS = { dine_in: "orderTypeDineIn", pickup: "orderTypePickup", delivery: "orderTypeDelivery" };
+
+function usesPickupSlots() {
+  const pickup = state.restaurant && state.restaurant.fulfillment && state.restaurant.fulfillment.pickup;
+  return Boolean(pickup && pickup.enabled && pickup.slotMinutes > 0);
+}
+
+function formatPickupSlot(slot) {
+  const start = new Date(slot.start);
+  const time = (date) => date.toLocaleTimeString(state.language, { hour: "2-digit", minute: "2-digit" });
+  const range = `${time(start)} - ${time(new Date(slot.end))}`;
+  if (start.toDateString() === new Date().toDateString()) return range;
+  return `${start.toLocaleDateString(state.language, { weekday: "short", day: "2-digit" })} ${range}`;
+}
+
+function renderPickupSlots() {
+  if (!pickupSlotSelect) return;
+  const slots = state.pickupSlots || [];
+  const selected = pickupSlotSelect.value;
+  pickupSlotSelect.innerHTML = slots.length
+    ? slots
+        .map((slot) => `<option value="${escapeHtml(slot.start)}">${escapeHtml(formatPickupSlot(slot))}</option>`)
+        .join("")
+    : `<option value="">${escapeHtml(t("noPickupSlots"))}</option>`;
+  if (slots.some((slot) => slot.start === selected)) pickupSlotSelect.value = selected;
+}
+
+async function loadPickupSlots() {
+  try {
+    const res = await fetch(`/api/public/restaurant/${encodeURIComponent(slug)}/pickup-slots`);
+    const data = await res.json().catch(() => ({}));
+    state.pickupSlots = res.ok && Array.isArray(data.slots) ? data.slots : [];
+  } catch {
+    state.pickupSlots = [];
+  }
+  renderPickupSlots();
+}
+
+function renderOrderTypes() {
+  const types = getOrderTypes();
+  if (!types.includes(state.orderType)) state.orderType = types[0];
+  const dineIn = state.orderType === "dine_in";
+  tableInput.classList.toggle("hidden", !dineIn);
+  if (fulfillmentFields) {
+    fulfillmentFields.classList.toggle("hidden", dineIn);
+    pickupTimeRow.classList.toggle("hidden", state.orderType !== "pickup");
+    pickupTimeInput.classList.toggle("hidden", usesPickupSlots());
+    pickupSlotSelect.classList.toggle("hidden", !usesPickupSlots());
+    if (state.orderType === "pickup" && usesPickupSlots() && state.pickupSlots === null) {
+      state.pickupSlots = [];
+      loadPickupSlots();
+    }
+    deliveryAddressInput.classList.toggle("hidden", state.orderType !== "delivery");
+    deliveryLocationRow.classList.toggle("hidden", state.orderType !== "delivery");
+  }
+  if (!orderTypesGroup) return;
+  orderTypesGroup.classList.toggle("hidden", types.length < 2);
+  orderTypesGroup.innerHTML = types
+    .map(
+      (type) =>
+        `<button type="button" class="tip-btn${type === state.orderType ? " active" : ""}" data-order-type="${type}">${escapeHtml(
+          t(ORDER_TYPE_LABELS[type])
+        )}</button>`
+    )
+    .join("");
+  orderTypesGroup.querySelectorAll("[data-order-type]").forEach((button) => {
+    button.addEventListener("click", () => {
+      state.orderType = button.dataset.orderType;
+      cartMessage.textContent = "";
+      renderCart();
+    });
+  });
+}
+
+function getFulfillmentPayload() {
+  if (state.orderType === "dine_in") return { orderType: "dine_in" };
+  const payload = {
+    orderType: state.orderType,
+    customer: {
+      name: ((customerNameInput && customerNameInput.value) || "").trim(),
+      phone: ((customerPhoneInput && customerPhoneInput.value) || "").trim()
+    }
+  };
+  if (state.orderType === "pickup" && usesPickupSlots()) {
+    if (pickupSlotSelect && pickupSlotSelect.value) payload.pickupAt = pickupSlotSelect.value;
+  } else if (state.orderType === "pickup" && pickupTimeInput && pickupTimeInput.value) {
+    const pickupAt = new Date(pickupTimeInput.value);
+    if (Number.isFinite(pickupAt.getTime())) payload.pickupAt = pickupAt.toISOString();
+  }
+  if (state.orderType === "delivery") {
+    payload.address = {
+      line: ((deliveryAddressInput && deliveryAddressInput.value) || "").trim(),
+      postcode: ((deliveryPostcodeInput && deliveryPostcodeInput.value) || "").trim(),
+      ...(state.deliveryLocation || {})
+    };
+  }
+  return payload;
+}
+
+const FULFILLMENT_ERRORS = {
+  order_type_unavailable: "Esse tipo de pedido nao esta disponivel agora.",
+  below_minimum_order: "Pedido abaixo do minimo.",
+  customer_name_required: "Informe seu nome.",
+  customer_phone_invalid: "Informe um telefone valido com DDD.",
+  address_required: "Informe o endereco e o CEP para a entrega.",
+  delivery_out_of_zone: "Ainda nao entregamos nesse endereco.",
+  invalid_pickup_time: "Escolha um horario de retirada valido.",
+  pickup_slot_required: "Escolha um horario de retirada.",
+  invalid_pickup_slot: "Esse horario de retirada nao esta mais disponivel. Escolha outro.",
+  pickup_slot_full: "Esse horario de retirada lotou. Escolha outro."
+};
+
+const PICKUP_SLOT_ERRORS = new Set(["invalid_pickup_slot", "pickup_slot_full"]);
+
+function describeFulfillmentError(data) {
+  const detail = data.detail || {};
+  if (data.error === "below_minimum_order" && detail.minOrder) {
+    return `Pedido minimo de R$ ${formatPrice(detail.minOrder)} para esse tipo de pedido.`;
+  }
+  if (data.error === "invalid_pickup_time" && detail.earliest) {
+    const earliest = new Date(detail.earliest).toLocaleTimeString(state.language, { hour: "2-digit", minute: "2-digit" });
+    return `Escolha um horario de retirada a partir de ${earliest}.`;
+  }
+  return FULFILLMENT_ERRORS[data.error] || "";
+}
+
 function renderCart() {
   const detailed = getDetailedCart();
   cartItems.innerHTML = "";
   tableInput.value = getTableValue();
+  renderOrderTypes();
   if (cartTotal) cartTotal.textContent = `${t("total")}: R$ 0,00`;
+  if (tipOptions) tipOptions.classList.add("hidden");
+  state.cartQuoteSeq += 1;
   if (cartClear) cartClear.disabled = detailed.length === 0;
   if (cartSubmit) cartSubmit.disabled = detailed.length === 0;
 
@@ -2095,9 +3081,7 @@ function renderCart() {
   }
 
   const totalValue = detailed.reduce((acc, item) => acc + item.qty * Number(item.price || 0), 0);
-  if (cartTotal) {
-    cartTotal.textContent = `${t("total")}: R$ ${formatPrice(totalValue)}`;
-  }
+  renderCartCharges(totalValue);
 
   detailed.forEach((item) => {
     const row = document.createElement("div");
@@ -2105,7 +3089,9 @@ function renderCart() {
     row.innerHTML = `
       <div>
         <strong>${escapeHtml(item.name)}</strong>
+        ${item.modifiers.length ? `<p>${escapeHtml(item.modifiers.map((option) => option.name).join(", "))}</p>` : ""}
         <p>R$ ${formatPrice(item.price)}</p>
+        <input class="cart-note" type="text" maxlength="140" placeholder="Observacao (ex: sem cebola)" data-note />
       </div>
       <div class="qty">
         <button type="button" data-minus>-</button>
@@ -2113,12 +3099,153 @@ function renderCart() {
         <button type="button" data-plus>+</button>
       </div>
     `;
-    row.querySelector("[data-minus]").addEventListener("click", () => updateCartQty(item.id, -1));
-    row.querySelector("[data-plus]").addEventListener("click", () => updateCartQty(item.id, 1));
+    const noteInput = row.querySelector("[data-note]");
+    noteInput.value = item.note;
+    noteInput.addEventListener("change", () => updateCartNote(item.key, noteInput.value.trim()));
+    row.querySelector("[data-minus]").addEventListener("click", () => updateCartQty(item.key, -1));
+    row.querySelector("[data-plus]").addEventListener("click", () => updateCartQty(item.key, 1));
     cartItems.appendChild(row);
   });
 }
 
+function getCharges() {
+  const charges = (state.restaurant && state.restaurant.charges) || {};
+  return {
+    serviceChargePercent: Number(charges.serviceChargePercent) || 0,
+    serviceChargeLabel: charges.serviceChargeLabel || "Taxa de servico",
+    tipOptions: Array.isArray(charges.tipOptions) ? charges.tipOptions : []
+  };
+}
+
+// Mirrors the server rounding so the cart shows exactly what the order will store.
+// Promotions depend on server-side rules, so carts that may get a discount ask for a quote instead.
+function renderCartCharges(subtotal) {
+  const charges = getCharges();
+  if (!charges.tipOptions.includes(state.tipPercent)) state.tipPercent = 0;
+  const roundCents = (value) => Math.round(value * 100) / 100;
+  const base = roundCents(subtotal);
+  const service = roundCents((base * charges.serviceChargePercent) / 100);
+  const tip = roundCents((base * state.tipPercent) / 100);
+  if (tipOptions) {
+    tipOptions.classList.toggle("hidden", !charges.tipOptions.length);
+    tipOptions.innerHTML = [0, ...charges.tipOptions]
+      .map(
+        (percent) =>
+          `<button type="button" class="tip-btn${percent === state.tipPercent ? " active" : ""}" data-tip="${percent}">${
+            percent ? `${percent}%` : escapeHtml(t("noTip"))
+          }</button>`
+      )
+      .join("");
+    tipOptions.querySelectorAll("[data-tip]").forEach((button) => {
+      button.addEventListener("click", () => {
+        state.tipPercent = Number(button.dataset.tip) || 0;
+        renderCartCharges(subtotal);
+      });
+    });
+  }
+  if (state.promotions.length || state.couponCode || state.orderType !== "dine_in") {
+    refreshCartQuote();
+    return;
+  }
+  renderCartTotals({
+    subtotal: base,
+    promotions: [],
+    servicePercent: charges.serviceChargePercent,
+    serviceCharge: service,
+    tipPercent: state.tipPercent,
+    tip,
+    total: roundCents(base + service + tip)
+  });
+}
+
+function renderCartTotals(quote) {
+  if (!cartTotal) return;
+  const lines = [];
+  if (quote.promotions.length || quote.serviceCharge || quote.tip || quote.deliveryFee) {
+    lines.push(`${escapeHtml(t("subtotal"))}: R$ ${formatPrice(quote.subtotal)}`);
+  }
+  quote.promotions.forEach((entry) => {
+    lines.push(`${escapeHtml(entry.name)}: - R$ ${formatPrice(entry.amount)}`);
+  });
+  if (quote.serviceCharge) {
+    lines.push(
+      `${escapeHtml(getCharges().serviceChargeLabel)} (${quote.servicePercent}%): R$ ${formatPrice(quote.serviceCharge)}`
+    );
+  }
+  if (quote.tip) lines.push(`${escapeHtml(t("tip"))} (${quote.tipPercent}%): R$ ${formatPrice(quote.tip)}`);
+  if (quote.deliveryFee) {
+    const zone = quote.deliveryZone ? ` (${escapeHtml(quote.deliveryZone)})` : "";
+    lines.push(`${escapeHtml(t("deliveryFee"))}${zone}: R$ ${formatPrice(quote.deliveryFee)}`);
+  }
+  lines.push(`<strong>${escapeHtml(t("total"))}: R$ ${formatPrice(quote.total)}</strong>`);
+  cartTotal.innerHTML = lines.join("<br />");
+}
+
+function getOrderPayloadItems() {
+  return getDetailedCart().map((item) => ({
+    id: item.id,
+    qty: item.qty,
+    optionIds: item.optionIds,
+    components: item.components.map((component) => ({ groupId: component.groupId, itemId: component.itemId })),
+    note: item.note
+  }));
+}
+
+function describeCouponError(data) {
+  if (data.error === "coupon_min_subtotal" && data.detail) {
+    return `${t("couponInvalid")} (min. R$ ${formatPrice(data.detail.minSubtotal)})`;
+  }
+  return t("couponInvalid");
+}
+
+const COUPON_ERRORS = new Set(["invalid_coupon", "coupon_expired", "coupon_exhausted", "coupon_min_subtotal"]);
+
+async function refreshCartQuote() {
+  const seq = ++state.cartQuoteSeq;
+  try {
+    const res = await fetch("/api/public/orders/quote", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        restaurantSlug: slug,
+        tipPercent: state.tipPercent,
+        couponCode: state.couponCode,
+        ...getFulfillmentPayload(),
+        items: getOrderPayloadItems()
+      })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (seq !== state.cartQuoteSeq) return;
+    if (res.ok && data.quote) {
+      renderCartTotals(data.quote);
+      return;
+    }
+    const fulfillmentError = describeFulfillmentError(data);
+    if (fulfillmentError) {
+      cartMessage.textContent = fulfillmentError;
+      announce(fulfillmentError);
+      if (PICKUP_SLOT_ERRORS.has(data.error)) loadPickupSlots();
+      return;
+    }
+    if (COUPON_ERRORS.has(data.error)) {
+      cartMessage.textContent = describeCouponError(data);
+      announce(cartMessage.textContent);
+      state.couponCode = "";
+      if (couponInput) couponInput.value = "";
+      renderCart();
+    }
+  } catch {
+    // keeps the last rendered totals; the order endpoint validates again
+  }
+}
+
+function applyCoupon() {
+  const code = ((couponInput && couponInput.value) || "").trim().toUpperCase();
+  cartMessage.textContent = "";
+  state.couponCode = code;
+  renderCart();
+}
+
 function buildHeroImages() {
   if (!state.restaurant) return [];
   if (Array.isArray(state.restaurant.heroImages) && state.restaurant.heroImages.length > 0) {
@@ -2206,13 +3333,14 @@ function startHeroAutoplay() {
 
 async function sendOrder() {
   cartMessage.textContent = "";
-  const tableValue = (tableInput.value || "").trim();
-  if (!tableValue) {
+  const dineIn = state.orderType === "dine_in";
+  const tableValue = dineIn ? (tableInput.value || "").trim() : "";
+  if (dineIn && !tableValue) {
     cartMessage.textContent = t("msgNeedTable");
     announce(t("msgNeedTable"));
     return;
   }
-  if (!TABLE_PATTERN.test(tableValue)) {
+  if (dineIn && !TABLE_PATTERN.test(tableValue)) {
     cartMessage.textContent = "Mesa invalida. Use apenas letras, numeros, -, _, . e #.";
     announce("Mesa invalida.");
     return;
@@ -2226,7 +3354,12 @@ async function sendOrder() {
   const payload = {
     restaurantSlug: slug,
     table: tableValue,
-    items: state.cart.map((item) => ({ id: item.id, qty: item.qty }))
+    ...(dineIn && state.tableToken ? { tableToken: state.tableToken } : {}),
+    ...getFulfillmentPayload(),
+    note: (orderNoteInput.value || "").trim(),
+    tipPercent: state.tipPercent,
+    couponCode: state.couponCode,
+    items: getOrderPayloadItems()
   };
 
   try {
@@ -2245,22 +3378,80 @@ async function sendOrder() {
         announce("Limite temporario de pedidos.");
         return;
       }
+      const data = await res.json().catch(() => ({}));
+      if (data.error === "invalid_table") {
+        cartMessage.textContent = "Mesa nao encontrada. Confira o numero ou leia o QR da mesa novamente.";
+        announce("Mesa nao encontrada.");
+        return;
+      }
+      if (data.error === "table_token_required") {
+        cartMessage.textContent = "Leia o QR code da mesa para fazer o pedido.";
+        announce(cartMessage.textContent);
+        return;
+      }
+      if (COUPON_ERRORS.has(data.error)) {
+        cartMessage.textContent = describeCouponError(data);
+        announce(cartMessage.textContent);
+        state.couponCode = "";
+        if (couponInput) couponInput.value = "";
+        renderCart();
+        return;
+      }
+      const fulfillmentError = describeFulfillmentError(data);
+      if (fulfillmentError) {
+        cartMessage.textContent = fulfillmentError;
+        announce(fulfillmentError);
+        if (PICKUP_SLOT_ERRORS.has(data.error)) loadPickupSlots();
+        return;
+      }
+      if (data.error === "invalid_item_options") {
+        cartMessage.textContent = "Revise as opcoes escolhidas para os itens do pedido.";
+        announce("Opcoes do item invalidas.");
+        return;
+      }
+      if (data.error === "item_out_of_schedule") {
+        const itemName = (data.detail && data.detail.name) || "Um item";
+        cartMessage.textContent = `${itemName} fora do horario (${(data.detail && data.detail.scheduleLabel) || "indisponivel"}).`;
+        announce(cartMessage.textContent);
+        return;
+      }
+      if (data.error === "item_unavailable") {
+        const itemName = (data.detail && data.detail.name) || "Um item";
+        const remaining = data.detail && data.detail.remaining;
+        cartMessage.textContent =
+          data.detail && data.detail.reason === "insufficient_stock"
+            ? `${itemName}: restam apenas ${remaining} unidade(s).`
+            : `${itemName} esta esgotado. Remova do pedido para continuar.`;
+        announce(cartMessage.textContent);
+        return;
+      }
       cartMessage.textContent = t("msgFail");
       announce(t("msgFail"));
       return;
     }
 
-    localStorage.setItem(tableKey, tableValue);
+    const result = await res.json().catch(() => ({}));
+    if (result.tab) setTableTab(result.tab);
+    renderPaymentPanel(result.order);
+    saveLastOrder(result.order);
+    if (dineIn) localStorage.setItem(tableKey, tableValue);
     trackPublicEvent("order_submit", { table: tableValue, meta: { items: state.cart.length } });
     state.cart = [];
+    state.tipPercent = 0;
+    state.couponCode = "";
+    state.pickupSlots = null;
+    if (couponInput) couponInput.value = "";
+    orderNoteInput.value = "";
     saveCart();
     renderCart();
     cartMessage.textContent = t("msgOk");
     announce(t("msgOk"));
-    setTimeout(() => {
-      cartModal.classList.add("hidden");
-      document.body.style.overflow = "";
-    }, 800);
+    if (!getOnlinePaymentMethods().length && !hasDirectPix()) {
+      setTimeout(() => {
+        cartModal.classList.add("hidden");
+        document.body.style.overflow = "";
+      }, 800);
+    }
   } catch (err) {
     cartMessage.textContent = t("msgConnection");
     announce(t("msgConnection"));
@@ -2300,6 +3491,10 @@ async function loadRestaurant() {
     const data = await res.json();
     state.restaurant = data.restaurant;
     state.integrations = (state.restaurant && state.restaurant.integrations) || {};
+    state.paymentMethods = Array.isArray(data.paymentMethods) ? data.paymentMethods : [];
+    state.promotions = Array.isArray(data.promotions) ? data.promotions : [];
+    state.acceptsCoupons = Boolean(data.acceptsCoupons);
+    if (couponRow) couponRow.classList.toggle("hidden", !state.acceptsCoupons);
     state.baseItems = Array.isArray(data.items) ? data.items.map((item) => ({ ...item })) : [];
     state.items = state.baseItems.map((item) => ({ ...item }));
     state.baseCategories = [...new Set(state.baseItems.map((item) => inferCategory(item)))];
@@ -2320,6 +3515,11 @@ async function loadRestaurant() {
 
     restaurantName.textContent = state.restaurant.name || "Cardapio";
     applyRestaurantBranding();
+    await resolveTableToken();
+    if (serviceBar) serviceBar.classList.remove("hidden");
+    await loadTableTab();
+    await checkReturnedPayment();
+    await resumeWaitlistTicket();
     trackPublicEvent("menu_view", {
       restaurantSlug: state.restaurant.slug || slug,
       table: getTableValue()
@@ -2327,7 +3527,7 @@ async function loadRestaurant() {
     if (tableFromUrl) {
       trackPublicEvent("qr_scan", {
         restaurantSlug: state.restaurant.slug || slug,
-        table: tableFromUrl
+        table: getTableValue()
       });
     }
 
@@ -2371,6 +3571,7 @@ async function loadRestaurant() {
     if (reservationDateInput && !reservationDateInput.value) {
       reservationDateInput.value = new Date().toISOString().slice(0, 10);
     }
+    setupReservationForm();
   } catch {
     restaurantName.textContent = "Falha de conexao";
     restaurantDesc.textContent = "Nao foi possivel carregar o cardapio agora.";
@@ -2452,7 +3653,7 @@ heroNext.addEventListener("click", () => {
   setHeroSlide(state.heroIndex + 1);
 });
 
-cartButton.addEventListener("click", () => {
+function openCartModal() {
   lastFocusedElement = document.activeElement;
   renderCart();
   cartModal.classList.remove("hidden");
@@ -2461,7 +3662,14 @@ cartButton.addEventListener("click", () => {
   setTimeout(() => {
     if (cartClose) cartClose.focus();
   }, 10);
-});
+  if (state.tab) loadTableTab();
+}
+
+cartButton.addEventListener("click", openCartModal);
+
+if (tabButton) {
+  tabButton.addEventListener("click", openCartModal);
+}
 
 cartClose.addEventListener("click", () => {
   cartModal.classList.add("hidden");
@@ -2472,6 +3680,32 @@ cartClose.addEventListener("click", () => {
   }
 });
 
+optionsClose.addEventListener("click", closeOptionsModal);
+
+optionsModal.addEventListener("click", (event) => {
+  if (event.target === optionsModal) closeOptionsModal();
+});
+
+optionsForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const item = state.optionsItem;
+  if (!item) return;
+  const selected = new Set(getSelectedOptionIds());
+  const components = getSelectedComponents();
+  const missing =
+    (item.comboGroups || []).find((group) => !components.some((component) => component.groupId === group.id)) ||
+    (item.optionGroups || []).find(
+      (group) => group.options.filter((option) => selected.has(option.id)).length < group.min
+    );
+  if (missing) {
+    optionsMessage.textContent = `Escolha uma opcao em ${missing.name}.`;
+    announce(optionsMessage.textContent);
+    return;
+  }
+  addCartLine(item.id, Array.from(selected), components);
+  closeOptionsModal();
+});
+
 cartModal.addEventListener("click", (event) => {
   if (event.target === cartModal) {
     cartModal.classList.add("hidden");
@@ -2496,12 +3730,29 @@ tableInput.addEventListener("change", () => {
   localStorage.setItem(tableKey, value);
 });
 
+[callWaiterButton, requestBillButton].forEach((button) => {
+  if (!button) return;
+  button.addEventListener("click", () => {
+    sendServiceRequest(button.dataset.service, button);
+  });
+});
+
+if (couponApply) {
+  couponApply.addEventListener("click", applyCoupon);
+  couponInput.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    applyCoupon();
+  });
+}
+
 if (cartClear) {
   cartClear.addEventListener("click", () => {
     if (!state.cart.length) return;
     const accepted = window.confirm("Deseja limpar todo o pedido?");
     if (!accepted) return;
     state.cart = [];
+    orderNoteInput.value = "";
     saveCart();
     renderCart();
     cartMessage.textContent = t("msgCleared");
@@ -2593,6 +3844,10 @@ document.addEventListener("keydown", (event) => {
     return;
   }
   if (event.key !== "Escape") return;
+  if (!optionsModal.classList.contains("hidden")) {
+    closeOptionsModal();
+    return;
+  }
   if (!cartModal.classList.contains("hidden")) {
     cartModal.classList.add("hidden");
     cartModal.setAttribute("aria-hidden", "true");
@@ -2650,7 +3905,10 @@ async function submitPublicForm({
   successMessage,
   errorMessage,
   eventType,
-  eventMeta
+  eventMeta,
+  errorMessages,
+  keepMessage,
+  onError
 }) {
   if (!form || !state.restaurant || !state.restaurant.slug) return false;
   setFormStatus(statusNode, "");
@@ -2665,21 +3923,27 @@ async function submitPublicForm({
         ...payload
       })
     });
+    const data = await response.json().catch(() => ({}));
     if (!response.ok) {
-      setFormStatus(statusNode, getPublicSubmitError(response, errorMessage));
+      const knownError = errorMessages && errorMessages[data.error];
+      setFormStatus(statusNode, knownError || getPublicSubmitError(response, errorMessage));
+      if (onError) onError(data);
       return false;
     }
-    setFormStatus(statusNode, successMessage);
+    const message = typeof successMessage === "function" ? successMessage(data) : successMessage;
+    setFormStatus(statusNode, message);
     if (eventType) {
       trackPublicEvent(eventType, { meta: eventMeta || {} });
     }
-    announce(successMessage);
-    setTimeout(() => {
-      if (statusNode && statusNode.textContent === successMessage) {
-        statusNode.textContent = "";
-      }
-    }, 5000);
-    return true;
+    announce(message);
+    if (!keepMessage) {
+      setTimeout(() => {
+        if (statusNode && statusNode.textContent === message) {
+          statusNode.textContent = "";
+        }
+      }, 5000);
+    }
+    return data;
   } catch {
     setFormStatus(statusNode, errorMessage);
     return false;
@@ -2688,36 +3952,121 @@ async function submitPublicForm({
   }
 }
 
+const RESERVATION_ERRORS = {
+  reservation_unavailable: "Esse horario acabou de ser reservado. Escolha outro.",
+  invalid_reservation_time: "Escolha um dos horarios disponiveis.",
+  invalid_reservation_date: "Escolha uma data valida.",
+  party_too_large: "Para grupos grandes, fale com o restaurante."
+};
+
+function getReservationSettings() {
+  return (state.restaurant && state.restaurant.reservationSettings) || {};
+}
+
+function usesReservationEngine() {
+  return getReservationSettings().enabled === true;
+}
+
+function renderReservationAreas(areas) {
+  if (!reservationAreaSelect) return;
+  const selected = reservationAreaSelect.value;
+  reservationAreaSelect.classList.toggle("hidden", areas.length < 2);
+  reservationAreaSelect.innerHTML = [`<option value="">Qualquer area</option>`]
+    .concat(areas.map((area) => `<option value="${escapeHtml(area)}">${escapeHtml(area)}</option>`))
+    .join("");
+  if (areas.includes(selected)) reservationAreaSelect.value = selected;
+}
+
+async function loadReservationTimes() {
+  if (!reservationSlotSelect || !usesReservationEngine()) return;
+  const params = new URLSearchParams({
+    date: (reservationDateInput && reservationDateInput.value) || "",
+    guests: String(Number(reservationGuestsInput && reservationGuestsInput.value) || 2),
+    area: (reservationAreaSelect && reservationAreaSelect.value) || ""
+  });
+  let data = {};
+  try {
+    const res = await fetch(`/api/public/restaurant/${encodeURIComponent(slug)}/reservation-times?${params}`);
+    data = await res.json().catch(() => ({}));
+    if (!res.ok) setFormStatus(reservationStatus, RESERVATION_ERRORS[data.error] || "");
+  } catch {
+    data = {};
+  }
+  const times = Array.isArray(data.times) ? data.times : [];
+  if (Array.isArray(data.areas)) renderReservationAreas(data.areas);
+  const selected = reservationSlotSelect.value;
+  reservationSlotSelect.innerHTML = times.length
+    ? times.map((entry) => `<option value="${escapeHtml(entry.time)}">${escapeHtml(entry.time)}</option>`).join("")
+    : `<option value="">Sem horarios livres nessa data</option>`;
+  if (times.some((entry) => entry.time === selected)) reservationSlotSelect.value = selected;
+}
+
+function setupReservationForm() {
+  const engine = usesReservationEngine();
+  if (reservationTimeInput) reservationTimeInput.classList.toggle("hidden", engine);
+  if (reservationSlotSelect) reservationSlotSelect.classList.toggle("hidden", !engine);
+  if (reservationAreaSelect && !engine) reservationAreaSelect.classList.add("hidden");
+  if (reservationGuestsInput && engine) reservationGuestsInput.max = String(getReservationSettings().maxGuests);
+  if (engine) loadReservationTimes();
+}
+
+function describeReservationSuccess(data) {
+  const reservation = data.reservation || {};
+  if (!reservation.startsAt) {
+    return reservation.code ? `Reserva enviada. Codigo ${reservation.code}.` : "Reserva enviada.";
+  }
+  const when = `${reservation.date.split("-").reverse().join("/")} as ${reservation.time}`;
+  return reservation.status === "confirmado"
+    ? `Reserva confirmada para ${when}. Codigo ${reservation.code}.`
+    : `Reserva recebida para ${when}; aguarde a confirmacao. Codigo ${reservation.code}.`;
+}
+
 if (reservationForm) {
+  [reservationDateInput, reservationGuestsInput, reservationAreaSelect].forEach((input) => {
+    if (input) input.addEventListener("change", loadReservationTimes);
+  });
   reservationForm.addEventListener("submit", async (event) => {
     event.preventDefault();
+    const engine = usesReservationEngine();
+    const timeInput = engine ? reservationSlotSelect : reservationTimeInput;
     const payload = {
       name: (reservationNameInput && reservationNameInput.value ? reservationNameInput.value : "").trim(),
       phone: (reservationPhoneInput && reservationPhoneInput.value ? reservationPhoneInput.value : "").trim(),
       guests: Number(reservationGuestsInput && reservationGuestsInput.value ? reservationGuestsInput.value : 2) || 2,
       date: reservationDateInput && reservationDateInput.value ? reservationDateInput.value : "",
-      time: reservationTimeInput && reservationTimeInput.value ? reservationTimeInput.value : ""
+      time: timeInput && timeInput.value ? timeInput.value : "",
+      area: engine && reservationAreaSelect ? reservationAreaSelect.value : ""
     };
     if (!payload.name || !payload.phone) {
       setFormStatus(reservationStatus, "Informe nome e telefone.");
       return;
     }
+    if (engine && !payload.time) {
+      setFormStatus(reservationStatus, RESERVATION_ERRORS.invalid_reservation_time);
+      return;
+    }
     saveGuestProfile({ name: payload.name, phone: payload.phone });
     const ok = await submitPublicForm({
       form: reservationForm,
       statusNode: reservationStatus,
       endpoint: "/api/public/reservations",
       payload,
-      successMessage: "Reserva enviada.",
+      successMessage: describeReservationSuccess,
       errorMessage: "Falha ao enviar reserva.",
+      errorMessages: RESERVATION_ERRORS,
+      keepMessage: true,
       eventType: "reservation_submit",
       eventMeta: { guests: payload.guests || 0 }
     });
-    if (!ok) return;
+    if (!ok) {
+      loadReservationTimes();
+      return;
+    }
     reservationForm.reset();
     if (reservationGuestsInput) reservationGuestsInput.value = "2";
     if (reservationDateInput) reservationDateInput.value = new Date().toISOString().slice(0, 10);
     applyGuestProfileToForms();
+    loadReservationTimes();
   });
 }
 
@@ -2749,6 +4098,105 @@ if (leadForm) {
   });
 }
 
+const WAITLIST_POLL_MS = 20000;
+
+function describeWaitlistTicket(entry) {
+  if (entry.status === "aguardando") {
+    return `Voce e o ${entry.position}o da fila. Espera estimada: ~${entry.estimatedWaitMinutes} min.`;
+  }
+  if (entry.status === "avisado") return "Sua mesa esta pronta! Apresente-se na recepcao.";
+  if (entry.status === "sentado") return "Mesa liberada. Bom apetite!";
+  return "Voce saiu da fila.";
+}
+
+function setWaitlistToken(token) {
+  state.waitlistToken = token;
+  if (token) localStorage.setItem(waitlistKey, token);
+  else localStorage.removeItem(waitlistKey);
+}
+
+function renderWaitlistTicket(entry) {
+  if (!waitlistTicket) return;
+  const active = Boolean(entry) && ["aguardando", "avisado"].includes(entry.status);
+  const fields = waitlistForm && waitlistForm.querySelector(".mini-fields");
+  if (fields) fields.classList.toggle("hidden", active);
+  waitlistTicket.classList.toggle("hidden", !entry);
+  if (!entry) {
+    waitlistTicket.innerHTML = "";
+    return;
+  }
+  const previous = waitlistTicket.dataset.status;
+  waitlistTicket.dataset.status = entry.status;
+  waitlistTicket.innerHTML = `
+    <strong>${escapeHtml(describeWaitlistTicket(entry))}</strong>
+    ${active ? `<button type="button" class="btn btn-outline" data-waitlist-leave>Sair da fila</button>` : ""}
+  `;
+  const leave = waitlistTicket.querySelector("[data-waitlist-leave]");
+  if (leave) leave.addEventListener("click", () => leaveWaitlist(leave));
+  if (entry.status === "avisado" && previous !== "avisado") {
+    announce(describeWaitlistTicket(entry));
+    if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+  }
+}
+
+// Closed tickets are shown once and then forgotten, so the form is ready for the next visit.
+async function pollWaitlistTicket() {
+  clearTimeout(state.waitlistPoll);
+  if (!state.waitlistToken) return;
+  try {
+    const res = await fetch(`/api/public/waitlist/${encodeURIComponent(state.waitlistToken)}`);
+    if (res.status === 404) {
+      setWaitlistToken("");
+      renderWaitlistTicket(null);
+      return;
+    }
+    const data = res.ok ? await res.json() : null;
+    if (data && data.entry) {
+      renderWaitlistTicket(data.entry);
+      if (!["aguardando", "avisado"].includes(data.entry.status)) {
+        setWaitlistToken("");
+        return;
+      }
+    }
+  } catch (err) {
+    // retry on the next tick
+  }
+  state.waitlistPoll = setTimeout(pollWaitlistTicket, WAITLIST_POLL_MS);
+}
+
+async function resumeWaitlistTicket() {
+  const fromUrl = (params.get("fila") || "").trim();
+  if (fromUrl) {
+    params.delete("fila");
+    const query = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+  }
+  const token = fromUrl || (localStorage.getItem(waitlistKey) || "").trim();
+  if (!token) return;
+  setWaitlistToken(token);
+  updateFormsVisibility();
+  await pollWaitlistTicket();
+}
+
+async function leaveWaitlist(button) {
+  button.disabled = true;
+  try {
+    const res = await fetch(`/api/public/waitlist/${encodeURIComponent(state.waitlistToken)}/cancel`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{}"
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok && data.error !== "waitlist_closed") {
+      button.disabled = false;
+      return;
+    }
+    await pollWaitlistTicket();
+  } catch (err) {
+    button.disabled = false;
+  }
+}
+
 if (waitlistForm) {
   waitlistForm.addEventListener("submit", async (event) => {
     event.preventDefault();
@@ -2763,7 +4211,7 @@ if (waitlistForm) {
       return;
     }
     saveGuestProfile({ name: payload.name, phone: payload.phone });
-    const ok = await submitPublicForm({
+    const data = await submitPublicForm({
       form: waitlistForm,
       statusNode: waitlistStatus,
       endpoint: "/api/public/waitlist",
@@ -2773,24 +4221,88 @@ if (waitlistForm) {
       eventType: "waitlist_join",
       eventMeta: { guests: payload.guests || 0 }
     });
-    if (!ok) return;
+    if (!data) return;
+    if (data.token) {
+      setWaitlistToken(data.token);
+      renderWaitlistTicket(data.entry);
+      state.waitlistPoll = setTimeout(pollWaitlistTicket, WAITLIST_POLL_MS);
+    }
     waitlistForm.reset();
     if (waitlistGuestsInput) waitlistGuestsInput.value = "2";
     applyGuestProfileToForms();
   });
 }
 
+const FEEDBACK_ERRORS = {
+  feedback_already_sent: "Este pedido ja foi avaliado. Obrigado!",
+  feedback_order_not_found: "Nao encontramos esse pedido para avaliar.",
+  feedback_item_not_in_order: "Nao encontramos esse pedido para avaliar."
+};
+
+function getLastOrder() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(lastOrderKey) || "null");
+    return parsed && parsed.id && Array.isArray(parsed.items) ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Only the latest order is offered for item ratings; the server accepts one feedback per order.
+function saveLastOrder(order) {
+  if (order && order.id) {
+    const items = new Map((order.items || []).map((item) => [item.id, { id: item.id, name: item.name }]));
+    localStorage.setItem(lastOrderKey, JSON.stringify({ id: order.id, items: Array.from(items.values()) }));
+  } else {
+    localStorage.removeItem(lastOrderKey);
+  }
+  renderFeedbackItems();
+}
+
+function renderFeedbackItems() {
+  if (!feedbackItemsBox) return;
+  const order = getLastOrder();
+  feedbackItemsBox.classList.toggle("hidden", !order || !order.items.length);
+  if (!order) {
+    feedbackItemsBox.innerHTML = "";
+    return;
+  }
+  const options = ["<option value=\"\">-</option>"]
+    .concat([5, 4, 3, 2, 1].map((rating) => `<option value="${rating}">${rating}</option>`))
+    .join("");
+  feedbackItemsBox.innerHTML = `
+    <span class="muted">Avalie os itens do seu ultimo pedido</span>
+    ${order.items
+      .map(
+        (item) => `
+          <label>
+            <span>${escapeHtml(item.name)}</span>
+            <select data-feedback-item="${escapeHtml(item.id)}">${options}</select>
+          </label>
+        `
+      )
+      .join("")}
+  `;
+}
+
 if (feedbackForm) {
+  renderFeedbackItems();
   feedbackForm.addEventListener("submit", async (event) => {
     event.preventDefault();
+    const order = getLastOrder();
+    const items = Array.from(feedbackForm.querySelectorAll("[data-feedback-item]"))
+      .filter((select) => select.value)
+      .map((select) => ({ itemId: select.dataset.feedbackItem, rating: Number(select.value) }));
     const payload = {
       name: (feedbackNameInput && feedbackNameInput.value ? feedbackNameInput.value : "").trim(),
       email: (feedbackEmailInput && feedbackEmailInput.value ? feedbackEmailInput.value : "").trim(),
-      rating: Number(feedbackRatingInput && feedbackRatingInput.value ? feedbackRatingInput.value : 5) || 5,
-      comment: (feedbackCommentInput && feedbackCommentInput.value ? feedbackCommentInput.value : "").trim()
+      comment: (feedbackCommentInput && feedbackCommentInput.value ? feedbackCommentInput.value : "").trim(),
+      ...(feedbackRatingInput && feedbackRatingInput.value ? { rating: Number(feedbackRatingInput.value) } : {}),
+      ...(feedbackNpsSelect && feedbackNpsSelect.value ? { nps: Number(feedbackNpsSelect.value) } : {}),
+      ...(order && items.length ? { orderId: order.id, items } : {})
     };
-    if (!payload.comment && !payload.email) {
-      setFormStatus(feedbackStatus, "Informe comentario ou email.");
+    if (!payload.comment && !payload.email && payload.nps === undefined && !items.length) {
+      setFormStatus(feedbackStatus, "Avalie um item, responda se recomendaria ou deixe comentario ou email.");
       return;
     }
     saveGuestProfile({ name: payload.name, email: payload.email });
@@ -2801,18 +4313,54 @@ if (feedbackForm) {
       payload,
       successMessage: "Feedback enviado.",
       errorMessage: "Falha ao enviar feedback.",
+      errorMessages: FEEDBACK_ERRORS,
+      onError: (data) => {
+        if (FEEDBACK_ERRORS[data.error]) saveLastOrder(null);
+      },
       eventType: "feedback_submit",
-      eventMeta: { rating: payload.rating || 0 }
+      eventMeta: { rating: payload.rating || 0, nps: payload.nps ?? null, items: items.length }
     });
     if (!ok) return;
     feedbackForm.reset();
-    if (feedbackRatingInput) feedbackRatingInput.value = "5";
+    if (payload.orderId) saveLastOrder(null);
     applyGuestProfileToForms();
   });
 }
 
 cartSubmit.addEventListener("click", sendOrder);
 
+if (pickupSlotSelect) {
+  pickupSlotSelect.addEventListener("change", () => {
+    cartMessage.textContent = "";
+    renderCart();
+  });
+}
+
+if (deliveryPostcodeInput) {
+  deliveryPostcodeInput.addEventListener("change", () => {
+    cartMessage.textContent = "";
+    renderCart();
+  });
+}
+
+if (deliveryLocateButton) {
+  deliveryLocateButton.addEventListener("click", () => {
+    if (!navigator.geolocation) return;
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        state.deliveryLocation = { lat: position.coords.latitude, lng: position.coords.longitude };
+        cartMessage.textContent = "";
+        renderCart();
+      },
+      () => {
+        cartMessage.textContent = "Nao foi possivel obter sua localizacao. Informe o CEP.";
+        announce(cartMessage.textContent);
+      },
+      { timeout: 10000 }
+    );
+  });
+}
+
 initTechModeControls();
 initTechTelemetry();
 initVoiceSearch();
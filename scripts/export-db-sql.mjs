@@ -17,6 +17,11 @@ function sqlNumber(value, fallback = 0) {
   return String(n);
 }
 
+function sqlNullableNumber(value) {
+  if (value === null || value === undefined || value === "") return "NULL";
+  return sqlNumber(value, 0);
+}
+
 function sqlBool(value) {
   return value ? "1" : "0";
 }
@@ -38,7 +43,13 @@ async function main() {
   lines.push("DELETE FROM sessions;");
   lines.push("DELETE FROM login_attempts;");
   lines.push("DELETE FROM model_jobs;");
+  lines.push("DELETE FROM payments;");
+  lines.push("DELETE FROM promotions;");
+  lines.push("DELETE FROM pickup_slots;");
   lines.push("DELETE FROM orders;");
+  lines.push("DELETE FROM service_requests;");
+  lines.push("DELETE FROM table_tabs;");
+  lines.push("DELETE FROM restaurant_tables;");
   lines.push("DELETE FROM items;");
   lines.push("DELETE FROM users;");
   lines.push("DELETE FROM restaurants;");
@@ -47,7 +58,21 @@ async function main() {
     lines.push(
       lineInsert(
         "restaurants",
-        ["id", "name", "slug", "description", "logo", "accent", "template", "hero_images_json"],
+        [
+          "id",
+          "name",
+          "slug",
+          "description",
+          "logo",
+          "accent",
+          "template",
+          "hero_images_json",
+          "timezone",
+          "schedule_json",
+          "charges_json",
+          "fulfillment_json",
+          "reservation_settings_json"
+        ],
         [
           sqlText(restaurant.id),
           sqlText(restaurant.name || ""),
@@ -56,7 +81,12 @@ async function main() {
           sqlText(restaurant.logo || ""),
           sqlText(restaurant.theme?.accent || "#D95F2B"),
           sqlText(restaurant.template || "default"),
-          jsonText(restaurant.heroImages || [], [])
+          jsonText(restaurant.heroImages || [], []),
+          sqlText(restaurant.timezone || ""),
+          jsonText(restaurant.schedule || {}, {}),
+          jsonText(restaurant.charges || {}, {}),
+          jsonText(restaurant.fulfillment || {}, {}),
+          jsonText(restaurant.reservationSettings || {}, {})
         ]
       )
     );
@@ -93,7 +123,14 @@ async function main() {
           "model_glb",
           "model_usdz",
           "category",
-          "scans_json"
+          "scans_json",
+          "option_groups_json",
+          "combo_groups_json",
+          "available",
+          "stock_daily",
+          "stock_remaining",
+          "stock_date",
+          "daypart_ids_json"
         ],
         [
           sqlText(item.id),
@@ -105,7 +142,96 @@ async function main() {
           sqlText(item.modelGlb || ""),
           sqlText(item.modelUsdz || ""),
           sqlText(item.category || ""),
-          jsonText(item.scans || [], [])
+          jsonText(item.scans || [], []),
+          jsonText(item.optionGroups || [], []),
+          jsonText(item.comboGroups || [], []),
+          sqlBool(item.available !== false),
+          sqlNullableNumber(item.stockDaily),
+          sqlNullableNumber(item.stockRemaining),
+          sqlText(item.stockDate || ""),
+          jsonText(item.daypartIds || [], [])
+        ]
+      )
+    );
+  }
+
+  for (const table of db.tables || []) {
+    lines.push(
+      lineInsert(
+        "restaurant_tables",
+        ["id", "restaurant_id", "label", "zone", "seats", "active", "created_at"],
+        [
+          sqlText(table.id),
+          sqlText(table.restaurantId),
+          sqlText(table.label || ""),
+          sqlText(table.zone || ""),
+          sqlNumber(table.seats, 4),
+          sqlBool(table.active !== false),
+          sqlText(table.createdAt || new Date().toISOString())
+        ]
+      )
+    );
+  }
+
+  for (const entry of db.serviceRequests || []) {
+    lines.push(
+      lineInsert(
+        "service_requests",
+        [
+          "id",
+          "restaurant_id",
+          "type",
+          "table_label",
+          "table_id",
+          "status",
+          "created_at",
+          "acknowledged_at",
+          "acknowledged_by"
+        ],
+        [
+          sqlText(entry.id),
+          sqlText(entry.restaurantId),
+          sqlText(entry.type || "waiter"),
+          sqlText(entry.table || ""),
+          sqlText(entry.tableId || ""),
+          sqlText(entry.status || "pending"),
+          sqlText(entry.createdAt || new Date().toISOString()),
+          sqlText(entry.acknowledgedAt || ""),
+          sqlText(entry.acknowledgedBy || "")
+        ]
+      )
+    );
+  }
+
+  for (const tab of db.tabs || []) {
+    lines.push(
+      lineInsert(
+        "table_tabs",
+        [
+          "id",
+          "restaurant_id",
+          "table_label",
+          "table_id",
+          "status",
+          "opened_at",
+          "closed_at",
+          "closed_by",
+          "summary_json",
+          "split_json",
+          "settled"
+        ],
+        [
+          sqlText(tab.id),
+          sqlText(tab.restaurantId),
+          sqlText(tab.table || ""),
+          sqlText(tab.tableId || ""),
+          sqlText(tab.status || "open"),
+          sqlText(tab.openedAt || new Date().toISOString()),
+          sqlText(tab.closedAt || ""),
+          sqlText(tab.closedBy || ""),
+          tab.summary ? jsonText(tab.summary, {}) : sqlText(""),
+          tab.split ? jsonText(tab.split, {}) : sqlText(""),
+          sqlBool(tab.settled)
         ]
       )
     );
@@ -115,15 +241,159 @@ async function main() {
     lines.push(
       lineInsert(
         "orders",
-        ["id", "restaurant_id", "table_label", "items_json", "total", "status", "created_at"],
+        [
+          "id",
+          "restaurant_id",
+          "table_label",
+          "table_id",
+          "tab_id",
+          "payment_status",
+          "items_json",
+          "subtotal",
+          "service_percent",
+          "service_charge",
+          "tip_percent",
+          "tip",
+          "discount",
+          "coupon_code",
+          "promotions_json",
+          "order_type",
+          "fulfillment_json",
+          "delivery_fee",
+          "total",
+          "status",
+          "note",
+          "status_reason",
+          "status_history_json",
+          "created_at",
+          "updated_at"
+        ],
         [
           sqlText(order.id),
           sqlText(order.restaurantId),
           sqlText(order.table || ""),
+          sqlText(order.tableId || ""),
+          sqlText(order.tabId || ""),
+          sqlText(order.paymentStatus || ""),
           jsonText(order.items || [], []),
+          sqlNumber(order.subtotal ?? order.total, 0),
+          sqlNumber(order.servicePercent, 0),
+          sqlNumber(order.serviceCharge, 0),
+          sqlNumber(order.tipPercent, 0),
+          sqlNumber(order.tip, 0),
+          sqlNumber(order.discount, 0),
+          sqlText(order.couponCode || ""),
+          jsonText(order.promotions || [], []),
+          sqlText(order.orderType || "dine_in"),
+          order.fulfillment ? jsonText(order.fulfillment, null) : "NULL",
+          sqlNumber(order.deliveryFee, 0),
           sqlNumber(order.total, 0),
           sqlText(order.status || "novo"),
-          sqlText(order.createdAt || new Date().toISOString())
+          sqlText(order.note || ""),
+          sqlText(order.statusReason || ""),
+          jsonText(order.statusHistory || [], []),
+          sqlText(order.createdAt || new Date().toISOString()),
+          sqlText(order.updatedAt || order.createdAt || "")
+        ]
+      )
+    );
+  }
+
+  for (const promotion of db.promotions || []) {
+    const { percent, amount, category, buyQty, freeQty, window, minSubtotal } = promotion;
+    lines.push(
+      lineInsert(
+        "promotions",
+        [
+          "id",
+          "restaurant_id",
+          "name",
+          "type",
+          "code",
+          "rule_json",
+          "max_uses",
+          "used_count",
+          "starts_at",
+          "expires_at",
+          "active",
+          "created_at",
+          "updated_at"
+        ],
+        [
+          sqlText(promotion.id),
+          sqlText(promotion.restaurantId),
+          sqlText(promotion.name || ""),
+          sqlText(promotion.type),
+          sqlText(promotion.code || ""),
+          jsonText({ percent, amount, category, buyQty, freeQty, window, minSubtotal }, {}),
+          sqlNumber(promotion.maxUses, 0),
+          sqlNumber(promotion.usedCount, 0),
+          sqlText(promotion.startsAt || ""),
+          sqlText(promotion.expiresAt || ""),
+          sqlBool(promotion.active !== false),
+          sqlText(promotion.createdAt || new Date().toISOString()),
+          sqlText(promotion.updatedAt || promotion.createdAt || "")
+        ]
+      )
+    );
+  }
+
+  // The JSON store derives slot usage from the orders; D1 keeps it as counters claimed at order time.
+  const pickupSlots = new Map();
+  for (const order of db.orders || []) {
+    const pickupAt = order.orderType === "pickup" && order.fulfillment && order.fulfillment.pickupAt;
+    if (!pickupAt || order.status === "cancelado" || order.status === "recusado") continue;
+    const key = `${order.restaurantId}|${pickupAt}`;
+    const slot = pickupSlots.get(key) || { restaurantId: order.restaurantId, start: pickupAt, orders: 0, items: 0 };
+    slot.orders += 1;
+    slot.items += (order.items || []).reduce((acc, item) => acc + (Number(item.qty) || 0), 0);
+    pickupSlots.set(key, slot);
+  }
+  for (const slot of pickupSlots.values()) {
+    lines.push(
+      lineInsert(
+        "pickup_slots",
+        ["restaurant_id", "slot_start", "orders_count", "items_count"],
+        [sqlText(slot.restaurantId), sqlText(slot.start), sqlNumber(slot.orders, 0), sqlNumber(slot.items, 0)]
+      )
+    );
+  }
+
+  for (const payment of db.payments || []) {
+    lines.push(
+      lineInsert(
+        "payments",
+        [
+          "id",
+          "restaurant_id",
+          "order_id",
+          "provider",
+          "method",
+          "status",
+          "amount",
+          "currency",
+          "provider_ref",
+          "checkout_url",
+          "pix_code",
+          "expires_at",
+          "created_at",
+          "updated_at"
+        ],
+        [
+          sqlText(payment.id),
+          sqlText(payment.restaurantId),
+          sqlText(payment.orderId),
+          sqlText(payment.provider || "mock"),
+          sqlText(payment.method || "checkout"),
+          sqlText(payment.status || "pendente"),
+          sqlNumber(payment.amount, 0),
+          sqlText(payment.currency || "BRL"),
+          sqlText(payment.providerRef || ""),
+          sqlText(payment.checkoutUrl || ""),
+          sqlText(payment.pixCode || ""),
+          sqlText(payment.expiresAt || ""),
+          sqlText(payment.createdAt || new Date().toISOString()),
+          sqlText(payment.updatedAt || payment.createdAt || "")
         ]
       )
     );
@@ -1,4 +1,7 @@
 import { spawn } from "node:child_process";
+import { crc32, deflateSync } from "node:zlib";
+import core from "../core/index.js";
+import qrcode from "../core/qrcode.js";
 
 const BASE_URL = "http://127.0.0.1:5170";
 
@@ -17,9 +20,174 @@ async function request(path, options = {}) {
   return { status: res.status, ok: res.ok, data };
 }
 
+function postJson(body, headers = {}) {
+  return { method: "POST", headers: { ...headers, "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+function putJson(body, headers = {}) {
+  return { method: "PUT", headers: { ...headers, "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+// Marks a response as passing only when the flow-specific condition holds, not just on a 2xx.
+function expectThat(result, condition) {
+  return { ...result, ok: Boolean(condition) };
+}
+
+function expectStatus(result, status, error) {
+  return expectThat(result, result.status === status && (!error || (result.data && result.data.error === error)));
+}
+
+function coreCheck(condition) {
+  return { status: "core", ok: Boolean(condition), data: null };
+}
+
+function coreOrderChecks() {
+  const accepted = core.transitionOrder({ status: "novo", statusHistory: [] }, { status: "aceito" }, "u");
+  return [
+    [
+      "core order transitions",
+      coreCheck(
+        accepted.order &&
+          accepted.order.statusHistory.length === 1 &&
+          core.transitionOrder({ status: "novo" }, { status: "entregue" }, "u").error === "invalid_transition" &&
+          core.transitionOrder({ status: "aceito" }, { status: "cancelado" }, "u").error === "reason_required" &&
+          core.transitionOrder({ status: "entregue" }, { status: "cancelado", reason: "x" }, "u").error ===
+            "invalid_transition"
+      )
+    ]
+  ];
+}
+
+function coreSplitChecks() {
+  const checks = [];
+  const createId = () => `sh-${Math.random()}`;
+  const equal = core.buildBillSplit({ total: 100, lines: [] }, { mode: "equal", people: 3 }, { createId });
+  checks.push([
+    "core bill split equal",
+    coreCheck(equal.split && equal.split.shares.map((share) => share.amount).join(",") === "33.34,33.33,33.33")
+  ]);
+  const custom = core.buildBillSplit(
+    { total: 100, lines: [] },
+    { mode: "custom", shares: [{ amount: 60 }, { amount: 30 }] },
+    { createId }
+  );
+  checks.push(["core bill split mismatch", coreCheck(custom.error === "split_total_mismatch")]);
+  const tab = core.createTab({ id: "t", restaurantId: "r", table: "1", openedAt: new Date().toISOString() });
+  const firstOrder = { id: "o1", status: "entregue", total: 50, items: [] };
+  tab.split = core.buildBillSplit({ total: 50, lines: [] }, { mode: "equal", people: 2 }, { createId }).split;
+  tab.split.shares.forEach((share) => {
+    tab.split = core.setSharePaid(tab.split, share.id, true, "u").split;
+  });
+  const grown = [firstOrder, { id: "o2", status: "entregue", total: 80, items: [] }];
+  checks.push([
+    "core tab split settlement",
+    coreCheck(
+      core.isTabSettled(tab, [firstOrder]) &&
+        !core.isTabSettled(tab, grown) &&
+        core.closeTab(tab, grown, "u").error === "tab_not_settled" &&
+        core.closeTab(tab, grown, "u", { force: true }).tab.settled === false
+    )
+  ]);
+  return checks;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// 1x1 PNG: color type 2 is opaque RGB, 6 adds an alpha channel.
+function buildPng(colorType) {
+  const header = Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, colorType, 0, 0, 0]);
+  const pixel = colorType === 6 ? [0, 200, 40, 40, 128] : [0, 200, 40, 40];
+  return new Uint8Array(
+    Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk("IHDR", header),
+      pngChunk("IDAT", deflateSync(Buffer.from(pixel))),
+      pngChunk("IEND", Buffer.alloc(0))
+    ])
+  );
+}
+
+function coreQrKitChecks() {
+  const kit = (logoBytes) =>
+    core.buildQrKitPdf({
+      restaurant: { name: "Smoke", theme: {} },
+      entries: [{ title: "Mesa 1", subtitle: "", url: "https://menuz.local/r/smoke?mesa=1" }],
+      layout: "a4",
+      logoBytes
+    });
+  const opaque = kit(buildPng(2));
+  const transparent = kit(buildPng(6));
+  return [
+    [
+      "core qr kit png logo",
+      coreCheck(!opaque.warnings.length && Buffer.from(opaque.pdf).toString("latin1").includes("/Filter /FlateDecode"))
+    ],
+    [
+      "core qr kit skipped logo warning",
+      coreCheck(
+        transparent.warnings.includes("logo_skipped") &&
+          !Buffer.from(transparent.pdf).toString("latin1").includes("/Logo")
+      )
+    ]
+  ];
+}
+
+function corePixChecks() {
+  const pix = core.buildPixPayload({
+    key: "smoke@menuz.local",
+    merchantName: "Menuz Smoke",
+    merchantCity: "Sao Paulo",
+    amount: 12.5,
+    txid: "SMOKE1"
+  });
+  const qr = qrcode.encodeQr("https://menuz.local/r/bistro-aurora?mesa=1");
+  const finder = [0, 1, 2, 3, 4, 5, 6].every((index) => qr.modules[0][index] && qr.modules[index][0]);
+  return [
+    ["core pix crc16", coreCheck(core.crc16("123456789") === "29B1")],
+    [
+      "core pix payload",
+      coreCheck(
+        pix.payload &&
+          pix.payload.includes("540512.50") &&
+          pix.payload.endsWith(core.crc16(pix.payload.slice(0, -4)))
+      )
+    ],
+    [
+      "core qr encoder",
+      coreCheck(qr.size >= 21 && (qr.size - 17) % 4 === 0 && qr.modules.length === qr.size && finder)
+    ]
+  ];
+}
+
+function coreChargeChecks() {
+  const charges = { serviceChargePercent: 10, tipOptions: [10] };
+  const quote = core.computeOrderCharges(100, charges, 10, 20, 5);
+  return [
+    [
+      "core service charge and tip",
+      coreCheck(quote.serviceCharge === 8 && quote.tip === 8 && quote.deliveryFee === 5 && quote.total === 101)
+    ],
+    ["core tip outside options", coreCheck(core.sanitizeTipPercent(15, charges).error === "invalid_tip")]
+  ];
+}
+
+// Pure core rules: no server needed, but they back the money and kitchen flows below.
+function runCoreChecks() {
+  return [...coreOrderChecks(), ...coreQrKitChecks(), ...coreSplitChecks(), ...corePixChecks(), ...coreChargeChecks()];
+}
+
 async function run() {
+  const checks = runCoreChecks();
   const server = spawn(process.execPath, ["server.js"], {
-    stdio: ["ignore", "pipe", "pipe"]
+    stdio: ["ignore", "pipe", "pipe"],
+    env: { ...process.env, ORDER_MAX_PER_WINDOW: "100", PAYMENT_PROVIDER: "mock" }
   });
   let started = false;
 
@@ -40,7 +208,6 @@ async function run() {
     throw new Error("server_not_started");
   }
 
-  const checks = [];
   checks.push(["GET /api/health", await request("/api/health")]);
 
   const publicRestaurants = await request("/api/public/restaurants");
@@ -65,6 +232,20 @@ async function run() {
     })
   ]);
 
+  checks.push([
+    "POST /api/public/leads",
+    await request("/api/public/leads", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        restaurantSlug: firstSlug,
+        name: "Smoke",
+        email: "smoke@menuz.local",
+        source: "smoke"
+      })
+    })
+  ]);
+
   const login = await request("/api/login", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -102,6 +283,13 @@ async function run() {
     })
   ]);
 
+  checks.push([
+    "GET /api/restaurants/:id/leads",
+    await request(`/api/restaurants/${encodeURIComponent(restaurantId)}/leads?limit=20`, {
+      headers: authHeaders
+    })
+  ]);
+
   checks.push([
     "POST /api/restaurants/:id/model-jobs/auto-process",
     await request(`/api/restaurants/${encodeURIComponent(restaurantId)}/model-jobs/auto-process`, {
@@ -111,6 +299,22 @@ async function run() {
     })
   ]);
 
+  const ctx = await createOrderContext(checks, { slug: firstSlug, authHeaders });
+  if (ctx) {
+    await runOrderStatusChecks(checks, ctx);
+    await runStockChecks(checks, ctx);
+    await runTableTokenChecks(checks, ctx);
+    await runTabChecks(checks, ctx);
+    await runSplitChecks(checks, ctx);
+    await runPaymentChecks(checks, ctx);
+    await runAnalyticsChecks(checks, ctx);
+    await runCouponChecks(checks, ctx);
+    await runFeedbackChecks(checks, ctx);
+  }
+  await runReservationChecks(checks, { slug: firstSlug });
+  await runWaitlistChecks(checks, { slug: firstSlug });
+
+  checks.push(["GET /api/sessions", await request("/api/sessions", { headers: authHeaders })]);
   checks.push(["POST /api/logout", await request("/api/logout", { method: "POST", headers: authHeaders })]);
 
   let failed = 0;
@@ -131,6 +335,364 @@ async function run() {
   }
 }
 
+// Finds a plain item that can be ordered right now; every order flow below uses its own smoke table.
+async function createOrderContext(checks, base) {
+  const menu = await request(`/api/public/restaurant/${encodeURIComponent(base.slug)}`);
+  const item = ((menu.data && menu.data.items) || []).find(
+    (entry) =>
+      entry.available &&
+      entry.servedNow !== false &&
+      !(entry.optionGroups || []).length &&
+      !(entry.comboGroups || []).length
+  );
+  checks.push(["GET /api/public/restaurant/:slug (orderable item)", expectThat(menu, item)]);
+  if (!item) return null;
+  return { ...base, restaurantId: menu.data.restaurant.id, item, table: `smoke-${Date.now() % 100000}` };
+}
+
+function placeOrder(ctx, table, { qty = 1, ...body } = {}) {
+  return request(
+    "/api/public/orders",
+    postJson({ restaurantSlug: ctx.slug, table, items: [{ id: ctx.item.id, qty }], ...body })
+  );
+}
+
+function setOrderStatus(ctx, orderId, status, reason) {
+  return request(`/api/orders/${encodeURIComponent(orderId)}`, putJson({ status, reason }, ctx.authHeaders));
+}
+
+async function deliverOrder(ctx, orderId) {
+  let result = null;
+  for (const status of ["aceito", "em_preparo", "pronto", "entregue"]) {
+    result = await setOrderStatus(ctx, orderId, status);
+    if (!result.ok) break;
+  }
+  return result;
+}
+
+async function runOrderStatusChecks(checks, ctx) {
+  const placed = await placeOrder(ctx, `${ctx.table}-status`);
+  const order = placed.data && placed.data.order;
+  checks.push(["POST /api/public/orders", expectThat(placed, order)]);
+  if (!order) return;
+  checks.push([
+    "PUT /api/orders/:id skip to entregue",
+    expectStatus(await setOrderStatus(ctx, order.id, "entregue"), 409, "invalid_transition")
+  ]);
+  const delivered = await deliverOrder(ctx, order.id);
+  checks.push([
+    "PUT /api/orders/:id novo -> entregue",
+    expectThat(delivered, delivered.data && delivered.data.order && delivered.data.order.statusHistory.length === 5)
+  ]);
+  checks.push([
+    "PUT /api/orders/:id reopen delivered",
+    expectStatus(await setOrderStatus(ctx, order.id, "cancelado", "smoke"), 409, "invalid_transition")
+  ]);
+}
+
+async function runStockChecks(checks, ctx) {
+  const items = await request(`/api/restaurants/${encodeURIComponent(ctx.restaurantId)}/items`, {
+    headers: ctx.authHeaders
+  });
+  const stored = ((items.data && items.data.items) || []).find((entry) => entry.id === ctx.item.id) || {};
+  const itemPath = `/api/items/${encodeURIComponent(ctx.item.id)}`;
+  await request(itemPath, putJson({ stockDaily: 1 }, ctx.authHeaders));
+  checks.push([
+    "POST /api/public/orders over daily stock",
+    expectStatus(await placeOrder(ctx, `${ctx.table}-stock`, { qty: 2 }), 409, "item_unavailable")
+  ]);
+  const last = await placeOrder(ctx, `${ctx.table}-stock`);
+  checks.push([
+    "POST /api/public/orders sold out",
+    expectStatus(await placeOrder(ctx, `${ctx.table}-stock`), 409, "item_unavailable")
+  ]);
+  if (last.data && last.data.order) await setOrderStatus(ctx, last.data.order.id, "recusado", "smoke");
+  checks.push(["POST /api/public/orders after refused order restocks", await placeOrder(ctx, `${ctx.table}-stock`)]);
+  await request(itemPath, putJson({ stockDaily: stored.stockDaily ?? "" }, ctx.authHeaders));
+  if (stored.stockDaily !== null && stored.stockDaily !== undefined) {
+    await request(`${itemPath}/availability`, putJson({ stockRemaining: stored.stockRemaining }, ctx.authHeaders));
+  }
+}
+
+// Registers a table for the duration of the check: while it exists, only its signed QR token can order.
+async function runTableTokenChecks(checks, ctx) {
+  const created = await request(
+    `/api/restaurants/${encodeURIComponent(ctx.restaurantId)}/tables`,
+    postJson({ label: `${ctx.table}-qr` }, ctx.authHeaders)
+  );
+  const table = created.data && created.data.tables && created.data.tables[0];
+  checks.push(["POST /api/restaurants/:id/tables", expectThat(created, table && table.token)]);
+  if (!table) return;
+  checks.push([
+    "POST /api/public/orders typed label with registered tables",
+    expectStatus(await placeOrder(ctx, table.label), 400, "table_token_required")
+  ]);
+  const placed = await placeOrder(ctx, "", { tableToken: table.token });
+  checks.push([
+    "POST /api/public/orders with table token",
+    expectThat(placed, placed.data && placed.data.order && placed.data.order.tableId === table.id)
+  ]);
+  const tabId = placed.data && placed.data.tab ? placed.data.tab.id : "";
+  const split = await request(
+    `/api/public/tabs/${encodeURIComponent(tabId)}/split`,
+    postJson({ mode: "equal", people: 2, tableToken: table.token })
+  );
+  checks.push([
+    "POST /api/public/tabs/:id/split with table token",
+    expectThat(split, split.data && split.data.tab && split.data.tab.split)
+  ]);
+  if (placed.data && placed.data.order) await setOrderStatus(ctx, placed.data.order.id, "recusado", "smoke");
+  await request(`/api/tables/${encodeURIComponent(table.id)}`, { method: "DELETE", headers: ctx.authHeaders });
+}
+
+async function runTabChecks(checks, ctx) {
+  const table = `${ctx.table}-tab`;
+  const first = await placeOrder(ctx, table);
+  const tab = first.data && first.data.tab;
+  checks.push(["POST /api/public/orders (opens tab)", expectThat(first, tab && tab.id)]);
+  if (!tab) return;
+  const second = await placeOrder(ctx, table);
+  checks.push([
+    "POST /api/public/orders (same tab)",
+    expectThat(second, second.data && second.data.tab && second.data.tab.id === tab.id)
+  ]);
+  const tabPath = `/api/tabs/${encodeURIComponent(tab.id)}`;
+  checks.push([
+    "POST /api/tabs/:id/close with open orders",
+    expectStatus(await request(`${tabPath}/close`, postJson({}, ctx.authHeaders)), 409, "tab_has_open_orders")
+  ]);
+  for (const result of [first, second]) {
+    if (result.data && result.data.order) await setOrderStatus(ctx, result.data.order.id, "recusado", "smoke");
+  }
+  const closed = await request(`${tabPath}/close`, postJson({}, ctx.authHeaders));
+  checks.push([
+    "POST /api/tabs/:id/close",
+    expectThat(closed, closed.data && closed.data.tab && closed.data.tab.status === "closed")
+  ]);
+}
+
+async function runSplitChecks(checks, ctx) {
+  const table = `${ctx.table}-split`;
+  const first = await placeOrder(ctx, table);
+  const firstOrder = first.data && first.data.order;
+  const tab = first.data && first.data.tab;
+  if (!firstOrder || !tab) {
+    checks.push(["POST /api/public/orders (split tab)", expectThat(first, false)]);
+    return;
+  }
+  await deliverOrder(ctx, firstOrder.id);
+  const tabPath = `/api/tabs/${encodeURIComponent(tab.id)}`;
+  const split = await request(`${tabPath}/split`, postJson({ mode: "equal", people: 2 }, ctx.authHeaders));
+  const shares = (split.data && split.data.tab && split.data.tab.split && split.data.tab.split.shares) || [];
+  checks.push(["POST /api/tabs/:id/split", expectThat(split, shares.length === 2)]);
+  let paidShare = null;
+  for (const share of shares) {
+    paidShare = await request(
+      `${tabPath}/split/shares/${encodeURIComponent(share.id)}`,
+      putJson({ paid: true }, ctx.authHeaders)
+    );
+  }
+  checks.push([
+    "PUT /api/tabs/:id/split/shares/:shareId (settles)",
+    expectThat(paidShare, paidShare && paidShare.data && paidShare.data.tab && paidShare.data.tab.settled)
+  ]);
+  const second = await placeOrder(ctx, table);
+  checks.push([
+    "POST /api/public/orders (new order reopens bill)",
+    expectThat(second, second.data && second.data.tab && second.data.tab.id === tab.id && !second.data.tab.settled)
+  ]);
+  checks.push([
+    "POST /api/public/tabs/:id/split without table token",
+    expectStatus(
+      await request(`/api/public/tabs/${encodeURIComponent(tab.id)}/split`, postJson({ mode: "equal", people: 2 })),
+      403,
+      "table_token_required"
+    )
+  ]);
+  const remainder = await request(
+    `${tabPath}/split`,
+    postJson({ mode: "equal", people: 2, keepPaid: true }, ctx.authHeaders)
+  );
+  const remainderShares =
+    (remainder.data && remainder.data.tab && remainder.data.tab.split && remainder.data.tab.split.shares) || [];
+  checks.push([
+    "POST /api/tabs/:id/split keepPaid (remainder)",
+    expectThat(
+      remainder,
+      remainderShares.length === 4 && remainderShares.filter((share) => share.status === "paid").length === 2
+    )
+  ]);
+  for (const share of remainderShares.filter((entry) => entry.status !== "paid")) {
+    paidShare = await request(
+      `${tabPath}/split/shares/${encodeURIComponent(share.id)}`,
+      putJson({ paid: true }, ctx.authHeaders)
+    );
+  }
+  checks.push([
+    "PUT /api/tabs/:id/split/shares/:shareId (remainder settles)",
+    expectThat(paidShare, paidShare && paidShare.data && paidShare.data.tab && paidShare.data.tab.settled)
+  ]);
+  if (second.data && second.data.order) await deliverOrder(ctx, second.data.order.id);
+  const closed = await request(`${tabPath}/close`, postJson({}, ctx.authHeaders));
+  checks.push([
+    "POST /api/tabs/:id/close (paid split)",
+    expectThat(closed, closed.data && closed.data.tab && closed.data.tab.status === "closed" && closed.data.tab.settled)
+  ]);
+
+  const open = await placeOrder(ctx, `${table}-open`);
+  const openTab = open.data && open.data.tab;
+  const forced = await request(
+    `/api/tabs/${encodeURIComponent(openTab ? openTab.id : "")}/close`,
+    postJson({ force: true }, ctx.authHeaders)
+  );
+  checks.push([
+    "POST /api/tabs/:id/close force (not settled)",
+    expectThat(
+      forced,
+      forced.data && forced.data.tab && forced.data.tab.status === "closed" && !forced.data.tab.settled
+    )
+  ]);
+}
+
+async function runPaymentChecks(checks, ctx) {
+  const placed = await placeOrder(ctx, `${ctx.table}-pay`);
+  const orderId = placed.data && placed.data.order ? placed.data.order.id : "";
+  const payment = await request(
+    `/api/public/orders/${encodeURIComponent(orderId)}/payments`,
+    postJson({ method: "checkout" })
+  );
+  const paymentId = payment.data && payment.data.payment ? payment.data.payment.id : "";
+  checks.push(["POST /api/public/orders/:id/payments (mock)", expectThat(payment, paymentId)]);
+  const mockPaid = await request(`/api/public/payments/${encodeURIComponent(paymentId)}/mock?outcome=pago`, {
+    method: "POST",
+    redirect: "manual"
+  });
+  checks.push(["POST /api/public/payments/:id/mock", expectStatus(mockPaid, 303)]);
+  const paymentStatus = await request(`/api/public/payments/${encodeURIComponent(paymentId)}`);
+  checks.push([
+    "GET /api/public/payments/:id (pago)",
+    expectThat(paymentStatus, paymentStatus.data && paymentStatus.data.payment.status === "pago")
+  ]);
+  if (placed.data && placed.data.tab) {
+    const tabPath = `/api/tabs/${encodeURIComponent(placed.data.tab.id)}`;
+    await request(`${tabPath}/close`, postJson({ force: true }, ctx.authHeaders));
+  }
+}
+
+async function runAnalyticsChecks(checks, ctx) {
+  const analyticsPath = `/api/restaurants/${encodeURIComponent(ctx.restaurantId)}/analytics?days=1`;
+  const readSummary = async () => {
+    const result = await request(analyticsPath, { headers: ctx.authHeaders });
+    return (result.data && result.data.analytics && result.data.analytics.summary) || {};
+  };
+  const before = await readSummary();
+  const placed = await placeOrder(ctx, `${ctx.table}-void`);
+  if (placed.data && placed.data.order) await setOrderStatus(ctx, placed.data.order.id, "recusado", "smoke");
+  const after = await readSummary();
+  checks.push([
+    "GET /api/restaurants/:id/analytics (refused order out of revenue)",
+    expectThat(
+      placed,
+      placed.data &&
+        after.ordersTotal === before.ordersTotal + 1 &&
+        after.revenueTotal === before.revenueTotal &&
+        after.tipTotal === before.tipTotal
+    )
+  ]);
+}
+
+async function runCouponChecks(checks, ctx) {
+  const code = `SMOKE${Date.now() % 100000}`;
+  const created = await request(
+    `/api/restaurants/${encodeURIComponent(ctx.restaurantId)}/promotions`,
+    postJson({ name: "Smoke", type: "percent", code, percent: 10, maxUses: 1 }, ctx.authHeaders)
+  );
+  const promotion = created.data && created.data.promotion;
+  checks.push(["POST /api/restaurants/:id/promotions", expectThat(created, promotion)]);
+  if (!promotion) return;
+  const table = `${ctx.table}-coupon`;
+  const first = await placeOrder(ctx, table, { couponCode: code });
+  checks.push([
+    "POST /api/public/orders with coupon",
+    expectThat(first, first.data && first.data.order && first.data.order.discount > 0)
+  ]);
+  checks.push([
+    "POST /api/public/orders coupon over maxUses",
+    expectStatus(await placeOrder(ctx, table, { couponCode: code }), 400, "coupon_exhausted")
+  ]);
+  if (first.data && first.data.order) {
+    await setOrderStatus(ctx, first.data.order.id, "recusado", "smoke");
+    const reused = await placeOrder(ctx, table, { couponCode: code });
+    checks.push([
+      "POST /api/public/orders coupon freed by refusal",
+      expectThat(reused, reused.data && reused.data.order)
+    ]);
+    if (reused.data && reused.data.order) await setOrderStatus(ctx, reused.data.order.id, "recusado", "smoke");
+  }
+  await request(`/api/promotions/${encodeURIComponent(promotion.id)}`, { method: "DELETE", headers: ctx.authHeaders });
+}
+
+async function runReservationChecks(checks, { slug }) {
+  const phone = "11999990000";
+  const reservation = await request(
+    "/api/public/reservations",
+    postJson({ restaurantSlug: slug, name: "Smoke", phone, guests: 2, date: "2099-12-31", time: "20:00" })
+  );
+  const code = reservation.data && reservation.data.reservation ? reservation.data.reservation.code : "";
+  checks.push(["POST /api/public/reservations", expectThat(reservation, code)]);
+  const reservationPath = `/api/public/reservations/${encodeURIComponent(code)}`;
+  checks.push([
+    "GET /api/public/reservations/:code",
+    await request(`${reservationPath}?phone=${encodeURIComponent(phone)}`)
+  ]);
+  checks.push([
+    "POST /api/public/reservations/:code/cancel",
+    await request(`${reservationPath}/cancel`, postJson({ phone }))
+  ]);
+  checks.push([
+    "POST /api/public/reservations/:code/cancel again",
+    expectStatus(await request(`${reservationPath}/cancel`, postJson({ phone })), 409, "reservation_closed")
+  ]);
+}
+
+async function runWaitlistChecks(checks, { slug }) {
+  const joined = await request(
+    "/api/public/waitlist",
+    postJson({ restaurantSlug: slug, name: "Smoke", phone: "11999990000", guests: 2 })
+  );
+  const token = (joined.data && joined.data.token) || "";
+  checks.push([
+    "POST /api/public/waitlist",
+    expectThat(joined, token && joined.data.entry && joined.data.entry.position >= 1)
+  ]);
+  const waitlistPath = `/api/public/waitlist/${encodeURIComponent(token)}`;
+  const ticket = await request(waitlistPath);
+  checks.push([
+    "GET /api/public/waitlist/:token",
+    expectThat(ticket, ticket.data && ticket.data.entry && ticket.data.entry.status === "aguardando")
+  ]);
+  checks.push(["POST /api/public/waitlist/:token/cancel", await request(`${waitlistPath}/cancel`, postJson({}))]);
+  checks.push([
+    "POST /api/public/waitlist/:token/cancel again",
+    expectStatus(await request(`${waitlistPath}/cancel`, postJson({})), 409, "waitlist_closed")
+  ]);
+}
+
+async function runFeedbackChecks(checks, ctx) {
+  const placed = await placeOrder(ctx, `${ctx.table}-feedback`);
+  const feedback = {
+    restaurantSlug: ctx.slug,
+    orderId: placed.data && placed.data.order ? placed.data.order.id : "",
+    nps: 9,
+    items: [{ itemId: ctx.item.id, rating: 5 }]
+  };
+  checks.push(["POST /api/public/feedback (order items)", await request("/api/public/feedback", postJson(feedback))]);
+  checks.push([
+    "POST /api/public/feedback same order",
+    expectStatus(await request("/api/public/feedback", postJson(feedback)), 409, "feedback_already_sent")
+  ]);
+}
+
 run().catch((error) => {
   console.error(error && error.stack ? error.stack : String(error));
   process.exit(1);
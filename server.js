@@ -4,6 +4,156 @@ const fs = require("fs/promises");
 const fsSync = require("fs");
 const multer = require("multer");
 const { randomUUID, randomBytes, scryptSync, timingSafeEqual, createHash } = require("crypto");
+const {
+  IMAGE_EXTENSIONS,
+  MODEL_EXTENSIONS,
+  EMAIL_PATTERN,
+  DEFAULT_ACCENT,
+  DEFAULT_PUBLIC_TEMPLATE,
+  DEFAULT_LANGUAGE_CODE,
+  GOOGLE_TRANSLATE_API_BASE,
+  getConfig,
+  getMeshySettings,
+  getPaymentSettings,
+  getNotifierSettings,
+  normalizeEmail,
+  isRemoteHttpUrl,
+  normalizeSlug,
+  sanitizeText,
+  sanitizeTemplateName,
+  resolveRestaurantTemplatePath,
+  sanitizeLanguageCode,
+  sanitizeLanguageList,
+  decodeHtmlEntities,
+  sanitizeTranslatePayload,
+  sanitizeContactEmail,
+  sanitizeUiMessages,
+  sanitizeCategoryLabels,
+  sanitizeIntegrations,
+  sanitizeNullableUrl,
+  sanitizePrice,
+  sanitizeTableLabel,
+  sanitizeLeadPayload,
+  sanitizeReservationPayload,
+  sanitizeWaitlistPayload,
+  sanitizeFeedbackPayload,
+  sanitizeListLimit,
+  sanitizeEventType,
+  evaluateCaptureReadiness,
+  toModelQualityBand,
+  evaluateJobQuality,
+  getAiProviders,
+  getAiProvider,
+  buildJobImageInputs,
+  startMeshyImageTo3D,
+  fetchMeshyTask,
+  mapMeshyStatus,
+  extractMeshyModelUrls,
+  fireRestaurantWebhook,
+  getSessionId,
+  toSessionSummary,
+  isRouteAllowedForRole,
+  sanitizeStaffRole,
+  formatSseEvent,
+  sanitizeOptionGroups,
+  buildOrderLines,
+  sanitizeComboGroups,
+  isComboItem,
+  sanitizeCharges,
+  sanitizeTipPercent,
+  computeOrderCharges,
+  sanitizeOrderType,
+  sanitizeFulfillment,
+  summarizePickupUsage,
+  listPickupSlots,
+  resolveOrderFulfillment,
+  describeOrderTarget,
+  sanitizeReservationSettings,
+  sanitizeReservationCode,
+  generateReservationCode,
+  listReservationTimes,
+  resolveReservationBooking,
+  matchesReservationPhone,
+  applyReservationStatus,
+  cancelReservationByGuest,
+  toPublicReservation,
+  generateWaitlistToken,
+  sanitizeWaitlistToken,
+  countPartiesAhead,
+  describeWaitlistQueue,
+  applyWaitlistStatus,
+  cancelWaitlistByGuest,
+  buildWaitlistNotice,
+  toPublicWaitlistEntry,
+  getGuestNotifier,
+  sendGuestNotice,
+  resolveFeedbackItems,
+  needsFeedbackFollowUp,
+  applyFeedbackFollowUp,
+  summarizeFeedback,
+  MAX_PROMOTIONS_PER_RESTAURANT,
+  sanitizePromotionInput,
+  applyPromotions,
+  listPublicPromotions,
+  summarizePromotionUsage,
+  getStockDate,
+  getItemAvailability,
+  applyItemAvailabilityInput,
+  reserveOrderStock,
+  restockOrder,
+  sanitizeTimezone,
+  sanitizeSchedule,
+  sanitizeDaypartIds,
+  getItemSchedule,
+  checkOrderSchedule,
+  createOrderHistoryEntry,
+  ORDER_NOTE_MAX,
+  sanitizeOrderNote,
+  detectOrderAllergy,
+  MAX_TABLES_PER_RESTAURANT,
+  sanitizeTableInput,
+  findTableByLabel,
+  toPublicTable,
+  signTableToken,
+  verifyTableToken,
+  verifyTabTableToken,
+  resolveOrderTable,
+  sanitizeQrKitOptions,
+  buildQrKitEntries,
+  buildQrKitPdf,
+  SERVICE_REQUEST_LIST_LIMIT,
+  sanitizeServiceRequestType,
+  findPendingServiceRequest,
+  createServiceRequest,
+  acknowledgeServiceRequest,
+  roundMoney,
+  TAB_LIST_LIMIT,
+  sanitizeTabStatus,
+  findOpenTab,
+  createTab,
+  summarizeTab,
+  isTabSettled,
+  closeTab,
+  toPublicTab,
+  buildBillSplit,
+  buildRemainderSplit,
+  canReplaceSplit,
+  setSharePaid,
+  sanitizePaymentMethod,
+  getPaymentProvider,
+  buildMockWebhook,
+  createPaymentRecord,
+  applyPaymentStatus,
+  findWebhookPayment,
+  toPublicPayment,
+  renderMockCheckoutPage,
+  buildPixCharge,
+  normalizeOrderHistory,
+  transitionOrder,
+  isOrderVoid,
+  autoProcessRestaurantJobs
+} = require("./core");
+const { createJsonFileStore, createJsonRepository } = require("./core/adapters/json-file");
 
 function loadLocalEnv() {
   const envPath = path.join(__dirname, ".env");
@@ -40,92 +190,43 @@ const IMAGES_DIR = path.join(UPLOADS_DIR, "images");
 const MODELS_DIR = path.join(UPLOADS_DIR, "models");
 const SCANS_DIR = path.join(UPLOADS_DIR, "scans");
 const JOB_IMAGES_DIR = path.join(UPLOADS_DIR, "job-images");
-const MESHY_API_BASE = "https://api.meshy.ai/openapi/v1";
-const GOOGLE_TRANSLATE_API_BASE = "https://translation.googleapis.com/language/translate/v2";
-const MESHY_DEFAULT_MODEL = process.env.MESHY_AI_MODEL || "meshy-6";
-const MESHY_MAX_REFERENCE_IMAGES = Number(process.env.MESHY_MAX_REFERENCE_IMAGES || 4);
-const CAPTURE_MIN_START_FOOD = Number(process.env.CAPTURE_MIN_START_FOOD || 6);
-const CAPTURE_MIN_START_GENERAL = Number(process.env.CAPTURE_MIN_START_GENERAL || 4);
-const CAPTURE_RECOMMENDED_FOOD = Number(process.env.CAPTURE_RECOMMENDED_FOOD || 20);
-const CAPTURE_RECOMMENDED_GENERAL = Number(process.env.CAPTURE_RECOMMENDED_GENERAL || 12);
 const SESSION_SECRET = (process.env.SESSION_SECRET || "").toString().trim() || "dev-session-secret-change-me";
-const GOOGLE_TRANSLATE_LANGUAGE_MAP = {
-  "pt-BR": "pt",
-  "en-US": "en",
-  "es-ES": "es",
-  "fr-FR": "fr",
-  "it-IT": "it",
-  "de-DE": "de"
-};
 const TRANSLATE_WINDOW_MS = Number(process.env.TRANSLATE_WINDOW_MS || 60 * 1000);
 const TRANSLATE_MAX_PER_WINDOW = Number(process.env.TRANSLATE_MAX_PER_WINDOW || 20);
-const TRANSLATE_MAX_TEXTS = Number(process.env.TRANSLATE_MAX_TEXTS || 80);
-const TRANSLATE_MAX_CHARS_PER_TEXT = Number(process.env.TRANSLATE_MAX_CHARS_PER_TEXT || 300);
-const TRANSLATE_MAX_TOTAL_CHARS = Number(process.env.TRANSLATE_MAX_TOTAL_CHARS || 6000);
 const TOKEN_TTL_MS = Number(process.env.TOKEN_TTL_MS || 24 * 60 * 60 * 1000);
+const SESSION_TOUCH_MS = Number(process.env.SESSION_TOUCH_MS || 60 * 1000);
+const ORDER_STREAM_HEARTBEAT_MS = Number(process.env.ORDER_STREAM_HEARTBEAT_MS || 25 * 1000);
 const LOGIN_WINDOW_MS = Number(process.env.LOGIN_WINDOW_MS || 15 * 60 * 1000);
 const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 6);
 const LOGIN_LOCK_MS = Number(process.env.LOGIN_LOCK_MS || 15 * 60 * 1000);
 const ORDER_WINDOW_MS = Number(process.env.ORDER_WINDOW_MS || 5 * 60 * 1000);
 const ORDER_MAX_PER_WINDOW = Number(process.env.ORDER_MAX_PER_WINDOW || 20);
+const SERVICE_REQUEST_WINDOW_MS = Number(process.env.SERVICE_REQUEST_WINDOW_MS || 5 * 60 * 1000);
+const SERVICE_REQUEST_MAX_PER_WINDOW = Number(process.env.SERVICE_REQUEST_MAX_PER_WINDOW || 6);
 const AI_ACTION_WINDOW_MS = Number(process.env.AI_ACTION_WINDOW_MS || 60 * 1000);
 const AI_ACTION_MAX_PER_WINDOW = Number(process.env.AI_ACTION_MAX_PER_WINDOW || 12);
 const PUBLIC_EVENT_WINDOW_MS = Number(process.env.PUBLIC_EVENT_WINDOW_MS || 5 * 60 * 1000);
 const PUBLIC_EVENT_MAX_PER_WINDOW = Number(process.env.PUBLIC_EVENT_MAX_PER_WINDOW || 200);
-const QA_MIN_PUBLISH_SCORE = Number(process.env.QA_MIN_PUBLISH_SCORE || 70);
-const DEFAULT_PUBLIC_TEMPLATE = "topo-do-mundo";
-const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]{1,60}$/;
+const CONFIG = getConfig(process.env);
+const MESHY = getMeshySettings(process.env);
+const PAYMENTS = getPaymentSettings(process.env);
+const PAYMENT_PROVIDER = getPaymentProvider(PAYMENTS);
+const NOTIFIER_SETTINGS = getNotifierSettings(process.env);
+const NOTIFIER_FILE = path.resolve(__dirname, NOTIFIER_SETTINGS.filePath || "data/notifications.local.log");
+const GUEST_NOTIFIER = getGuestNotifier(NOTIFIER_SETTINGS, {
+  appendLine: (line) => fs.appendFile(NOTIFIER_FILE, `${line}\n`)
+});
+const dbStore = createJsonFileStore(DATA_PATH, { prepare: prepareDb });
 
-const tokens = new Map();
 const loginAttempts = new Map();
 const translateRate = new Map();
 const orderRate = new Map();
+const serviceRequestRate = new Map();
 const aiActionRate = new Map();
 const publicEventRate = new Map();
-let dbWriteQueue = Promise.resolve();
-const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
-const MODEL_EXTENSIONS = new Set([".glb", ".usdz"]);
-const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-const TABLE_PATTERN = /^[a-zA-Z0-9\-_.#]{1,32}$/;
-const PUBLIC_EVENT_TYPES = new Set([
-  "menu_view",
-  "item_view",
-  "ar_open",
-  "add_to_cart",
-  "order_submit",
-  "qr_scan"
-]);
-const LANGUAGE_CODES = ["pt-BR", "en-US", "es-ES", "fr-FR", "it-IT", "de-DE"];
-const DEFAULT_LANGUAGE_CODE = "pt-BR";
-const UI_MESSAGE_KEYS = [
-  "searchPlaceholder",
-  "modeMenu",
-  "menuPersonality",
-  "all",
-  "ar",
-  "add",
-  "noItemsFound",
-  "orderOfTable",
-  "orderSummary",
-  "close",
-  "noItemsInCart",
-  "total",
-  "tablePlaceholder",
-  "clear",
-  "submit",
-  "sending",
-  "msgNeedTable",
-  "msgEmpty",
-  "msgFail",
-  "msgOk",
-  "msgConnection",
-  "msgCleared",
-  "language"
-];
-
-function normalizeEmail(value) {
-  return (value || "").toString().trim().toLowerCase();
-}
+const engagementRate = new Map();
+const orderStreams = new Map();
+let writeQueue = Promise.resolve();
 
 function hashPassword(plainPassword) {
   const password = (plainPassword || "").toString();
@@ -225,65 +326,6 @@ function ensureDirSync(dir) {
   }
 }
 
-function normalizeSlug(text) {
-  if (!text) return "";
-  return text
-    .toString()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 64);
-}
-
-function sanitizeTemplateName(value) {
-  const raw = (value || "").toString().trim().toLowerCase();
-  if (!raw || raw === "default") return DEFAULT_PUBLIC_TEMPLATE;
-  if (!TEMPLATE_NAME_PATTERN.test(raw)) return DEFAULT_PUBLIC_TEMPLATE;
-  return raw;
-}
-
-function resolveRestaurantTemplatePath(templateName) {
-  const safeTemplate = sanitizeTemplateName(templateName);
-  return `/templates/${safeTemplate}.html`;
-}
-
-function normalizeLanguageCode(value) {
-  return LANGUAGE_CODES.includes(value) ? value : DEFAULT_LANGUAGE_CODE;
-}
-
-function normalizeLanguageList(value, preferredDefault = DEFAULT_LANGUAGE_CODE) {
-  const input = Array.isArray(value) ? value : [];
-  const unique = [];
-  input.forEach((code) => {
-    const normalized = normalizeLanguageCode(code);
-    if (!unique.includes(normalized)) unique.push(normalized);
-  });
-  if (!unique.length) unique.push(...LANGUAGE_CODES);
-  const defaultCode = normalizeLanguageCode(preferredDefault);
-  if (!unique.includes(defaultCode)) unique.unshift(defaultCode);
-  return unique.slice(0, LANGUAGE_CODES.length);
-}
-
-function sanitizeText(value, max = 255) {
-  return (value || "").toString().trim().replace(/\s+/g, " ").slice(0, max);
-}
-
-function toGoogleLanguageCode(code, fallback = "pt") {
-  const normalized = normalizeLanguageCode(code);
-  return GOOGLE_TRANSLATE_LANGUAGE_MAP[normalized] || fallback;
-}
-
-function decodeHtmlEntities(value) {
-  return String(value || "")
-    .replaceAll("&#39;", "'")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">");
-}
-
 function consumeInMemoryRateLimit(bucket, key, maxPerWindow, windowMs) {
   const safeKey = key || "unknown";
   const now = Date.now();
@@ -325,6 +367,38 @@ function consumeOrderRateLimit(ip) {
   );
 }
 
+// Every route that changes the db reads and rewrites the whole file, so those run one at a time; otherwise a slow
+// request saves an old copy over stock, pickup slots, table bookings, payments or queue positions. Goes before
+// requireAuth, which reads the db.
+function serializeWrites(req, res, next) {
+  const previous = writeQueue;
+  writeQueue = new Promise((resolve) => {
+    res.on("finish", resolve);
+    res.on("close", resolve);
+  });
+  previous.then(() => next());
+}
+
+// Queues a change outside a request: the task edits a freshly read db once every earlier write has finished.
+function enqueueWrite(task) {
+  const run = writeQueue.then(async () => {
+    const db = await readDb();
+    task(db);
+    await writeDb(db);
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function consumeServiceRequestRateLimit(ip) {
+  return consumeInMemoryRateLimit(
+    serviceRequestRate,
+    ip || "unknown",
+    SERVICE_REQUEST_MAX_PER_WINDOW,
+    SERVICE_REQUEST_WINDOW_MS
+  );
+}
+
 function consumePublicEventRateLimit(ip) {
   return consumeInMemoryRateLimit(
     publicEventRate,
@@ -334,6 +408,15 @@ function consumePublicEventRateLimit(ip) {
   );
 }
 
+function consumeEngagementRateLimit(channel, ip) {
+  return consumeInMemoryRateLimit(
+    engagementRate,
+    `${channel || "unknown"}:${ip || "unknown"}`,
+    PUBLIC_EVENT_MAX_PER_WINDOW,
+    PUBLIC_EVENT_WINDOW_MS
+  );
+}
+
 function consumeAiActionRateLimit(userId, action) {
   return consumeInMemoryRateLimit(
     aiActionRate,
@@ -343,16 +426,10 @@ function consumeAiActionRateLimit(userId, action) {
   );
 }
 
-function sanitizeTableLabel(value) {
-  const table = sanitizeText(value, 32);
-  if (!TABLE_PATTERN.test(table)) return "";
-  return table;
-}
-
-function sanitizeEventType(value) {
-  const eventType = sanitizeText(value, 40).toLowerCase();
-  if (!PUBLIC_EVENT_TYPES.has(eventType)) return "";
-  return eventType;
+function hashSessionToken(token) {
+  return createHash("sha256")
+    .update(`${SESSION_SECRET}:${token}`)
+    .digest("hex");
 }
 
 function hashEventIp(ip) {
@@ -361,32 +438,6 @@ function hashEventIp(ip) {
     .digest("hex");
 }
 
-function sanitizeTranslatePayload(body) {
-  const rawTexts = Array.isArray(body && body.texts) ? body.texts : [];
-  if (!rawTexts.length) return { ok: false, error: "texts_required" };
-  if (rawTexts.length > TRANSLATE_MAX_TEXTS) return { ok: false, error: "too_many_texts" };
-
-  const texts = [];
-  let totalChars = 0;
-  for (const rawText of rawTexts) {
-    const text = sanitizeText(rawText, TRANSLATE_MAX_CHARS_PER_TEXT);
-    texts.push(text);
-    totalChars += text.length;
-  }
-  if (totalChars > TRANSLATE_MAX_TOTAL_CHARS) return { ok: false, error: "texts_too_large" };
-
-  const targetLanguage = normalizeLanguageCode(body.targetLanguage || body.target || "");
-  const requestedSource = sanitizeText(body.sourceLanguage || body.source || "", 16);
-
-  return {
-    ok: true,
-    texts,
-    targetLanguage,
-    targetGoogleCode: toGoogleLanguageCode(targetLanguage, "pt"),
-    sourceLanguage: requestedSource ? toGoogleLanguageCode(requestedSource, "pt") : ""
-  };
-}
-
 async function requestGoogleTranslations(payload) {
   const apiKey = sanitizeText(process.env.GOOGLE_TRANSLATE_API_KEY || "", 256);
   if (!apiKey) {
@@ -454,74 +505,12 @@ async function requestGoogleTranslations(payload) {
   return { ok: true, translations: output };
 }
 
-function sanitizeContactEmail(value) {
-  const email = normalizeEmail(value);
-  if (!email) return "";
-  return EMAIL_PATTERN.test(email) ? email : "";
-}
-
-function sanitizeUiMessages(value) {
-  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
-  const output = {};
-  Object.entries(value).forEach(([langCode, entriesRaw]) => {
-    const code = normalizeLanguageCode(langCode);
-    if (!entriesRaw || typeof entriesRaw !== "object" || Array.isArray(entriesRaw)) return;
-    const entries = {};
-    UI_MESSAGE_KEYS.forEach((key) => {
-      if (entriesRaw[key] === undefined || entriesRaw[key] === null) return;
-      const text = entriesRaw[key].toString().trim().slice(0, 180);
-      if (text) entries[key] = text;
-    });
-    if (Object.keys(entries).length > 0) {
-      output[code] = entries;
-    }
-  });
-  return output;
-}
-
-function sanitizeCategoryLabels(value) {
-  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
-  const output = {};
-  Object.entries(value).forEach(([categoryRaw, translationsRaw]) => {
-    const categoryKey = normalizeSlug(categoryRaw);
-    if (!categoryKey || !translationsRaw || typeof translationsRaw !== "object" || Array.isArray(translationsRaw)) {
-      return;
-    }
-    const translations = {};
-    Object.entries(translationsRaw).forEach(([langCode, textRaw]) => {
-      const code = normalizeLanguageCode(langCode);
-      const text = (textRaw || "").toString().trim().slice(0, 80);
-      if (text) translations[code] = text;
-    });
-    if (Object.keys(translations).length > 0) {
-      output[categoryKey] = translations;
-    }
-  });
-  return output;
-}
-
-function sanitizeNullableUrl(value, max = 600) {
-  const text = sanitizeText(value, max);
-  if (!text) return "";
-  if (text.startsWith("/uploads/")) return text;
-  if (isRemoteHttpUrl(text)) return text;
-  return "";
-}
-
-function sanitizePrice(value) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) return 0;
-  if (num < 0) return 0;
-  if (num > 99999) return 99999;
-  return Math.round(num * 100) / 100;
-}
-
 function normalizeRestaurantRecord(raw = {}) {
   const next = { ...raw };
   if (!next.theme || typeof next.theme !== "object") {
-    next.theme = { accent: "#D95F2B" };
+    next.theme = { accent: DEFAULT_ACCENT };
   } else if (!next.theme.accent) {
-    next.theme.accent = "#D95F2B";
+    next.theme.accent = DEFAULT_ACCENT;
   }
   if (!Array.isArray(next.heroImages)) {
     next.heroImages = [];
@@ -540,16 +529,22 @@ function normalizeRestaurantRecord(raw = {}) {
     (next.languageSettings && next.languageSettings.defaultLanguage) || DEFAULT_LANGUAGE_CODE;
   const languageSettings = next.languageSettings || {};
   next.languageSettings = {
-    defaultLanguage: normalizeLanguageCode(currentDefault),
-    languages: normalizeLanguageList(languageSettings.languages, currentDefault)
+    defaultLanguage: sanitizeLanguageCode(currentDefault),
+    languages: sanitizeLanguageList(languageSettings.languages, currentDefault)
   };
   next.uiMessages = sanitizeUiMessages(next.uiMessages);
   next.categoryLabels = sanitizeCategoryLabels(next.categoryLabels);
+  next.integrations = sanitizeIntegrations(next.integrations);
   next.template = sanitizeTemplateName(next.template);
+  next.timezone = sanitizeTimezone(next.timezone);
+  next.schedule = sanitizeSchedule(next.schedule);
+  next.charges = sanitizeCharges(next.charges);
+  next.fulfillment = sanitizeFulfillment(next.fulfillment);
+  next.reservationSettings = sanitizeReservationSettings(next.reservationSettings);
   return next;
 }
 
-function sanitizePublicItemRecord(raw = {}) {
+function sanitizePublicItemRecord(raw = {}, restaurant = null) {
   const item = raw || {};
   return {
     id: sanitizeText(item.id, 80),
@@ -559,13 +554,38 @@ function sanitizePublicItemRecord(raw = {}) {
     image: sanitizeNullableUrl(item.image),
     modelGlb: sanitizeNullableUrl(item.modelGlb),
     modelUsdz: sanitizeNullableUrl(item.modelUsdz),
-    category: sanitizeText(item.category, 80)
+    category: sanitizeText(item.category, 80),
+    optionGroups: sanitizeOptionGroups(item.optionGroups),
+    comboGroups: sanitizeComboGroups(item.comboGroups),
+    daypartIds: Array.isArray(item.daypartIds) ? item.daypartIds : [],
+    ...pickPublicAvailability(item, restaurant),
+    ...getItemSchedule(item, restaurant)
   };
 }
 
-async function readDb() {
-  const raw = await fs.readFile(DATA_PATH, "utf-8");
-  const db = JSON.parse(raw);
+// Combos may only point at other plain items of the same restaurant.
+function listComboCandidateIds(db, restaurantId, exceptId) {
+  return db.items
+    .filter((entry) => entry.restaurantId === restaurantId && entry.id !== exceptId && !isComboItem(entry))
+    .map((entry) => entry.id);
+}
+
+function getRestaurantDayparts(db, restaurantId) {
+  const restaurant = findRestaurant(db, restaurantId);
+  return sanitizeSchedule(restaurant && restaurant.schedule).dayparts;
+}
+
+function getItemStockDate(db, item) {
+  const restaurant = findRestaurant(db, item.restaurantId);
+  return getStockDate(restaurant && restaurant.timezone);
+}
+
+function pickPublicAvailability(item, restaurant) {
+  const availability = getItemAvailability(item, getStockDate(restaurant && restaurant.timezone));
+  return { available: availability.available, soldOut: availability.soldOut };
+}
+
+function prepareDb(db) {
   if (!Array.isArray(db.users)) db.users = [];
   if (!Array.isArray(db.restaurants)) db.restaurants = [];
   if (!Array.isArray(db.items)) db.items = [];
@@ -573,15 +593,23 @@ async function readDb() {
   return db;
 }
 
+async function readDb() {
+  return dbStore.read();
+}
+
 async function writeDb(db) {
-  const snapshot = JSON.stringify(db, null, 2);
-  const runWrite = async () => {
-    const tempPath = `${DATA_PATH}.${process.pid}.${Date.now()}.tmp`;
-    await fs.writeFile(tempPath, snapshot, "utf-8");
-    await fs.rename(tempPath, DATA_PATH);
+  await dbStore.write(db);
+}
+
+function getRuntime(db) {
+  return {
+    repo: createJsonRepository(db),
+    config: CONFIG,
+    meshy: MESHY,
+    resolveImage: resolveImageCandidate,
+    downloadModel: downloadModelToUploads,
+    inspectModel: inspectUploadedModel
   };
-  dbWriteQueue = dbWriteQueue.then(runWrite, runWrite);
-  await dbWriteQueue;
 }
 
 function sanitizeUser(user) {
@@ -598,27 +626,40 @@ function getToken(req) {
 
 async function requireAuth(req, res, next) {
   const token = getToken(req);
-  const session = tokens.get(token);
-  if (!session || !session.userId) {
-    return res.status(401).json({ error: "unauthorized" });
-  }
-  if (session.expiresAt <= Date.now()) {
-    tokens.delete(token);
+  if (!token) {
     return res.status(401).json({ error: "unauthorized" });
   }
   const db = await readDb();
-  const user = db.users.find((u) => u.id === session.userId);
-  if (!user) {
-    tokens.delete(token);
+  const now = Date.now();
+  const tokenHash = hashSessionToken(token);
+  const session = db.sessions.find((entry) => entry.tokenHash === tokenHash && entry.expiresAt > now);
+  const user = session ? db.users.find((u) => u.id === session.userId) : null;
+  if (!session || !user) {
     return res.status(401).json({ error: "unauthorized" });
   }
-  session.expiresAt = Date.now() + TOKEN_TTL_MS;
-  tokens.set(token, session);
+  if (now + TOKEN_TTL_MS - session.expiresAt >= SESSION_TOUCH_MS) {
+    session.expiresAt = now + TOKEN_TTL_MS;
+    touchSession(tokenHash, session.expiresAt);
+  }
+  if (!isRouteAllowedForRole(user.role, req.method, req.path)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
   req.user = user;
   req.db = db;
+  req.session = session;
   next();
 }
 
+// Sliding expiry is saved behind the queued writes on a fresh copy of the db, so checking a token never writes the
+// copy the request is still working on.
+function touchSession(tokenHash, expiresAt) {
+  enqueueWrite((db) => {
+    sweepExpiredSessions(db);
+    const session = db.sessions.find((entry) => entry.tokenHash === tokenHash);
+    if (session) session.expiresAt = Math.max(session.expiresAt, expiresAt);
+  }).catch((error) => console.error("Session touch failed", error));
+}
+
 function requireMaster(req, res, next) {
   if (req.user.role !== "master") {
     return res.status(403).json({ error: "forbidden" });
@@ -687,10 +728,56 @@ function ensureUploads() {
   ensureDirSync(JOB_IMAGES_DIR);
 }
 
+function ensureOrderLifecycleFields(order) {
+  if (!order || typeof order !== "object") return;
+  order.statusHistory = normalizeOrderHistory(order.statusHistory);
+  if (typeof order.statusReason !== "string") {
+    order.statusReason = "";
+  }
+  if (!order.updatedAt) {
+    order.updatedAt = order.createdAt || "";
+  }
+  if (typeof order.note !== "string") {
+    order.note = "";
+  }
+  if (typeof order.tableId !== "string") {
+    order.tableId = "";
+  }
+  if (typeof order.tabId !== "string") {
+    order.tabId = "";
+  }
+  if (typeof order.paymentStatus !== "string") {
+    order.paymentStatus = "";
+  }
+  if (typeof order.subtotal !== "number") {
+    Object.assign(order, computeOrderCharges(order.total, {}));
+  }
+  if (typeof order.discount !== "number") {
+    order.discount = 0;
+  }
+  if (!Array.isArray(order.promotions)) {
+    order.promotions = [];
+  }
+  if (typeof order.couponCode !== "string") {
+    order.couponCode = "";
+  }
+  if (typeof order.deliveryFee !== "number") {
+    order.deliveryFee = 0;
+  }
+  if (!sanitizeOrderType(order.orderType)) {
+    order.orderType = "dine_in";
+  }
+  if (order.fulfillment === undefined) {
+    order.fulfillment = null;
+  }
+  order.allergyAlert = detectOrderAllergy(order);
+}
+
 function ensureOrders(db) {
   if (!Array.isArray(db.orders)) {
     db.orders = [];
   }
+  db.orders.forEach(ensureOrderLifecycleFields);
 }
 
 function ensurePublicEvents(db) {
@@ -699,11 +786,232 @@ function ensurePublicEvents(db) {
   }
 }
 
-function toModelQualityBand(score) {
-  if (score >= 85) return "excelente";
-  if (score >= 70) return "boa";
-  if (score >= 55) return "aceitavel";
-  return "fraca";
+function ensureSessions(db) {
+  if (!Array.isArray(db.sessions)) {
+    db.sessions = [];
+  }
+}
+
+function sweepExpiredSessions(db, now = Date.now()) {
+  const before = db.sessions.length;
+  db.sessions = db.sessions.filter((session) => session && session.tokenHash && session.expiresAt > now);
+  return before - db.sessions.length;
+}
+
+function ensureLeads(db) {
+  if (!Array.isArray(db.leads)) {
+    db.leads = [];
+  }
+}
+
+function ensureReservations(db) {
+  if (!Array.isArray(db.reservations)) {
+    db.reservations = [];
+  }
+}
+
+function ensureWaitlist(db) {
+  if (!Array.isArray(db.waitlist)) {
+    db.waitlist = [];
+  }
+}
+
+function ensureFeedback(db) {
+  if (!Array.isArray(db.feedback)) {
+    db.feedback = [];
+  }
+}
+
+function ensureTables(db) {
+  if (!Array.isArray(db.tables)) {
+    db.tables = [];
+  }
+}
+
+function ensureTabs(db) {
+  if (!Array.isArray(db.tabs)) {
+    db.tabs = [];
+  }
+  db.tabs.forEach((tab) => {
+    if (tab.split === undefined) tab.split = null;
+    tab.settled = Boolean(tab.settled);
+  });
+}
+
+// `keepPaid` splits only the unpaid remainder, so it is allowed while shares are paid.
+function replaceTabSplit(db, tab, body, force) {
+  if (tab.status !== "open") return { error: "tab_closed", httpStatus: 409 };
+  const keepPaid = Boolean(body && body.keepPaid);
+  if (!keepPaid && !canReplaceSplit(tab.split, force)) return { error: "split_locked", httpStatus: 409 };
+  if (!keepPaid && body && body.mode === "none") {
+    tab.split = null;
+    tab.settled = false;
+    return { tab };
+  }
+  const summary = summarizeTab(tab, listTabOrders(db, tab));
+  const options = { createId: () => `sh-${randomUUID()}` };
+  const result = keepPaid
+    ? buildRemainderSplit(tab.split, summary, body, options)
+    : buildBillSplit(summary, body, options);
+  if (result.error) return { error: result.error, httpStatus: 400, detail: result.detail };
+  tab.split = result.split;
+  tab.settled = false;
+  return { tab };
+}
+
+function listTabOrders(db, tab) {
+  return db.orders
+    .filter((order) => order.tabId === tab.id)
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+function ensurePayments(db) {
+  if (!Array.isArray(db.payments)) {
+    db.payments = [];
+  }
+}
+
+async function applyPaymentWebhook(db, input) {
+  const event = await PAYMENT_PROVIDER.parseWebhook(input);
+  if (event.error) return { error: event.error, httpStatus: 400 };
+  if (event.ignored) return { ignored: true };
+  const payment = findWebhookPayment(db.payments, event);
+  if (!payment) return { error: "payment_not_found", httpStatus: 404 };
+  const result = applyPaymentStatus(payment, event.status);
+  if (!result.changed) return { payment };
+  Object.assign(payment, result.payment);
+  const order = db.orders.find((entry) => entry.id === payment.orderId);
+  if (order && order.paymentStatus !== "pago") {
+    order.paymentStatus = payment.status;
+    order.updatedAt = payment.updatedAt;
+  }
+  return { payment, order, changed: true };
+}
+
+async function announcePaymentChange(db, result) {
+  if (!result.changed || !result.order) return;
+  publishOrderEvent("order.updated", result.order);
+  const restaurant = findRestaurant(db, result.order.restaurantId);
+  if (!restaurant) return;
+  await fireRestaurantWebhook(restaurant, "orders", {
+    type: "order_payment",
+    order: result.order,
+    payment: toPublicPayment(result.payment),
+    restaurantId: restaurant.id
+  });
+}
+
+function ensurePromotions(db) {
+  if (!Array.isArray(db.promotions)) {
+    db.promotions = [];
+  }
+}
+
+function listRestaurantPromotions(db, restaurantId) {
+  ensurePromotions(db);
+  return db.promotions
+    .filter((promotion) => promotion.restaurantId === restaurantId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+// Shared by the cart quote and order creation so both price the same way.
+function quoteOrder(db, restaurant, body, { draft = false } = {}) {
+  const { items } = body;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "items_required", httpStatus: 400 };
+  }
+  const menuItems = db.items.filter((i) => i.restaurantId === restaurant.id);
+  const priced = buildOrderLines(menuItems, items);
+  if (priced.error) {
+    return { error: priced.error, httpStatus: 400, detail: priced.detail };
+  }
+  if (priced.lines.length === 0) {
+    return { error: "invalid_items", httpStatus: 400 };
+  }
+  const tip = sanitizeTipPercent(body.tipPercent, restaurant.charges);
+  if (tip.error) {
+    return { error: tip.error, httpStatus: 400 };
+  }
+  const promo = applyPromotions(listRestaurantPromotions(db, restaurant.id), {
+    lines: priced.lines,
+    menuItems,
+    couponCode: body.couponCode,
+    timezone: restaurant.timezone
+  });
+  if (promo.error) {
+    return { error: promo.error, httpStatus: 400, detail: promo.detail };
+  }
+  const target = resolveOrderFulfillment(restaurant.fulfillment, body, priced.total, {
+    draft,
+    timezone: restaurant.timezone,
+    slotUsage: summarizePickupUsage(db.orders.filter((order) => order.restaurantId === restaurant.id)),
+    itemsCount: priced.lines.reduce((acc, line) => acc + line.qty, 0)
+  });
+  if (target.error) {
+    return { error: target.error, httpStatus: target.httpStatus || 400, detail: target.detail };
+  }
+  // Service charge is a table-service fee, so pickup and delivery orders skip it.
+  const charges =
+    target.orderType === "dine_in" ? restaurant.charges : { ...restaurant.charges, serviceChargePercent: 0 };
+  return {
+    menuItems,
+    lines: priced.lines,
+    promotions: promo.promotions,
+    couponCode: promo.couponCode,
+    orderType: target.orderType,
+    fulfillment: target.fulfillment,
+    charges: computeOrderCharges(priced.total, charges, tip.tipPercent, promo.discount, target.deliveryFee)
+  };
+}
+
+function ensureServiceRequests(db) {
+  if (!Array.isArray(db.serviceRequests)) {
+    db.serviceRequests = [];
+  }
+}
+
+function listRestaurantTables(db, restaurantId) {
+  ensureTables(db);
+  return db.tables
+    .filter((table) => table.restaurantId === restaurantId)
+    .sort((a, b) => a.label.localeCompare(b.label, "pt-BR", { numeric: true }));
+}
+
+async function withTableLink(table, restaurant) {
+  const token = await signTableToken(SESSION_SECRET, table.restaurantId, table.id);
+  return { ...table, token, path: `/r/${restaurant.slug}?mesa=${encodeURIComponent(token)}` };
+}
+
+// Only uploaded logos are embedded; fetching owner-supplied URLs from the server would reach internal hosts.
+async function loadLogoBytes(logoUrl) {
+  try {
+    if (!logoUrl || !logoUrl.startsWith("/uploads/")) return null;
+    const localPath = urlToUploadFilePath(logoUrl);
+    return localPath ? new Uint8Array(await fs.readFile(localPath)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function publishOrderEvent(type, order) {
+  const listeners = orderStreams.get(order.restaurantId);
+  if (!listeners || listeners.size === 0) return;
+  const payload = formatSseEvent(type, { order }, type === "order.created" ? { id: order.createdAt } : {});
+  listeners.forEach((res) => res.write(payload));
+}
+
+function publishServiceRequestEvent(type, request) {
+  const listeners = orderStreams.get(request.restaurantId);
+  if (!listeners || listeners.size === 0) return;
+  const payload = formatSseEvent(type, { request });
+  listeners.forEach((res) => res.write(payload));
+}
+
+function listRestaurantEntries(entries, restaurantId, limit) {
+  return entries
+    .filter((entry) => entry.restaurantId === restaurantId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .slice(0, limit);
 }
 
 function ensureModelJobQualityFields(job) {
@@ -733,6 +1041,16 @@ function ensureDbShape(db) {
   ensureOrders(db);
   ensureModelJobs(db);
   ensurePublicEvents(db);
+  ensureSessions(db);
+  ensureLeads(db);
+  ensureReservations(db);
+  ensureWaitlist(db);
+  ensureFeedback(db);
+  ensureTables(db);
+  ensureServiceRequests(db);
+  ensureTabs(db);
+  ensurePayments(db);
+  ensurePromotions(db);
 }
 
 async function removeDirIfExists(dirPath) {
@@ -743,87 +1061,6 @@ async function removeDirIfExists(dirPath) {
   }
 }
 
-function getAiProviders() {
-  const hasMeshy = Boolean(process.env.MESHY_API_KEY);
-  return [
-    {
-      id: "meshy",
-      label: "Meshy",
-      enabled: hasMeshy,
-      supportsAuto: true,
-      supportsMultiImage: true,
-      notes: hasMeshy
-        ? `Pronto para gerar 3D (ate ${MESHY_MAX_REFERENCE_IMAGES} fotos por job).`
-        : "Defina MESHY_API_KEY para habilitar."
-    },
-    {
-      id: "manual",
-      label: "Manual",
-      enabled: true,
-      supportsAuto: false,
-      notes: "Pipeline assistido por voce (scanner + blender)."
-    }
-  ];
-}
-
-function getAiProvider(providerId) {
-  return getAiProviders().find((provider) => provider.id === providerId);
-}
-
-function looksLikeFoodItem(item) {
-  const text = `${item?.name || ""} ${item?.description || ""}`.toLowerCase();
-  const foodHints = [
-    "prato",
-    "massa",
-    "penne",
-    "pizza",
-    "burger",
-    "hamb",
-    "sobremesa",
-    "dessert",
-    "bolo",
-    "cheese",
-    "frango",
-    "carne",
-    "peixe",
-    "salada",
-    "food",
-    "menu"
-  ];
-  return foodHints.some((hint) => text.includes(hint));
-}
-
-function evaluateCaptureReadiness(item, job) {
-  const referenceCount = Array.isArray(job?.referenceImages) ? job.referenceImages.length : 0;
-  const scanCount = Array.isArray(item?.scans) ? item.scans.length : 0;
-  const heroImageCount = item?.image ? 1 : 0;
-  const isFoodItem = looksLikeFoodItem(item);
-  const requiredToStart = isFoodItem ? CAPTURE_MIN_START_FOOD : CAPTURE_MIN_START_GENERAL;
-  const recommendedForQuality = Math.max(
-    requiredToStart,
-    isFoodItem ? CAPTURE_RECOMMENDED_FOOD : CAPTURE_RECOMMENDED_GENERAL
-  );
-  const totalVisualInputs = referenceCount + scanCount + heroImageCount;
-  const progress = Math.min(
-    100,
-    Math.round((totalVisualInputs / Math.max(1, recommendedForQuality)) * 100)
-  );
-  const readyToStart = totalVisualInputs >= requiredToStart;
-  const qualityReady = totalVisualInputs >= recommendedForQuality;
-  return {
-    isFoodItem,
-    referenceCount,
-    scanCount,
-    heroImageCount,
-    totalVisualInputs,
-    requiredToStart,
-    recommendedForQuality,
-    readyToStart,
-    qualityReady,
-    progress
-  };
-}
-
 async function inspectUploadedModel(urlValue) {
   const safeUrl = (urlValue || "").toString().trim();
   if (!safeUrl) return { exists: false, size: 0 };
@@ -848,127 +1085,6 @@ async function inspectUploadedModel(urlValue) {
   }
 }
 
-async function evaluateJobQuality(item, job) {
-  let score = 0;
-  const checklist = [];
-  const capture = evaluateCaptureReadiness(item, job);
-  const totalRefs = capture.totalVisualInputs;
-  const isFood = capture.isFoodItem;
-
-  if (capture.qualityReady && totalRefs >= capture.recommendedForQuality + 4) {
-    score += 24;
-    checklist.push("captura_fotos:excelente");
-  } else if (capture.qualityReady) {
-    score += 20;
-    checklist.push("captura_fotos:ok");
-  } else if (capture.readyToStart) {
-    score += 14;
-    checklist.push("captura_fotos:minima");
-  } else if (totalRefs >= Math.max(1, capture.requiredToStart - 2)) {
-    score += 8;
-    checklist.push("captura_fotos:baixa");
-  } else {
-    checklist.push("captura_fotos:insuficiente");
-  }
-
-  if (!capture.readyToStart) score -= 10;
-
-  if (capture.scanCount > 0 && capture.referenceCount > 0) {
-    score += 4;
-    checklist.push("captura_fontes:mista");
-  } else {
-    checklist.push("captura_fontes:unica");
-  }
-
-  const glbInfo = await inspectUploadedModel(job.modelGlb || "");
-  const usdzInfo = await inspectUploadedModel(job.modelUsdz || "");
-  const hasGlb = Boolean(job.modelGlb);
-  const hasUsdz = Boolean(job.modelUsdz);
-
-  if (hasGlb) {
-    score += 18;
-    checklist.push("arquivo_glb:ok");
-  } else {
-    checklist.push("arquivo_glb:ausente");
-  }
-  if (hasUsdz) {
-    score += 18;
-    checklist.push("arquivo_usdz:ok");
-  } else {
-    checklist.push("arquivo_usdz:ausente");
-  }
-
-  if (glbInfo.exists && glbInfo.size >= 150 * 1024 && glbInfo.size <= 40 * 1024 * 1024) {
-    score += 10;
-    checklist.push("peso_glb:ok");
-  } else if (hasGlb) {
-    checklist.push("peso_glb:revisar");
-  }
-
-  if (usdzInfo.exists && usdzInfo.size >= 150 * 1024 && usdzInfo.size <= 40 * 1024 * 1024) {
-    score += 10;
-    checklist.push("peso_usdz:ok");
-  } else if (hasUsdz) {
-    checklist.push("peso_usdz:revisar");
-  }
-
-  if (isFood) {
-    if (totalRefs >= capture.recommendedForQuality) {
-      score += 12;
-      checklist.push("food_refs:alto");
-    } else if (totalRefs >= capture.requiredToStart) {
-      score += 6;
-      checklist.push("food_refs:minimo");
-    } else {
-      score -= 8;
-      checklist.push("food_refs:baixo");
-    }
-
-    if (capture.scanCount < 3) {
-      score -= 4;
-      checklist.push("food_angulo_scanner:baixo");
-    } else {
-      checklist.push("food_angulo_scanner:ok");
-    }
-
-    if (glbInfo.exists && usdzInfo.exists) {
-      const ratio = Math.max(glbInfo.size, usdzInfo.size) / Math.max(1, Math.min(glbInfo.size, usdzInfo.size));
-      if (ratio <= 4) {
-        score += 6;
-        checklist.push("food_consistencia_arquivos:ok");
-      } else if (ratio > 8) {
-        score -= 6;
-        checklist.push("food_consistencia_arquivos:revisar");
-      }
-    }
-  }
-
-  const providerStatus = (job.providerStatus || "").toString().toUpperCase();
-  if (providerStatus === "SUCCEEDED") {
-    score += 10;
-    checklist.push("status_ia:sucesso");
-  } else if (providerStatus === "FAILED") {
-    checklist.push("status_ia:falha");
-  } else {
-    checklist.push("status_ia:pendente");
-  }
-
-  if ((job.notes || "").length >= 20) {
-    score += 4;
-    checklist.push("observacoes:ok");
-  } else {
-    checklist.push("observacoes:curtas");
-  }
-
-  const boundedScore = Math.max(0, Math.min(100, Math.round(score)));
-  return {
-    score: boundedScore,
-    band: toModelQualityBand(boundedScore),
-    checklist,
-    capture
-  };
-}
-
 function recordPublicEvent(db, req, payload = {}) {
   ensurePublicEvents(db);
   const eventType = sanitizeEventType(payload.eventType || payload.type || "");
@@ -978,6 +1094,7 @@ function recordPublicEvent(db, req, payload = {}) {
   const itemId = sanitizeText(payload.itemId, 80);
   const tableLabel = sanitizeTableLabel(payload.table || payload.tableLabel || "");
   const meta = payload.meta && typeof payload.meta === "object" ? payload.meta : {};
+  const nowIso = new Date().toISOString();
 
   db.publicEvents.push({
     id: `e-${randomUUID()}`,
@@ -988,8 +1105,21 @@ function recordPublicEvent(db, req, payload = {}) {
     ipHash: hashEventIp(getClientIp(req)),
     userAgent: sanitizeText(req.headers["user-agent"] || "", 220),
     meta,
-    createdAt: new Date().toISOString()
+    createdAt: nowIso
   });
+
+  const restaurant = findRestaurant(db, restaurantId);
+  if (restaurant) {
+    fireRestaurantWebhook(restaurant, "events", {
+      type: "public_event",
+      restaurantId,
+      eventType,
+      itemId: itemId || "",
+      table: tableLabel || "",
+      meta,
+      createdAt: nowIso
+    });
+  }
   return { ok: true };
 }
 
@@ -1012,10 +1142,6 @@ function extensionToMime(ext) {
   return "";
 }
 
-function isRemoteHttpUrl(value) {
-  return /^https?:\/\//i.test(value || "");
-}
-
 function fileExt(filename) {
   return (path.extname(filename || "") || "").toLowerCase();
 }
@@ -1055,384 +1181,45 @@ async function resolveImageCandidate(candidate) {
   return localImageToDataUri(localPath);
 }
 
-async function buildJobImageInputs(item, job) {
-  const referenceImages = Array.isArray(job && job.referenceImages)
-    ? [...job.referenceImages].reverse()
-    : [];
-  const scans = Array.isArray(item.scans) ? [...item.scans].reverse() : [];
-  const orderedCandidates = [
-    ...referenceImages,
-    ...scans,
-    item.image || ""
-  ].filter(Boolean);
-  const unique = [];
-  const seen = new Set();
-
-  for (const candidate of orderedCandidates) {
-    const imageInput = await resolveImageCandidate(candidate);
-    if (!imageInput || seen.has(imageInput)) continue;
-    seen.add(imageInput);
-    unique.push(imageInput);
-  }
-
-  if (unique.length <= MESHY_MAX_REFERENCE_IMAGES) {
-    return unique;
-  }
-
-  const sampled = [];
-  for (let index = 0; index < MESHY_MAX_REFERENCE_IMAGES; index += 1) {
-    const ratio = MESHY_MAX_REFERENCE_IMAGES === 1
-      ? 0
-      : index / (MESHY_MAX_REFERENCE_IMAGES - 1);
-    const sourceIndex = Math.round(ratio * (unique.length - 1));
-    sampled.push(unique[sourceIndex]);
-  }
-
-  return [...new Set(sampled)].slice(0, MESHY_MAX_REFERENCE_IMAGES);
-}
-
-function mapMeshyStatus(meshyStatus) {
-  const status = (meshyStatus || "").toString().toUpperCase();
-  if (status === "SUCCEEDED" || status === "COMPLETED") return "revisao";
-  if (["FAILED", "ERROR", "CANCELED", "CANCELLED"].includes(status)) return "erro";
-  return "processando";
-}
-
-function extractMeshyTaskId(payload) {
-  if (!payload || typeof payload !== "object") return "";
-  const candidates = [
-    payload.result,
-    payload.id,
-    payload.task_id,
-    payload.taskId,
-    payload.task && payload.task.id,
-    payload.data && payload.data.id,
-    payload.result && payload.result.id
-  ];
-  for (const value of candidates) {
-    if (typeof value === "string" && value.trim()) {
-      return value.trim();
-    }
+async function downloadModelToUploads(urlValue, extension) {
+  if (!isRemoteHttpUrl(urlValue)) return "";
+  const ext = extension.startsWith(".") ? extension : `.${extension}`;
+  const filename = `${randomUUID()}${ext}`;
+  const destPath = path.join(MODELS_DIR, filename);
+  const res = await fetch(urlValue);
+  if (!res.ok) {
+    throw new Error(`model_download_failed:${res.status}`);
   }
-  return "";
+  const buffer = Buffer.from(await res.arrayBuffer());
+  await fs.writeFile(destPath, buffer);
+  return `/uploads/models/${filename}`;
 }
 
-function buildMeshyStartRequest(imageInputs, options = {}) {
-  const aiModel = (options.aiModel || MESHY_DEFAULT_MODEL || "").toString().trim();
-  const payload = {
-    should_texture: true
-  };
-  if (aiModel) payload.ai_model = aiModel;
-  if (options.targetPolycount) {
-    payload.target_polycount = Number(options.targetPolycount);
-  }
+ensureUploads();
 
-  if (imageInputs.length > 1) {
-    payload.image_urls = imageInputs.slice(0, MESHY_MAX_REFERENCE_IMAGES);
-    return { endpoint: "multi-image-to-3d", payload };
+app.use((req, res, next) => {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("X-Frame-Options", "DENY");
+  res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+  res.setHeader("Permissions-Policy", "camera=(), microphone=(), geolocation=(self)");
+  if ((req.headers["x-forwarded-proto"] || "").toString().toLowerCase() === "https") {
+    res.setHeader("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
   }
+  next();
+});
 
-  payload.image_url = imageInputs[0];
-  return { endpoint: "image-to-3d", payload };
-}
-
-async function startMeshyImageTo3D(imageInputs, options = {}) {
-  const apiKey = process.env.MESHY_API_KEY;
-  if (!apiKey) {
-    throw new Error("meshy_key_missing");
-  }
-  const normalizedInputs = Array.isArray(imageInputs)
-    ? imageInputs.filter(Boolean)
-    : [imageInputs].filter(Boolean);
-  if (!normalizedInputs.length) {
-    throw new Error("meshy_image_input_missing");
-  }
-  const { endpoint, payload } = buildMeshyStartRequest(normalizedInputs, options);
-  const res = await fetch(`${MESHY_API_BASE}/${endpoint}`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(payload)
-  });
-  if (!res.ok) {
-    const errorBody = await res.text();
-    throw new Error(
-      `meshy_start_failed:${endpoint}:${res.status}:${errorBody.slice(0, 300)}`
-    );
-  }
-  const data = await res.json();
-  const taskId = extractMeshyTaskId(data);
-  if (!taskId) {
-    throw new Error("meshy_task_id_missing");
-  }
-  return { taskId, endpoint };
-}
-
-function getMeshyTaskEndpoints(endpointHint) {
-  const hint = (endpointHint || "").toString().toLowerCase().trim();
-  const ordered = [];
-  if (hint.includes("multi-image-to-3d")) {
-    ordered.push("multi-image-to-3d", "image-to-3d");
-  } else if (hint.includes("image-to-3d")) {
-    ordered.push("image-to-3d", "multi-image-to-3d");
-  } else {
-    ordered.push("image-to-3d", "multi-image-to-3d");
-  }
-  return [...new Set(ordered)];
-}
-
-async function fetchMeshyTask(taskId, endpointHint = "") {
-  const apiKey = process.env.MESHY_API_KEY;
-  if (!apiKey) {
-    throw new Error("meshy_key_missing");
-  }
-  const triedErrors = [];
-  for (const endpoint of getMeshyTaskEndpoints(endpointHint)) {
-    const res = await fetch(`${MESHY_API_BASE}/${endpoint}/${encodeURIComponent(taskId)}`, {
-      headers: {
-        Authorization: `Bearer ${apiKey}`
-      }
-    });
-    if (res.ok) {
-      const task = await res.json();
-      return { endpoint, task };
-    }
-    const errorBody = await res.text();
-    triedErrors.push(`${endpoint}:${res.status}:${errorBody.slice(0, 200)}`);
-    if (res.status !== 404) {
-      break;
-    }
-  }
-  throw new Error(`meshy_sync_failed:${triedErrors.join(" | ")}`);
-}
-
-function extractMeshyModelUrls(taskData) {
-  const containers = [
-    taskData && taskData.model_urls,
-    taskData && taskData.result && taskData.result.model_urls,
-    taskData && taskData.result && taskData.result.modelUrls,
-    taskData && taskData.output && taskData.output.model_urls,
-    taskData && taskData.data && taskData.data.model_urls
-  ].filter(Boolean);
-
-  const urls = {};
-  containers.forEach((entry) => {
-    if (!entry || typeof entry !== "object") return;
-    if (!urls.glb && isRemoteHttpUrl(entry.glb)) urls.glb = entry.glb;
-    if (!urls.usdz && isRemoteHttpUrl(entry.usdz)) urls.usdz = entry.usdz;
-  });
-
-  if (!urls.glb) {
-    const glbCandidates = [
-      taskData && taskData.glb_url,
-      taskData && taskData.result && taskData.result.glb_url
-    ];
-    const glb = glbCandidates.find((value) => isRemoteHttpUrl(value));
-    if (glb) urls.glb = glb;
-  }
-
-  if (!urls.usdz) {
-    const usdzCandidates = [
-      taskData && taskData.usdz_url,
-      taskData && taskData.result && taskData.result.usdz_url
-    ];
-    const usdz = usdzCandidates.find((value) => isRemoteHttpUrl(value));
-    if (usdz) urls.usdz = usdz;
-  }
-
-  return urls;
-}
-
-async function downloadModelToUploads(urlValue, extension) {
-  if (!isRemoteHttpUrl(urlValue)) return "";
-  const ext = extension.startsWith(".") ? extension : `.${extension}`;
-  const filename = `${randomUUID()}${ext}`;
-  const destPath = path.join(MODELS_DIR, filename);
-  const res = await fetch(urlValue);
-  if (!res.ok) {
-    throw new Error(`model_download_failed:${res.status}`);
-  }
-  const buffer = Buffer.from(await res.arrayBuffer());
-  await fs.writeFile(destPath, buffer);
-  return `/uploads/models/${filename}`;
-}
-
-async function autoProcessRestaurantJobs(db, restaurantId, options = {}) {
-  ensureModelJobs(db);
-  const maxJobs = Math.max(1, Math.min(30, Number(options.maxJobs) || 12));
-  const providerMeshy = getAiProvider("meshy");
-  const summary = {
-    restaurantId,
-    total: 0,
-    started: 0,
-    synced: 0,
-    published: 0,
-    skipped: 0,
-    failed: 0,
-    details: []
-  };
-
-  const jobs = db.modelJobs
-    .filter((job) => job.restaurantId === restaurantId && job.autoMode)
-    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))
-    .slice(0, maxJobs);
-  summary.total = jobs.length;
-
-  for (const job of jobs) {
-    ensureModelJobQualityFields(job);
-    const detail = { jobId: job.id, itemId: job.itemId, action: "skip", status: job.status, reason: "" };
-    const item = findItem(db, job.itemId);
-    if (!item) {
-      summary.failed += 1;
-      detail.action = "error";
-      detail.reason = "item_not_found";
-      summary.details.push(detail);
-      continue;
-    }
-
-    try {
-      if (["enviado", "triagem"].includes(job.status) && !job.providerTaskId) {
-        if (!providerMeshy || !providerMeshy.enabled) {
-          summary.skipped += 1;
-          detail.reason = "provider_not_configured";
-          summary.details.push(detail);
-          continue;
-        }
-        const capture = evaluateCaptureReadiness(item, job);
-        if (!capture.readyToStart) {
-          job.status = "triagem";
-          job.updatedAt = new Date().toISOString();
-          summary.skipped += 1;
-          detail.reason = "capture_insufficient";
-          detail.status = job.status;
-          detail.capture = capture;
-          summary.details.push(detail);
-          continue;
-        }
-        const imageInputs = await buildJobImageInputs(item, job);
-        if (!imageInputs.length) {
-          job.status = "triagem";
-          job.updatedAt = new Date().toISOString();
-          summary.skipped += 1;
-          detail.reason = "image_source_not_found";
-          detail.status = job.status;
-          summary.details.push(detail);
-          continue;
-        }
-
-        const aiModel = sanitizeText(job.aiModel || MESHY_DEFAULT_MODEL, 60);
-        const startResult = await startMeshyImageTo3D(imageInputs, { aiModel });
-        job.provider = "meshy";
-        job.aiModel = aiModel;
-        job.providerTaskId = startResult.taskId;
-        job.providerTaskEndpoint = startResult.endpoint || "";
-        job.providerStatus = "SUBMITTED";
-        job.status = "processando";
-        job.qaScore = 0;
-        job.qaBand = "fraca";
-        job.qaChecklist = [];
-        job.qaNotes = "";
-        job.updatedAt = new Date().toISOString();
-        summary.started += 1;
-        detail.action = "started";
-        detail.status = job.status;
-        detail.reason = "ok";
-        summary.details.push(detail);
-        continue;
-      }
-
-      if (job.provider === "meshy" && job.providerTaskId && ["processando", "triagem"].includes(job.status)) {
-        const sync = await fetchMeshyTask(job.providerTaskId, job.providerTaskEndpoint || "");
-        const taskData = sync.task || {};
-        const taskStatus = (taskData.status || "").toString();
-        job.providerTaskEndpoint = sync.endpoint || job.providerTaskEndpoint || "";
-        job.providerStatus = taskStatus;
-        job.status = mapMeshyStatus(taskStatus);
-
-        if (job.status === "revisao") {
-          const modelUrls = extractMeshyModelUrls(taskData);
-          if (modelUrls.glb && !job.modelGlb) {
-            job.modelGlb = await downloadModelToUploads(modelUrls.glb, ".glb");
-          }
-          if (modelUrls.usdz && !job.modelUsdz) {
-            job.modelUsdz = await downloadModelToUploads(modelUrls.usdz, ".usdz");
-          }
-          const evaluation = await evaluateJobQuality(item, job);
-          job.qaScore = evaluation.score;
-          job.qaBand = evaluation.band;
-          job.qaChecklist = evaluation.checklist;
-          const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-          if (evaluation.score >= QA_MIN_PUBLISH_SCORE && hasRequiredModels) {
-            job.status = "publicado";
-          }
-        }
-
-        job.updatedAt = new Date().toISOString();
-        if (job.status === "publicado") {
-          if (job.modelGlb) item.modelGlb = job.modelGlb;
-          if (job.modelUsdz) item.modelUsdz = job.modelUsdz;
-          summary.published += 1;
-        }
-        summary.synced += 1;
-        detail.action = "synced";
-        detail.status = job.status;
-        detail.reason = "ok";
-        summary.details.push(detail);
-        continue;
-      }
-
-      if (job.status === "revisao") {
-        const evaluation = await evaluateJobQuality(item, job);
-        job.qaScore = evaluation.score;
-        job.qaBand = evaluation.band;
-        job.qaChecklist = evaluation.checklist;
-        const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-        if (evaluation.score >= QA_MIN_PUBLISH_SCORE && hasRequiredModels) {
-          job.status = "publicado";
-          if (job.modelGlb) item.modelGlb = job.modelGlb;
-          if (job.modelUsdz) item.modelUsdz = job.modelUsdz;
-          summary.published += 1;
-        }
-        job.updatedAt = new Date().toISOString();
-        detail.action = "qa_review";
-        detail.status = job.status;
-        detail.reason = "ok";
-        summary.details.push(detail);
-        continue;
-      }
-
-      summary.skipped += 1;
-      detail.reason = "status_not_eligible";
-      summary.details.push(detail);
-    } catch (error) {
-      summary.failed += 1;
-      detail.action = "error";
-      detail.reason = error?.message || "auto_process_failed";
-      summary.details.push(detail);
-    }
-  }
-
-  return summary;
-}
-
-ensureUploads();
-
-app.use((req, res, next) => {
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("X-Frame-Options", "DENY");
-  res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
-  res.setHeader("Permissions-Policy", "camera=(), microphone=(), geolocation=()");
-  if ((req.headers["x-forwarded-proto"] || "").toString().toLowerCase() === "https") {
-    res.setHeader("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
-  }
-  next();
-});
-
-app.use(express.json({ limit: "10mb" }));
-app.use(express.static(PUBLIC_DIR));
-app.use("/uploads", express.static(UPLOADS_DIR));
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook/")) {
+        req.rawBody = buf.toString("utf8");
+      }
+    }
+  })
+);
+app.use(express.static(PUBLIC_DIR));
+app.use("/uploads", express.static(UPLOADS_DIR));
 
 app.get("/r/:slug", async (req, res) => {
   const safeSlug = normalizeSlug(req.params.slug);
@@ -1469,6 +1256,10 @@ app.get("/admin", (req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, "admin.html"));
 });
 
+app.get("/kds", (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "kds.html"));
+});
+
 app.get("/api/health", async (req, res) => {
   const db = await readDb();
   res.json({
@@ -1480,7 +1271,11 @@ app.get("/api/health", async (req, res) => {
       items: Array.isArray(db.items) ? db.items.length : 0,
       orders: Array.isArray(db.orders) ? db.orders.length : 0,
       modelJobs: Array.isArray(db.modelJobs) ? db.modelJobs.length : 0,
-      publicEvents: Array.isArray(db.publicEvents) ? db.publicEvents.length : 0
+      publicEvents: Array.isArray(db.publicEvents) ? db.publicEvents.length : 0,
+      leads: Array.isArray(db.leads) ? db.leads.length : 0,
+      reservations: Array.isArray(db.reservations) ? db.reservations.length : 0,
+      waitlist: Array.isArray(db.waitlist) ? db.waitlist.length : 0,
+      feedback: Array.isArray(db.feedback) ? db.feedback.length : 0
     }
   });
 });
@@ -1519,8 +1314,65 @@ app.get("/api/public/restaurant/:slug", async (req, res) => {
   }
   const items = db.items
     .filter((i) => i.restaurantId === restaurant.id)
-    .map((item) => sanitizePublicItemRecord(item));
-  res.json({ restaurant: normalizeRestaurantRecord(restaurant), items });
+    .map((item) => sanitizePublicItemRecord(item, restaurant));
+  res.json({
+    restaurant: normalizeRestaurantRecord(restaurant),
+    items,
+    paymentMethods: PAYMENT_PROVIDER ? PAYMENT_PROVIDER.methods : [],
+    ...listPublicPromotions(listRestaurantPromotions(db, restaurant.id))
+  });
+});
+
+app.get("/api/public/restaurant/:slug/pickup-slots", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const restaurant = db.restaurants.find((r) => r.slug === normalizeSlug(req.params.slug));
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+  res.json(
+    listPickupSlots(restaurant.fulfillment, {
+      timezone: restaurant.timezone,
+      usage: summarizePickupUsage(db.orders.filter((order) => order.restaurantId === restaurant.id))
+    })
+  );
+});
+
+app.get("/api/public/restaurant/:slug/reservation-times", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const restaurant = db.restaurants.find((r) => r.slug === normalizeSlug(req.params.slug));
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+  const result = listReservationTimes(restaurant.reservationSettings, {
+    date: req.query.date,
+    guests: req.query.guests,
+    area: sanitizeText(req.query.area, 60),
+    tables: listRestaurantTables(db, restaurant.id),
+    reservations: db.reservations.filter((entry) => entry.restaurantId === restaurant.id),
+    timezone: restaurant.timezone
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error, detail: result.detail });
+  }
+  res.json(result);
+});
+
+app.get("/api/public/restaurant/:slug/tables/:token", async (req, res) => {
+  const db = await readDb();
+  const restaurant = db.restaurants.find((r) => r.slug === normalizeSlug(req.params.slug));
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+  const tableId = await verifyTableToken(SESSION_SECRET, restaurant.id, req.params.token);
+  const table = listRestaurantTables(db, restaurant.id).find(
+    (entry) => entry.id === tableId && entry.active !== false
+  );
+  if (!table) {
+    return res.status(404).json({ error: "invalid_table" });
+  }
+  res.json({ table: toPublicTable(table) });
 });
 
 app.get("/api/public/item/:id", async (req, res) => {
@@ -1538,7 +1390,7 @@ app.get("/api/public/item/:id", async (req, res) => {
     return res.status(404).json({ error: "item_not_found" });
   }
   res.json({
-    item: sanitizePublicItemRecord(item),
+    item: sanitizePublicItemRecord(item, restaurant),
     restaurant: normalizeRestaurantRecord(restaurant)
   });
 });
@@ -1598,7 +1450,7 @@ app.post("/api/public/translate", async (req, res) => {
     return res.status(429).json({ error: "too_many_translate_requests" });
   }
 
-  const parsed = sanitizeTranslatePayload(req.body || {});
+  const parsed = sanitizeTranslatePayload(req.body || {}, CONFIG);
   if (!parsed.ok) {
     return res.status(400).json({ error: parsed.error });
   }
@@ -1619,7 +1471,7 @@ app.post("/api/public/translate", async (req, res) => {
   });
 });
 
-app.post("/api/login", async (req, res) => {
+app.post("/api/login", serializeWrites, async (req, res) => {
   const email = normalizeEmail(req.body && req.body.email);
   const password = (req.body && req.body.password ? req.body.password : "").toString();
   const ip = getClientIp(req);
@@ -1640,25 +1492,23 @@ app.post("/api/login", async (req, res) => {
   }
   clearLoginFailures(ip);
 
-  let changed = false;
   if (user.email !== email) {
     user.email = email;
-    changed = true;
   }
   if (!user.passwordHash) {
     user.passwordHash = hashPassword(password);
     delete user.password;
-    changed = true;
-  }
-  if (changed) {
-    await writeDb(db);
   }
 
+  sweepExpiredSessions(db);
   const token = randomUUID();
-  tokens.set(token, {
+  db.sessions.push({
+    tokenHash: hashSessionToken(token),
     userId: user.id,
-    expiresAt: Date.now() + TOKEN_TTL_MS
+    expiresAt: Date.now() + TOKEN_TTL_MS,
+    createdAt: Date.now()
   });
+  await writeDb(db);
   res.json({ token, user: sanitizeUser(user) });
 });
 
@@ -1668,13 +1518,13 @@ app.get("/api/me", requireAuth, async (req, res) => {
 
 app.get("/api/ai/providers", requireAuth, async (req, res) => {
   res.json({
-    providers: getAiProviders(),
-    qa: { minPublishScore: QA_MIN_PUBLISH_SCORE },
+    providers: getAiProviders(MESHY),
+    qa: { minPublishScore: CONFIG.qaMinPublishScore },
     captureGuide: {
-      minStartFood: CAPTURE_MIN_START_FOOD,
-      minStartGeneral: CAPTURE_MIN_START_GENERAL,
-      recommendedFood: CAPTURE_RECOMMENDED_FOOD,
-      recommendedGeneral: CAPTURE_RECOMMENDED_GENERAL
+      minStartFood: CONFIG.captureMinStartFood,
+      minStartGeneral: CONFIG.captureMinStartGeneral,
+      recommendedFood: CONFIG.captureRecommendedFood,
+      recommendedGeneral: CONFIG.captureRecommendedGeneral
     }
   });
 });
@@ -1690,12 +1540,43 @@ app.get("/api/my-restaurant", requireAuth, async (req, res) => {
   res.json({ restaurant: normalizeRestaurantRecord(restaurant) });
 });
 
-app.post("/api/logout", requireAuth, async (req, res) => {
-  const token = getToken(req);
-  tokens.delete(token);
+app.post("/api/logout", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  db.sessions = db.sessions.filter((session) => session !== req.session);
+  await writeDb(db);
   res.json({ ok: true });
 });
 
+app.post("/api/logout-all", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  const before = db.sessions.length;
+  db.sessions = db.sessions.filter((session) => session.userId !== req.user.id);
+  await writeDb(db);
+  res.json({ ok: true, revoked: before - db.sessions.length });
+});
+
+app.get("/api/sessions", requireAuth, async (req, res) => {
+  const sessions = req.db.sessions
+    .filter((session) => session.userId === req.user.id)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((session) => toSessionSummary(session, req.session.tokenHash));
+  res.json({ sessions });
+});
+
+app.delete("/api/sessions/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  const sessionId = sanitizeText(req.params.id, 64);
+  const target = db.sessions.find(
+    (session) => session.userId === req.user.id && getSessionId(session.tokenHash) === sessionId
+  );
+  if (!sessionId || !target) {
+    return res.status(404).json({ error: "session_not_found" });
+  }
+  db.sessions = db.sessions.filter((session) => session !== target);
+  await writeDb(db);
+  res.json({ ok: true, current: target === req.session });
+});
+
 app.get("/api/restaurants", requireAuth, requireMaster, async (req, res) => {
   res.json({ restaurants: (req.db.restaurants || []).map(normalizeRestaurantRecord) });
 });
@@ -1720,7 +1601,7 @@ app.post("/api/restaurants", requireAuth, requireMaster, async (req, res) => {
     slug,
     description: description || "",
     logo: sanitizeNullableUrl(req.body.logo),
-    theme: { accent: sanitizeText(req.body.accent, 16) || "#D95F2B" },
+    theme: { accent: sanitizeText(req.body.accent, 16) || DEFAULT_ACCENT },
     template: sanitizeTemplateName(req.body.template || DEFAULT_PUBLIC_TEMPLATE),
     contact: {
       address: sanitizeText(req.body.contactAddress || req.body.address, 220),
@@ -1729,11 +1610,12 @@ app.post("/api/restaurants", requireAuth, requireMaster, async (req, res) => {
       website: sanitizeText(req.body.contactWebsite || req.body.website, 220)
     },
     languageSettings: {
-      defaultLanguage: normalizeLanguageCode(req.body.defaultLanguage),
-      languages: normalizeLanguageList(req.body.languages, req.body.defaultLanguage)
+      defaultLanguage: sanitizeLanguageCode(req.body.defaultLanguage),
+      languages: sanitizeLanguageList(req.body.languages, req.body.defaultLanguage)
     },
     uiMessages: sanitizeUiMessages(req.body.uiMessages),
-    categoryLabels: sanitizeCategoryLabels(req.body.categoryLabels)
+    categoryLabels: sanitizeCategoryLabels(req.body.categoryLabels),
+    integrations: sanitizeIntegrations(req.body.integrations)
   };
   db.restaurants.push(restaurant);
   await writeDb(db);
@@ -1761,7 +1643,7 @@ app.put("/api/restaurants/:id", requireAuth, authorizeRestaurant, async (req, re
   }
   if (req.body.logo !== undefined) restaurant.logo = sanitizeNullableUrl(req.body.logo);
   if (req.body.accent !== undefined) {
-    restaurant.theme.accent = sanitizeText(req.body.accent, 16) || restaurant.theme.accent || "#D95F2B";
+    restaurant.theme.accent = sanitizeText(req.body.accent, 16) || restaurant.theme.accent || DEFAULT_ACCENT;
   }
   if (req.body.template !== undefined) {
     restaurant.template = sanitizeTemplateName(req.body.template || DEFAULT_PUBLIC_TEMPLATE);
@@ -1788,20 +1670,20 @@ app.put("/api/restaurants/:id", requireAuth, authorizeRestaurant, async (req, re
       : DEFAULT_LANGUAGE_CODE;
   if (req.body.defaultLanguage !== undefined) {
     restaurant.languageSettings = restaurant.languageSettings || {};
-    restaurant.languageSettings.defaultLanguage = normalizeLanguageCode(req.body.defaultLanguage);
+    restaurant.languageSettings.defaultLanguage = sanitizeLanguageCode(req.body.defaultLanguage);
   }
   if (req.body.languages !== undefined) {
     restaurant.languageSettings = restaurant.languageSettings || {};
-    restaurant.languageSettings.languages = normalizeLanguageList(
+    restaurant.languageSettings.languages = sanitizeLanguageList(
       req.body.languages,
       restaurant.languageSettings.defaultLanguage || currentDefaultLanguage
     );
   }
   restaurant.languageSettings = {
-    defaultLanguage: normalizeLanguageCode(
+    defaultLanguage: sanitizeLanguageCode(
       (restaurant.languageSettings && restaurant.languageSettings.defaultLanguage) || currentDefaultLanguage
     ),
-    languages: normalizeLanguageList(
+    languages: sanitizeLanguageList(
       restaurant.languageSettings && restaurant.languageSettings.languages,
       (restaurant.languageSettings && restaurant.languageSettings.defaultLanguage) || currentDefaultLanguage
     )
@@ -1812,6 +1694,24 @@ app.put("/api/restaurants/:id", requireAuth, authorizeRestaurant, async (req, re
   if (req.body.categoryLabels !== undefined) {
     restaurant.categoryLabels = sanitizeCategoryLabels(req.body.categoryLabels);
   }
+  if (req.body.integrations !== undefined) {
+    restaurant.integrations = sanitizeIntegrations(req.body.integrations);
+  }
+  if (req.body.timezone !== undefined) {
+    restaurant.timezone = sanitizeTimezone(req.body.timezone);
+  }
+  if (req.body.schedule !== undefined) {
+    restaurant.schedule = sanitizeSchedule(req.body.schedule);
+  }
+  if (req.body.charges !== undefined) {
+    restaurant.charges = sanitizeCharges(req.body.charges);
+  }
+  if (req.body.fulfillment !== undefined) {
+    restaurant.fulfillment = sanitizeFulfillment(req.body.fulfillment);
+  }
+  if (req.body.reservationSettings !== undefined) {
+    restaurant.reservationSettings = sanitizeReservationSettings(req.body.reservationSettings);
+  }
   await writeDb(db);
   res.json({ restaurant: normalizeRestaurantRecord(restaurant) });
 });
@@ -1819,10 +1719,13 @@ app.put("/api/restaurants/:id", requireAuth, authorizeRestaurant, async (req, re
 app.post(
   "/api/restaurants/:id/users",
   requireAuth,
-  requireMaster,
   authorizeRestaurant,
   async (req, res) => {
     const db = req.db;
+    const role = sanitizeStaffRole(req.body && req.body.role, req.user.role);
+    if (!role) {
+      return res.status(403).json({ error: "forbidden" });
+    }
     const email = normalizeEmail(req.body && req.body.email);
     const password = (req.body && req.body.password ? req.body.password : "").toString();
     if (!email || !password) {
@@ -1841,7 +1744,7 @@ app.post(
       id: `u-${randomUUID()}`,
       email,
       passwordHash: hashPassword(password),
-      role: "client",
+      role,
       restaurantId: req.restaurant.id
     };
     db.users.push(user);
@@ -1856,7 +1759,10 @@ app.get(
   authorizeRestaurant,
   async (req, res) => {
     const db = req.db;
-    const items = db.items.filter((i) => i.restaurantId === req.restaurant.id);
+    const today = getStockDate(req.restaurant.timezone);
+    const items = db.items
+      .filter((i) => i.restaurantId === req.restaurant.id)
+      .map((item) => ({ ...item, availability: getItemAvailability(item, today) }));
     res.json({ items });
   }
 );
@@ -1881,66 +1787,970 @@ app.post(
       modelGlb: sanitizeNullableUrl(req.body.modelGlb),
       modelUsdz: sanitizeNullableUrl(req.body.modelUsdz),
       category: sanitizeText(req.body.category, 80),
+      optionGroups: sanitizeOptionGroups(req.body.optionGroups),
+      comboGroups: sanitizeComboGroups(req.body.comboGroups, listComboCandidateIds(db, req.restaurant.id, "")),
+      daypartIds: sanitizeDaypartIds(req.body.daypartIds, sanitizeSchedule(req.restaurant.schedule).dayparts),
       scans: []
     };
+    applyItemAvailabilityInput(item, req.body, getStockDate(req.restaurant.timezone));
     db.items.push(item);
     await writeDb(db);
     res.json({ item });
   }
-);
+);
+
+app.put("/api/items/:id", serializeWrites, requireAuth, authorizeItem, async (req, res) => {
+  const db = req.db;
+  const item = req.item;
+  if (req.body.name !== undefined) {
+    const nextName = sanitizeText(req.body.name, 160);
+    if (!nextName) return res.status(400).json({ error: "name_required" });
+    item.name = nextName;
+  }
+  if (req.body.description !== undefined) item.description = sanitizeText(req.body.description, 800);
+  if (req.body.price !== undefined) item.price = sanitizePrice(req.body.price);
+  if (req.body.image !== undefined) item.image = sanitizeNullableUrl(req.body.image);
+  if (req.body.modelGlb !== undefined) item.modelGlb = sanitizeNullableUrl(req.body.modelGlb);
+  if (req.body.modelUsdz !== undefined) item.modelUsdz = sanitizeNullableUrl(req.body.modelUsdz);
+  if (req.body.category !== undefined) item.category = sanitizeText(req.body.category, 80);
+  if (req.body.optionGroups !== undefined) item.optionGroups = sanitizeOptionGroups(req.body.optionGroups);
+  if (req.body.comboGroups !== undefined) {
+    item.comboGroups = sanitizeComboGroups(
+      req.body.comboGroups,
+      listComboCandidateIds(db, item.restaurantId, item.id)
+    );
+  }
+  if (req.body.daypartIds !== undefined) {
+    item.daypartIds = sanitizeDaypartIds(req.body.daypartIds, getRestaurantDayparts(db, item.restaurantId));
+  }
+  applyItemAvailabilityInput(item, req.body, getItemStockDate(db, item));
+  await writeDb(db);
+  res.json({ item });
+});
+
+app.put("/api/items/:id/availability", serializeWrites, requireAuth, authorizeItem, async (req, res) => {
+  const item = req.item;
+  const today = getItemStockDate(req.db, item);
+  applyItemAvailabilityInput(
+    item,
+    {
+      available: req.body.available,
+      stockRemaining: req.body.stockRemaining
+    },
+    today
+  );
+  await writeDb(req.db);
+  res.json({ item, availability: getItemAvailability(item, today) });
+});
+
+app.delete("/api/items/:id", requireAuth, authorizeItem, async (req, res) => {
+  const db = req.db;
+  const item = req.item;
+  ensureModelJobs(db);
+  const removedJobs = db.modelJobs.filter((job) => job.itemId === item.id);
+
+  db.items = db.items.filter((entry) => entry.id !== item.id);
+  db.modelJobs = db.modelJobs.filter((job) => job.itemId !== item.id);
+
+  await writeDb(db);
+
+  await removeDirIfExists(path.join(SCANS_DIR, item.id));
+  for (const job of removedJobs) {
+    await removeDirIfExists(path.join(JOB_IMAGES_DIR, job.id));
+  }
+
+  res.json({
+    ok: true,
+    removedItemId: item.id,
+    removedModelJobs: removedJobs.map((job) => job.id)
+  });
+});
+
+app.get(
+  "/api/restaurants/:id/tables",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const tables = listRestaurantTables(req.db, req.restaurant.id);
+    res.json({ tables: await Promise.all(tables.map((table) => withTableLink(table, req.restaurant))) });
+  }
+);
+
+app.post(
+  "/api/restaurants/:id/tables",
+  serializeWrites,
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    const existing = listRestaurantTables(db, req.restaurant.id);
+    const inputs = Array.isArray(req.body && req.body.tables) ? req.body.tables : [req.body || {}];
+    if (!inputs.length) {
+      return res.status(400).json({ error: "invalid_table_label" });
+    }
+    if (existing.length + inputs.length > MAX_TABLES_PER_RESTAURANT) {
+      return res.status(400).json({ error: "too_many_tables", max: MAX_TABLES_PER_RESTAURANT });
+    }
+    const createdAt = new Date().toISOString();
+    const created = [];
+    for (const input of inputs) {
+      const parsed = sanitizeTableInput(input);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      if (findTableByLabel(existing.concat(created), parsed.table.label)) {
+        return res.status(409).json({ error: "table_label_in_use", label: parsed.table.label });
+      }
+      created.push({ id: `t-${randomUUID()}`, restaurantId: req.restaurant.id, ...parsed.table, createdAt });
+    }
+    db.tables.push(...created);
+    await writeDb(db);
+    res.json({ tables: await Promise.all(created.map((table) => withTableLink(table, req.restaurant))) });
+  }
+);
+
+app.put("/api/tables/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureTables(db);
+  const table = db.tables.find((entry) => entry.id === req.params.id);
+  if (!table) {
+    return res.status(404).json({ error: "table_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, table.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const parsed = sanitizeTableInput(req.body, table);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const others = listRestaurantTables(db, table.restaurantId).filter((entry) => entry.id !== table.id);
+  if (findTableByLabel(others, parsed.table.label)) {
+    return res.status(409).json({ error: "table_label_in_use", label: parsed.table.label });
+  }
+  Object.assign(table, parsed.table);
+  await writeDb(db);
+  res.json({ table: await withTableLink(table, findRestaurant(db, table.restaurantId)) });
+});
+
+app.delete("/api/tables/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureTables(db);
+  const table = db.tables.find((entry) => entry.id === req.params.id);
+  if (!table) {
+    return res.status(404).json({ error: "table_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, table.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  db.tables = db.tables.filter((entry) => entry.id !== table.id);
+  await writeDb(db);
+  res.json({ ok: true, removedTableId: table.id });
+});
+
+app.get(
+  "/api/restaurants/:id/promotions",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    res.json({ promotions: listRestaurantPromotions(req.db, req.restaurant.id) });
+  }
+);
+
+app.post(
+  "/api/restaurants/:id/promotions",
+  serializeWrites,
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    const existing = listRestaurantPromotions(db, req.restaurant.id);
+    if (existing.length >= MAX_PROMOTIONS_PER_RESTAURANT) {
+      return res.status(400).json({ error: "too_many_promotions", max: MAX_PROMOTIONS_PER_RESTAURANT });
+    }
+    const parsed = sanitizePromotionInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (parsed.promotion.code && existing.some((entry) => entry.code === parsed.promotion.code)) {
+      return res.status(409).json({ error: "coupon_code_in_use", code: parsed.promotion.code });
+    }
+    const createdAt = new Date().toISOString();
+    const promotion = {
+      id: `pr-${randomUUID()}`,
+      restaurantId: req.restaurant.id,
+      ...parsed.promotion,
+      usedCount: 0,
+      createdAt,
+      updatedAt: createdAt
+    };
+    db.promotions.push(promotion);
+    await writeDb(db);
+    res.json({ promotion });
+  }
+);
+
+app.put("/api/promotions/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensurePromotions(db);
+  const promotion = db.promotions.find((entry) => entry.id === req.params.id);
+  if (!promotion) {
+    return res.status(404).json({ error: "promotion_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, promotion.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const parsed = sanitizePromotionInput(req.body, promotion);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const others = listRestaurantPromotions(db, promotion.restaurantId).filter((entry) => entry.id !== promotion.id);
+  if (parsed.promotion.code && others.some((entry) => entry.code === parsed.promotion.code)) {
+    return res.status(409).json({ error: "coupon_code_in_use", code: parsed.promotion.code });
+  }
+  Object.assign(promotion, parsed.promotion, { updatedAt: new Date().toISOString() });
+  await writeDb(db);
+  res.json({ promotion });
+});
+
+app.delete("/api/promotions/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensurePromotions(db);
+  const promotion = db.promotions.find((entry) => entry.id === req.params.id);
+  if (!promotion) {
+    return res.status(404).json({ error: "promotion_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, promotion.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  db.promotions = db.promotions.filter((entry) => entry.id !== promotion.id);
+  await writeDb(db);
+  res.json({ ok: true, removedPromotionId: promotion.id });
+});
+
+app.get(
+  "/api/restaurants/:id/qr-kit",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const restaurant = req.restaurant;
+    const { layout, source } = sanitizeQrKitOptions(req.query);
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const tables =
+      source === "tables"
+        ? await Promise.all(
+            listRestaurantTables(req.db, restaurant.id).map((table) => withTableLink(table, restaurant))
+          )
+        : [];
+    const items = source === "items" ? req.db.items.filter((item) => item.restaurantId === restaurant.id) : [];
+    const entries = buildQrKitEntries(source, origin, { tables, items });
+    if (!entries.length) {
+      return res.status(400).json({ error: "qr_kit_empty" });
+    }
+    const { pdf, warnings } = buildQrKitPdf({
+      restaurant,
+      entries,
+      layout,
+      logoBytes: await loadLogoBytes(restaurant.logo)
+    });
+    if (warnings.length) res.setHeader("X-Qr-Kit-Warnings", warnings.join(","));
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="qr-${restaurant.slug}-${source}-${layout}.pdf"`);
+    res.send(Buffer.from(pdf));
+  }
+);
+
+app.post("/api/public/orders/quote", async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeEngagementRateLimit("quote", ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+  const db = await readDb();
+  ensureDbShape(db);
+  const restaurant = db.restaurants.find((r) => r.slug === normalizeSlug(req.body && req.body.restaurantSlug));
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+  const quote = quoteOrder(db, restaurant, req.body || {}, { draft: true });
+  if (quote.error) {
+    return res.status(quote.httpStatus).json({ error: quote.error, detail: quote.detail });
+  }
+  res.json({
+    quote: {
+      ...quote.charges,
+      couponCode: quote.couponCode,
+      promotions: quote.promotions,
+      orderType: quote.orderType,
+      deliveryZone: quote.fulfillment ? quote.fulfillment.zoneName : ""
+    }
+  });
+});
+
+app.post("/api/public/orders", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeOrderRateLimit(ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_orders" });
+  }
+
+  const db = await readDb();
+  ensureDbShape(db);
+  const restaurantSlug = normalizeSlug(req.body && req.body.restaurantSlug);
+  if (!restaurantSlug) {
+    return res.status(400).json({ error: "restaurant_required" });
+  }
+  const restaurant = db.restaurants.find((r) => r.slug === restaurantSlug);
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+  const dineIn = (sanitizeOrderType(req.body.orderType) || "dine_in") === "dine_in";
+  const tableResult = dineIn
+    ? await resolveOrderTable(SESSION_SECRET, restaurant.id, listRestaurantTables(db, restaurant.id), req.body)
+    : { label: "", table: null };
+  if (tableResult.error) {
+    return res.status(400).json({ error: tableResult.error });
+  }
+  const tableValue = tableResult.label;
+  const quote = quoteOrder(db, restaurant, req.body);
+  if (quote.error) {
+    return res.status(quote.httpStatus).json({ error: quote.error, detail: quote.detail });
+  }
+  const { menuItems, lines: orderItems } = quote;
+  const schedule = checkOrderSchedule(menuItems, orderItems, restaurant);
+  if (schedule.error) {
+    return res.status(409).json({ error: schedule.error, detail: schedule.detail });
+  }
+  const stock = reserveOrderStock(menuItems, orderItems, getStockDate(restaurant.timezone));
+  if (stock.error) {
+    return res.status(409).json({ error: stock.error, detail: stock.detail });
+  }
+  stock.updates.forEach((update) => {
+    const menuItem = menuItems.find((entry) => entry.id === update.itemId);
+    menuItem.stockRemaining = update.stockRemaining;
+    menuItem.stockDate = update.stockDate;
+  });
+
+  const createdAt = new Date().toISOString();
+  const order = {
+    id: `o-${randomUUID()}`,
+    restaurantId: restaurant.id,
+    table: tableValue,
+    tableId: tableResult.table ? tableResult.table.id : "",
+    orderType: quote.orderType,
+    fulfillment: quote.fulfillment,
+    items: orderItems,
+    ...quote.charges,
+    couponCode: quote.couponCode,
+    promotions: quote.promotions,
+    note: sanitizeOrderNote(req.body.note, ORDER_NOTE_MAX),
+    allergyAlert: false,
+    status: "novo",
+    statusReason: "",
+    statusHistory: [createOrderHistoryEntry("", "novo", "", "", createdAt)],
+    paymentStatus: "",
+    createdAt,
+    updatedAt: createdAt
+  };
+  order.allergyAlert = detectOrderAllergy(order);
+  // Only dine-in orders run on a table tab; pickup and delivery are paid per order.
+  let tab = dineIn ? findOpenTab(db.tabs, restaurant.id, { tableId: order.tableId, label: tableValue }) : null;
+  if (dineIn && !tab) {
+    tab = createTab({
+      id: `tab-${randomUUID()}`,
+      restaurantId: restaurant.id,
+      table: tableValue,
+      tableId: order.tableId,
+      openedAt: createdAt
+    });
+    db.tabs.push(tab);
+  }
+  // A new order raises the bill, so a split paid before it no longer settles the tab.
+  if (tab) tab.settled = false;
+  order.tabId = tab ? tab.id : "";
+  quote.promotions.forEach((entry) => {
+    const promotion = db.promotions.find((candidate) => candidate.id === entry.id);
+    if (promotion) promotion.usedCount = (Number(promotion.usedCount) || 0) + 1;
+  });
+  db.orders.push(order);
+  recordPublicEvent(db, req, {
+    restaurantId: restaurant.id,
+    type: "order_submit",
+    table: tableValue,
+    meta: { orderId: order.id, items: orderItems.length, total: order.total }
+  });
+  await writeDb(db);
+  publishOrderEvent("order.created", order);
+  await fireRestaurantWebhook(restaurant, "orders", {
+    type: "order_created",
+    order,
+    restaurantId: restaurant.id
+  });
+  res.json({ order, tab: tab ? toPublicTab(tab, listTabOrders(db, tab)) : null });
+});
+
+app.post("/api/public/tabs/:id/split", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeEngagementRateLimit("split", ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+  const db = await readDb();
+  ensureDbShape(db);
+  const tab = db.tabs.find((entry) => entry.id === req.params.id);
+  if (!tab) {
+    return res.status(404).json({ error: "tab_not_found" });
+  }
+  if (!(await verifyTabTableToken(SESSION_SECRET, tab, req.body && req.body.tableToken))) {
+    return res.status(403).json({ error: "table_token_required" });
+  }
+  const result = replaceTabSplit(db, tab, req.body || {}, false);
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error, detail: result.detail });
+  }
+  await writeDb(db);
+  res.json({ tab: toPublicTab(tab, listTabOrders(db, tab)) });
+});
+
+app.post("/api/public/orders/:id/payments", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeEngagementRateLimit("payments", ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+  if (!PAYMENT_PROVIDER) {
+    return res.status(503).json({ error: "payments_disabled" });
+  }
+  const method = sanitizePaymentMethod(req.body && req.body.method);
+  if (!method) {
+    return res.status(400).json({ error: "invalid_payment_method" });
+  }
+  const db = await readDb();
+  ensureDbShape(db);
+  const order = db.orders.find((entry) => entry.id === req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: "order_not_found" });
+  }
+  if (order.paymentStatus === "pago") {
+    return res.status(409).json({ error: "order_already_paid" });
+  }
+  if (order.status === "cancelado" || order.status === "recusado") {
+    return res.status(409).json({ error: "order_not_payable" });
+  }
+  const now = new Date().toISOString();
+  const existing = db.payments.find(
+    (payment) =>
+      payment.orderId === order.id &&
+      payment.method === method &&
+      payment.status === "pendente" &&
+      payment.amount === order.total &&
+      (!payment.expiresAt || payment.expiresAt > now)
+  );
+  if (existing) {
+    return res.json({ payment: toPublicPayment(existing) });
+  }
+  const restaurant = findRestaurant(db, order.restaurantId);
+  const origin = `${req.protocol}://${req.get("host")}`;
+  const payment = createPaymentRecord({
+    id: `pay-${randomUUID()}`,
+    restaurantId: order.restaurantId,
+    orderId: order.id,
+    method,
+    amount: order.total,
+    provider: PAYMENT_PROVIDER.id,
+    createdAt: now
+  });
+  try {
+    const charge =
+      method === "pix"
+        ? await PAYMENT_PROVIDER.createPixCharge(payment, { origin })
+        : await PAYMENT_PROVIDER.createCheckout(payment, {
+            origin,
+            returnUrl: `${origin}/r/${restaurant.slug}?pagamento=${payment.id}`,
+            description: `${restaurant.name} - ${describeOrderTarget(order)}`
+          });
+    Object.assign(payment, charge);
+  } catch (err) {
+    return res.status(502).json({ error: "payment_provider_error", detail: err.message });
+  }
+  db.payments.push(payment);
+  order.paymentStatus = "pendente";
+  await writeDb(db);
+  res.json({ payment: toPublicPayment(payment) });
+});
+
+app.get("/api/public/orders/:id/pix", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const order = db.orders.find((entry) => entry.id === req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: "order_not_found" });
+  }
+  if (order.paymentStatus === "pago") {
+    return res.status(409).json({ error: "order_already_paid" });
+  }
+  if (order.status === "cancelado" || order.status === "recusado") {
+    return res.status(409).json({ error: "order_not_payable" });
+  }
+  const result = buildPixCharge(findRestaurant(db, order.restaurantId), { amount: order.total, txid: order.id });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ pix: result.pix });
+});
+
+app.get("/api/public/tabs/:id/pix", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const tab = db.tabs.find((entry) => entry.id === req.params.id);
+  if (!tab) {
+    return res.status(404).json({ error: "tab_not_found" });
+  }
+  if (tab.status !== "open") {
+    return res.status(409).json({ error: "tab_closed" });
+  }
+  const shareId = (req.query.shareId || "").toString();
+  const share = shareId && tab.split ? tab.split.shares.find((entry) => entry.id === shareId) : null;
+  if (shareId && !share) {
+    return res.status(404).json({ error: "share_not_found" });
+  }
+  if (share && share.status === "paid") {
+    return res.status(409).json({ error: "share_already_paid" });
+  }
+  const amount = share ? share.amount : summarizeTab(tab, listTabOrders(db, tab)).total;
+  const result = buildPixCharge(findRestaurant(db, tab.restaurantId), {
+    amount,
+    txid: share ? share.id : tab.id
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ pix: result.pix });
+});
+
+app.get("/api/public/payments/:id", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const payment = db.payments.find((entry) => entry.id === req.params.id);
+  if (!payment) {
+    return res.status(404).json({ error: "payment_not_found" });
+  }
+  res.json({ payment: toPublicPayment(payment) });
+});
+
+app.get("/api/public/payments/:id/mock", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const payment = db.payments.find((entry) => entry.id === req.params.id);
+  if (!payment || payment.provider !== "mock" || !PAYMENT_PROVIDER || PAYMENT_PROVIDER.id !== "mock") {
+    return res.status(404).json({ error: "payment_not_found" });
+  }
+  const restaurant = findRestaurant(db, payment.restaurantId);
+  res.type("html").send(renderMockCheckoutPage(payment, restaurant ? restaurant.name : ""));
+});
+
+app.post("/api/public/payments/:id/mock", serializeWrites, async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const payment = db.payments.find((entry) => entry.id === req.params.id);
+  if (!payment || payment.provider !== "mock" || !PAYMENT_PROVIDER || PAYMENT_PROVIDER.id !== "mock") {
+    return res.status(404).json({ error: "payment_not_found" });
+  }
+  const outcome = req.query.outcome === "pago" ? "pago" : "falhou";
+  const result = await applyPaymentWebhook(db, await buildMockWebhook(PAYMENTS, payment, outcome));
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  await writeDb(db);
+  await announcePaymentChange(db, result);
+  const restaurant = findRestaurant(db, payment.restaurantId);
+  res.redirect(303, restaurant ? `/r/${restaurant.slug}?pagamento=${payment.id}` : "/");
+});
+
+app.post("/api/payments/webhook/:provider", serializeWrites, async (req, res) => {
+  if (!PAYMENT_PROVIDER || PAYMENT_PROVIDER.id !== req.params.provider) {
+    return res.status(404).json({ error: "payment_provider_not_found" });
+  }
+  const db = await readDb();
+  ensureDbShape(db);
+  const result = await applyPaymentWebhook(db, { headers: req.headers, rawBody: req.rawBody || "" });
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  if (result.changed) {
+    await writeDb(db);
+    await announcePaymentChange(db, result);
+  }
+  res.json({ received: true });
+});
+
+app.get("/api/public/tabs/:id", async (req, res) => {
+  const db = await readDb();
+  ensureDbShape(db);
+  const tab = db.tabs.find((entry) => entry.id === req.params.id);
+  if (!tab) {
+    return res.status(404).json({ error: "tab_not_found" });
+  }
+  res.json({ tab: toPublicTab(tab, listTabOrders(db, tab)) });
+});
+
+app.post("/api/public/service-requests", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeServiceRequestRateLimit(ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+
+  const db = await readDb();
+  ensureDbShape(db);
+  const restaurantSlug = normalizeSlug(req.body && req.body.restaurantSlug);
+  if (!restaurantSlug) {
+    return res.status(400).json({ error: "restaurant_required" });
+  }
+  const restaurant = db.restaurants.find((r) => r.slug === restaurantSlug);
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+  const type = sanitizeServiceRequestType(req.body.type);
+  if (!type) {
+    return res.status(400).json({ error: "invalid_service_type" });
+  }
+  const tableResult = await resolveOrderTable(
+    SESSION_SECRET,
+    restaurant.id,
+    listRestaurantTables(db, restaurant.id),
+    req.body
+  );
+  if (tableResult.error) {
+    return res.status(400).json({ error: tableResult.error });
+  }
+  const tableId = tableResult.table ? tableResult.table.id : "";
+  const existing = findPendingServiceRequest(
+    db.serviceRequests,
+    restaurant.id,
+    { tableId, label: tableResult.label },
+    type
+  );
+  if (existing) {
+    return res.json({ request: existing, duplicate: true });
+  }
+
+  const request = createServiceRequest({
+    id: `sr-${randomUUID()}`,
+    restaurantId: restaurant.id,
+    type,
+    table: tableResult.label,
+    tableId,
+    createdAt: new Date().toISOString()
+  });
+  db.serviceRequests.push(request);
+  await writeDb(db);
+  publishServiceRequestEvent("service.created", request);
+  res.json({ request });
+});
+
+app.post("/api/public/leads", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeEngagementRateLimit("leads", ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+
+  const db = await readDb();
+  ensureLeads(db);
+  const restaurantSlug = normalizeSlug(req.body && req.body.restaurantSlug);
+  if (!restaurantSlug) {
+    return res.status(400).json({ error: "restaurant_required" });
+  }
+  const restaurant = db.restaurants.find((r) => r.slug === restaurantSlug);
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+
+  const lead = sanitizeLeadPayload(req.body);
+  if (!lead.email && !lead.phone) {
+    return res.status(400).json({ error: "contact_required" });
+  }
+
+  const leadId = `lead-${randomUUID()}`;
+  const leadRecord = {
+    id: leadId,
+    restaurantId: restaurant.id,
+    ...lead,
+    createdAt: new Date().toISOString()
+  };
+  db.leads.push(leadRecord);
+  recordPublicEvent(db, req, {
+    restaurantId: restaurant.id,
+    type: "lead_submit",
+    meta: { leadId, source: lead.source }
+  });
+  await writeDb(db);
+  await fireRestaurantWebhook(restaurant, "leads", {
+    type: "lead_created",
+    lead: leadRecord,
+    restaurantId: restaurant.id
+  });
+  res.json({ ok: true, leadId });
+});
+
+app.post("/api/public/reservations", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeEngagementRateLimit("reservations", ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+
+  const db = await readDb();
+  ensureReservations(db);
+  const restaurantSlug = normalizeSlug(req.body && req.body.restaurantSlug);
+  if (!restaurantSlug) {
+    return res.status(400).json({ error: "restaurant_required" });
+  }
+  const restaurant = db.restaurants.find((r) => r.slug === restaurantSlug);
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
+
+  const reservation = sanitizeReservationPayload(req.body);
+  if (!reservation.name || !reservation.phone) {
+    return res.status(400).json({ error: "name_phone_required" });
+  }
+  // Without the availability engine the request is stored as typed and staff confirm it by hand.
+  let booking = null;
+  if (sanitizeReservationSettings(restaurant.reservationSettings).enabled) {
+    const result = resolveReservationBooking(restaurant.reservationSettings, reservation, {
+      tables: listRestaurantTables(db, restaurant.id),
+      reservations: db.reservations.filter((entry) => entry.restaurantId === restaurant.id),
+      timezone: restaurant.timezone
+    });
+    if (result.error) {
+      return res.status(result.httpStatus || 400).json({ error: result.error, detail: result.detail });
+    }
+    booking = result.booking;
+  }
+
+  const reservationId = `res-${randomUUID()}`;
+  const reservationRecord = {
+    id: reservationId,
+    restaurantId: restaurant.id,
+    name: reservation.name,
+    phone: reservation.phone,
+    email: reservation.email,
+    guests: reservation.guests,
+    date: reservation.dateLabel,
+    time: reservation.timeLabel,
+    notes: reservation.notes,
+    status: "novo",
+    code: createReservationCode(db),
+    startsAt: "",
+    endsAt: "",
+    tableId: "",
+    tableLabel: "",
+    area: reservation.area,
+    ...booking,
+    source: reservation.source,
+    meta: reservation.meta,
+    createdAt: new Date().toISOString()
+  };
+  db.reservations.push(reservationRecord);
+  recordPublicEvent(db, req, {
+    restaurantId: restaurant.id,
+    type: "reservation_submit",
+    meta: { reservationId, guests: reservation.guests, source: reservation.source }
+  });
+  await writeDb(db);
+  await fireRestaurantWebhook(restaurant, "reservations", {
+    type: "reservation_created",
+    reservation: reservationRecord,
+    restaurantId: restaurant.id
+  });
+  res.json({ ok: true, reservationId, reservation: toPublicReservation(reservationRecord) });
+});
+
+// Guests look a reservation up by code alone, so a new code must not match any stored one.
+function createReservationCode(db) {
+  let code = generateReservationCode();
+  while (db.reservations.some((entry) => entry.code === code)) code = generateReservationCode();
+  return code;
+}
+
+function findGuestReservation(db, code, phone) {
+  const wanted = sanitizeReservationCode(code);
+  const reservation = wanted ? db.reservations.find((entry) => entry.code === wanted) : null;
+  return reservation && matchesReservationPhone(reservation, phone) ? reservation : null;
+}
+
+app.get("/api/public/reservations/:code", async (req, res) => {
+  const rate = consumeEngagementRateLimit("reservations", getClientIp(req));
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
+  const db = await readDb();
+  ensureReservations(db);
+  const reservation = findGuestReservation(db, req.params.code, req.query.phone);
+  if (!reservation) {
+    return res.status(404).json({ error: "reservation_not_found" });
+  }
+  res.json({ reservation: toPublicReservation(reservation) });
+});
 
-app.put("/api/items/:id", requireAuth, authorizeItem, async (req, res) => {
-  const db = req.db;
-  const item = req.item;
-  if (req.body.name !== undefined) {
-    const nextName = sanitizeText(req.body.name, 160);
-    if (!nextName) return res.status(400).json({ error: "name_required" });
-    item.name = nextName;
+app.post("/api/public/reservations/:code/cancel", serializeWrites, async (req, res) => {
+  const rate = consumeEngagementRateLimit("reservations", getClientIp(req));
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
   }
-  if (req.body.description !== undefined) item.description = sanitizeText(req.body.description, 800);
-  if (req.body.price !== undefined) item.price = sanitizePrice(req.body.price);
-  if (req.body.image !== undefined) item.image = sanitizeNullableUrl(req.body.image);
-  if (req.body.modelGlb !== undefined) item.modelGlb = sanitizeNullableUrl(req.body.modelGlb);
-  if (req.body.modelUsdz !== undefined) item.modelUsdz = sanitizeNullableUrl(req.body.modelUsdz);
-  if (req.body.category !== undefined) item.category = sanitizeText(req.body.category, 80);
+  const db = await readDb();
+  ensureReservations(db);
+  const reservation = findGuestReservation(db, req.params.code, req.body && req.body.phone);
+  if (!reservation) {
+    return res.status(404).json({ error: "reservation_not_found" });
+  }
+  const result = cancelReservationByGuest(reservation);
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  reservation.status = result.reservation.status;
   await writeDb(db);
-  res.json({ item });
+  const restaurant = db.restaurants.find((r) => r.id === reservation.restaurantId);
+  if (restaurant) {
+    await fireRestaurantWebhook(restaurant, "reservations", {
+      type: "reservation_cancelled",
+      reservation,
+      restaurantId: restaurant.id
+    });
+  }
+  res.json({ reservation: toPublicReservation(reservation) });
 });
 
-app.delete("/api/items/:id", requireAuth, authorizeItem, async (req, res) => {
-  const db = req.db;
-  const item = req.item;
-  ensureModelJobs(db);
-  const removedJobs = db.modelJobs.filter((job) => job.itemId === item.id);
-
-  db.items = db.items.filter((entry) => entry.id !== item.id);
-  db.modelJobs = db.modelJobs.filter((job) => job.itemId !== item.id);
+app.post("/api/public/waitlist", serializeWrites, async (req, res) => {
+  const ip = getClientIp(req);
+  const rate = consumeEngagementRateLimit("waitlist", ip);
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfterSeconds));
+    return res.status(429).json({ error: "too_many_requests" });
+  }
 
-  await writeDb(db);
+  const db = await readDb();
+  ensureWaitlist(db);
+  const restaurantSlug = normalizeSlug(req.body && req.body.restaurantSlug);
+  if (!restaurantSlug) {
+    return res.status(400).json({ error: "restaurant_required" });
+  }
+  const restaurant = db.restaurants.find((r) => r.slug === restaurantSlug);
+  if (!restaurant) {
+    return res.status(404).json({ error: "restaurant_not_found" });
+  }
 
-  await removeDirIfExists(path.join(SCANS_DIR, item.id));
-  for (const job of removedJobs) {
-    await removeDirIfExists(path.join(JOB_IMAGES_DIR, job.id));
+  const waitEntry = sanitizeWaitlistPayload(req.body);
+  if (!waitEntry.name || !waitEntry.phone) {
+    return res.status(400).json({ error: "name_phone_required" });
   }
 
+  const waitlistId = `wait-${randomUUID()}`;
+  const createdAt = new Date().toISOString();
+  const restaurantWaitlist = db.waitlist.filter((entry) => entry.restaurantId === restaurant.id);
+  const waitlistRecord = {
+    id: waitlistId,
+    restaurantId: restaurant.id,
+    ...waitEntry,
+    status: "aguardando",
+    token: generateWaitlistToken(),
+    partiesAhead: countPartiesAhead(restaurantWaitlist, createdAt),
+    notifiedAt: "",
+    notifyCount: 0,
+    lastNotice: null,
+    seatedAt: "",
+    closedAt: "",
+    createdAt
+  };
+  db.waitlist.push(waitlistRecord);
+  recordPublicEvent(db, req, {
+    restaurantId: restaurant.id,
+    type: "waitlist_join",
+    meta: { waitlistId, guests: waitEntry.guests, source: waitEntry.source }
+  });
+  await writeDb(db);
+  await fireRestaurantWebhook(restaurant, "waitlist", {
+    type: "waitlist_created",
+    waitlist: waitlistRecord,
+    restaurantId: restaurant.id
+  });
+  const queue = describeWaitlistQueue(restaurantWaitlist.concat(waitlistRecord));
   res.json({
     ok: true,
-    removedItemId: item.id,
-    removedModelJobs: removedJobs.map((job) => job.id)
+    waitlistId,
+    token: waitlistRecord.token,
+    entry: toPublicWaitlistEntry(waitlistRecord, queue)
+  });
+});
+
+function findWaitlistByToken(db, token) {
+  const safeToken = sanitizeWaitlistToken(token);
+  return (safeToken && db.waitlist.find((entry) => entry.token === safeToken)) || null;
+}
+
+function describeRestaurantWaitlist(db, restaurantId) {
+  return describeWaitlistQueue(db.waitlist.filter((entry) => entry.restaurantId === restaurantId));
+}
+
+// The token is private to the guest, so status polling skips the engagement rate limit.
+app.get("/api/public/waitlist/:token", async (req, res) => {
+  const db = await readDb();
+  ensureWaitlist(db);
+  const entry = findWaitlistByToken(db, req.params.token);
+  if (!entry) {
+    return res.status(404).json({ error: "waitlist_not_found" });
+  }
+  const restaurant = db.restaurants.find((r) => r.id === entry.restaurantId);
+  res.json({
+    entry: toPublicWaitlistEntry(entry, describeRestaurantWaitlist(db, entry.restaurantId)),
+    restaurantName: restaurant ? restaurant.name : ""
   });
 });
 
-app.post("/api/public/orders", async (req, res) => {
+app.post("/api/public/waitlist/:token/cancel", serializeWrites, async (req, res) => {
+  const db = await readDb();
+  ensureWaitlist(db);
+  const entry = findWaitlistByToken(db, req.params.token);
+  if (!entry) {
+    return res.status(404).json({ error: "waitlist_not_found" });
+  }
+  const result = cancelWaitlistByGuest(entry);
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  Object.assign(entry, result.entry);
+  await writeDb(db);
+  const restaurant = db.restaurants.find((r) => r.id === entry.restaurantId);
+  if (restaurant) {
+    await fireRestaurantWebhook(restaurant, "waitlist", {
+      type: "waitlist_updated",
+      waitlist: entry,
+      restaurantId: restaurant.id
+    });
+  }
+  res.json({ entry: toPublicWaitlistEntry(entry, null) });
+});
+
+app.post("/api/public/feedback", serializeWrites, async (req, res) => {
   const ip = getClientIp(req);
-  const rate = consumeOrderRateLimit(ip);
+  const rate = consumeEngagementRateLimit("feedback", ip);
   if (!rate.allowed) {
     res.setHeader("Retry-After", String(rate.retryAfterSeconds));
-    return res.status(429).json({ error: "too_many_orders" });
+    return res.status(429).json({ error: "too_many_requests" });
   }
 
   const db = await readDb();
-  ensureDbShape(db);
-  const { table, items } = req.body || {};
+  ensureFeedback(db);
   const restaurantSlug = normalizeSlug(req.body && req.body.restaurantSlug);
   if (!restaurantSlug) {
     return res.status(400).json({ error: "restaurant_required" });
@@ -1949,56 +2759,74 @@ app.post("/api/public/orders", async (req, res) => {
   if (!restaurant) {
     return res.status(404).json({ error: "restaurant_not_found" });
   }
-  const tableValue = sanitizeTableLabel(table || "");
-  if (!tableValue) {
-    return res.status(400).json({ error: "table_required" });
+
+  const feedback = sanitizeFeedbackPayload(req.body);
+  const order = feedback.orderId
+    ? db.orders.find((entry) => entry.id === feedback.orderId && entry.restaurantId === restaurant.id)
+    : null;
+  const rated = resolveFeedbackItems(feedback, order);
+  if (rated.error) {
+    return res.status(rated.httpStatus).json({ error: rated.error, detail: rated.detail });
   }
-  if (!Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ error: "items_required" });
+  if (!feedback.comment && !feedback.email && feedback.nps === null && !rated.items.length) {
+    return res.status(400).json({ error: "feedback_required" });
   }
-  const menuItems = db.items.filter((i) => i.restaurantId === restaurant.id);
-  const menuMap = new Map(menuItems.map((i) => [i.id, i]));
-  const orderItems = [];
-  let total = 0;
-
-  items.slice(0, 30).forEach((entry) => {
-    const menuItem = menuMap.get(entry.id);
-    if (!menuItem) return;
-    const qty = Math.max(1, Math.min(50, Number(entry.qty) || 1));
-    const price = Number(menuItem.price) || 0;
-    orderItems.push({
-      id: menuItem.id,
-      name: menuItem.name,
-      price,
-      qty
-    });
-    total += price * qty;
-  });
-
-  if (orderItems.length === 0) {
-    return res.status(400).json({ error: "invalid_items" });
+  if (order && db.feedback.some((entry) => entry.orderId === order.id)) {
+    return res.status(409).json({ error: "feedback_already_sent" });
   }
 
-  const order = {
-    id: `o-${randomUUID()}`,
+  const feedbackId = `fb-${randomUUID()}`;
+  const feedbackRecord = {
+    id: feedbackId,
     restaurantId: restaurant.id,
-    table: tableValue,
-    items: orderItems,
-    total: Math.round(total * 100) / 100,
-    status: "novo",
+    ...feedback,
+    items: rated.items,
+    followUp: needsFeedbackFollowUp({ ...feedback, items: rated.items }) ? "pendente" : "",
+    followUpAt: "",
+    followUpBy: "",
     createdAt: new Date().toISOString()
   };
-  db.orders.push(order);
+  db.feedback.push(feedbackRecord);
   recordPublicEvent(db, req, {
     restaurantId: restaurant.id,
-    type: "order_submit",
-    table: tableValue,
-    meta: { orderId: order.id, items: orderItems.length, total: order.total }
+    type: "feedback_submit",
+    meta: { feedbackId, rating: feedback.rating, nps: feedback.nps, source: feedback.source }
   });
   await writeDb(db);
-  res.json({ order });
+  await fireRestaurantWebhook(restaurant, "feedback", {
+    type: "feedback_created",
+    feedback: feedbackRecord,
+    restaurantId: restaurant.id
+  });
+  res.json({ ok: true, feedbackId });
 });
 
+app.get(
+  "/api/restaurants/:id/orders/stream",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const restaurantId = req.restaurant.id;
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+    res.write(formatSseEvent("ready", { restaurantId }, { retry: 3000 }));
+
+    if (!orderStreams.has(restaurantId)) orderStreams.set(restaurantId, new Set());
+    const listeners = orderStreams.get(restaurantId);
+    listeners.add(res);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), ORDER_STREAM_HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      listeners.delete(res);
+      if (listeners.size === 0) orderStreams.delete(restaurantId);
+    });
+  }
+);
+
 app.get(
   "/api/restaurants/:id/orders",
   requireAuth,
@@ -2006,13 +2834,69 @@ app.get(
   async (req, res) => {
     const db = req.db;
     ensureOrders(db);
+    const orderType = sanitizeOrderType(req.query.type);
     const orders = db.orders
       .filter((order) => order.restaurantId === req.restaurant.id)
+      .filter((order) => !orderType || order.orderType === orderType)
       .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
     res.json({ orders });
   }
 );
 
+app.get(
+  "/api/restaurants/:id/leads",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    ensureLeads(db);
+    const limit = sanitizeListLimit(req.query.limit);
+    res.json({ leads: listRestaurantEntries(db.leads, req.restaurant.id, limit) });
+  }
+);
+
+app.get(
+  "/api/restaurants/:id/reservations",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    ensureReservations(db);
+    const limit = sanitizeListLimit(req.query.limit);
+    res.json({ reservations: listRestaurantEntries(db.reservations, req.restaurant.id, limit) });
+  }
+);
+
+app.get(
+  "/api/restaurants/:id/waitlist",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    ensureWaitlist(db);
+    const limit = sanitizeListLimit(req.query.limit);
+    const queue = describeRestaurantWaitlist(db, req.restaurant.id);
+    res.json({
+      waitlist: listRestaurantEntries(db.waitlist, req.restaurant.id, limit).map((entry) => ({
+        ...entry,
+        ...queue.get(entry.id)
+      }))
+    });
+  }
+);
+
+app.get(
+  "/api/restaurants/:id/feedback",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    ensureFeedback(db);
+    const limit = sanitizeListLimit(req.query.limit);
+    res.json({ feedback: listRestaurantEntries(db.feedback, req.restaurant.id, limit) });
+  }
+);
+
 app.get(
   "/api/restaurants/:id/analytics",
   requireAuth,
@@ -2030,6 +2914,9 @@ app.get(
     const events = db.publicEvents.filter(
       (event) => event.restaurantId === req.restaurant.id && (event.createdAt || "") >= sinceIso
     );
+    const feedbackEntries = db.feedback.filter(
+      (entry) => entry.restaurantId === req.restaurant.id && (entry.createdAt || "") >= sinceIso
+    );
 
     const itemNameMap = new Map(
       db.items
@@ -2046,8 +2933,20 @@ app.get(
 
     const orderedCounter = new Map();
     let revenueTotal = 0;
+    let serviceChargeTotal = 0;
+    let tipTotal = 0;
+    let deliveryFeeTotal = 0;
+    let discountTotal = 0;
+    let billableOrders = 0;
     for (const order of orders) {
-      revenueTotal += Number(order.total) || 0;
+      if (!isOrderVoid(order)) {
+        billableOrders += 1;
+        discountTotal += Number(order.discount) || 0;
+        revenueTotal += Number(order.total) || 0;
+        serviceChargeTotal += Number(order.serviceCharge) || 0;
+        tipTotal += Number(order.tip) || 0;
+        deliveryFeeTotal += Number(order.deliveryFee) || 0;
+      }
       const orderItems = Array.isArray(order.items) ? order.items : [];
       for (const entry of orderItems) {
         if (!entry || !entry.id) continue;
@@ -2092,7 +2991,12 @@ app.get(
       summary: {
         ordersTotal,
         revenueTotal: Number(revenueTotal.toFixed(2)),
-        avgTicket: ordersTotal > 0 ? Number((revenueTotal / ordersTotal).toFixed(2)) : 0,
+        avgTicket: billableOrders > 0 ? Number((revenueTotal / billableOrders).toFixed(2)) : 0,
+        itemsRevenue: Number((revenueTotal - serviceChargeTotal - tipTotal - deliveryFeeTotal).toFixed(2)),
+        serviceChargeTotal: Number(serviceChargeTotal.toFixed(2)),
+        tipTotal: Number(tipTotal.toFixed(2)),
+        deliveryFeeTotal: Number(deliveryFeeTotal.toFixed(2)),
+        discountTotal: Number(discountTotal.toFixed(2)),
         menuViews,
         arOpens,
         addToCart: Number(eventCounter.add_to_cart || 0),
@@ -2105,7 +3009,9 @@ app.get(
         menuToOrder: menuViews > 0 ? Number(((ordersTotal / menuViews) * 100).toFixed(2)) : 0
       },
       topArItems,
-      topOrderedItems
+      topOrderedItems,
+      promotions: summarizePromotionUsage(orders),
+      feedback: summarizeFeedback(feedbackEntries, { days, since: sinceIso })
     };
 
     res.json({ analytics });
@@ -2178,7 +3084,7 @@ app.post(
     job.updatedAt = new Date().toISOString();
     await writeDb(db);
     const item = findItem(db, job.itemId);
-    const capture = item ? evaluateCaptureReadiness(item, job) : null;
+    const capture = item ? evaluateCaptureReadiness(item, job, CONFIG) : null;
     res.json({ urls, count: job.referenceImages.length, job, capture });
   }
 );
@@ -2197,7 +3103,7 @@ app.get("/api/model-jobs/:id/capture/analyze", requireAuth, async (req, res) =>
   if (!item) {
     return res.status(404).json({ error: "item_not_found" });
   }
-  const capture = evaluateCaptureReadiness(item, job);
+  const capture = evaluateCaptureReadiness(item, job, CONFIG);
   res.json({ capture });
 });
 
@@ -2222,7 +3128,7 @@ app.post(
       return res.status(400).json({ error: "source_invalid" });
     }
     const providerId = (provider || "manual").toString().trim().toLowerCase();
-    const providerConfig = getAiProvider(providerId);
+    const providerConfig = getAiProvider(MESHY, providerId);
     if (!providerConfig) {
       return res.status(400).json({ error: "provider_invalid" });
     }
@@ -2295,7 +3201,7 @@ app.put("/api/model-jobs/:id", requireAuth, async (req, res) => {
   }
   if (req.body.provider !== undefined) {
     const providerId = (req.body.provider || "").toString().trim().toLowerCase();
-    const providerConfig = getAiProvider(providerId);
+    const providerConfig = getAiProvider(MESHY, providerId);
     if (!providerConfig) {
       return res.status(400).json({ error: "provider_invalid" });
     }
@@ -2322,10 +3228,10 @@ app.put("/api/model-jobs/:id", requireAuth, async (req, res) => {
   if (requestedStatus === "publicado") {
     const qaScore = Number(job.qaScore) || 0;
     const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-    if (qaScore < QA_MIN_PUBLISH_SCORE || !hasRequiredModels) {
+    if (qaScore < CONFIG.qaMinPublishScore || !hasRequiredModels) {
       return res.status(400).json({
         error: "publish_gate_failed",
-        requiredScore: QA_MIN_PUBLISH_SCORE,
+        requiredScore: CONFIG.qaMinPublishScore,
         currentScore: qaScore,
         hasRequiredModels
       });
@@ -2391,7 +3297,7 @@ app.post("/api/model-jobs/:id/ai/start", requireAuth, async (req, res) => {
     .toString()
     .trim()
     .toLowerCase();
-  const provider = getAiProvider(providerId);
+  const provider = getAiProvider(MESHY, providerId);
   if (!provider) {
     return res.status(400).json({ error: "provider_invalid" });
   }
@@ -2401,21 +3307,21 @@ app.post("/api/model-jobs/:id/ai/start", requireAuth, async (req, res) => {
   if (provider.id !== "meshy") {
     return res.status(400).json({ error: "provider_not_implemented" });
   }
-  const capture = evaluateCaptureReadiness(item, job);
+  const capture = evaluateCaptureReadiness(item, job, CONFIG);
   if (!capture.readyToStart) {
     return res.status(400).json({ error: "capture_insufficient", capture });
   }
 
   try {
-    const imageInputs = await buildJobImageInputs(item, job);
+    const imageInputs = await buildJobImageInputs(getRuntime(db), item, job);
     if (!imageInputs.length) {
       return res.status(400).json({ error: "image_source_not_found" });
     }
 
-    const aiModel = (req.body.aiModel || job.aiModel || MESHY_DEFAULT_MODEL)
+    const aiModel = (req.body.aiModel || job.aiModel || MESHY.model)
       .toString()
       .trim();
-    const startResult = await startMeshyImageTo3D(imageInputs, {
+    const startResult = await startMeshyImageTo3D(MESHY, imageInputs, {
       aiModel,
       targetPolycount: req.body.targetPolycount
     });
@@ -2474,6 +3380,7 @@ app.post("/api/model-jobs/:id/ai/sync", requireAuth, async (req, res) => {
 
   try {
     const providerSync = await fetchMeshyTask(
+      MESHY,
       job.providerTaskId,
       job.providerTaskEndpoint || ""
     );
@@ -2494,12 +3401,12 @@ app.post("/api/model-jobs/:id/ai/sync", requireAuth, async (req, res) => {
       if (job.autoMode && req.body && req.body.autoPublish === true) {
         const itemForQuality = findItem(db, job.itemId);
         if (itemForQuality) {
-          const evaluation = await evaluateJobQuality(itemForQuality, job);
+          const evaluation = await evaluateJobQuality(getRuntime(db), itemForQuality, job);
           job.qaScore = evaluation.score;
           job.qaBand = evaluation.band;
           job.qaChecklist = evaluation.checklist;
           const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-          if (evaluation.score >= QA_MIN_PUBLISH_SCORE && hasRequiredModels) {
+          if (evaluation.score >= CONFIG.qaMinPublishScore && hasRequiredModels) {
             job.status = "publicado";
           }
         }
@@ -2540,7 +3447,7 @@ app.post("/api/model-jobs/:id/qa/evaluate", requireAuth, async (req, res) => {
     return res.status(400).json({ error: "item_not_found" });
   }
 
-  const evaluation = await evaluateJobQuality(item, job);
+  const evaluation = await evaluateJobQuality(getRuntime(db), item, job);
   const extraChecks = Array.isArray(req.body && req.body.extraChecklist)
     ? req.body.extraChecklist
         .map((entry) => sanitizeText(entry, 80))
@@ -2573,19 +3480,19 @@ app.post("/api/model-jobs/:id/publish", requireAuth, async (req, res) => {
     return res.status(400).json({ error: "item_not_found" });
   }
 
-  const evaluation = await evaluateJobQuality(item, job);
+  const evaluation = await evaluateJobQuality(getRuntime(db), item, job);
   job.qaScore = evaluation.score;
   job.qaBand = evaluation.band;
   job.qaChecklist = evaluation.checklist;
 
   const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-  if (!hasRequiredModels || evaluation.score < QA_MIN_PUBLISH_SCORE) {
+  if (!hasRequiredModels || evaluation.score < CONFIG.qaMinPublishScore) {
     job.status = "revisao";
     job.updatedAt = new Date().toISOString();
     await writeDb(db);
     return res.status(400).json({
       error: "publish_gate_failed",
-      requiredScore: QA_MIN_PUBLISH_SCORE,
+      requiredScore: CONFIG.qaMinPublishScore,
       currentScore: evaluation.score,
       hasRequiredModels,
       checklist: evaluation.checklist
@@ -2612,7 +3519,7 @@ app.post(
   async (req, res) => {
     const db = req.db;
     ensureModelJobs(db);
-    const summary = await autoProcessRestaurantJobs(db, req.restaurant.id, {
+    const summary = await autoProcessRestaurantJobs(getRuntime(db), req.restaurant.id, {
       maxJobs: req.body && req.body.maxJobs
     });
     await writeDb(db);
@@ -2620,7 +3527,7 @@ app.post(
   }
 );
 
-app.put("/api/orders/:id", requireAuth, async (req, res) => {
+app.put("/api/orders/:id", serializeWrites, requireAuth, async (req, res) => {
   const db = req.db;
   ensureOrders(db);
   const order = db.orders.find((o) => o.id === req.params.id);
@@ -2630,16 +3537,265 @@ app.put("/api/orders/:id", requireAuth, async (req, res) => {
   if (!canAccessRestaurant(req.user, order.restaurantId)) {
     return res.status(403).json({ error: "forbidden" });
   }
-  const status = (req.body.status || "").toString().toLowerCase();
-  const allowed = new Set(["novo", "aceito", "entregue", "cancelado"]);
-  if (!allowed.has(status)) {
-    return res.status(400).json({ error: "invalid_status" });
+  const result = transitionOrder(order, req.body || {}, req.user.id);
+  if (result.error) {
+    return res.status(result.httpStatus).json({
+      error: result.error,
+      ...(result.allowed ? { from: result.from, allowed: result.allowed } : {})
+    });
+  }
+  if (isOrderVoid(result.order)) {
+    const restaurant = findRestaurant(db, order.restaurantId);
+    const menuItems = db.items.filter((item) => item.restaurantId === order.restaurantId);
+    restockOrder(menuItems, order, restaurant && restaurant.timezone).updates.forEach((update) => {
+      const menuItem = menuItems.find((entry) => entry.id === update.itemId);
+      menuItem.stockRemaining = update.stockRemaining;
+    });
+    ensurePromotions(db);
+    (order.promotions || []).forEach((entry) => {
+      const promotion = db.promotions.find((candidate) => candidate.id === entry.id);
+      if (promotion) promotion.usedCount = Math.max(0, (Number(promotion.usedCount) || 0) - 1);
+    });
+  }
+  Object.assign(order, result.order);
+  await writeDb(db);
+  publishOrderEvent("order.updated", order);
+  res.json({ order });
+});
+
+app.put("/api/orders/:id/payment", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureDbShape(db);
+  const order = db.orders.find((o) => o.id === req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: "order_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, order.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const paid = Boolean(req.body && req.body.paid);
+  if (!paid && db.payments.some((payment) => payment.orderId === order.id && payment.status === "pago")) {
+    return res.status(409).json({ error: "payment_confirmed_by_provider" });
   }
-  order.status = status;
+  order.paymentStatus = paid ? "pago" : "";
+  order.updatedAt = new Date().toISOString();
   await writeDb(db);
+  publishOrderEvent("order.updated", order);
+  const restaurant = findRestaurant(db, order.restaurantId);
+  if (restaurant) {
+    await fireRestaurantWebhook(restaurant, "orders", {
+      type: "order_payment",
+      order,
+      payment: { method: "manual", status: order.paymentStatus, confirmedBy: req.user.id },
+      restaurantId: restaurant.id
+    });
+  }
   res.json({ order });
 });
 
+app.get(
+  "/api/restaurants/:id/service-requests",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    ensureServiceRequests(db);
+    const status = (req.query.status || "pending").toString();
+    const requests = listRestaurantEntries(
+      db.serviceRequests.filter((request) => status === "all" || request.status === "pending"),
+      req.restaurant.id,
+      SERVICE_REQUEST_LIST_LIMIT
+    );
+    res.json({ requests });
+  }
+);
+
+app.put("/api/service-requests/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureServiceRequests(db);
+  const request = db.serviceRequests.find((entry) => entry.id === req.params.id);
+  if (!request) {
+    return res.status(404).json({ error: "service_request_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, request.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const result = acknowledgeServiceRequest(request, req.body || {}, req.user.id);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  const changed = result.request.status !== request.status;
+  Object.assign(request, result.request);
+  if (changed) {
+    await writeDb(db);
+    publishServiceRequestEvent("service.updated", request);
+  }
+  res.json({ request });
+});
+
+app.get(
+  "/api/restaurants/:id/tabs",
+  requireAuth,
+  authorizeRestaurant,
+  async (req, res) => {
+    const db = req.db;
+    ensureOrders(db);
+    ensureTabs(db);
+    const status = sanitizeTabStatus(req.query.status) || "open";
+    const sortKey = status === "closed" ? "closedAt" : "openedAt";
+    const tabs = db.tabs
+      .filter((tab) => tab.restaurantId === req.restaurant.id && tab.status === status)
+      .sort((a, b) => (a[sortKey] < b[sortKey] ? 1 : -1))
+      .slice(0, TAB_LIST_LIMIT)
+      .map((tab) => ({ ...tab, summary: tab.summary || summarizeTab(tab, listTabOrders(db, tab)) }));
+    res.json({
+      tabs,
+      totals: {
+        count: tabs.length,
+        total: roundMoney(tabs.reduce((acc, tab) => acc + tab.summary.total, 0))
+      }
+    });
+  }
+);
+
+app.post("/api/tabs/:id/close", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureOrders(db);
+  ensureTabs(db);
+  const tab = db.tabs.find((entry) => entry.id === req.params.id);
+  if (!tab) {
+    return res.status(404).json({ error: "tab_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, tab.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const result = closeTab(tab, listTabOrders(db, tab), req.user.id, {
+    force: Boolean(req.body && req.body.force)
+  });
+  if (result.error) {
+    return res.status(result.httpStatus).json({
+      error: result.error,
+      ...(result.orderIds ? { orderIds: result.orderIds } : {})
+    });
+  }
+  Object.assign(tab, result.tab);
+  await writeDb(db);
+  res.json({ tab });
+});
+
+app.post("/api/tabs/:id/split", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureOrders(db);
+  ensureTabs(db);
+  const tab = db.tabs.find((entry) => entry.id === req.params.id);
+  if (!tab) {
+    return res.status(404).json({ error: "tab_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, tab.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const result = replaceTabSplit(db, tab, req.body || {}, Boolean(req.body && req.body.force));
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error, detail: result.detail });
+  }
+  await writeDb(db);
+  res.json({ tab: toPublicTab(tab, listTabOrders(db, tab)) });
+});
+
+app.put("/api/tabs/:id/split/shares/:shareId", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureOrders(db);
+  ensureTabs(db);
+  const tab = db.tabs.find((entry) => entry.id === req.params.id);
+  if (!tab) {
+    return res.status(404).json({ error: "tab_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, tab.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const paid = !(req.body && (req.body.paid === false || req.body.paid === "false"));
+  const result = setSharePaid(tab.split, req.params.shareId, paid, req.user.id);
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  tab.split = result.split;
+  tab.settled = isTabSettled(tab, listTabOrders(db, tab));
+  await writeDb(db);
+  res.json({ tab: toPublicTab(tab, listTabOrders(db, tab)) });
+});
+
+app.put("/api/reservations/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureReservations(db);
+  const reservation = db.reservations.find((entry) => entry.id === req.params.id);
+  if (!reservation) {
+    return res.status(404).json({ error: "reservation_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, reservation.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const result = applyReservationStatus(reservation, sanitizeText(req.body && req.body.status, 24).toLowerCase());
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  reservation.status = result.reservation.status;
+  await writeDb(db);
+  res.json({ reservation });
+});
+
+app.put("/api/feedback/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureFeedback(db);
+  const entry = db.feedback.find((candidate) => candidate.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: "feedback_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, entry.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const followUp = sanitizeText(req.body && req.body.followUp, 24).toLowerCase();
+  const result = applyFeedbackFollowUp(entry, followUp, req.user.id);
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  Object.assign(entry, result.entry);
+  await writeDb(db);
+  res.json({ feedback: entry });
+});
+
+// Staff call the guest with "avisado"; the message goes out after the status check and its outcome is stored.
+app.put("/api/waitlist/:id", serializeWrites, requireAuth, async (req, res) => {
+  const db = req.db;
+  ensureWaitlist(db);
+  const entry = db.waitlist.find((candidate) => candidate.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: "waitlist_not_found" });
+  }
+  if (!canAccessRestaurant(req.user, entry.restaurantId)) {
+    return res.status(403).json({ error: "forbidden" });
+  }
+  const result = applyWaitlistStatus(entry, sanitizeText(req.body && req.body.status, 24).toLowerCase());
+  if (result.error) {
+    return res.status(result.httpStatus).json({ error: result.error });
+  }
+  Object.assign(entry, result.entry);
+  const restaurant = db.restaurants.find((r) => r.id === entry.restaurantId);
+  if (entry.status === "avisado") {
+    const statusUrl = `${req.protocol}://${req.get("host")}/r/${restaurant ? restaurant.slug : ""}?fila=${entry.token}`;
+    const notice = buildWaitlistNotice(entry, { restaurantName: restaurant ? restaurant.name : "", statusUrl });
+    entry.lastNotice = await sendGuestNotice(GUEST_NOTIFIER, NOTIFIER_SETTINGS.channel, notice);
+  }
+  await writeDb(db);
+  if (restaurant) {
+    await fireRestaurantWebhook(restaurant, "waitlist", {
+      type: "waitlist_updated",
+      waitlist: entry,
+      restaurantId: restaurant.id
+    });
+  }
+  res.json({ waitlist: { ...entry, ...describeRestaurantWaitlist(db, entry.restaurantId).get(entry.id) } });
+});
+
 const assetsStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     if (file.fieldname === "image") return cb(null, IMAGES_DIR);
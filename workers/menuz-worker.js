@@ -1,76 +1,167 @@
 import { scrypt } from "scrypt-js";
+import {
+  IMAGE_EXTENSIONS,
+  EMAIL_PATTERN,
+  DEFAULT_ACCENT,
+  DEFAULT_PUBLIC_TEMPLATE,
+  DEFAULT_LANGUAGE_CODE,
+  DEFAULT_LANGUAGE_OPTIONS,
+  GOOGLE_TRANSLATE_API_BASE,
+  getConfig,
+  getMeshySettings,
+  getPaymentSettings,
+  getNotifierSettings,
+  toInt,
+  parseJsonSafe,
+  normalizeEmail,
+  isRemoteHttpUrl,
+  normalizeSlug,
+  sanitizeText,
+  sanitizeTemplateName,
+  resolveRestaurantTemplatePath,
+  sanitizeLanguageCode,
+  sanitizeLanguageList,
+  decodeHtmlEntities,
+  sanitizeTranslatePayload,
+  sanitizeContactEmail,
+  sanitizeUiMessages,
+  sanitizeCategoryLabels,
+  sanitizeIntegrations,
+  sanitizeNullableUrl,
+  sanitizePrice,
+  sanitizeTableLabel,
+  sanitizeLeadPayload,
+  sanitizeReservationPayload,
+  sanitizeWaitlistPayload,
+  sanitizeFeedbackPayload,
+  sanitizeListLimit,
+  sanitizeEventType,
+  evaluateCaptureReadiness,
+  toModelQualityBand,
+  evaluateJobQuality,
+  getAiProviders,
+  getAiProvider,
+  buildJobImageInputs,
+  startMeshyImageTo3D,
+  fetchMeshyTask,
+  mapMeshyStatus,
+  extractMeshyModelUrls,
+  fireRestaurantWebhook,
+  getSessionId,
+  toSessionSummary,
+  isRouteAllowedForRole,
+  sanitizeStaffRole,
+  formatSseEvent,
+  orderSnapshotKey,
+  diffOrderSnapshots,
+  SERVICE_REQUEST_LIST_LIMIT,
+  sanitizeServiceRequestType,
+  findPendingServiceRequest,
+  createServiceRequest,
+  acknowledgeServiceRequest,
+  diffServiceRequestSnapshots,
+  roundMoney,
+  TAB_LIST_LIMIT,
+  sanitizeTabStatus,
+  findOpenTab,
+  createTab,
+  summarizeTab,
+  isTabSettled,
+  closeTab,
+  toPublicTab,
+  buildBillSplit,
+  buildRemainderSplit,
+  canReplaceSplit,
+  setSharePaid,
+  sanitizePaymentMethod,
+  getPaymentProvider,
+  buildMockWebhook,
+  createPaymentRecord,
+  applyPaymentStatus,
+  findWebhookPayment,
+  toPublicPayment,
+  renderMockCheckoutPage,
+  buildPixCharge,
+  sanitizeOptionGroups,
+  buildOrderLines,
+  sanitizeComboGroups,
+  isComboItem,
+  sanitizeCharges,
+  sanitizeTipPercent,
+  computeOrderCharges,
+  sanitizeOrderType,
+  sanitizeFulfillment,
+  listPickupSlots,
+  resolveOrderFulfillment,
+  describeOrderTarget,
+  RESERVATION_CLOSED_STATUSES,
+  sanitizeReservationSettings,
+  sanitizeReservationCode,
+  generateReservationCode,
+  listReservationTimes,
+  resolveReservationBooking,
+  listReservationHoldSlots,
+  matchesReservationPhone,
+  applyReservationStatus,
+  cancelReservationByGuest,
+  toPublicReservation,
+  WAITLIST_HISTORY_MS,
+  generateWaitlistToken,
+  sanitizeWaitlistToken,
+  countPartiesAhead,
+  describeWaitlistQueue,
+  applyWaitlistStatus,
+  cancelWaitlistByGuest,
+  buildWaitlistNotice,
+  toPublicWaitlistEntry,
+  getGuestNotifier,
+  sendGuestNotice,
+  resolveFeedbackItems,
+  needsFeedbackFollowUp,
+  applyFeedbackFollowUp,
+  summarizeFeedback,
+  MAX_PROMOTIONS_PER_RESTAURANT,
+  sanitizePromotionInput,
+  applyPromotions,
+  listPublicPromotions,
+  summarizePromotionUsage,
+  getStockDate,
+  getItemAvailability,
+  applyItemAvailabilityInput,
+  reserveOrderStock,
+  listOrderStockClaims,
+  sanitizeTimezone,
+  sanitizeSchedule,
+  sanitizeDaypartIds,
+  getItemSchedule,
+  checkOrderSchedule,
+  createOrderHistoryEntry,
+  ORDER_NOTE_MAX,
+  sanitizeOrderNote,
+  detectOrderAllergy,
+  MAX_TABLES_PER_RESTAURANT,
+  sanitizeTableInput,
+  findTableByLabel,
+  toPublicTable,
+  signTableToken,
+  verifyTableToken,
+  verifyTabTableToken,
+  resolveOrderTable,
+  sanitizeQrKitOptions,
+  buildQrKitEntries,
+  buildQrKitPdf,
+  normalizeOrderHistory,
+  transitionOrder,
+  isOrderVoid,
+  autoProcessRestaurantJobs,
+  autoProcessAllRestaurants
+} from "../core/index.js";
+import { mapItemRow, mapModelJobRow, createD1Repository } from "../core/adapters/d1.js";
 
-const MESHY_API_BASE = "https://api.meshy.ai/openapi/v1";
-const GOOGLE_TRANSLATE_API_BASE = "https://translation.googleapis.com/language/translate/v2";
-const GOOGLE_TRANSLATE_LANGUAGE_MAP = {
-  "pt-BR": "pt",
-  "en-US": "en",
-  "es-ES": "es",
-  "fr-FR": "fr",
-  "it-IT": "it",
-  "de-DE": "de"
-};
-const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
-const MODEL_EXTENSIONS = new Set([".glb", ".usdz"]);
-const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-const TABLE_PATTERN = /^[a-zA-Z0-9\-_.#]{1,32}$/;
-const PUBLIC_EVENT_TYPES = new Set([
-  "menu_view",
-  "item_view",
-  "ar_open",
-  "add_to_cart",
-  "order_submit",
-  "order_success",
-  "language_change",
-  "search_use",
-  "share_link",
-  "qr_scan",
-  "lead_submit",
-  "reservation_submit",
-  "waitlist_join",
-  "feedback_submit",
-  "pwa_install",
-  "map_open",
-  "social_open",
-  "delivery_open",
-  "checkout_start"
-]);
 const JSON_HEADERS = {
   "content-type": "application/json; charset=utf-8",
   "cache-control": "no-store"
 };
-const DEFAULT_ACCENT = "#D95F2B";
-const DEFAULT_PUBLIC_TEMPLATE = "topo-do-mundo";
-const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]{1,60}$/;
-const DEFAULT_LANGUAGE_CODE = "pt-BR";
-const DEFAULT_LANGUAGE_OPTIONS = ["pt-BR", "en-US", "es-ES", "fr-FR", "it-IT", "de-DE"];
-const UI_MESSAGE_KEYS = [
-  "searchPlaceholder",
-  "modeMenu",
-  "menuPersonality",
-  "all",
-  "ar",
-  "add",
-  "noItemsFound",
-  "orderOfTable",
-  "orderSummary",
-  "close",
-  "noItemsInCart",
-  "total",
-  "tablePlaceholder",
-  "clear",
-  "submit",
-  "sending",
-  "msgNeedTable",
-  "msgEmpty",
-  "msgFail",
-  "msgOk",
-  "msgConnection",
-  "msgCleared",
-  "language"
-];
-const INTEGRATION_MAX_STRING = 280;
-const WEBHOOK_TIMEOUT_MS = 2800;
 const encoder = new TextEncoder();
 let schemaInitPromise = null;
 
@@ -137,6 +228,11 @@ async function handleRequest(request, env) {
     return withAssetCacheHeaders("/admin.html", response, { noIndex: true, noStore: true });
   }
 
+  if (pathname === "/kds") {
+    const response = await env.ASSETS.fetch(new Request(new URL("/kds.html", request.url), request));
+    return withAssetCacheHeaders("/kds.html", response, { noIndex: true, noStore: true });
+  }
+
   const response = await env.ASSETS.fetch(request);
   return withAssetCacheHeaders(pathname, response);
 }
@@ -232,6 +328,110 @@ async function ensureRuntimeSchema(env) {
       )`
     ).run();
 
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS restaurant_tables (
+        id TEXT PRIMARY KEY,
+        restaurant_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        zone TEXT DEFAULT '',
+        seats INTEGER NOT NULL DEFAULT 4,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS service_requests (
+        id TEXT PRIMARY KEY,
+        restaurant_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        table_label TEXT NOT NULL,
+        table_id TEXT DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at TEXT NOT NULL,
+        acknowledged_at TEXT DEFAULT '',
+        acknowledged_by TEXT DEFAULT '',
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS table_tabs (
+        id TEXT PRIMARY KEY,
+        restaurant_id TEXT NOT NULL,
+        table_label TEXT NOT NULL,
+        table_id TEXT DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'open',
+        opened_at TEXT NOT NULL,
+        closed_at TEXT DEFAULT '',
+        closed_by TEXT DEFAULT '',
+        summary_json TEXT DEFAULT '',
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS payments (
+        id TEXT PRIMARY KEY,
+        restaurant_id TEXT NOT NULL,
+        order_id TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        method TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pendente',
+        amount REAL NOT NULL DEFAULT 0,
+        currency TEXT NOT NULL DEFAULT 'BRL',
+        provider_ref TEXT DEFAULT '',
+        checkout_url TEXT DEFAULT '',
+        pix_code TEXT DEFAULT '',
+        expires_at TEXT DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS promotions (
+        id TEXT PRIMARY KEY,
+        restaurant_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        code TEXT DEFAULT '',
+        rule_json TEXT DEFAULT '{}',
+        max_uses INTEGER NOT NULL DEFAULT 0,
+        used_count INTEGER NOT NULL DEFAULT 0,
+        starts_at TEXT DEFAULT '',
+        expires_at TEXT DEFAULT '',
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS reservation_holds (
+        restaurant_id TEXT NOT NULL,
+        table_id TEXT NOT NULL,
+        slot_start TEXT NOT NULL,
+        reservation_id TEXT NOT NULL,
+        PRIMARY KEY (restaurant_id, table_id, slot_start),
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
+    await env.DB.prepare(
+      `CREATE TABLE IF NOT EXISTS pickup_slots (
+        restaurant_id TEXT NOT NULL,
+        slot_start TEXT NOT NULL,
+        orders_count INTEGER NOT NULL DEFAULT 0,
+        items_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (restaurant_id, slot_start),
+        FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+      )`
+    ).run();
+
     await env.DB.prepare(
       "CREATE INDEX IF NOT EXISTS idx_events_restaurant_created ON events(restaurant_id, created_at)"
     ).run();
@@ -250,6 +450,21 @@ async function ensureRuntimeSchema(env) {
     await env.DB.prepare(
       "CREATE INDEX IF NOT EXISTS idx_feedback_restaurant_created ON feedback_entries(restaurant_id, created_at)"
     ).run();
+    await env.DB.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_restaurant_tables_restaurant ON restaurant_tables(restaurant_id, label)"
+    ).run();
+    await env.DB.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_service_requests_restaurant_status ON service_requests(restaurant_id, status, created_at)"
+    ).run();
+    await env.DB.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_table_tabs_restaurant_status ON table_tabs(restaurant_id, status, opened_at)"
+    ).run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id, created_at)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_payments_provider_ref ON payments(provider_ref)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_promotions_restaurant ON promotions(restaurant_id, code)").run();
+    await env.DB.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_reservation_holds_reservation ON reservation_holds(reservation_id)"
+    ).run();
 
     const alterStatements = [
       "ALTER TABLE model_jobs ADD COLUMN qa_score INTEGER DEFAULT 0",
@@ -264,7 +479,59 @@ async function ensureRuntimeSchema(env) {
       "ALTER TABLE restaurants ADD COLUMN default_language TEXT DEFAULT 'pt-BR'",
       "ALTER TABLE restaurants ADD COLUMN ui_messages_json TEXT DEFAULT '{}'",
       "ALTER TABLE restaurants ADD COLUMN category_labels_json TEXT DEFAULT '{}'",
-      "ALTER TABLE restaurants ADD COLUMN integrations_json TEXT DEFAULT '{}'"
+      "ALTER TABLE restaurants ADD COLUMN integrations_json TEXT DEFAULT '{}'",
+      "ALTER TABLE items ADD COLUMN option_groups_json TEXT DEFAULT '[]'",
+      "ALTER TABLE items ADD COLUMN available INTEGER DEFAULT 1",
+      "ALTER TABLE items ADD COLUMN stock_daily INTEGER",
+      "ALTER TABLE items ADD COLUMN stock_remaining INTEGER",
+      "ALTER TABLE items ADD COLUMN stock_date TEXT DEFAULT ''",
+      "ALTER TABLE items ADD COLUMN daypart_ids_json TEXT DEFAULT '[]'",
+      "ALTER TABLE restaurants ADD COLUMN timezone TEXT DEFAULT ''",
+      "ALTER TABLE restaurants ADD COLUMN schedule_json TEXT DEFAULT '{}'",
+      "ALTER TABLE orders ADD COLUMN status_reason TEXT DEFAULT ''",
+      "ALTER TABLE orders ADD COLUMN note TEXT DEFAULT ''",
+      "ALTER TABLE orders ADD COLUMN table_id TEXT DEFAULT ''",
+      "ALTER TABLE orders ADD COLUMN tab_id TEXT DEFAULT ''",
+      "ALTER TABLE table_tabs ADD COLUMN split_json TEXT DEFAULT ''",
+      "ALTER TABLE table_tabs ADD COLUMN settled INTEGER DEFAULT 0",
+      "ALTER TABLE orders ADD COLUMN payment_status TEXT DEFAULT ''",
+      "ALTER TABLE restaurants ADD COLUMN charges_json TEXT DEFAULT '{}'",
+      "ALTER TABLE orders ADD COLUMN subtotal REAL",
+      "ALTER TABLE orders ADD COLUMN service_percent REAL DEFAULT 0",
+      "ALTER TABLE orders ADD COLUMN service_charge REAL DEFAULT 0",
+      "ALTER TABLE orders ADD COLUMN tip_percent REAL DEFAULT 0",
+      "ALTER TABLE orders ADD COLUMN tip REAL DEFAULT 0",
+      "ALTER TABLE orders ADD COLUMN discount REAL DEFAULT 0",
+      "ALTER TABLE orders ADD COLUMN coupon_code TEXT DEFAULT ''",
+      "ALTER TABLE orders ADD COLUMN promotions_json TEXT DEFAULT '[]'",
+      "ALTER TABLE items ADD COLUMN combo_groups_json TEXT DEFAULT '[]'",
+      "ALTER TABLE restaurants ADD COLUMN fulfillment_json TEXT DEFAULT '{}'",
+      "ALTER TABLE orders ADD COLUMN order_type TEXT DEFAULT 'dine_in'",
+      "ALTER TABLE orders ADD COLUMN fulfillment_json TEXT",
+      "ALTER TABLE orders ADD COLUMN delivery_fee REAL DEFAULT 0",
+      "ALTER TABLE restaurants ADD COLUMN reservation_settings_json TEXT DEFAULT '{}'",
+      "ALTER TABLE reservations ADD COLUMN code TEXT DEFAULT ''",
+      "ALTER TABLE reservations ADD COLUMN starts_at TEXT DEFAULT ''",
+      "ALTER TABLE reservations ADD COLUMN ends_at TEXT DEFAULT ''",
+      "ALTER TABLE reservations ADD COLUMN table_id TEXT DEFAULT ''",
+      "ALTER TABLE reservations ADD COLUMN table_label TEXT DEFAULT ''",
+      "ALTER TABLE reservations ADD COLUMN area TEXT DEFAULT ''",
+      "ALTER TABLE orders ADD COLUMN status_history_json TEXT DEFAULT '[]'",
+      "ALTER TABLE orders ADD COLUMN updated_at TEXT DEFAULT ''",
+      "ALTER TABLE waitlist_entries ADD COLUMN status TEXT DEFAULT ''",
+      "ALTER TABLE waitlist_entries ADD COLUMN token TEXT DEFAULT ''",
+      "ALTER TABLE waitlist_entries ADD COLUMN parties_ahead INTEGER DEFAULT 0",
+      "ALTER TABLE waitlist_entries ADD COLUMN notified_at TEXT DEFAULT ''",
+      "ALTER TABLE waitlist_entries ADD COLUMN notify_count INTEGER DEFAULT 0",
+      "ALTER TABLE waitlist_entries ADD COLUMN last_notice_json TEXT DEFAULT ''",
+      "ALTER TABLE waitlist_entries ADD COLUMN seated_at TEXT DEFAULT ''",
+      "ALTER TABLE waitlist_entries ADD COLUMN closed_at TEXT DEFAULT ''",
+      "ALTER TABLE feedback_entries ADD COLUMN order_id TEXT DEFAULT ''",
+      "ALTER TABLE feedback_entries ADD COLUMN nps INTEGER",
+      "ALTER TABLE feedback_entries ADD COLUMN items_json TEXT DEFAULT '[]'",
+      "ALTER TABLE feedback_entries ADD COLUMN follow_up TEXT DEFAULT ''",
+      "ALTER TABLE feedback_entries ADD COLUMN follow_up_at TEXT DEFAULT ''",
+      "ALTER TABLE feedback_entries ADD COLUMN follow_up_by TEXT DEFAULT ''"
     ];
 
     for (const statement of alterStatements) {
@@ -277,6 +544,17 @@ async function ensureRuntimeSchema(env) {
         }
       }
     }
+
+    // Indexes on migrated columns run after the ALTERs so older databases already have those columns.
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_reservations_code ON reservations(code)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_waitlist_token ON waitlist_entries(token)").run();
+    await env.DB.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_waitlist_restaurant_status ON waitlist_entries(restaurant_id, status, created_at)"
+    ).run();
+    await env.DB.prepare(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_order
+       ON feedback_entries(restaurant_id, order_id) WHERE order_id != ''`
+    ).run();
   })();
 
   try {
@@ -293,7 +571,7 @@ function withSecurityHeaders(request, response) {
   headers.set("X-Content-Type-Options", "nosniff");
   headers.set("X-Frame-Options", "DENY");
   headers.set("Referrer-Policy", "strict-origin-when-cross-origin");
-  headers.set("Permissions-Policy", "camera=(), microphone=(), geolocation=()");
+  headers.set("Permissions-Policy", "camera=(), microphone=(), geolocation=(self)");
   headers.set(
     "Content-Security-Policy",
     [
@@ -365,6 +643,7 @@ function buildRobotsTxtResponse(url) {
     "Allow: /",
     "Disallow: /api/",
     "Disallow: /admin",
+    "Disallow: /kds",
     `Sitemap: ${base}/sitemap.xml`
   ].join("\n");
   return new Response(body, {
@@ -416,24 +695,6 @@ function json(data, status = 200, extraHeaders = {}) {
   });
 }
 
-function toInt(value, fallback = 0) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function parseJsonSafe(value, fallback) {
-  if (!value) return fallback;
-  try {
-    return JSON.parse(value);
-  } catch {
-    return fallback;
-  }
-}
-
-function normalizeEmail(value) {
-  return (value || "").toString().trim().toLowerCase();
-}
-
 function fileExt(filename) {
   const input = (filename || "").toString();
   const idx = input.lastIndexOf(".");
@@ -451,10 +712,6 @@ function extensionToMime(ext) {
   return "application/octet-stream";
 }
 
-function isRemoteHttpUrl(value) {
-  return /^https?:\/\//i.test((value || "").toString());
-}
-
 function toHex(uint8Array) {
   return [...uint8Array].map((b) => b.toString(16).padStart(2, "0")).join("");
 }
@@ -490,6 +747,10 @@ async function hashSessionToken(token, env) {
   return sha256Hex(`${secret}:${token}`);
 }
 
+function getSessionSecret(env) {
+  return (env.SESSION_SECRET || "").toString().trim() || "dev-session-secret-change-me";
+}
+
 async function hashEventIp(ip, env) {
   const secret = (env.SESSION_SECRET || "").toString().trim() || "dev-session-secret-change-me";
   return sha256Hex(`event:${secret}:${ip || "unknown"}`);
@@ -537,29 +798,6 @@ function matchRoute(pattern, pathname) {
   return params;
 }
 
-function normalizeSlug(text) {
-  if (!text) return "";
-  return text
-    .toString()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 64);
-}
-
-function sanitizeTemplateName(value) {
-  const raw = (value || "").toString().trim().toLowerCase();
-  if (!raw || raw === "default") return DEFAULT_PUBLIC_TEMPLATE;
-  if (!TEMPLATE_NAME_PATTERN.test(raw)) return DEFAULT_PUBLIC_TEMPLATE;
-  return raw;
-}
-
-function resolveRestaurantTemplatePath(templateName) {
-  return `/templates/${sanitizeTemplateName(templateName)}.html`;
-}
-
 function sanitizeUser(user) {
   if (!user) return null;
   return {
@@ -594,26 +832,17 @@ function mapRestaurantRow(row) {
     },
     uiMessages: sanitizeUiMessages(parseJsonSafe(row.ui_messages_json, {})),
     categoryLabels: sanitizeCategoryLabels(parseJsonSafe(row.category_labels_json, {})),
-    integrations: sanitizeIntegrations(parseJsonSafe(row.integrations_json, {}))
-  };
-}
-
-function mapItemRow(row) {
-  return {
-    id: row.id,
-    restaurantId: row.restaurant_id,
-    name: row.name,
-    description: row.description || "",
-    price: Number(row.price) || 0,
-    image: row.image || "",
-    modelGlb: row.model_glb || "",
-    modelUsdz: row.model_usdz || "",
-    category: row.category || "",
-    scans: parseJsonSafe(row.scans_json, [])
+    integrations: sanitizeIntegrations(parseJsonSafe(row.integrations_json, {})),
+    timezone: sanitizeTimezone(row.timezone),
+    schedule: sanitizeSchedule(parseJsonSafe(row.schedule_json, {})),
+    charges: sanitizeCharges(parseJsonSafe(row.charges_json, {})),
+    fulfillment: sanitizeFulfillment(parseJsonSafe(row.fulfillment_json, {})),
+    reservationSettings: sanitizeReservationSettings(parseJsonSafe(row.reservation_settings_json, {}))
   };
 }
 
-function toPublicItem(item) {
+function toPublicItem(item, restaurant) {
+  const availability = getItemAvailability(item, getStockDate(restaurant && restaurant.timezone));
   return {
     id: item.id,
     restaurantId: item.restaurantId,
@@ -623,634 +852,705 @@ function toPublicItem(item) {
     image: item.image || "",
     modelGlb: item.modelGlb || "",
     modelUsdz: item.modelUsdz || "",
-    category: item.category || ""
+    category: item.category || "",
+    optionGroups: item.optionGroups || [],
+    comboGroups: item.comboGroups || [],
+    daypartIds: item.daypartIds || [],
+    available: availability.available,
+    soldOut: availability.soldOut,
+    ...getItemSchedule(item, restaurant)
   };
 }
 
+// Combos may only point at other plain items of the same restaurant.
+async function listComboCandidateIds(env, restaurantId, exceptId) {
+  const { results } = await env.DB.prepare("SELECT * FROM items WHERE restaurant_id = ?1")
+    .bind(restaurantId)
+    .all();
+  return (results || [])
+    .map(mapItemRow)
+    .filter((entry) => entry.id !== exceptId && !isComboItem(entry))
+    .map((entry) => entry.id);
+}
+
+async function saveItemAvailability(env, item) {
+  await env.DB.prepare(
+    "UPDATE items SET available = ?1, stock_daily = ?2, stock_remaining = ?3, stock_date = ?4 WHERE id = ?5"
+  )
+    .bind(
+      item.available === false ? 0 : 1,
+      item.stockDaily ?? null,
+      item.stockRemaining ?? null,
+      item.stockDate || "",
+      item.id
+    )
+    .run();
+}
+
 function mapOrderRow(row) {
-  return {
+  const order = {
     id: row.id,
     restaurantId: row.restaurant_id,
     table: row.table_label || "",
+    tableId: row.table_id || "",
+    tabId: row.tab_id || "",
+    paymentStatus: row.payment_status || "",
     items: parseJsonSafe(row.items_json, []),
+    subtotal: Number(row.subtotal ?? row.total) || 0,
+    servicePercent: Number(row.service_percent) || 0,
+    serviceCharge: Number(row.service_charge) || 0,
+    tipPercent: Number(row.tip_percent) || 0,
+    tip: Number(row.tip) || 0,
+    discount: Number(row.discount) || 0,
+    couponCode: row.coupon_code || "",
+    promotions: parseJsonSafe(row.promotions_json, []),
+    orderType: sanitizeOrderType(row.order_type) || "dine_in",
+    fulfillment: parseJsonSafe(row.fulfillment_json, null),
+    deliveryFee: Number(row.delivery_fee) || 0,
     total: Number(row.total) || 0,
     status: row.status || "novo",
-    createdAt: row.created_at
+    note: row.note || "",
+    statusReason: row.status_reason || "",
+    statusHistory: normalizeOrderHistory(parseJsonSafe(row.status_history_json, [])),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at
   };
+  order.allergyAlert = detectOrderAllergy(order);
+  return order;
 }
 
-function mapLeadRow(row) {
+function mapServiceRequestRow(row) {
   return {
     id: row.id,
     restaurantId: row.restaurant_id,
-    name: row.name || "",
-    email: row.email || "",
-    phone: row.phone || "",
-    source: row.source || "",
-    message: row.message || "",
-    meta: parseJsonSafe(row.meta_json, {}),
-    createdAt: row.created_at
+    type: row.type,
+    table: row.table_label || "",
+    tableId: row.table_id || "",
+    status: row.status || "pending",
+    createdAt: row.created_at,
+    acknowledgedAt: row.acknowledged_at || "",
+    acknowledgedBy: row.acknowledged_by || ""
   };
 }
 
-function mapReservationRow(row) {
+function mapTabRow(row) {
   return {
     id: row.id,
     restaurantId: row.restaurant_id,
-    name: row.name || "",
-    phone: row.phone || "",
-    email: row.email || "",
-    guests: toInt(row.guests, 2),
-    date: row.date_label || "",
-    time: row.time_label || "",
-    notes: row.notes || "",
-    status: row.status || "novo",
-    source: row.source || "",
-    meta: parseJsonSafe(row.meta_json, {}),
-    createdAt: row.created_at
+    table: row.table_label || "",
+    tableId: row.table_id || "",
+    status: row.status || "open",
+    openedAt: row.opened_at,
+    closedAt: row.closed_at || "",
+    closedBy: row.closed_by || "",
+    summary: parseJsonSafe(row.summary_json, null),
+    split: parseJsonSafe(row.split_json, null),
+    settled: row.settled === 1
   };
 }
 
-function mapModelJobRow(row) {
+async function saveTabSplit(env, tab) {
+  await env.DB.prepare("UPDATE table_tabs SET split_json = ?1, settled = ?2 WHERE id = ?3")
+    .bind(tab.split ? JSON.stringify(tab.split) : "", tab.settled ? 1 : 0, tab.id)
+    .run();
+}
+
+// `keepPaid` splits only the unpaid remainder, so it is allowed while shares are paid.
+async function replaceTabSplit(env, tab, body, force) {
+  if (tab.status !== "open") return { error: "tab_closed", httpStatus: 409 };
+  const keepPaid = Boolean(body && body.keepPaid);
+  if (!keepPaid && !canReplaceSplit(tab.split, force)) return { error: "split_locked", httpStatus: 409 };
+  const orders = await listTabOrders(env, tab);
+  let next = { ...tab, split: null, settled: false };
+  if (keepPaid || !body || body.mode !== "none") {
+    const summary = summarizeTab(tab, orders);
+    const options = { createId: () => `sh-${crypto.randomUUID()}` };
+    const result = keepPaid
+      ? buildRemainderSplit(tab.split, summary, body, options)
+      : buildBillSplit(summary, body, options);
+    if (result.error) return { error: result.error, httpStatus: 400, detail: result.detail };
+    next = { ...next, split: result.split };
+  }
+  await saveTabSplit(env, next);
+  return { tab: next, orders };
+}
+
+function mapPaymentRow(row) {
   return {
     id: row.id,
     restaurantId: row.restaurant_id,
-    itemId: row.item_id,
-    sourceType: row.source_type,
-    provider: row.provider || "manual",
-    aiModel: row.ai_model || "",
-    autoMode: Boolean(row.auto_mode),
-    status: row.status || "enviado",
-    notes: row.notes || "",
-    modelGlb: row.model_glb || "",
-    modelUsdz: row.model_usdz || "",
-    referenceImages: parseJsonSafe(row.reference_images_json, []),
-    providerTaskId: row.provider_task_id || "",
-    providerTaskEndpoint: row.provider_task_endpoint || "",
-    providerStatus: row.provider_status || "",
-    qaScore: toInt(row.qa_score, 0),
-    qaBand: (row.qa_band || "fraca").toString(),
-    qaChecklist: parseJsonSafe(row.qa_checklist_json, []),
-    qaNotes: row.qa_notes || "",
+    orderId: row.order_id,
+    provider: row.provider,
+    method: row.method,
+    status: row.status || "pendente",
+    amount: Number(row.amount) || 0,
+    currency: row.currency || "BRL",
+    providerRef: row.provider_ref || "",
+    checkoutUrl: row.checkout_url || "",
+    pixCode: row.pix_code || "",
+    expiresAt: row.expires_at || "",
     createdAt: row.created_at,
-    updatedAt: row.updated_at,
-    createdBy: row.created_by || ""
+    updatedAt: row.updated_at || row.created_at
   };
 }
 
-function canAccessRestaurant(user, restaurantId) {
-  return user.role === "master" || user.restaurant_id === restaurantId;
-}
-
-function getClientIp(request) {
-  const direct = request.headers.get("cf-connecting-ip");
-  if (direct) return direct;
-  const forwarded = (request.headers.get("x-forwarded-for") || "").split(",")[0].trim();
-  if (forwarded) return forwarded;
-  return "unknown";
-}
-
-function getConfig(env) {
-  const captureMinStartFood = Math.max(3, Math.min(20, toInt(env.CAPTURE_MIN_START_FOOD, 6)));
-  const captureMinStartGeneral = Math.max(2, Math.min(20, toInt(env.CAPTURE_MIN_START_GENERAL, 4)));
-  const captureRecommendedFood = Math.max(
-    captureMinStartFood,
-    Math.min(40, toInt(env.CAPTURE_RECOMMENDED_FOOD, 20))
-  );
-  const captureRecommendedGeneral = Math.max(
-    captureMinStartGeneral,
-    Math.min(40, toInt(env.CAPTURE_RECOMMENDED_GENERAL, 12))
-  );
+function mapPromotionRow(row) {
+  const rule = parseJsonSafe(row.rule_json, {});
   return {
-    tokenTtlMs: toInt(env.TOKEN_TTL_MS, 24 * 60 * 60 * 1000),
-    loginWindowMs: toInt(env.LOGIN_WINDOW_MS, 15 * 60 * 1000),
-    loginMaxAttempts: toInt(env.LOGIN_MAX_ATTEMPTS, 6),
-    loginLockMs: toInt(env.LOGIN_LOCK_MS, 15 * 60 * 1000),
-    orderWindowMs: toInt(env.ORDER_WINDOW_MS, 5 * 60 * 1000),
-    orderMaxPerWindow: toInt(env.ORDER_MAX_PER_WINDOW, 20),
-    eventWindowMs: toInt(env.PUBLIC_EVENT_WINDOW_MS, 5 * 60 * 1000),
-    eventMaxPerWindow: toInt(env.PUBLIC_EVENT_MAX_PER_WINDOW, 200),
-    aiActionWindowMs: toInt(env.AI_ACTION_WINDOW_MS, 60 * 1000),
-    aiActionMaxPerWindow: toInt(env.AI_ACTION_MAX_PER_WINDOW, 12),
-    translateWindowMs: toInt(env.TRANSLATE_WINDOW_MS, 60 * 1000),
-    translateMaxPerWindow: toInt(env.TRANSLATE_MAX_PER_WINDOW, 20),
-    translateMaxTexts: Math.max(1, Math.min(100, toInt(env.TRANSLATE_MAX_TEXTS, 80))),
-    translateMaxCharsPerText: Math.max(1, Math.min(2000, toInt(env.TRANSLATE_MAX_CHARS_PER_TEXT, 300))),
-    translateMaxTotalChars: Math.max(1, Math.min(30000, toInt(env.TRANSLATE_MAX_TOTAL_CHARS, 6000))),
-    qaMinPublishScore: toInt(env.QA_MIN_PUBLISH_SCORE, 70),
-    meshyModel: (env.MESHY_AI_MODEL || "meshy-6").toString(),
-    meshyMaxImages: Math.max(1, Math.min(8, toInt(env.MESHY_MAX_REFERENCE_IMAGES, 4))),
-    captureMinStartFood,
-    captureMinStartGeneral,
-    captureRecommendedFood,
-    captureRecommendedGeneral
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name || "",
+    type: row.type,
+    code: row.code || "",
+    percent: Number(rule.percent) || 0,
+    amount: Number(rule.amount) || 0,
+    category: rule.category || "",
+    buyQty: toInt(rule.buyQty, 0),
+    freeQty: toInt(rule.freeQty, 0),
+    window: rule.window || null,
+    minSubtotal: Number(rule.minSubtotal) || 0,
+    maxUses: toInt(row.max_uses, 0),
+    usedCount: toInt(row.used_count, 0),
+    startsAt: row.starts_at || "",
+    expiresAt: row.expires_at || "",
+    active: row.active !== 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at
   };
 }
 
-async function parseJsonBody(request) {
-  try {
-    return await request.json();
-  } catch {
-    return {};
-  }
+function toPromotionBindings(promotion) {
+  const { percent, amount, category, buyQty, freeQty, window, minSubtotal } = promotion;
+  return [
+    promotion.name,
+    promotion.type,
+    promotion.code,
+    JSON.stringify({ percent, amount, category, buyQty, freeQty, window, minSubtotal }),
+    promotion.maxUses,
+    promotion.startsAt,
+    promotion.expiresAt,
+    promotion.active ? 1 : 0,
+    promotion.updatedAt
+  ];
 }
 
-function sanitizeText(value, max = 255) {
-  return (value || "").toString().trim().replace(/\s+/g, " ").slice(0, max);
+async function listRestaurantPromotions(env, restaurantId) {
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM promotions WHERE restaurant_id = ?1 ORDER BY created_at DESC"
+  )
+    .bind(restaurantId)
+    .all();
+  return (results || []).map(mapPromotionRow);
 }
 
-function sanitizeLanguageCode(value) {
-  const code = sanitizeText(value, 10);
-  if (!code) return DEFAULT_LANGUAGE_CODE;
-  if (DEFAULT_LANGUAGE_OPTIONS.includes(code)) return code;
-  return DEFAULT_LANGUAGE_CODE;
+async function loadPickupSlotUsage(env, restaurantId) {
+  const { results } = await env.DB.prepare(
+    "SELECT slot_start, orders_count, items_count FROM pickup_slots WHERE restaurant_id = ?1 AND slot_start >= ?2"
+  )
+    .bind(restaurantId, new Date().toISOString())
+    .all();
+  return new Map(
+    (results || []).map((row) => [
+      row.slot_start,
+      { orders: toInt(row.orders_count, 0), items: toInt(row.items_count, 0) }
+    ])
+  );
 }
 
-function sanitizeLanguageList(value, preferredDefault = DEFAULT_LANGUAGE_CODE) {
-  const raw = Array.isArray(value) ? value : [];
-  const ordered = [];
-  for (const item of raw) {
-    const code = sanitizeLanguageCode(item);
-    if (!ordered.includes(code)) ordered.push(code);
-  }
-
-  if (!ordered.length) {
-    ordered.push(...DEFAULT_LANGUAGE_OPTIONS);
-  }
-
-  const normalizedDefault = sanitizeLanguageCode(preferredDefault);
-  if (!ordered.includes(normalizedDefault)) {
-    ordered.unshift(normalizedDefault);
-  }
-
-  return ordered.slice(0, DEFAULT_LANGUAGE_OPTIONS.length);
+function countOrderItems(order) {
+  return (order.items || []).reduce((acc, item) => acc + (Number(item.qty) || 0), 0);
 }
 
-function toGoogleLanguageCode(value, fallback = "pt") {
-  const normalized = sanitizeLanguageCode(value);
-  return GOOGLE_TRANSLATE_LANGUAGE_MAP[normalized] || fallback;
+// The upsert only bumps the counters while the slot has room, so concurrent orders cannot overbook it.
+async function claimPickupSlot(env, restaurant, order) {
+  const { maxOrdersPerSlot, maxItemsPerSlot } = restaurant.fulfillment.pickup;
+  const result = await env.DB.prepare(
+    `INSERT INTO pickup_slots (restaurant_id, slot_start, orders_count, items_count) VALUES (?1, ?2, 1, ?3)
+     ON CONFLICT (restaurant_id, slot_start) DO UPDATE
+       SET orders_count = orders_count + 1, items_count = items_count + ?3
+       WHERE (?4 = 0 OR orders_count < ?4) AND (?5 = 0 OR items_count + ?3 <= ?5)`
+  )
+    .bind(restaurant.id, order.fulfillment.pickupAt, countOrderItems(order), maxOrdersPerSlot, maxItemsPerSlot)
+    .run();
+  return Boolean(result.meta && result.meta.changes);
 }
 
-function decodeHtmlEntities(value) {
-  return String(value || "")
-    .replaceAll("&#39;", "'")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">");
+async function releasePickupSlot(env, order) {
+  await env.DB.prepare(
+    `UPDATE pickup_slots
+     SET orders_count = MAX(0, orders_count - 1), items_count = MAX(0, items_count - ?3)
+     WHERE restaurant_id = ?1 AND slot_start = ?2`
+  )
+    .bind(order.restaurantId, order.fulfillment.pickupAt, countOrderItems(order))
+    .run();
 }
 
-function sanitizeTranslatePayload(body, config) {
-  const rawTexts = Array.isArray(body?.texts) ? body.texts : [];
-  if (!rawTexts.length) {
-    return { ok: false, error: "texts_required" };
-  }
-  if (rawTexts.length > config.translateMaxTexts) {
-    return { ok: false, error: "too_many_texts" };
-  }
+// A row still on an older stock day starts again from stock_daily, the same rule as resolveItemStock.
+const STOCK_AVAILABLE_SQL =
+  "(CASE WHEN stock_date = ?3 THEN COALESCE(stock_remaining, stock_daily) ELSE stock_daily END)";
+
+// Conditional decrements keep concurrent orders from selling past the daily stock; returns the first missed line.
+async function claimOrderStock(env, updates) {
+  if (!updates.length) return null;
+  const claims = await env.DB.batch(
+    updates.map((update) =>
+      env.DB.prepare(
+        `UPDATE items SET stock_remaining = ${STOCK_AVAILABLE_SQL} - ?2, stock_date = ?3
+         WHERE id = ?1 AND stock_daily IS NOT NULL AND ${STOCK_AVAILABLE_SQL} >= ?2`
+      ).bind(update.itemId, update.qty, update.stockDate)
+    )
+  );
+  const missed = updates.find((update, index) => !claims[index].meta || !claims[index].meta.changes);
+  if (!missed) return null;
+  await releaseOrderStock(
+    env,
+    updates.filter((update, index) => claims[index].meta && claims[index].meta.changes)
+  );
+  return missed;
+}
 
-  const sanitized = [];
-  let totalChars = 0;
-  for (const value of rawTexts) {
-    const text = sanitizeText(value, config.translateMaxCharsPerText);
-    sanitized.push(text);
-    totalChars += text.length;
-  }
+async function releaseOrderStock(env, updates) {
+  if (!updates.length) return;
+  await env.DB.batch(
+    updates.map((update) =>
+      env.DB.prepare(
+        `UPDATE items SET stock_remaining = MIN(stock_daily, COALESCE(stock_remaining, stock_daily) + ?2)
+         WHERE id = ?1 AND stock_daily IS NOT NULL AND stock_date = ?3`
+      ).bind(update.itemId, update.qty, update.stockDate)
+    )
+  );
+}
 
-  if (totalChars > config.translateMaxTotalChars) {
-    return { ok: false, error: "texts_too_large" };
-  }
+async function releasePromotionUses(env, entries) {
+  if (!entries.length) return;
+  await env.DB.batch(
+    entries.map((entry) =>
+      env.DB.prepare("UPDATE promotions SET used_count = MAX(0, used_count - 1) WHERE id = ?1").bind(entry.id)
+    )
+  );
+}
 
-  const targetLanguage = sanitizeLanguageCode(body?.targetLanguage || body?.target || "");
-  const requestedSource = sanitizeText(body?.sourceLanguage || body?.source || "", 16);
-  const sourceLanguage = requestedSource
-    ? toGoogleLanguageCode(requestedSource, "pt")
-    : "";
+function usesPickupSlot(order) {
+  return order.orderType === "pickup" && Boolean(order.fulfillment && order.fulfillment.pickupAt);
+}
 
+// Shared by the cart quote and order creation so both price the same way.
+async function quoteOrder(env, restaurant, body, { draft = false } = {}) {
+  const items = Array.isArray(body.items) ? body.items : [];
+  if (!items.length) return { error: "items_required", httpStatus: 400 };
+  const { results } = await env.DB.prepare("SELECT * FROM items WHERE restaurant_id = ?1")
+    .bind(restaurant.id)
+    .all();
+  const menuItems = (results || []).map(mapItemRow);
+  const priced = buildOrderLines(menuItems, items);
+  if (priced.error) return { error: priced.error, httpStatus: 400, detail: priced.detail };
+  if (!priced.lines.length) return { error: "invalid_items", httpStatus: 400 };
+  const tip = sanitizeTipPercent(body.tipPercent, restaurant.charges);
+  if (tip.error) return { error: tip.error, httpStatus: 400 };
+  const promo = applyPromotions(await listRestaurantPromotions(env, restaurant.id), {
+    lines: priced.lines,
+    menuItems,
+    couponCode: body.couponCode,
+    timezone: restaurant.timezone
+  });
+  if (promo.error) return { error: promo.error, httpStatus: 400, detail: promo.detail };
+  const slotted = sanitizeOrderType(body.orderType) === "pickup" && restaurant.fulfillment.pickup.slotMinutes > 0;
+  const target = resolveOrderFulfillment(restaurant.fulfillment, body, priced.total, {
+    draft,
+    timezone: restaurant.timezone,
+    slotUsage: slotted ? await loadPickupSlotUsage(env, restaurant.id) : new Map(),
+    itemsCount: priced.lines.reduce((acc, line) => acc + line.qty, 0)
+  });
+  if (target.error) return { error: target.error, httpStatus: target.httpStatus || 400, detail: target.detail };
+  // Service charge is a table-service fee, so pickup and delivery orders skip it.
+  const charges =
+    target.orderType === "dine_in" ? restaurant.charges : { ...restaurant.charges, serviceChargePercent: 0 };
   return {
-    ok: true,
-    texts: sanitized,
-    targetLanguage,
-    targetGoogleCode: toGoogleLanguageCode(targetLanguage, "pt"),
-    sourceLanguage
+    menuItems,
+    lines: priced.lines,
+    promotions: promo.promotions,
+    couponCode: promo.couponCode,
+    orderType: target.orderType,
+    fulfillment: target.fulfillment,
+    charges: computeOrderCharges(priced.total, charges, tip.tipPercent, promo.discount, target.deliveryFee)
   };
 }
 
-async function requestGoogleTranslations(env, payload) {
-  const apiKey = sanitizeText(env.GOOGLE_TRANSLATE_API_KEY || "", 256);
-  if (!apiKey) {
-    return { ok: false, status: 503, error: "google_translate_not_configured" };
+async function applyPaymentWebhook(env, provider, input) {
+  const event = await provider.parseWebhook(input);
+  if (event.error) return { error: event.error, httpStatus: 400 };
+  if (event.ignored) return { ignored: true };
+  const { results } = await env.DB.prepare("SELECT * FROM payments WHERE id = ?1 OR provider_ref = ?2")
+    .bind(event.paymentId || "", event.providerRef || "")
+    .all();
+  const payment = findWebhookPayment((results || []).map(mapPaymentRow), event);
+  if (!payment) return { error: "payment_not_found", httpStatus: 404 };
+  const result = applyPaymentStatus(payment, event.status);
+  if (!result.changed) return { payment };
+  const next = result.payment;
+  await env.DB.batch([
+    env.DB.prepare("UPDATE payments SET status = ?1, updated_at = ?2 WHERE id = ?3").bind(
+      next.status,
+      next.updatedAt,
+      next.id
+    ),
+    env.DB.prepare(
+      "UPDATE orders SET payment_status = ?1, updated_at = ?2 WHERE id = ?3 AND COALESCE(payment_status, '') <> 'pago'"
+    ).bind(next.status, next.updatedAt, next.orderId)
+  ]);
+  const orderRow = await env.DB.prepare("SELECT * FROM orders WHERE id = ?1").bind(next.orderId).first();
+  const order = orderRow ? mapOrderRow(orderRow) : null;
+  if (order) {
+    const restaurant = await getRestaurantById(env, order.restaurantId);
+    if (restaurant) {
+      await fireRestaurantWebhook(restaurant, "orders", {
+        type: "order_payment",
+        order,
+        payment: toPublicPayment(next),
+        restaurantId: restaurant.id
+      });
+    }
   }
+  return { payment: next, order, changed: true };
+}
 
-  const nonEmpty = [];
-  const nonEmptyIndices = [];
-  payload.texts.forEach((text, index) => {
-    if (!text) return;
-    nonEmpty.push(text);
-    nonEmptyIndices.push(index);
-  });
+async function listTabOrders(env, tab) {
+  const { results } = await env.DB.prepare("SELECT * FROM orders WHERE tab_id = ?1 ORDER BY created_at ASC")
+    .bind(tab.id)
+    .all();
+  return (results || []).map(mapOrderRow);
+}
 
-  const output = payload.texts.map(() => "");
-  if (!nonEmpty.length) {
-    return { ok: true, translations: output };
-  }
+async function listServiceRequests(env, restaurantId, status = "pending") {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM service_requests
+     WHERE restaurant_id = ?1 AND (?2 = 'all' OR status = 'pending')
+     ORDER BY created_at DESC LIMIT ?3`
+  )
+    .bind(restaurantId, status, SERVICE_REQUEST_LIST_LIMIT)
+    .all();
+  return (results || []).map(mapServiceRequestRow);
+}
 
-  const requestBody = {
-    q: nonEmpty,
-    target: payload.targetGoogleCode,
-    format: "text"
+function streamRestaurantOrders(env, restaurantId, since) {
+  const config = getConfig(env);
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const send = (event, data, options) => writer.write(encoder.encode(formatSseEvent(event, data, options)));
+
+  const pump = async () => {
+    const deadline = Date.now() + config.orderStreamWindowMs;
+    let statuses = since ? new Map() : null;
+    let serviceStatuses = null;
+    let cursor = since;
+    try {
+      await send("ready", { restaurantId }, { retry: config.orderStreamPollMs });
+      while (Date.now() < deadline) {
+        const { results } = await env.DB.prepare(
+          "SELECT * FROM orders WHERE restaurant_id = ?1 ORDER BY created_at DESC LIMIT 100"
+        )
+          .bind(restaurantId)
+          .all();
+        const orders = (results || []).map(mapOrderRow);
+        if (statuses) {
+          for (const change of diffOrderSnapshots(statuses, orders, cursor)) {
+            await send(
+              change.type,
+              { order: change.order },
+              change.type === "order.created" ? { id: change.order.createdAt } : {}
+            );
+          }
+        }
+        statuses = new Map(orders.map((order) => [order.id, orderSnapshotKey(order)]));
+        if (orders[0] && orders[0].createdAt > cursor) cursor = orders[0].createdAt;
+        const requests = await listServiceRequests(env, restaurantId, "all");
+        if (serviceStatuses) {
+          for (const change of diffServiceRequestSnapshots(serviceStatuses, requests)) {
+            await send(change.type, { request: change.request });
+          }
+        }
+        serviceStatuses = new Map(requests.map((entry) => [entry.id, entry.status]));
+        await new Promise((resolve) => setTimeout(resolve, config.orderStreamPollMs));
+      }
+    } catch {
+      // client disconnected
+    } finally {
+      await writer.close().catch(() => {});
+    }
   };
-  if (payload.sourceLanguage) {
-    requestBody.source = payload.sourceLanguage;
-  }
+  pump();
 
-  let response;
-  try {
-    response = await fetch(`${GOOGLE_TRANSLATE_API_BASE}?key=${encodeURIComponent(apiKey)}`, {
-      method: "POST",
-      headers: { "content-type": "application/json; charset=utf-8" },
-      body: JSON.stringify(requestBody)
-    });
-  } catch {
-    return { ok: false, status: 502, error: "translate_failed" };
-  }
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform"
+    }
+  });
+}
 
-  let data = {};
-  try {
-    data = await response.json();
-  } catch {
-    data = {};
-  }
-
-  if (!response.ok) {
-    const detail = sanitizeText(data?.error?.message || `translate_http_${response.status}`, 220);
-    return { ok: false, status: 502, error: "translate_failed", detail };
-  }
-
-  const translatedEntries = Array.isArray(data?.data?.translations) ? data.data.translations : [];
-  if (translatedEntries.length !== nonEmpty.length) {
-    return { ok: false, status: 502, error: "translate_failed" };
-  }
-
-  translatedEntries.forEach((entry, listIndex) => {
-    const safeText = sanitizeText(
-      decodeHtmlEntities(entry?.translatedText || ""),
-      payload.texts[nonEmptyIndices[listIndex]].length + 120
-    );
-    output[nonEmptyIndices[listIndex]] = safeText;
-  });
-
-  return { ok: true, translations: output };
+function mapLeadRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name || "",
+    email: row.email || "",
+    phone: row.phone || "",
+    source: row.source || "",
+    message: row.message || "",
+    meta: parseJsonSafe(row.meta_json, {}),
+    createdAt: row.created_at
+  };
 }
 
-function sanitizeContactEmail(value) {
-  const email = sanitizeText(value, 160).toLowerCase();
-  if (!email) return "";
-  return EMAIL_PATTERN.test(email) ? email : "";
+function mapReservationRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name || "",
+    phone: row.phone || "",
+    email: row.email || "",
+    guests: toInt(row.guests, 2),
+    date: row.date_label || "",
+    time: row.time_label || "",
+    notes: row.notes || "",
+    status: row.status || "novo",
+    code: row.code || "",
+    startsAt: row.starts_at || "",
+    endsAt: row.ends_at || "",
+    tableId: row.table_id || "",
+    tableLabel: row.table_label || "",
+    area: row.area || "",
+    source: row.source || "",
+    meta: parseJsonSafe(row.meta_json, {}),
+    createdAt: row.created_at
+  };
 }
 
-function sanitizeUiMessages(value) {
-  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
-  const output = {};
-
-  for (const [langCode, rawEntries] of Object.entries(value)) {
-    const code = sanitizeLanguageCode(langCode);
-    if (!rawEntries || typeof rawEntries !== "object" || Array.isArray(rawEntries)) continue;
-    const entries = {};
-    for (const key of UI_MESSAGE_KEYS) {
-      if (rawEntries[key] === undefined || rawEntries[key] === null) continue;
-      const text = sanitizeText(rawEntries[key], 180);
-      if (text) entries[key] = text;
-    }
-    if (Object.keys(entries).length > 0) {
-      output[code] = entries;
-    }
-  }
-
-  return output;
+async function listHoldingReservations(env, restaurantId) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM reservations
+     WHERE restaurant_id = ?1 AND ends_at > ?2 AND status NOT IN ('finalizado', 'cancelado', 'no_show')`
+  )
+    .bind(restaurantId, new Date().toISOString())
+    .all();
+  return (results || []).map(mapReservationRow);
 }
 
-function sanitizeCategoryLabels(value) {
-  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
-  const output = {};
-
-  for (const [categoryKeyRaw, translationsRaw] of Object.entries(value)) {
-    const categoryKey = normalizeSlug(categoryKeyRaw);
-    if (!categoryKey) continue;
-    if (!translationsRaw || typeof translationsRaw !== "object" || Array.isArray(translationsRaw)) continue;
-
-    const translations = {};
-    for (const [langCode, textRaw] of Object.entries(translationsRaw)) {
-      const code = sanitizeLanguageCode(langCode);
-      const text = sanitizeText(textRaw, 80);
-      if (!text) continue;
-      translations[code] = text;
-    }
-
-    if (Object.keys(translations).length > 0) {
-      output[categoryKey] = translations;
-    }
+// Guests look a reservation up by code alone, so a new code must not match any stored one.
+async function createReservationCode(env) {
+  let code = generateReservationCode();
+  while (await env.DB.prepare("SELECT 1 FROM reservations WHERE code = ?1").bind(code).first()) {
+    code = generateReservationCode();
   }
-
-  return output;
+  return code;
 }
 
-function sanitizeEnumValue(value, allowed, fallback) {
-  const normalized = sanitizeText(value, 48).toLowerCase();
-  if (allowed.includes(normalized)) return normalized;
-  return fallback;
+async function findGuestReservation(env, code, phone) {
+  const wanted = sanitizeReservationCode(code);
+  if (!wanted) return null;
+  const row = await env.DB.prepare("SELECT * FROM reservations WHERE code = ?1").bind(wanted).first();
+  const reservation = row ? mapReservationRow(row) : null;
+  return reservation && matchesReservationPhone(reservation, phone) ? reservation : null;
 }
 
-function sanitizePublicUrl(value, max = INTEGRATION_MAX_STRING) {
-  const text = sanitizeText(value, max);
-  if (!text) return "";
-  if (text.startsWith("/")) return text;
-  if (/^(https?:\/\/|mailto:|tel:)/i.test(text)) return text;
-  return "";
-}
-
-function sanitizeWebhookUrl(value) {
-  const text = sanitizeText(value, INTEGRATION_MAX_STRING);
-  if (!text) return "";
-  if (/^https:\/\//i.test(text)) return text;
-  return "";
-}
-
-function sanitizeShortToken(value, max = 80) {
-  return sanitizeText(value, max).replace(/[^\w\-.:/]/g, "");
+function prepareReservationStatusUpdate(env, reservation) {
+  const statements = [
+    env.DB.prepare("UPDATE reservations SET status = ?1 WHERE id = ?2").bind(reservation.status, reservation.id)
+  ];
+  if (RESERVATION_CLOSED_STATUSES.has(reservation.status)) {
+    statements.push(env.DB.prepare("DELETE FROM reservation_holds WHERE reservation_id = ?1").bind(reservation.id));
+  }
+  return statements;
 }
 
-function sanitizeIntegrations(value) {
-  const source = value && typeof value === "object" && !Array.isArray(value) ? value : {};
-  const quickLinksRaw = source.quickLinks && typeof source.quickLinks === "object" ? source.quickLinks : {};
-  const analyticsRaw = source.analytics && typeof source.analytics === "object" ? source.analytics : {};
-  const paymentsRaw = source.payments && typeof source.payments === "object" ? source.payments : {};
-  const webhooksRaw = source.webhooks && typeof source.webhooks === "object" ? source.webhooks : {};
-  const featuresRaw = source.features && typeof source.features === "object" ? source.features : {};
-  const visualRaw = source.visual && typeof source.visual === "object" ? source.visual : {};
-
+function mapWaitlistRow(row) {
   return {
-    quickLinks: {
-      whatsapp: sanitizePublicUrl(quickLinksRaw.whatsapp),
-      telegram: sanitizePublicUrl(quickLinksRaw.telegram),
-      instagram: sanitizePublicUrl(quickLinksRaw.instagram),
-      facebook: sanitizePublicUrl(quickLinksRaw.facebook),
-      tiktok: sanitizePublicUrl(quickLinksRaw.tiktok),
-      maps: sanitizePublicUrl(quickLinksRaw.maps),
-      website: sanitizePublicUrl(quickLinksRaw.website),
-      reservation: sanitizePublicUrl(quickLinksRaw.reservation),
-      delivery: sanitizePublicUrl(quickLinksRaw.delivery),
-      pickup: sanitizePublicUrl(quickLinksRaw.pickup),
-      review: sanitizePublicUrl(quickLinksRaw.review),
-      loyalty: sanitizePublicUrl(quickLinksRaw.loyalty)
-    },
-    analytics: {
-      gtmId: sanitizeShortToken(analyticsRaw.gtmId, 32).toUpperCase(),
-      ga4Id: sanitizeShortToken(analyticsRaw.ga4Id, 32).toUpperCase(),
-      metaPixelId: sanitizeShortToken(analyticsRaw.metaPixelId, 40),
-      tiktokPixelId: sanitizeShortToken(analyticsRaw.tiktokPixelId, 40),
-      clarityId: sanitizeShortToken(analyticsRaw.clarityId, 40),
-      hotjarId: sanitizeShortToken(analyticsRaw.hotjarId, 40)
-    },
-    payments: {
-      stripeCheckoutUrl: sanitizePublicUrl(paymentsRaw.stripeCheckoutUrl),
-      paypalMeUrl: sanitizePublicUrl(paymentsRaw.paypalMeUrl),
-      mbwayPhone: sanitizeText(paymentsRaw.mbwayPhone, 40),
-      pixKey: sanitizeText(paymentsRaw.pixKey, 120)
-    },
-    webhooks: {
-      events: sanitizeWebhookUrl(webhooksRaw.events),
-      orders: sanitizeWebhookUrl(webhooksRaw.orders),
-      leads: sanitizeWebhookUrl(webhooksRaw.leads),
-      reservations: sanitizeWebhookUrl(webhooksRaw.reservations),
-      waitlist: sanitizeWebhookUrl(webhooksRaw.waitlist),
-      feedback: sanitizeWebhookUrl(webhooksRaw.feedback)
-    },
-    features: {
-      showLeadForm: Boolean(featuresRaw.showLeadForm),
-      showReservationForm: Boolean(featuresRaw.showReservationForm),
-      showWaitlistForm: Boolean(featuresRaw.showWaitlistForm),
-      showFeedbackForm: Boolean(featuresRaw.showFeedbackForm),
-      enableInstallPrompt: featuresRaw.enableInstallPrompt !== false,
-      enableFavorites: featuresRaw.enableFavorites !== false,
-      enableCompactMode: featuresRaw.enableCompactMode !== false,
-      enableQuickActions: featuresRaw.enableQuickActions !== false
-    },
-    visual: {
-      preset: sanitizeEnumValue(
-        visualRaw.preset,
-        ["clean", "editorial", "bold", "night", "beach", "bistro"],
-        "clean"
-      ),
-      density: sanitizeEnumValue(visualRaw.density, ["compact", "comfortable", "spacious"], "comfortable"),
-      cardStyle: sanitizeEnumValue(visualRaw.cardStyle, ["soft", "glass", "flat"], "soft")
-    }
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name || "",
+    phone: row.phone || "",
+    guests: toInt(row.guests, 2),
+    etaMinutes: toInt(row.eta_minutes, 0),
+    source: row.source || "",
+    meta: parseJsonSafe(row.meta_json, {}),
+    status: row.status || "",
+    token: row.token || "",
+    partiesAhead: toInt(row.parties_ahead, 0),
+    notifiedAt: row.notified_at || "",
+    notifyCount: toInt(row.notify_count, 0),
+    lastNotice: parseJsonSafe(row.last_notice_json, null),
+    seatedAt: row.seated_at || "",
+    closedAt: row.closed_at || "",
+    createdAt: row.created_at
   };
 }
 
-function getRestaurantWebhookUrl(restaurant, channel) {
-  if (!restaurant || !restaurant.integrations || !restaurant.integrations.webhooks) return "";
-  const url = restaurant.integrations.webhooks[channel];
-  return sanitizeWebhookUrl(url);
+// Active entries plus the recent seatings that pace the wait estimate.
+async function listWaitlistQueueEntries(env, restaurantId) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM waitlist_entries
+     WHERE restaurant_id = ?1 AND (status IN ('aguardando', 'avisado') OR (status = 'sentado' AND seated_at >= ?2))`
+  )
+    .bind(restaurantId, new Date(Date.now() - WAITLIST_HISTORY_MS).toISOString())
+    .all();
+  return (results || []).map(mapWaitlistRow);
 }
 
-async function sendWebhook(url, payload) {
-  if (!url) return { ok: false, skipped: true };
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "content-type": "application/json; charset=utf-8" },
-      body: JSON.stringify(payload),
-      signal: controller.signal
-    });
-    return { ok: response.ok, status: response.status };
-  } catch {
-    return { ok: false, status: 0 };
-  } finally {
-    clearTimeout(timeout);
-  }
+async function findWaitlistByToken(env, token) {
+  const safeToken = sanitizeWaitlistToken(token);
+  if (!safeToken) return null;
+  const row = await env.DB.prepare("SELECT * FROM waitlist_entries WHERE token = ?1").bind(safeToken).first();
+  return row ? mapWaitlistRow(row) : null;
 }
 
-async function fireRestaurantWebhook(env, restaurant, channel, payload) {
-  const url = getRestaurantWebhookUrl(restaurant, channel);
-  if (!url) return;
-  await sendWebhook(url, payload);
+function prepareWaitlistUpdate(env, entry) {
+  return env.DB.prepare(
+    `UPDATE waitlist_entries
+     SET status = ?1, notified_at = ?2, notify_count = ?3, last_notice_json = ?4, seated_at = ?5, closed_at = ?6
+     WHERE id = ?7`
+  ).bind(
+    entry.status,
+    entry.notifiedAt || "",
+    entry.notifyCount || 0,
+    entry.lastNotice ? JSON.stringify(entry.lastNotice) : "",
+    entry.seatedAt || "",
+    entry.closedAt || "",
+    entry.id
+  );
 }
 
-function sanitizeNullableUrl(value, max = 600) {
-  const text = sanitizeText(value, max);
-  if (!text) return "";
-  if (text.startsWith("/uploads/")) return text;
-  if (isRemoteHttpUrl(text)) return text;
-  return "";
+function mapFeedbackRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    name: row.name || "",
+    email: row.email || "",
+    rating: toInt(row.rating, 0) || null,
+    comment: row.comment || "",
+    orderId: row.order_id || "",
+    nps: row.nps === null || row.nps === undefined ? null : toInt(row.nps, 0),
+    items: parseJsonSafe(row.items_json, []),
+    followUp: row.follow_up || "",
+    followUpAt: row.follow_up_at || "",
+    followUpBy: row.follow_up_by || "",
+    source: row.source || "",
+    meta: parseJsonSafe(row.meta_json, {}),
+    createdAt: row.created_at
+  };
 }
 
-function sanitizePrice(value) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) return 0;
-  if (num < 0) return 0;
-  if (num > 99999) return 99999;
-  return Math.round(num * 100) / 100;
+function mapTableRow(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    label: row.label || "",
+    zone: row.zone || "",
+    seats: toInt(row.seats, 4),
+    active: row.active !== 0,
+    createdAt: row.created_at
+  };
 }
 
-function sanitizeTableLabel(value) {
-  const table = sanitizeText(value, 32);
-  if (!TABLE_PATTERN.test(table)) return "";
-  return table;
+async function listRestaurantTables(env, restaurantId) {
+  const { results } = await env.DB.prepare("SELECT * FROM restaurant_tables WHERE restaurant_id = ?1")
+    .bind(restaurantId)
+    .all();
+  return (results || [])
+    .map(mapTableRow)
+    .sort((a, b) => a.label.localeCompare(b.label, "pt-BR", { numeric: true }));
 }
 
-function sanitizePublicSource(value) {
-  return sanitizeText(value || "site", 40).toLowerCase() || "site";
+async function withTableLink(env, table, restaurant) {
+  const token = await signTableToken(getSessionSecret(env), table.restaurantId, table.id);
+  return { ...table, token, path: `/r/${restaurant.slug}?mesa=${encodeURIComponent(token)}` };
 }
 
-function sanitizeLeadPayload(body) {
-  const payload = body && typeof body === "object" ? body : {};
-  return {
-    name: sanitizeText(payload.name, 120),
-    email: sanitizeContactEmail(payload.email),
-    phone: sanitizeText(payload.phone, 40),
-    source: sanitizePublicSource(payload.source),
-    message: sanitizeText(payload.message, 800),
-    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
-  };
+function canAccessRestaurant(user, restaurantId) {
+  return user.role === "master" || user.restaurant_id === restaurantId;
 }
 
-function sanitizeReservationPayload(body) {
-  const payload = body && typeof body === "object" ? body : {};
-  return {
-    name: sanitizeText(payload.name, 120),
-    phone: sanitizeText(payload.phone, 40),
-    email: sanitizeContactEmail(payload.email),
-    guests: Math.max(1, Math.min(20, toInt(payload.guests, 2))),
-    dateLabel: sanitizeText(payload.date || payload.dateLabel, 40),
-    timeLabel: sanitizeText(payload.time || payload.timeLabel, 24),
-    notes: sanitizeText(payload.notes, 800),
-    source: sanitizePublicSource(payload.source),
-    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
-  };
+function getClientIp(request) {
+  const direct = request.headers.get("cf-connecting-ip");
+  if (direct) return direct;
+  const forwarded = (request.headers.get("x-forwarded-for") || "").split(",")[0].trim();
+  if (forwarded) return forwarded;
+  return "unknown";
 }
 
-function sanitizeWaitlistPayload(body) {
-  const payload = body && typeof body === "object" ? body : {};
-  return {
-    name: sanitizeText(payload.name, 120),
-    phone: sanitizeText(payload.phone, 40),
-    guests: Math.max(1, Math.min(20, toInt(payload.guests, 2))),
-    etaMinutes: Math.max(0, Math.min(300, toInt(payload.etaMinutes, 0))),
-    source: sanitizePublicSource(payload.source),
-    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
-  };
+async function parseJsonBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    return {};
+  }
 }
 
-function sanitizeFeedbackPayload(body) {
-  const payload = body && typeof body === "object" ? body : {};
-  return {
-    name: sanitizeText(payload.name, 120),
-    email: sanitizeContactEmail(payload.email),
-    rating: Math.max(1, Math.min(5, toInt(payload.rating, 5))),
-    comment: sanitizeText(payload.comment, 1200),
-    source: sanitizePublicSource(payload.source),
-    meta: payload.meta && typeof payload.meta === "object" ? payload.meta : {}
-  };
-}
+async function requestGoogleTranslations(env, payload) {
+  const apiKey = sanitizeText(env.GOOGLE_TRANSLATE_API_KEY || "", 256);
+  if (!apiKey) {
+    return { ok: false, status: 503, error: "google_translate_not_configured" };
+  }
 
-function sanitizeEventType(value) {
-  const eventType = sanitizeText(value, 40).toLowerCase();
-  if (!PUBLIC_EVENT_TYPES.has(eventType)) return "";
-  return eventType;
-}
-
-function looksLikeFoodItem(item) {
-  const text = `${item?.name || ""} ${item?.description || ""}`.toLowerCase();
-  const foodHints = [
-    "prato",
-    "massa",
-    "penne",
-    "pizza",
-    "burger",
-    "hamb",
-    "sobremesa",
-    "dessert",
-    "bolo",
-    "cheese",
-    "frango",
-    "carne",
-    "peixe",
-    "salada",
-    "food",
-    "menu"
-  ];
-  return foodHints.some((hint) => text.includes(hint));
-}
+  const nonEmpty = [];
+  const nonEmptyIndices = [];
+  payload.texts.forEach((text, index) => {
+    if (!text) return;
+    nonEmpty.push(text);
+    nonEmptyIndices.push(index);
+  });
 
-function getCaptureTargets(config, isFoodItem) {
-  const requiredToStart = isFoodItem
-    ? config.captureMinStartFood
-    : config.captureMinStartGeneral;
-  const recommendedForQuality = Math.max(
-    requiredToStart,
-    isFoodItem ? config.captureRecommendedFood : config.captureRecommendedGeneral
-  );
-  return { requiredToStart, recommendedForQuality };
-}
-
-function evaluateCaptureReadiness(item, job, config) {
-  const referenceCount = Array.isArray(job?.referenceImages) ? job.referenceImages.length : 0;
-  const scanCount = Array.isArray(item?.scans) ? item.scans.length : 0;
-  const heroImageCount = item?.image ? 1 : 0;
-  const isFoodItem = looksLikeFoodItem(item);
-  const targets = getCaptureTargets(config, isFoodItem);
-  const totalVisualInputs = referenceCount + scanCount + heroImageCount;
-  const progress = Math.min(
-    100,
-    Math.round((totalVisualInputs / Math.max(1, targets.recommendedForQuality)) * 100)
-  );
-  const readyToStart = totalVisualInputs >= targets.requiredToStart;
-  const qualityReady = totalVisualInputs >= targets.recommendedForQuality;
-  const hints = [];
+  const output = payload.texts.map(() => "");
+  if (!nonEmpty.length) {
+    return { ok: true, translations: output };
+  }
 
-  if (!readyToStart) {
-    hints.push(
-      `Capture pelo menos ${targets.requiredToStart} fotos (atual: ${totalVisualInputs}).`
-    );
+  const requestBody = {
+    q: nonEmpty,
+    target: payload.targetGoogleCode,
+    format: "text"
+  };
+  if (payload.sourceLanguage) {
+    requestBody.source = payload.sourceLanguage;
   }
-  if (scanCount < Math.ceil(targets.requiredToStart / 2)) {
-    hints.push("Use o scanner para capturar fotos em 360 graus na mesa.");
+
+  let response;
+  try {
+    response = await fetch(`${GOOGLE_TRANSLATE_API_BASE}?key=${encodeURIComponent(apiKey)}`, {
+      method: "POST",
+      headers: { "content-type": "application/json; charset=utf-8" },
+      body: JSON.stringify(requestBody)
+    });
+  } catch {
+    return { ok: false, status: 502, error: "translate_failed" };
   }
-  if (referenceCount < Math.ceil(targets.requiredToStart / 3)) {
-    hints.push("Envie fotos extras no job para cobrir detalhes e evitar malha estourada.");
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    data = {};
   }
-  if (isFoodItem && totalVisualInputs < targets.recommendedForQuality) {
-    hints.push(
-      `Para comida, recomendamos ${targets.recommendedForQuality}+ fotos para realismo de textura.`
-    );
+
+  if (!response.ok) {
+    const detail = sanitizeText(data?.error?.message || `translate_http_${response.status}`, 220);
+    return { ok: false, status: 502, error: "translate_failed", detail };
   }
-  if (qualityReady) {
-    hints.push("Captura forte para pipeline automatico.");
+
+  const translatedEntries = Array.isArray(data?.data?.translations) ? data.data.translations : [];
+  if (translatedEntries.length !== nonEmpty.length) {
+    return { ok: false, status: 502, error: "translate_failed" };
   }
 
-  return {
-    isFoodItem,
-    referenceCount,
-    scanCount,
-    heroImageCount,
-    totalVisualInputs,
-    requiredToStart: targets.requiredToStart,
-    recommendedForQuality: targets.recommendedForQuality,
-    readyToStart,
-    qualityReady,
-    progress,
-    hints
-  };
-}
+  translatedEntries.forEach((entry, listIndex) => {
+    const safeText = sanitizeText(
+      decodeHtmlEntities(entry?.translatedText || ""),
+      payload.texts[nonEmptyIndices[listIndex]].length + 120
+    );
+    output[nonEmptyIndices[listIndex]] = safeText;
+  });
 
-function toModelQualityBand(score) {
-  if (score >= 85) return "excelente";
-  if (score >= 70) return "boa";
-  if (score >= 55) return "aceitavel";
-  return "fraca";
+  return { ok: true, translations: output };
 }
 
 async function inspectUploadedModel(env, urlValue) {
@@ -1261,137 +1561,6 @@ async function inspectUploadedModel(env, urlValue) {
   return { exists: true, size: Number(object.size) || 0 };
 }
 
-async function evaluateJobQuality(env, item, job) {
-  const config = getConfig(env);
-  let score = 0;
-  const checklist = [];
-  const capture = evaluateCaptureReadiness(item, job, config);
-  const totalRefs = capture.totalVisualInputs;
-  const isFood = capture.isFoodItem;
-
-  if (capture.qualityReady && totalRefs >= capture.recommendedForQuality + 4) {
-    score += 24;
-    checklist.push("captura_fotos:excelente");
-  } else if (capture.qualityReady) {
-    score += 20;
-    checklist.push("captura_fotos:ok");
-  } else if (capture.readyToStart) {
-    score += 14;
-    checklist.push("captura_fotos:minima");
-  } else if (totalRefs >= Math.max(1, capture.requiredToStart - 2)) {
-    score += 8;
-    checklist.push("captura_fotos:baixa");
-  } else {
-    checklist.push("captura_fotos:insuficiente");
-  }
-  if (!capture.readyToStart) {
-    score -= 10;
-  }
-  if (capture.scanCount > 0 && capture.referenceCount > 0) {
-    score += 4;
-    checklist.push("captura_fontes:mista");
-  } else {
-    checklist.push("captura_fontes:unica");
-  }
-
-  const glbInfo = await inspectUploadedModel(env, job.modelGlb || "");
-  const usdzInfo = await inspectUploadedModel(env, job.modelUsdz || "");
-  const hasGlb = Boolean(job.modelGlb);
-  const hasUsdz = Boolean(job.modelUsdz);
-
-  if (hasGlb) {
-    score += 18;
-    checklist.push("arquivo_glb:ok");
-  } else {
-    checklist.push("arquivo_glb:ausente");
-  }
-  if (hasUsdz) {
-    score += 18;
-    checklist.push("arquivo_usdz:ok");
-  } else {
-    checklist.push("arquivo_usdz:ausente");
-  }
-
-  if (glbInfo.exists && glbInfo.size >= 150 * 1024 && glbInfo.size <= 40 * 1024 * 1024) {
-    score += 10;
-    checklist.push("peso_glb:ok");
-  } else if (hasGlb) {
-    checklist.push("peso_glb:revisar");
-  }
-
-  if (usdzInfo.exists && usdzInfo.size >= 150 * 1024 && usdzInfo.size <= 40 * 1024 * 1024) {
-    score += 10;
-    checklist.push("peso_usdz:ok");
-  } else if (hasUsdz) {
-    checklist.push("peso_usdz:revisar");
-  }
-
-  if (isFood) {
-    if (totalRefs >= capture.recommendedForQuality) {
-      score += 12;
-      checklist.push("food_refs:alto");
-    } else if (totalRefs >= capture.requiredToStart) {
-      score += 6;
-      checklist.push("food_refs:minimo");
-    } else {
-      score -= 8;
-      checklist.push("food_refs:baixo");
-    }
-
-    if (capture.scanCount < 3) {
-      score -= 4;
-      checklist.push("food_angulo_scanner:baixo");
-    } else {
-      checklist.push("food_angulo_scanner:ok");
-    }
-
-    if (glbInfo.exists && usdzInfo.exists) {
-      const ratio = Math.max(glbInfo.size, usdzInfo.size) / Math.max(1, Math.min(glbInfo.size, usdzInfo.size));
-      if (ratio <= 4) {
-        score += 6;
-        checklist.push("food_consistencia_arquivos:ok");
-      } else if (ratio > 8) {
-        score -= 6;
-        checklist.push("food_consistencia_arquivos:revisar");
-      }
-    }
-
-    if ((glbInfo.size > 20 * 1024 * 1024) || (usdzInfo.size > 20 * 1024 * 1024)) {
-      score -= 4;
-      checklist.push("food_tamanho_mobile:alto");
-    }
-  }
-
-  if ((job.providerStatus || "").toUpperCase() === "SUCCEEDED") {
-    score += 10;
-    checklist.push("status_ia:sucesso");
-  } else if ((job.providerStatus || "").toUpperCase() === "FAILED") {
-    checklist.push("status_ia:falha");
-  } else {
-    checklist.push("status_ia:pendente");
-  }
-
-  if ((job.notes || "").length >= 20) {
-    score += 4;
-    checklist.push("observacoes:ok");
-  } else {
-    checklist.push("observacoes:curtas");
-  }
-  if (Array.isArray(capture.hints) && capture.hints.length > 0) {
-    capture.hints.slice(0, 4).forEach((hint) => {
-      checklist.push(`captura_hint:${sanitizeText(hint, 70)}`);
-    });
-  }
-
-  const boundedScore = Math.max(0, Math.min(100, Math.round(score)));
-  return {
-    score: boundedScore,
-    band: toModelQualityBand(boundedScore),
-    checklist,
-    capture
-  };
-}
-
 async function recordPublicEvent(env, request, payload) {
   const eventType = sanitizeEventType(payload.eventType);
   if (!eventType) return { ok: false, error: "event_invalid" };
@@ -1428,7 +1597,7 @@ async function recordPublicEvent(env, request, payload) {
     .run();
 
   if (restaurant) {
-    await fireRestaurantWebhook(env, restaurant, "events", {
+    await fireRestaurantWebhook(restaurant, "events", {
       type: "public_event",
       restaurantId,
       eventType,
@@ -1688,34 +1857,6 @@ async function deleteR2Prefix(env, prefix) {
   } while (cursor);
 }
 
-function getAiProviders(env) {
-  const config = getConfig(env);
-  const hasMeshy = Boolean((env.MESHY_API_KEY || "").trim());
-  return [
-    {
-      id: "meshy",
-      label: "Meshy",
-      enabled: hasMeshy,
-      supportsAuto: true,
-      supportsMultiImage: true,
-      notes: hasMeshy
-        ? `Pronto para gerar 3D (ate ${config.meshyMaxImages} fotos por job).`
-        : "Defina MESHY_API_KEY para habilitar."
-    },
-    {
-      id: "manual",
-      label: "Manual",
-      enabled: true,
-      supportsAuto: false,
-      notes: "Pipeline assistido por voce (scanner + blender)."
-    }
-  ];
-}
-
-function getAiProvider(env, providerId) {
-  return getAiProviders(env).find((provider) => provider.id === providerId);
-}
-
 function urlToR2Key(urlValue) {
   if (!urlValue || !urlValue.startsWith("/uploads/")) return "";
   return decodeURIComponent(urlValue.slice("/uploads/".length)).replace(/^\/+/, "");
@@ -1743,6 +1884,18 @@ async function r2ImageToDataUri(env, key) {
   return `data:${contentType};base64,${base64}`;
 }
 
+// Only uploaded logos are embedded; fetching owner-supplied URLs from the Worker would reach arbitrary hosts.
+async function loadLogoBytes(env, logoUrl) {
+  try {
+    const key = urlToR2Key(logoUrl);
+    if (!key) return null;
+    const object = await env.UPLOADS.get(key);
+    return object ? new Uint8Array(await object.arrayBuffer()) : null;
+  } catch {
+    return null;
+  }
+}
+
 async function resolveImageCandidate(env, candidate) {
   if (!candidate) return "";
   if (isRemoteHttpUrl(candidate)) {
@@ -1755,143 +1908,6 @@ async function resolveImageCandidate(env, candidate) {
   return r2ImageToDataUri(env, key);
 }
 
-async function buildJobImageInputs(env, item, job) {
-  const config = getConfig(env);
-  const referenceImages = Array.isArray(job.referenceImages) ? [...job.referenceImages].reverse() : [];
-  const scans = Array.isArray(item.scans) ? [...item.scans].reverse() : [];
-  const candidates = [...referenceImages, ...scans, item.image || ""].filter(Boolean);
-  const unique = [];
-  const seen = new Set();
-
-  for (const candidate of candidates) {
-    const resolved = await resolveImageCandidate(env, candidate);
-    if (!resolved || seen.has(resolved)) continue;
-    seen.add(resolved);
-    unique.push(resolved);
-  }
-
-  if (unique.length <= config.meshyMaxImages) {
-    return unique;
-  }
-
-  const sampled = [];
-  for (let index = 0; index < config.meshyMaxImages; index += 1) {
-    const ratio = config.meshyMaxImages === 1 ? 0 : index / (config.meshyMaxImages - 1);
-    const sourceIndex = Math.round(ratio * (unique.length - 1));
-    sampled.push(unique[sourceIndex]);
-  }
-
-  return [...new Set(sampled)].slice(0, config.meshyMaxImages);
-}
-
-function buildMeshyStartRequest(env, imageInputs, options = {}) {
-  const config = getConfig(env);
-  const aiModel = (options.aiModel || config.meshyModel || "").toString().trim();
-  const payload = { should_texture: true };
-  if (aiModel) payload.ai_model = aiModel;
-  if (options.targetPolycount) payload.target_polycount = Number(options.targetPolycount);
-
-  if (imageInputs.length > 1) {
-    payload.image_urls = imageInputs.slice(0, config.meshyMaxImages);
-    return { endpoint: "multi-image-to-3d", payload };
-  }
-  payload.image_url = imageInputs[0];
-  return { endpoint: "image-to-3d", payload };
-}
-
-function extractMeshyTaskId(payload) {
-  if (!payload || typeof payload !== "object") return "";
-  const values = [
-    payload.result,
-    payload.id,
-    payload.task_id,
-    payload.taskId,
-    payload.task && payload.task.id,
-    payload.data && payload.data.id,
-    payload.result && payload.result.id
-  ];
-  for (const value of values) {
-    if (typeof value === "string" && value.trim()) return value.trim();
-  }
-  return "";
-}
-
-async function startMeshyImageTo3D(env, imageInputs, options = {}) {
-  const apiKey = (env.MESHY_API_KEY || "").trim();
-  if (!apiKey) throw new Error("meshy_key_missing");
-  const normalizedInputs = Array.isArray(imageInputs) ? imageInputs.filter(Boolean) : [];
-  if (!normalizedInputs.length) throw new Error("meshy_image_input_missing");
-  const request = buildMeshyStartRequest(env, normalizedInputs, options);
-  const response = await fetch(`${MESHY_API_BASE}/${request.endpoint}`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(request.payload)
-  });
-  if (!response.ok) {
-    const details = await response.text();
-    throw new Error(`meshy_start_failed:${request.endpoint}:${response.status}:${details.slice(0, 300)}`);
-  }
-  const payload = await response.json();
-  const taskId = extractMeshyTaskId(payload);
-  if (!taskId) throw new Error("meshy_task_id_missing");
-  return { taskId, endpoint: request.endpoint };
-}
-
-function getMeshyTaskEndpoints(endpointHint) {
-  const hint = (endpointHint || "").toLowerCase().trim();
-  if (hint.includes("multi-image-to-3d")) return ["multi-image-to-3d", "image-to-3d"];
-  if (hint.includes("image-to-3d")) return ["image-to-3d", "multi-image-to-3d"];
-  return ["image-to-3d", "multi-image-to-3d"];
-}
-
-async function fetchMeshyTask(env, taskId, endpointHint = "") {
-  const apiKey = (env.MESHY_API_KEY || "").trim();
-  if (!apiKey) throw new Error("meshy_key_missing");
-  const errors = [];
-  for (const endpoint of getMeshyTaskEndpoints(endpointHint)) {
-    const response = await fetch(`${MESHY_API_BASE}/${endpoint}/${encodeURIComponent(taskId)}`, {
-      headers: { Authorization: `Bearer ${apiKey}` }
-    });
-    if (response.ok) {
-      return { endpoint, task: await response.json() };
-    }
-    const details = await response.text();
-    errors.push(`${endpoint}:${response.status}:${details.slice(0, 200)}`);
-    if (response.status !== 404) break;
-  }
-  throw new Error(`meshy_sync_failed:${errors.join(" | ")}`);
-}
-
-function mapMeshyStatus(statusRaw) {
-  const status = (statusRaw || "").toString().toUpperCase();
-  if (status === "SUCCEEDED" || status === "COMPLETED") return "revisao";
-  if (["FAILED", "ERROR", "CANCELED", "CANCELLED"].includes(status)) return "erro";
-  return "processando";
-}
-
-function extractMeshyModelUrls(taskData) {
-  const containers = [
-    taskData?.model_urls,
-    taskData?.result?.model_urls,
-    taskData?.result?.modelUrls,
-    taskData?.output?.model_urls,
-    taskData?.data?.model_urls
-  ].filter(Boolean);
-  const urls = {};
-  for (const entry of containers) {
-    if (!urls.glb && isRemoteHttpUrl(entry.glb)) urls.glb = entry.glb;
-    if (!urls.usdz && isRemoteHttpUrl(entry.usdz)) urls.usdz = entry.usdz;
-  }
-  if (!urls.glb && isRemoteHttpUrl(taskData?.glb_url)) urls.glb = taskData.glb_url;
-  if (!urls.glb && isRemoteHttpUrl(taskData?.result?.glb_url)) urls.glb = taskData.result.glb_url;
-  if (!urls.usdz && isRemoteHttpUrl(taskData?.usdz_url)) urls.usdz = taskData.usdz_url;
-  if (!urls.usdz && isRemoteHttpUrl(taskData?.result?.usdz_url)) urls.usdz = taskData.result.usdz_url;
-  return urls;
-}
-
 async function downloadModelToR2(env, remoteUrl, extension) {
   if (!isRemoteHttpUrl(remoteUrl)) return "";
   const ext = extension.startsWith(".") ? extension : `.${extension}`;
@@ -1905,264 +1921,20 @@ async function downloadModelToR2(env, remoteUrl, extension) {
   return `/uploads/${key}`;
 }
 
-async function autoProcessRestaurantJobs(env, restaurantId, options = {}) {
-  const config = getConfig(env);
-  const maxJobs = Math.max(1, Math.min(30, toInt(options.maxJobs, 12)));
-  const providerMeshy = getAiProvider(env, "meshy");
-  const summary = {
-    restaurantId,
-    total: 0,
-    started: 0,
-    synced: 0,
-    published: 0,
-    skipped: 0,
-    failed: 0,
-    details: []
-  };
-
-  const { results: rows } = await env.DB.prepare(
-    `SELECT * FROM model_jobs
-     WHERE restaurant_id = ?1 AND auto_mode = 1
-     ORDER BY updated_at DESC
-     LIMIT ?2`
-  )
-    .bind(restaurantId, maxJobs)
-    .all();
-
-  const jobs = (rows || []).map(mapModelJobRow);
-  summary.total = jobs.length;
-
-  for (const job of jobs) {
-    const detail = { jobId: job.id, itemId: job.itemId, action: "skip", status: job.status, reason: "" };
-    const item = await getItemById(env, job.itemId);
-    if (!item) {
-      summary.failed += 1;
-      detail.action = "error";
-      detail.reason = "item_not_found";
-      summary.details.push(detail);
-      continue;
-    }
-
-    try {
-      if (["enviado", "triagem"].includes(job.status) && !job.providerTaskId) {
-        if (!providerMeshy || !providerMeshy.enabled) {
-          summary.skipped += 1;
-          detail.reason = "provider_not_configured";
-          summary.details.push(detail);
-          continue;
-        }
-        const capture = evaluateCaptureReadiness(item, job, config);
-        if (!capture.readyToStart) {
-          job.status = "triagem";
-          job.updatedAt = new Date().toISOString();
-          await env.DB.prepare("UPDATE model_jobs SET status = ?1, updated_at = ?2 WHERE id = ?3")
-            .bind(job.status, job.updatedAt, job.id)
-            .run();
-          summary.skipped += 1;
-          detail.reason = "capture_insufficient";
-          detail.status = job.status;
-          detail.capture = capture;
-          summary.details.push(detail);
-          continue;
-        }
-        const imageInputs = await buildJobImageInputs(env, item, job);
-        if (!imageInputs.length) {
-          job.status = "triagem";
-          job.updatedAt = new Date().toISOString();
-          await env.DB.prepare("UPDATE model_jobs SET status = ?1, updated_at = ?2 WHERE id = ?3")
-            .bind(job.status, job.updatedAt, job.id)
-            .run();
-          summary.skipped += 1;
-          detail.reason = "image_source_not_found";
-          detail.status = job.status;
-          summary.details.push(detail);
-          continue;
-        }
-
-        const aiModel = sanitizeText(job.aiModel || config.meshyModel, 60);
-        const startResult = await startMeshyImageTo3D(env, imageInputs, { aiModel });
-        job.provider = "meshy";
-        job.aiModel = aiModel;
-        job.providerTaskId = startResult.taskId;
-        job.providerTaskEndpoint = startResult.endpoint || "";
-        job.providerStatus = "SUBMITTED";
-        job.status = "processando";
-        job.updatedAt = new Date().toISOString();
-
-        await env.DB.prepare(
-          `UPDATE model_jobs
-           SET provider = ?1, ai_model = ?2, provider_task_id = ?3, provider_task_endpoint = ?4,
-               provider_status = ?5, status = ?6, updated_at = ?7
-           WHERE id = ?8`
-        )
-          .bind(
-            job.provider,
-            job.aiModel,
-            job.providerTaskId,
-            job.providerTaskEndpoint,
-            job.providerStatus,
-            job.status,
-            job.updatedAt,
-            job.id
-          )
-          .run();
-        summary.started += 1;
-        detail.action = "started";
-        detail.status = job.status;
-        detail.reason = "ok";
-        summary.details.push(detail);
-        continue;
-      }
-
-      if (job.provider === "meshy" && job.providerTaskId && ["processando", "triagem"].includes(job.status)) {
-        const sync = await fetchMeshyTask(env, job.providerTaskId, job.providerTaskEndpoint || "");
-        const taskData = sync.task || {};
-        const taskStatus = (taskData.status || "").toString();
-        job.providerTaskEndpoint = sync.endpoint || job.providerTaskEndpoint || "";
-        job.providerStatus = taskStatus;
-        job.status = mapMeshyStatus(taskStatus);
-
-        if (job.status === "revisao") {
-          const modelUrls = extractMeshyModelUrls(taskData);
-          if (modelUrls.glb && !job.modelGlb) {
-            job.modelGlb = await downloadModelToR2(env, modelUrls.glb, ".glb");
-          }
-          if (modelUrls.usdz && !job.modelUsdz) {
-            job.modelUsdz = await downloadModelToR2(env, modelUrls.usdz, ".usdz");
-          }
-        }
-
-        if (job.status === "revisao") {
-          const evaluation = await evaluateJobQuality(env, item, job);
-          job.qaScore = evaluation.score;
-          job.qaBand = evaluation.band;
-          job.qaChecklist = evaluation.checklist;
-          const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-          if (evaluation.score >= config.qaMinPublishScore && hasRequiredModels) {
-            job.status = "publicado";
-          }
-        }
-
-        job.updatedAt = new Date().toISOString();
-        await env.DB.prepare(
-          `UPDATE model_jobs
-           SET status = ?1, model_glb = ?2, model_usdz = ?3, provider_task_endpoint = ?4, provider_status = ?5,
-               qa_score = ?6, qa_band = ?7, qa_checklist_json = ?8, updated_at = ?9
-           WHERE id = ?10`
-        )
-          .bind(
-            job.status,
-            job.modelGlb || "",
-            job.modelUsdz || "",
-            job.providerTaskEndpoint || "",
-            job.providerStatus || "",
-            toInt(job.qaScore, 0),
-            (job.qaBand || "fraca").toString(),
-            JSON.stringify(job.qaChecklist || []),
-            job.updatedAt,
-            job.id
-          )
-          .run();
-
-        if (job.status === "publicado") {
-          await env.DB.prepare("UPDATE items SET model_glb = ?1, model_usdz = ?2 WHERE id = ?3")
-            .bind(job.modelGlb || item.modelGlb || "", job.modelUsdz || item.modelUsdz || "", item.id)
-            .run();
-          summary.published += 1;
-        }
-
-        summary.synced += 1;
-        detail.action = "synced";
-        detail.status = job.status;
-        detail.reason = "ok";
-        summary.details.push(detail);
-        continue;
-      }
-
-      if (job.status === "revisao") {
-        const evaluation = await evaluateJobQuality(env, item, job);
-        job.qaScore = evaluation.score;
-        job.qaBand = evaluation.band;
-        job.qaChecklist = evaluation.checklist;
-        const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
-        if (evaluation.score >= config.qaMinPublishScore && hasRequiredModels) {
-          job.status = "publicado";
-          summary.published += 1;
-          await env.DB.prepare("UPDATE items SET model_glb = ?1, model_usdz = ?2 WHERE id = ?3")
-            .bind(job.modelGlb || item.modelGlb || "", job.modelUsdz || item.modelUsdz || "", item.id)
-            .run();
-        }
-        job.updatedAt = new Date().toISOString();
-        await env.DB.prepare(
-          "UPDATE model_jobs SET status = ?1, qa_score = ?2, qa_band = ?3, qa_checklist_json = ?4, updated_at = ?5 WHERE id = ?6"
-        )
-          .bind(
-            job.status,
-            toInt(job.qaScore, 0),
-            (job.qaBand || "fraca").toString(),
-            JSON.stringify(job.qaChecklist || []),
-            job.updatedAt,
-            job.id
-          )
-          .run();
-        detail.action = "qa_review";
-        detail.status = job.status;
-        detail.reason = "ok";
-        summary.details.push(detail);
-        continue;
-      }
-
-      summary.skipped += 1;
-      detail.reason = "status_not_eligible";
-      summary.details.push(detail);
-    } catch (error) {
-      summary.failed += 1;
-      detail.action = "error";
-      detail.reason = error?.message || "auto_process_failed";
-      summary.details.push(detail);
-    }
-  }
-
-  return summary;
-}
-
-async function autoProcessAllRestaurants(env, options = {}) {
-  const maxRestaurants = Math.max(1, Math.min(100, toInt(options.maxRestaurants, 40)));
-  const { results } = await env.DB.prepare(
-    "SELECT id FROM restaurants ORDER BY name COLLATE NOCASE LIMIT ?1"
-  )
-    .bind(maxRestaurants)
-    .all();
-
-  const rollup = {
-    restaurants: 0,
-    jobsTotal: 0,
-    started: 0,
-    synced: 0,
-    published: 0,
-    skipped: 0,
-    failed: 0,
-    perRestaurant: []
+function getRuntime(env) {
+  return {
+    repo: createD1Repository(env.DB),
+    config: getConfig(env),
+    meshy: getMeshySettings(env),
+    resolveImage: (candidate) => resolveImageCandidate(env, candidate),
+    downloadModel: (remoteUrl, extension) => downloadModelToR2(env, remoteUrl, extension),
+    inspectModel: (urlValue) => inspectUploadedModel(env, urlValue)
   };
-
-  for (const row of results || []) {
-    const summary = await autoProcessRestaurantJobs(env, row.id, options);
-    rollup.restaurants += 1;
-    rollup.jobsTotal += summary.total;
-    rollup.started += summary.started;
-    rollup.synced += summary.synced;
-    rollup.published += summary.published;
-    rollup.skipped += summary.skipped;
-    rollup.failed += summary.failed;
-    rollup.perRestaurant.push(summary);
-  }
-
-  return rollup;
 }
 
 async function runScheduledAutoProcess(event, env) {
   try {
-    const rollup = await autoProcessAllRestaurants(env, { maxJobs: 10, maxRestaurants: 50 });
+    const rollup = await autoProcessAllRestaurants(getRuntime(env), { maxJobs: 10, maxRestaurants: 50 });
     console.log(
       JSON.stringify({
         type: "scheduled_auto_process",
@@ -2249,7 +2021,54 @@ async function handleApi(request, env, url) {
     )
       .bind(restaurant.id)
       .all();
-    return json({ restaurant, items: (results || []).map(mapItemRow).map(toPublicItem) });
+    const paymentProvider = getPaymentProvider(getPaymentSettings(env));
+    return json({
+      restaurant,
+      items: (results || []).map((row) => toPublicItem(mapItemRow(row), restaurant)),
+      paymentMethods: paymentProvider ? paymentProvider.methods : [],
+      ...listPublicPromotions(await listRestaurantPromotions(env, restaurant.id))
+    });
+  }
+
+  const publicPickupSlots = method === "GET" && matchRoute("/api/public/restaurant/:slug/pickup-slots", pathname);
+  if (publicPickupSlots) {
+    const restaurant = await getRestaurantBySlug(env, normalizeSlug(publicPickupSlots.slug));
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    return json(
+      listPickupSlots(restaurant.fulfillment, {
+        timezone: restaurant.timezone,
+        usage: await loadPickupSlotUsage(env, restaurant.id)
+      })
+    );
+  }
+
+  const publicReservationTimes =
+    method === "GET" && matchRoute("/api/public/restaurant/:slug/reservation-times", pathname);
+  if (publicReservationTimes) {
+    const restaurant = await getRestaurantBySlug(env, normalizeSlug(publicReservationTimes.slug));
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    const result = listReservationTimes(restaurant.reservationSettings, {
+      date: url.searchParams.get("date"),
+      guests: url.searchParams.get("guests"),
+      area: sanitizeText(url.searchParams.get("area"), 60),
+      tables: restaurant.reservationSettings.enabled ? await listRestaurantTables(env, restaurant.id) : [],
+      reservations: restaurant.reservationSettings.enabled ? await listHoldingReservations(env, restaurant.id) : [],
+      timezone: restaurant.timezone
+    });
+    if (result.error) return json({ error: result.error, detail: result.detail }, 400);
+    return json(result);
+  }
+
+  const publicTable = method === "GET" && matchRoute("/api/public/restaurant/:slug/tables/:token", pathname);
+  if (publicTable) {
+    const restaurant = await getRestaurantBySlug(env, normalizeSlug(publicTable.slug));
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    const tableId = await verifyTableToken(getSessionSecret(env), restaurant.id, publicTable.token);
+    const table = tableId
+      ? (await listRestaurantTables(env, restaurant.id)).find((entry) => entry.id === tableId && entry.active)
+      : null;
+    if (!table) return json({ error: "invalid_table" }, 404);
+    return json({ table: toPublicTable(table) });
   }
 
   const publicItem = method === "GET" && matchRoute("/api/public/item/:id", pathname);
@@ -2262,7 +2081,7 @@ async function handleApi(request, env, url) {
     if (requestedSlug && restaurant.slug !== requestedSlug) {
       return json({ error: "item_not_found" }, 404);
     }
-    return json({ item: toPublicItem(item), restaurant });
+    return json({ item: toPublicItem(item, restaurant), restaurant });
   }
 
   if (method === "POST" && pathname === "/api/public/events") {
@@ -2317,6 +2136,99 @@ async function handleApi(request, env, url) {
     return json({ ok: true });
   }
 
+  if (method === "POST" && pathname === "/api/public/service-requests") {
+    const ip = getClientIp(request);
+    const serviceRate = await consumeRateLimit(
+      env,
+      `service-requests:${ip}`,
+      config.serviceRequestMaxPerWindow,
+      config.serviceRequestWindowMs
+    );
+    if (!serviceRate.allowed) {
+      return json(
+        { error: "too_many_requests", retryAfterSeconds: serviceRate.retryAfterSeconds },
+        429,
+        { "Retry-After": String(serviceRate.retryAfterSeconds) }
+      );
+    }
+
+    const body = await parseJsonBody(request);
+    const restaurantSlug = normalizeSlug(body.restaurantSlug || "");
+    if (!restaurantSlug) return json({ error: "restaurant_required" }, 400);
+    const restaurant = await getRestaurantBySlug(env, restaurantSlug);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    const type = sanitizeServiceRequestType(body.type);
+    if (!type) return json({ error: "invalid_service_type" }, 400);
+    const tableResult = await resolveOrderTable(
+      getSessionSecret(env),
+      restaurant.id,
+      await listRestaurantTables(env, restaurant.id),
+      body
+    );
+    if (tableResult.error) return json({ error: tableResult.error }, 400);
+    const tableId = tableResult.table ? tableResult.table.id : "";
+    const existing = findPendingServiceRequest(
+      await listServiceRequests(env, restaurant.id),
+      restaurant.id,
+      { tableId, label: tableResult.label },
+      type
+    );
+    if (existing) return json({ request: existing, duplicate: true });
+
+    const serviceRequest = createServiceRequest({
+      id: `sr-${crypto.randomUUID()}`,
+      restaurantId: restaurant.id,
+      type,
+      table: tableResult.label,
+      tableId,
+      createdAt: new Date().toISOString()
+    });
+    await env.DB.prepare(
+      `INSERT INTO service_requests (
+        id, restaurant_id, type, table_label, table_id, status, created_at, acknowledged_at, acknowledged_by
+      ) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9)`
+    )
+      .bind(
+        serviceRequest.id,
+        serviceRequest.restaurantId,
+        serviceRequest.type,
+        serviceRequest.table,
+        serviceRequest.tableId,
+        serviceRequest.status,
+        serviceRequest.createdAt,
+        serviceRequest.acknowledgedAt,
+        serviceRequest.acknowledgedBy
+      )
+      .run();
+    return json({ request: serviceRequest });
+  }
+
+  if (method === "POST" && pathname === "/api/public/orders/quote") {
+    const ip = getClientIp(request);
+    const rate = await consumeRateLimit(env, `quote:${ip}`, config.eventMaxPerWindow, config.eventWindowMs);
+    if (!rate.allowed) {
+      return json(
+        { error: "too_many_requests", retryAfterSeconds: rate.retryAfterSeconds },
+        429,
+        { "Retry-After": String(rate.retryAfterSeconds) }
+      );
+    }
+    const body = await parseJsonBody(request);
+    const restaurant = await getRestaurantBySlug(env, normalizeSlug(body.restaurantSlug || ""));
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    const quote = await quoteOrder(env, restaurant, body, { draft: true });
+    if (quote.error) return json({ error: quote.error, detail: quote.detail }, quote.httpStatus);
+    return json({
+      quote: {
+        ...quote.charges,
+        couponCode: quote.couponCode,
+        promotions: quote.promotions,
+        orderType: quote.orderType,
+        deliveryZone: quote.fulfillment ? quote.fulfillment.zoneName : ""
+      }
+    });
+  }
+
   if (method === "POST" && pathname === "/api/public/orders") {
     const ip = getClientIp(request);
     const orderRate = await consumeRateLimit(
@@ -2335,70 +2247,377 @@ async function handleApi(request, env, url) {
 
     const body = await parseJsonBody(request);
     const restaurantSlug = normalizeSlug(body.restaurantSlug || "");
-    const table = sanitizeTableLabel(body.table || "");
-    const items = Array.isArray(body.items) ? body.items : [];
     if (!restaurantSlug) return json({ error: "restaurant_required" }, 400);
-    if (!table) return json({ error: "table_required" }, 400);
-    if (!items.length) return json({ error: "items_required" }, 400);
 
     const restaurant = await getRestaurantBySlug(env, restaurantSlug);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
-    const { results } = await env.DB.prepare("SELECT * FROM items WHERE restaurant_id = ?1")
-      .bind(restaurant.id)
-      .all();
-    const map = new Map((results || []).map((row) => [row.id, mapItemRow(row)]));
-    const orderItems = [];
-    let total = 0;
-    for (const entry of items.slice(0, 30)) {
-      const menuItem = map.get(entry.id);
-      if (!menuItem) continue;
-      const qty = Math.max(1, Math.min(50, Number(entry.qty) || 1));
-      const price = Number(menuItem.price) || 0;
-      orderItems.push({ id: menuItem.id, name: menuItem.name, price, qty });
-      total += price * qty;
-    }
-    if (!orderItems.length) return json({ error: "invalid_items" }, 400);
+    const dineIn = (sanitizeOrderType(body.orderType) || "dine_in") === "dine_in";
+    const tableResult = dineIn
+      ? await resolveOrderTable(
+          getSessionSecret(env),
+          restaurant.id,
+          await listRestaurantTables(env, restaurant.id),
+          body
+        )
+      : { label: "", table: null };
+    if (tableResult.error) return json({ error: tableResult.error }, 400);
+    const table = tableResult.label;
+    const quote = await quoteOrder(env, restaurant, body);
+    if (quote.error) return json({ error: quote.error, detail: quote.detail }, quote.httpStatus);
+    const { menuItems, lines: orderItems } = quote;
+    const schedule = checkOrderSchedule(menuItems, orderItems, restaurant);
+    if (schedule.error) return json({ error: schedule.error, detail: schedule.detail }, 409);
+    const stock = reserveOrderStock(menuItems, orderItems, getStockDate(restaurant.timezone));
+    if (stock.error) return json({ error: stock.error, detail: stock.detail }, 409);
+    const missedStock = await claimOrderStock(env, stock.updates);
+    if (missedStock) {
+      const soldOut = menuItems.find((entry) => entry.id === missedStock.itemId);
+      return json(
+        {
+          error: "item_unavailable",
+          detail: { itemId: missedStock.itemId, name: soldOut ? soldOut.name : "", remaining: 0, reason: "sold_out" }
+        },
+        409
+      );
+    }
+    const slotOrder = {
+      restaurantId: restaurant.id,
+      orderType: quote.orderType,
+      fulfillment: quote.fulfillment,
+      items: orderItems
+    };
+    const slotted = usesPickupSlot(slotOrder) && restaurant.fulfillment.pickup.slotMinutes > 0;
+    if (slotted && !(await claimPickupSlot(env, restaurant, slotOrder))) {
+      await releaseOrderStock(env, stock.updates);
+      return json({ error: "pickup_slot_full", detail: { slot: quote.fulfillment.pickupAt } }, 409);
+    }
+    if (quote.promotions.length) {
+      // Conditional increments keep concurrent orders from going past maxUses.
+      const claims = await env.DB.batch(
+        quote.promotions.map((entry) =>
+          env.DB.prepare(
+            "UPDATE promotions SET used_count = used_count + 1 WHERE id = ?1 AND (max_uses = 0 OR used_count < max_uses)"
+          ).bind(entry.id)
+        )
+      );
+      if (claims.some((claim) => !claim.meta || !claim.meta.changes)) {
+        const claimed = quote.promotions.filter((entry, index) => claims[index].meta && claims[index].meta.changes);
+        await releasePromotionUses(env, claimed);
+        if (slotted) await releasePickupSlot(env, slotOrder);
+        await releaseOrderStock(env, stock.updates);
+        return json({ error: "coupon_exhausted" }, 409);
+      }
+    }
+    const createdAt = new Date().toISOString();
     const order = {
       id: `o-${crypto.randomUUID()}`,
       restaurantId: restaurant.id,
       table,
+      tableId: tableResult.table ? tableResult.table.id : "",
+      orderType: quote.orderType,
+      fulfillment: quote.fulfillment,
       items: orderItems,
-      total: Math.round(total * 100) / 100,
+      ...quote.charges,
+      couponCode: quote.couponCode,
+      promotions: quote.promotions,
+      note: sanitizeOrderNote(body.note, ORDER_NOTE_MAX),
+      allergyAlert: false,
       status: "novo",
-      createdAt: new Date().toISOString()
+      statusReason: "",
+      statusHistory: [createOrderHistoryEntry("", "novo", "", "", createdAt)],
+      paymentStatus: "",
+      createdAt,
+      updatedAt: createdAt
     };
-    await env.DB.prepare(
-      `INSERT INTO orders (id, restaurant_id, table_label, items_json, total, status, created_at)
-       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7)`
+    order.allergyAlert = detectOrderAllergy(order);
+    // Only dine-in orders run on a table tab; pickup and delivery are paid per order.
+    let tab = null;
+    // Stock, the pickup slot and coupon uses are already claimed, so a failed write gives them back.
+    try {
+      if (dineIn) {
+        const { results: openTabRows } = await env.DB.prepare(
+          "SELECT * FROM table_tabs WHERE restaurant_id = ?1 AND status = 'open'"
+        )
+          .bind(restaurant.id)
+          .all();
+        tab = findOpenTab((openTabRows || []).map(mapTabRow), restaurant.id, {
+          tableId: order.tableId,
+          label: table
+        });
+      }
+      if (dineIn && !tab) {
+        tab = createTab({
+          id: `tab-${crypto.randomUUID()}`,
+          restaurantId: restaurant.id,
+          table,
+          tableId: order.tableId,
+          openedAt: createdAt
+        });
+        await env.DB.prepare(
+          `INSERT INTO table_tabs (id, restaurant_id, table_label, table_id, status, opened_at)
+           VALUES (?1, ?2, ?3, ?4, ?5, ?6)`
+        )
+          .bind(tab.id, tab.restaurantId, tab.table, tab.tableId, tab.status, tab.openedAt)
+          .run();
+      }
+      // A new order raises the bill, so a split paid before it no longer settles the tab.
+      if (tab && tab.settled) {
+        await env.DB.prepare("UPDATE table_tabs SET settled = 0 WHERE id = ?1").bind(tab.id).run();
+      }
+      order.tabId = tab ? tab.id : "";
+      await env.DB.prepare(
+        `INSERT INTO orders (
+          id, restaurant_id, table_label, table_id, tab_id, items_json, subtotal, service_percent, service_charge,
+          tip_percent, tip, discount, coupon_code, promotions_json, total, status, note, status_reason,
+          status_history_json, created_at, updated_at, order_type, fulfillment_json, delivery_fee
+        ) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14, ?15, ?16, ?17, ?18, ?19, ?20, ?21, ?22,
+          ?23, ?24)`
+      )
+        .bind(
+          order.id,
+          order.restaurantId,
+          order.table,
+          order.tableId,
+          order.tabId,
+          JSON.stringify(order.items),
+          order.subtotal,
+          order.servicePercent,
+          order.serviceCharge,
+          order.tipPercent,
+          order.tip,
+          order.discount,
+          order.couponCode,
+          JSON.stringify(order.promotions),
+          order.total,
+          order.status,
+          order.note,
+          order.statusReason,
+          JSON.stringify(order.statusHistory),
+          order.createdAt,
+          order.updatedAt,
+          order.orderType,
+          order.fulfillment ? JSON.stringify(order.fulfillment) : null,
+          order.deliveryFee
+        )
+        .run();
+    } catch (error) {
+      await releasePromotionUses(env, quote.promotions);
+      if (slotted) await releasePickupSlot(env, slotOrder);
+      await releaseOrderStock(env, stock.updates);
+      throw error;
+    }
+
+    await recordPublicEvent(env, request, {
+      restaurantId: restaurant.id,
+      restaurant,
+      eventType: "order_submit",
+      table,
+      meta: {
+        orderId: order.id,
+        items: orderItems.length,
+        total: order.total
+      }
+    });
+    await fireRestaurantWebhook(restaurant, "orders", {
+      type: "order_created",
+      order,
+      restaurantId: restaurant.id
+    });
+    return json({ order, tab: tab ? toPublicTab(tab, await listTabOrders(env, tab)) : null });
+  }
+
+  const publicTabSplitRoute = method === "POST" && matchRoute("/api/public/tabs/:id/split", pathname);
+  if (publicTabSplitRoute) {
+    const ip = getClientIp(request);
+    const rate = await consumeRateLimit(env, `split:${ip}`, config.eventMaxPerWindow, config.eventWindowMs);
+    if (!rate.allowed) {
+      return json(
+        { error: "too_many_requests", retryAfterSeconds: rate.retryAfterSeconds },
+        429,
+        { "Retry-After": String(rate.retryAfterSeconds) }
+      );
+    }
+    const row = await env.DB.prepare("SELECT * FROM table_tabs WHERE id = ?1").bind(publicTabSplitRoute.id).first();
+    if (!row) return json({ error: "tab_not_found" }, 404);
+    const tab = mapTabRow(row);
+    const body = await parseJsonBody(request);
+    if (!(await verifyTabTableToken(getSessionSecret(env), tab, body.tableToken))) {
+      return json({ error: "table_token_required" }, 403);
+    }
+    const result = await replaceTabSplit(env, tab, body, false);
+    if (result.error) return json({ error: result.error, detail: result.detail }, result.httpStatus);
+    return json({ tab: toPublicTab(result.tab, result.orders) });
+  }
+
+  const publicOrderPaymentRoute = method === "POST" && matchRoute("/api/public/orders/:id/payments", pathname);
+  if (publicOrderPaymentRoute) {
+    const ip = getClientIp(request);
+    const rate = await consumeRateLimit(env, `payments:${ip}`, config.eventMaxPerWindow, config.eventWindowMs);
+    if (!rate.allowed) {
+      return json(
+        { error: "too_many_requests", retryAfterSeconds: rate.retryAfterSeconds },
+        429,
+        { "Retry-After": String(rate.retryAfterSeconds) }
+      );
+    }
+    const provider = getPaymentProvider(getPaymentSettings(env));
+    if (!provider) return json({ error: "payments_disabled" }, 503);
+    const body = await parseJsonBody(request);
+    const paymentMethod = sanitizePaymentMethod(body.method);
+    if (!paymentMethod) return json({ error: "invalid_payment_method" }, 400);
+    const orderRow = await env.DB.prepare("SELECT * FROM orders WHERE id = ?1").bind(publicOrderPaymentRoute.id).first();
+    if (!orderRow) return json({ error: "order_not_found" }, 404);
+    const order = mapOrderRow(orderRow);
+    if (order.paymentStatus === "pago") return json({ error: "order_already_paid" }, 409);
+    if (order.status === "cancelado" || order.status === "recusado") {
+      return json({ error: "order_not_payable" }, 409);
+    }
+    const now = new Date().toISOString();
+    const existing = await env.DB.prepare(
+      `SELECT * FROM payments
+       WHERE order_id = ?1 AND method = ?2 AND status = 'pendente' AND amount = ?3
+         AND (expires_at = '' OR expires_at > ?4)
+       ORDER BY created_at DESC LIMIT 1`
     )
-      .bind(
-        order.id,
-        order.restaurantId,
-        order.table,
-        JSON.stringify(order.items),
-        order.total,
-        order.status,
-        order.createdAt
-      )
-      .run();
+      .bind(order.id, paymentMethod, order.total, now)
+      .first();
+    if (existing) return json({ payment: toPublicPayment(mapPaymentRow(existing)) });
+    const restaurant = await getRestaurantById(env, order.restaurantId);
+    const origin = new URL(request.url).origin;
+    const payment = createPaymentRecord({
+      id: `pay-${crypto.randomUUID()}`,
+      restaurantId: order.restaurantId,
+      orderId: order.id,
+      method: paymentMethod,
+      amount: order.total,
+      provider: provider.id,
+      createdAt: now
+    });
+    try {
+      const charge =
+        paymentMethod === "pix"
+          ? await provider.createPixCharge(payment, { origin })
+          : await provider.createCheckout(payment, {
+              origin,
+              returnUrl: `${origin}/r/${restaurant.slug}?pagamento=${payment.id}`,
+              description: `${restaurant.name} - ${describeOrderTarget(order)}`
+            });
+      Object.assign(payment, charge);
+    } catch (error) {
+      return json({ error: "payment_provider_error", detail: error.message }, 502);
+    }
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO payments (
+          id, restaurant_id, order_id, provider, method, status, amount, currency, provider_ref,
+          checkout_url, pix_code, expires_at, created_at, updated_at
+        ) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14)`
+      ).bind(
+        payment.id,
+        payment.restaurantId,
+        payment.orderId,
+        payment.provider,
+        payment.method,
+        payment.status,
+        payment.amount,
+        payment.currency,
+        payment.providerRef,
+        payment.checkoutUrl,
+        payment.pixCode,
+        payment.expiresAt,
+        payment.createdAt,
+        payment.updatedAt
+      ),
+      env.DB.prepare("UPDATE orders SET payment_status = 'pendente' WHERE id = ?1").bind(order.id)
+    ]);
+    return json({ payment: toPublicPayment(payment) });
+  }
+
+  const publicPaymentMockRoute = matchRoute("/api/public/payments/:id/mock", pathname);
+  if (publicPaymentMockRoute && (method === "GET" || method === "POST")) {
+    const settings = getPaymentSettings(env);
+    const provider = getPaymentProvider(settings);
+    const row = await env.DB.prepare("SELECT * FROM payments WHERE id = ?1").bind(publicPaymentMockRoute.id).first();
+    const payment = row ? mapPaymentRow(row) : null;
+    if (!payment || payment.provider !== "mock" || !provider || provider.id !== "mock") {
+      return json({ error: "payment_not_found" }, 404);
+    }
+    const restaurant = await getRestaurantById(env, payment.restaurantId);
+    if (method === "GET") {
+      return new Response(renderMockCheckoutPage(payment, restaurant ? restaurant.name : ""), {
+        headers: { "content-type": "text/html; charset=utf-8" }
+      });
+    }
+    const outcome = url.searchParams.get("outcome") === "pago" ? "pago" : "falhou";
+    const result = await applyPaymentWebhook(env, provider, await buildMockWebhook(settings, payment, outcome));
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    const target = restaurant ? `/r/${restaurant.slug}?pagamento=${payment.id}` : "/";
+    return Response.redirect(new URL(target, request.url).toString(), 303);
+  }
 
-    await recordPublicEvent(env, request, {
-      restaurantId: restaurant.id,
-      restaurant,
-      eventType: "order_submit",
-      table,
-      meta: {
-        orderId: order.id,
-        items: orderItems.length,
-        total: order.total
-      }
+  const publicOrderPixRoute = method === "GET" && matchRoute("/api/public/orders/:id/pix", pathname);
+  if (publicOrderPixRoute) {
+    const row = await env.DB.prepare("SELECT * FROM orders WHERE id = ?1").bind(publicOrderPixRoute.id).first();
+    if (!row) return json({ error: "order_not_found" }, 404);
+    const order = mapOrderRow(row);
+    if (order.paymentStatus === "pago") return json({ error: "order_already_paid" }, 409);
+    if (order.status === "cancelado" || order.status === "recusado") {
+      return json({ error: "order_not_payable" }, 409);
+    }
+    const result = buildPixCharge(await getRestaurantById(env, order.restaurantId), {
+      amount: order.total,
+      txid: order.id
     });
-    await fireRestaurantWebhook(env, restaurant, "orders", {
-      type: "order_created",
-      order,
-      restaurantId: restaurant.id
+    if (result.error) return json({ error: result.error }, 400);
+    return json({ pix: result.pix });
+  }
+
+  const publicTabPixRoute = method === "GET" && matchRoute("/api/public/tabs/:id/pix", pathname);
+  if (publicTabPixRoute) {
+    const row = await env.DB.prepare("SELECT * FROM table_tabs WHERE id = ?1").bind(publicTabPixRoute.id).first();
+    if (!row) return json({ error: "tab_not_found" }, 404);
+    const tab = mapTabRow(row);
+    if (tab.status !== "open") return json({ error: "tab_closed" }, 409);
+    const shareId = url.searchParams.get("shareId") || "";
+    const share = shareId && tab.split ? tab.split.shares.find((entry) => entry.id === shareId) : null;
+    if (shareId && !share) return json({ error: "share_not_found" }, 404);
+    if (share && share.status === "paid") return json({ error: "share_already_paid" }, 409);
+    const amount = share ? share.amount : summarizeTab(tab, await listTabOrders(env, tab)).total;
+    const result = buildPixCharge(await getRestaurantById(env, tab.restaurantId), {
+      amount,
+      txid: share ? share.id : tab.id
     });
-    return json({ order });
+    if (result.error) return json({ error: result.error }, 400);
+    return json({ pix: result.pix });
+  }
+
+  const publicPaymentRoute = method === "GET" && matchRoute("/api/public/payments/:id", pathname);
+  if (publicPaymentRoute) {
+    const row = await env.DB.prepare("SELECT * FROM payments WHERE id = ?1").bind(publicPaymentRoute.id).first();
+    if (!row) return json({ error: "payment_not_found" }, 404);
+    return json({ payment: toPublicPayment(mapPaymentRow(row)) });
+  }
+
+  const paymentWebhookRoute = method === "POST" && matchRoute("/api/payments/webhook/:provider", pathname);
+  if (paymentWebhookRoute) {
+    const provider = getPaymentProvider(getPaymentSettings(env));
+    if (!provider || provider.id !== paymentWebhookRoute.provider) {
+      return json({ error: "payment_provider_not_found" }, 404);
+    }
+    const result = await applyPaymentWebhook(env, provider, {
+      headers: Object.fromEntries(request.headers),
+      rawBody: await request.text()
+    });
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    return json({ received: true });
+  }
+
+  const publicTabRoute = method === "GET" && matchRoute("/api/public/tabs/:id", pathname);
+  if (publicTabRoute) {
+    const row = await env.DB.prepare("SELECT * FROM table_tabs WHERE id = ?1").bind(publicTabRoute.id).first();
+    if (!row) return json({ error: "tab_not_found" }, 404);
+    const tab = mapTabRow(row);
+    return json({ tab: toPublicTab(tab, await listTabOrders(env, tab)) });
   }
 
   if (method === "POST" && pathname === "/api/public/leads") {
@@ -2455,7 +2674,7 @@ async function handleApi(request, env, url) {
       table: "",
       meta: { leadId, source: lead.source }
     });
-    await fireRestaurantWebhook(env, restaurant, "leads", {
+    await fireRestaurantWebhook(restaurant, "leads", {
       type: "lead_created",
       lead: { id: leadId, ...lead, createdAt: nowIso },
       restaurantId: restaurant.id
@@ -2489,29 +2708,82 @@ async function handleApi(request, env, url) {
     if (!reservation.name || !reservation.phone) {
       return json({ error: "name_phone_required" }, 400);
     }
+    // Without the availability engine the request is stored as typed and staff confirm it by hand.
+    let booking = null;
+    if (restaurant.reservationSettings.enabled) {
+      const result = resolveReservationBooking(restaurant.reservationSettings, reservation, {
+        tables: await listRestaurantTables(env, restaurant.id),
+        reservations: await listHoldingReservations(env, restaurant.id),
+        timezone: restaurant.timezone
+      });
+      if (result.error) return json({ error: result.error, detail: result.detail }, result.httpStatus || 400);
+      booking = result.booking;
+    }
 
     const reservationId = `res-${crypto.randomUUID()}`;
     const nowIso = new Date().toISOString();
-    await env.DB.prepare(
+    const record = {
+      id: reservationId,
+      restaurantId: restaurant.id,
+      name: reservation.name,
+      phone: reservation.phone,
+      email: reservation.email,
+      guests: reservation.guests,
+      date: reservation.dateLabel,
+      time: reservation.timeLabel,
+      notes: reservation.notes,
+      status: "novo",
+      code: await createReservationCode(env),
+      startsAt: "",
+      endsAt: "",
+      tableId: "",
+      tableLabel: "",
+      area: reservation.area,
+      ...booking,
+      source: reservation.source,
+      meta: reservation.meta || {},
+      createdAt: nowIso
+    };
+    const insert = env.DB.prepare(
       `INSERT INTO reservations
-       (id, restaurant_id, name, phone, email, guests, date_label, time_label, notes, status, source, meta_json, created_at)
-       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, 'novo', ?10, ?11, ?12)`
-    )
-      .bind(
-        reservationId,
-        restaurant.id,
-        reservation.name,
-        reservation.phone,
-        reservation.email,
-        reservation.guests,
-        reservation.dateLabel,
-        reservation.timeLabel,
-        reservation.notes,
-        reservation.source,
-        JSON.stringify(reservation.meta || {}),
-        nowIso
-      )
-      .run();
+       (id, restaurant_id, name, phone, email, guests, date_label, time_label, notes, status, source, meta_json,
+        created_at, code, starts_at, ends_at, table_id, table_label, area)
+       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14, ?15, ?16, ?17, ?18, ?19)`
+    ).bind(
+      record.id,
+      record.restaurantId,
+      record.name,
+      record.phone,
+      record.email,
+      record.guests,
+      record.date,
+      record.time,
+      record.notes,
+      record.status,
+      record.source,
+      JSON.stringify(record.meta),
+      record.createdAt,
+      record.code,
+      record.startsAt,
+      record.endsAt,
+      record.tableId,
+      record.tableLabel,
+      record.area
+    );
+    // The batch is one transaction: a hold already taken on the table aborts the whole booking.
+    const holds = record.tableId
+      ? listReservationHoldSlots(record).map((slot) =>
+          env.DB.prepare(
+            "INSERT INTO reservation_holds (restaurant_id, table_id, slot_start, reservation_id) VALUES (?1, ?2, ?3, ?4)"
+          ).bind(record.restaurantId, record.tableId, slot, record.id)
+        )
+      : [];
+    try {
+      await env.DB.batch([insert, ...holds]);
+    } catch (error) {
+      if (!/unique|constraint/i.test((error && error.message) || "")) throw error;
+      return json({ error: "reservation_unavailable" }, 409);
+    }
 
     await recordPublicEvent(env, request, {
       restaurantId: restaurant.id,
@@ -2520,12 +2792,46 @@ async function handleApi(request, env, url) {
       table: "",
       meta: { reservationId, guests: reservation.guests, source: reservation.source }
     });
-    await fireRestaurantWebhook(env, restaurant, "reservations", {
+    await fireRestaurantWebhook(restaurant, "reservations", {
       type: "reservation_created",
-      reservation: { id: reservationId, ...reservation, createdAt: nowIso, status: "novo" },
+      reservation: record,
       restaurantId: restaurant.id
     });
-    return json({ ok: true, reservationId });
+    return json({ ok: true, reservationId, reservation: toPublicReservation(record) });
+  }
+
+  const publicReservationRoute = method === "GET" && matchRoute("/api/public/reservations/:code", pathname);
+  const publicReservationCancel = method === "POST" && matchRoute("/api/public/reservations/:code/cancel", pathname);
+  if (publicReservationRoute || publicReservationCancel) {
+    const ip = getClientIp(request);
+    const rate = await consumeRateLimit(env, `reservations:${ip}`, config.eventMaxPerWindow, config.eventWindowMs);
+    if (!rate.allowed) {
+      return json(
+        { error: "too_many_requests", retryAfterSeconds: rate.retryAfterSeconds },
+        429,
+        { "Retry-After": String(rate.retryAfterSeconds) }
+      );
+    }
+    if (publicReservationRoute) {
+      const reservation = await findGuestReservation(env, publicReservationRoute.code, url.searchParams.get("phone"));
+      if (!reservation) return json({ error: "reservation_not_found" }, 404);
+      return json({ reservation: toPublicReservation(reservation) });
+    }
+    const body = await parseJsonBody(request);
+    const reservation = await findGuestReservation(env, publicReservationCancel.code, body.phone);
+    if (!reservation) return json({ error: "reservation_not_found" }, 404);
+    const result = cancelReservationByGuest(reservation);
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    await env.DB.batch(prepareReservationStatusUpdate(env, result.reservation));
+    const restaurant = await getRestaurantById(env, reservation.restaurantId);
+    if (restaurant) {
+      await fireRestaurantWebhook(restaurant, "reservations", {
+        type: "reservation_cancelled",
+        reservation: result.reservation,
+        restaurantId: restaurant.id
+      });
+    }
+    return json({ reservation: toPublicReservation(result.reservation) });
   }
 
   if (method === "POST" && pathname === "/api/public/waitlist") {
@@ -2557,10 +2863,26 @@ async function handleApi(request, env, url) {
 
     const waitlistId = `wait-${crypto.randomUUID()}`;
     const nowIso = new Date().toISOString();
+    const queueEntries = await listWaitlistQueueEntries(env, restaurant.id);
+    const waitlistRecord = {
+      id: waitlistId,
+      restaurantId: restaurant.id,
+      ...waitEntry,
+      status: "aguardando",
+      token: generateWaitlistToken(),
+      partiesAhead: countPartiesAhead(queueEntries, nowIso),
+      notifiedAt: "",
+      notifyCount: 0,
+      lastNotice: null,
+      seatedAt: "",
+      closedAt: "",
+      createdAt: nowIso
+    };
     await env.DB.prepare(
       `INSERT INTO waitlist_entries
-       (id, restaurant_id, name, phone, guests, eta_minutes, source, meta_json, created_at)
-       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9)`
+       (id, restaurant_id, name, phone, guests, eta_minutes, source, meta_json, created_at,
+        status, token, parties_ahead)
+       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12)`
     )
       .bind(
         waitlistId,
@@ -2571,7 +2893,10 @@ async function handleApi(request, env, url) {
         waitEntry.etaMinutes,
         waitEntry.source,
         JSON.stringify(waitEntry.meta || {}),
-        nowIso
+        nowIso,
+        waitlistRecord.status,
+        waitlistRecord.token,
+        waitlistRecord.partiesAhead
       )
       .run();
 
@@ -2582,12 +2907,46 @@ async function handleApi(request, env, url) {
       table: "",
       meta: { waitlistId, guests: waitEntry.guests, source: waitEntry.source }
     });
-    await fireRestaurantWebhook(env, restaurant, "waitlist", {
+    await fireRestaurantWebhook(restaurant, "waitlist", {
       type: "waitlist_created",
-      waitlist: { id: waitlistId, ...waitEntry, createdAt: nowIso },
+      waitlist: waitlistRecord,
       restaurantId: restaurant.id
     });
-    return json({ ok: true, waitlistId });
+    const queue = describeWaitlistQueue(queueEntries.concat(waitlistRecord));
+    return json({
+      ok: true,
+      waitlistId,
+      token: waitlistRecord.token,
+      entry: toPublicWaitlistEntry(waitlistRecord, queue)
+    });
+  }
+
+  // The token is private to the guest, so status polling skips the engagement rate limit.
+  const publicWaitlistRoute = method === "GET" && matchRoute("/api/public/waitlist/:token", pathname);
+  if (publicWaitlistRoute) {
+    const entry = await findWaitlistByToken(env, publicWaitlistRoute.token);
+    if (!entry) return json({ error: "waitlist_not_found" }, 404);
+    const restaurant = await getRestaurantById(env, entry.restaurantId);
+    const queue = describeWaitlistQueue(await listWaitlistQueueEntries(env, entry.restaurantId));
+    return json({ entry: toPublicWaitlistEntry(entry, queue), restaurantName: restaurant ? restaurant.name : "" });
+  }
+
+  const publicWaitlistCancel = method === "POST" && matchRoute("/api/public/waitlist/:token/cancel", pathname);
+  if (publicWaitlistCancel) {
+    const entry = await findWaitlistByToken(env, publicWaitlistCancel.token);
+    if (!entry) return json({ error: "waitlist_not_found" }, 404);
+    const result = cancelWaitlistByGuest(entry);
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    await prepareWaitlistUpdate(env, result.entry).run();
+    const restaurant = await getRestaurantById(env, entry.restaurantId);
+    if (restaurant) {
+      await fireRestaurantWebhook(restaurant, "waitlist", {
+        type: "waitlist_updated",
+        waitlist: result.entry,
+        restaurantId: restaurant.id
+      });
+    }
+    return json({ entry: toPublicWaitlistEntry(result.entry, null) });
   }
 
   if (method === "POST" && pathname === "/api/public/feedback") {
@@ -2613,40 +2972,59 @@ async function handleApi(request, env, url) {
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
 
     const feedback = sanitizeFeedbackPayload(body);
-    if (!feedback.comment && !feedback.email) {
+    const orderRow = feedback.orderId
+      ? await env.DB.prepare("SELECT * FROM orders WHERE id = ?1 AND restaurant_id = ?2")
+          .bind(feedback.orderId, restaurant.id)
+          .first()
+      : null;
+    const rated = resolveFeedbackItems(feedback, orderRow ? mapOrderRow(orderRow) : null);
+    if (rated.error) return json({ error: rated.error, detail: rated.detail }, rated.httpStatus);
+    if (!feedback.comment && !feedback.email && feedback.nps === null && !rated.items.length) {
       return json({ error: "feedback_required" }, 400);
     }
 
     const feedbackId = `fb-${crypto.randomUUID()}`;
     const nowIso = new Date().toISOString();
-    await env.DB.prepare(
-      `INSERT INTO feedback_entries
-       (id, restaurant_id, name, email, rating, comment, source, meta_json, created_at)
-       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9)`
-    )
-      .bind(
-        feedbackId,
-        restaurant.id,
-        feedback.name,
-        feedback.email,
-        feedback.rating,
-        feedback.comment,
-        feedback.source,
-        JSON.stringify(feedback.meta || {}),
-        nowIso
+    const followUp = needsFeedbackFollowUp({ ...feedback, items: rated.items }) ? "pendente" : "";
+    // One feedback per order: the partial unique index rejects a second one.
+    try {
+      await env.DB.prepare(
+        `INSERT INTO feedback_entries
+         (id, restaurant_id, name, email, rating, comment, source, meta_json, created_at,
+          order_id, nps, items_json, follow_up)
+         VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13)`
       )
-      .run();
+        .bind(
+          feedbackId,
+          restaurant.id,
+          feedback.name,
+          feedback.email,
+          feedback.rating || 0,
+          feedback.comment,
+          feedback.source,
+          JSON.stringify(feedback.meta || {}),
+          nowIso,
+          orderRow ? orderRow.id : "",
+          feedback.nps,
+          JSON.stringify(rated.items),
+          followUp
+        )
+        .run();
+    } catch (error) {
+      if (!/unique|constraint/i.test((error && error.message) || "")) throw error;
+      return json({ error: "feedback_already_sent" }, 409);
+    }
 
     await recordPublicEvent(env, request, {
       restaurantId: restaurant.id,
       restaurant,
       eventType: "feedback_submit",
       table: "",
-      meta: { feedbackId, rating: feedback.rating, source: feedback.source }
+      meta: { feedbackId, rating: feedback.rating, nps: feedback.nps, source: feedback.source }
     });
-    await fireRestaurantWebhook(env, restaurant, "feedback", {
+    await fireRestaurantWebhook(restaurant, "feedback", {
       type: "feedback_created",
-      feedback: { id: feedbackId, ...feedback, createdAt: nowIso },
+      feedback: { id: feedbackId, ...feedback, items: rated.items, followUp, createdAt: nowIso },
       restaurantId: restaurant.id
     });
     return json({ ok: true, feedbackId });
@@ -2718,6 +3096,7 @@ async function handleApi(request, env, url) {
   const auth = await getAuthUser(request, env, true);
   if (!auth) return unauthorized();
   const currentUser = auth.user;
+  if (!isRouteAllowedForRole(currentUser.role, method, pathname)) return forbidden();
 
   if (method === "GET" && pathname === "/api/me") {
     return json({ user: sanitizeUser(currentUser) });
@@ -2728,10 +3107,42 @@ async function handleApi(request, env, url) {
     return json({ ok: true });
   }
 
+  if (method === "POST" && pathname === "/api/logout-all") {
+    const result = await env.DB.prepare("DELETE FROM sessions WHERE user_id = ?1").bind(currentUser.id).run();
+    return json({ ok: true, revoked: toInt(result?.meta?.changes, 0) });
+  }
+
+  if (method === "GET" && pathname === "/api/sessions") {
+    const rows = await env.DB.prepare(
+      "SELECT token_hash, expires_at, created_at FROM sessions WHERE user_id = ?1 ORDER BY created_at DESC"
+    )
+      .bind(currentUser.id)
+      .all();
+    const sessions = (rows.results || []).map((row) =>
+      toSessionSummary(
+        { tokenHash: row.token_hash, expiresAt: row.expires_at, createdAt: row.created_at },
+        auth.tokenHash
+      )
+    );
+    return json({ sessions });
+  }
+
+  const deleteSessionRoute = method === "DELETE" && matchRoute("/api/sessions/:id", pathname);
+  if (deleteSessionRoute) {
+    const sessionId = sanitizeText(deleteSessionRoute.id, 64);
+    const rows = await env.DB.prepare("SELECT token_hash FROM sessions WHERE user_id = ?1")
+      .bind(currentUser.id)
+      .all();
+    const target = (rows.results || []).find((row) => sessionId && getSessionId(row.token_hash) === sessionId);
+    if (!target) return json({ error: "session_not_found" }, 404);
+    await env.DB.prepare("DELETE FROM sessions WHERE token_hash = ?1").bind(target.token_hash).run();
+    return json({ ok: true, current: target.token_hash === auth.tokenHash });
+  }
+
   if (method === "GET" && pathname === "/api/ai/providers") {
     const config = getConfig(env);
     return json({
-      providers: getAiProviders(env),
+      providers: getAiProviders(getMeshySettings(env)),
       qa: { minPublishScore: config.qaMinPublishScore },
       captureGuide: {
         minStartFood: config.captureMinStartFood,
@@ -2868,6 +3279,13 @@ async function handleApi(request, env, url) {
     if (body.integrations !== undefined) {
       next.integrations = sanitizeIntegrations(body.integrations);
     }
+    if (body.timezone !== undefined) next.timezone = sanitizeTimezone(body.timezone);
+    if (body.schedule !== undefined) next.schedule = sanitizeSchedule(body.schedule);
+    if (body.charges !== undefined) next.charges = sanitizeCharges(body.charges);
+    if (body.fulfillment !== undefined) next.fulfillment = sanitizeFulfillment(body.fulfillment);
+    if (body.reservationSettings !== undefined) {
+      next.reservationSettings = sanitizeReservationSettings(body.reservationSettings);
+    }
     next.languageSettings = next.languageSettings || {};
     next.languageSettings.defaultLanguage = sanitizeLanguageCode(
       next.languageSettings.defaultLanguage || currentDefaultLanguage
@@ -2897,8 +3315,9 @@ async function handleApi(request, env, url) {
        SET name = ?1, slug = ?2, description = ?3, logo = ?4, accent = ?5, template = ?6, hero_images_json = ?7,
            contact_address = ?8, contact_phone = ?9, contact_email = ?10, contact_website = ?11,
            languages_json = ?12, default_language = ?13, ui_messages_json = ?14, category_labels_json = ?15,
-           integrations_json = ?16
-       WHERE id = ?17`
+           integrations_json = ?16, timezone = ?17, schedule_json = ?18, charges_json = ?19, fulfillment_json = ?20,
+           reservation_settings_json = ?21
+       WHERE id = ?22`
     )
       .bind(
         next.name,
@@ -2917,6 +3336,11 @@ async function handleApi(request, env, url) {
         JSON.stringify(next.uiMessages || {}),
         JSON.stringify(next.categoryLabels || {}),
         JSON.stringify(next.integrations || {}),
+        sanitizeTimezone(next.timezone),
+        JSON.stringify(sanitizeSchedule(next.schedule)),
+        JSON.stringify(sanitizeCharges(next.charges)),
+        JSON.stringify(sanitizeFulfillment(next.fulfillment)),
+        JSON.stringify(sanitizeReservationSettings(next.reservationSettings)),
         next.id
       )
       .run();
@@ -2926,11 +3350,13 @@ async function handleApi(request, env, url) {
 
   const createRestaurantUser = method === "POST" && matchRoute("/api/restaurants/:id/users", pathname);
   if (createRestaurantUser) {
-    if (currentUser.role !== "master") return forbidden();
     const restaurant = await getRestaurantById(env, createRestaurantUser.id);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
 
     const body = await parseJsonBody(request);
+    const role = sanitizeStaffRole(body.role, currentUser.role);
+    if (!role) return forbidden();
     const email = normalizeEmail(body.email);
     const password = (body.password || "").toString();
     if (!email || !password) return json({ error: "email_password_required" }, 400);
@@ -2943,7 +3369,7 @@ async function handleApi(request, env, url) {
       id: `u-${crypto.randomUUID()}`,
       email,
       passwordHash: await hashPassword(password),
-      role: "client",
+      role,
       restaurantId: restaurant.id
     };
     await env.DB.prepare(
@@ -2972,7 +3398,11 @@ async function handleApi(request, env, url) {
     )
       .bind(restaurant.id)
       .all();
-    return json({ items: (results || []).map(mapItemRow) });
+    const today = getStockDate(restaurant.timezone);
+    const items = (results || [])
+      .map(mapItemRow)
+      .map((item) => ({ ...item, availability: getItemAvailability(item, today) }));
+    return json({ items });
   }
 
   const createRestaurantItem = method === "POST" && matchRoute("/api/restaurants/:id/items", pathname);
@@ -2993,12 +3423,17 @@ async function handleApi(request, env, url) {
       modelGlb: sanitizeNullableUrl(body.modelGlb),
       modelUsdz: sanitizeNullableUrl(body.modelUsdz),
       category: sanitizeText(body.category, 80),
+      optionGroups: sanitizeOptionGroups(body.optionGroups),
+      comboGroups: sanitizeComboGroups(body.comboGroups, await listComboCandidateIds(env, restaurant.id, "")),
+      daypartIds: sanitizeDaypartIds(body.daypartIds, restaurant.schedule.dayparts),
       scans: []
     };
+    applyItemAvailabilityInput(item, body, getStockDate(restaurant.timezone));
     await env.DB.prepare(
       `INSERT INTO items
-       (id, restaurant_id, name, description, price, image, model_glb, model_usdz, category, scans_json)
-       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10)`
+       (id, restaurant_id, name, description, price, image, model_glb, model_usdz, category, scans_json, option_groups_json,
+        daypart_ids_json, combo_groups_json)
+       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13)`
     )
       .bind(
         item.id,
@@ -3010,9 +3445,13 @@ async function handleApi(request, env, url) {
         item.modelGlb,
         item.modelUsdz,
         item.category,
-        JSON.stringify(item.scans)
+        JSON.stringify(item.scans),
+        JSON.stringify(item.optionGroups),
+        JSON.stringify(item.daypartIds),
+        JSON.stringify(item.comboGroups)
       )
       .run();
+    await saveItemAvailability(env, item);
     return json({ item });
   }
 
@@ -3022,6 +3461,7 @@ async function handleApi(request, env, url) {
     if (!item) return json({ error: "item_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, item.restaurantId)) return forbidden();
     const body = await parseJsonBody(request);
+    const owner = await getRestaurantById(env, item.restaurantId);
     const next = { ...item };
     if (body.name !== undefined) {
       const sanitizedName = sanitizeText(body.name, 160);
@@ -3034,10 +3474,22 @@ async function handleApi(request, env, url) {
     if (body.modelGlb !== undefined) next.modelGlb = sanitizeNullableUrl(body.modelGlb);
     if (body.modelUsdz !== undefined) next.modelUsdz = sanitizeNullableUrl(body.modelUsdz);
     if (body.category !== undefined) next.category = sanitizeText(body.category, 80);
+    if (body.optionGroups !== undefined) next.optionGroups = sanitizeOptionGroups(body.optionGroups);
+    if (body.comboGroups !== undefined) {
+      next.comboGroups = sanitizeComboGroups(
+        body.comboGroups,
+        await listComboCandidateIds(env, item.restaurantId, item.id)
+      );
+    }
+    if (body.daypartIds !== undefined) {
+      next.daypartIds = sanitizeDaypartIds(body.daypartIds, owner ? owner.schedule.dayparts : []);
+    }
+    applyItemAvailabilityInput(next, body, getStockDate(owner && owner.timezone));
     await env.DB.prepare(
       `UPDATE items
-       SET name = ?1, description = ?2, price = ?3, image = ?4, model_glb = ?5, model_usdz = ?6, category = ?7, scans_json = ?8
-       WHERE id = ?9`
+       SET name = ?1, description = ?2, price = ?3, image = ?4, model_glb = ?5, model_usdz = ?6, category = ?7,
+           scans_json = ?8, option_groups_json = ?9, daypart_ids_json = ?10, combo_groups_json = ?11
+       WHERE id = ?12`
     )
       .bind(
         next.name,
@@ -3048,12 +3500,29 @@ async function handleApi(request, env, url) {
         next.modelUsdz,
         next.category || "",
         JSON.stringify(next.scans || []),
+        JSON.stringify(next.optionGroups || []),
+        JSON.stringify(next.daypartIds || []),
+        JSON.stringify(next.comboGroups || []),
         next.id
       )
       .run();
+    await saveItemAvailability(env, next);
     return json({ item: next });
   }
 
+  const updateItemAvailability = method === "PUT" && matchRoute("/api/items/:id/availability", pathname);
+  if (updateItemAvailability) {
+    const item = await getItemById(env, updateItemAvailability.id);
+    if (!item) return json({ error: "item_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, item.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const owner = await getRestaurantById(env, item.restaurantId);
+    const today = getStockDate(owner && owner.timezone);
+    applyItemAvailabilityInput(item, { available: body.available, stockRemaining: body.stockRemaining }, today);
+    await saveItemAvailability(env, item);
+    return json({ item, availability: getItemAvailability(item, today) });
+  }
+
   const deleteItemRoute = method === "DELETE" && matchRoute("/api/items/:id", pathname);
   if (deleteItemRoute) {
     const item = await getItemById(env, deleteItemRoute.id);
@@ -3137,11 +3606,17 @@ async function handleApi(request, env, url) {
     const sinceMs = Date.now() - daysParam * 24 * 60 * 60 * 1000;
     const sinceIso = new Date(sinceMs).toISOString();
 
+    // Cancelled and refused orders still count as placed orders but never as money.
+    const billable = (column) => `CASE WHEN status NOT IN ('cancelado', 'recusado') THEN ${column} END`;
     const orderSummary = await env.DB.prepare(
       `SELECT
         COUNT(*) AS orders_total,
-        COALESCE(SUM(total), 0) AS revenue_total,
-        COALESCE(AVG(total), 0) AS avg_ticket
+        COALESCE(SUM(${billable("total")}), 0) AS revenue_total,
+        COALESCE(AVG(${billable("total")}), 0) AS avg_ticket,
+        COALESCE(SUM(${billable("service_charge")}), 0) AS service_charge_total,
+        COALESCE(SUM(${billable("tip")}), 0) AS tip_total,
+        COALESCE(SUM(${billable("delivery_fee")}), 0) AS delivery_fee_total,
+        COALESCE(SUM(${billable("discount")}), 0) AS discount_total
        FROM orders
        WHERE restaurant_id = ?1 AND created_at >= ?2`
     )
@@ -3173,7 +3648,13 @@ async function handleApi(request, env, url) {
       .all();
 
     const ordersRows = await env.DB.prepare(
-      "SELECT items_json FROM orders WHERE restaurant_id = ?1 AND created_at >= ?2"
+      "SELECT status, items_json, promotions_json FROM orders WHERE restaurant_id = ?1 AND created_at >= ?2"
+    )
+      .bind(restaurant.id, sinceIso)
+      .all();
+
+    const feedbackRows = await env.DB.prepare(
+      "SELECT * FROM feedback_entries WHERE restaurant_id = ?1 AND created_at >= ?2"
     )
       .bind(restaurant.id, sinceIso)
       .all();
@@ -3229,7 +3710,19 @@ async function handleApi(request, env, url) {
         summary: {
           ordersTotal,
           revenueTotal: Number(orderSummary?.revenue_total || 0),
-          avgTicket: Number(orderSummary?.avg_ticket || 0),
+          avgTicket: Number(Number(orderSummary?.avg_ticket || 0).toFixed(2)),
+          itemsRevenue: Number(
+            (
+              Number(orderSummary?.revenue_total || 0) -
+              Number(orderSummary?.service_charge_total || 0) -
+              Number(orderSummary?.tip_total || 0) -
+              Number(orderSummary?.delivery_fee_total || 0)
+            ).toFixed(2)
+          ),
+          serviceChargeTotal: Number(Number(orderSummary?.service_charge_total || 0).toFixed(2)),
+          tipTotal: Number(Number(orderSummary?.tip_total || 0).toFixed(2)),
+          deliveryFeeTotal: Number(Number(orderSummary?.delivery_fee_total || 0).toFixed(2)),
+          discountTotal: Number(Number(orderSummary?.discount_total || 0).toFixed(2)),
           menuViews,
           arOpens,
           addToCart: toInt(events.add_to_cart, 0),
@@ -3238,20 +3731,41 @@ async function handleApi(request, env, url) {
         },
         conversion,
         topArItems,
-        topOrderedItems
+        topOrderedItems,
+        promotions: summarizePromotionUsage(
+          (ordersRows.results || []).map((row) => ({
+            status: row.status,
+            promotions: parseJsonSafe(row.promotions_json, [])
+          }))
+        ),
+        feedback: summarizeFeedback((feedbackRows.results || []).map(mapFeedbackRow), {
+          days: daysParam,
+          since: sinceIso
+        })
       }
     });
   }
 
+  const orderStreamRoute = method === "GET" && matchRoute("/api/restaurants/:id/orders/stream", pathname);
+  if (orderStreamRoute) {
+    const restaurant = await getRestaurantById(env, orderStreamRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    return streamRestaurantOrders(env, restaurant.id, request.headers.get("last-event-id") || "");
+  }
+
   const listOrdersRoute = method === "GET" && matchRoute("/api/restaurants/:id/orders", pathname);
   if (listOrdersRoute) {
     const restaurant = await getRestaurantById(env, listOrdersRoute.id);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const orderType = sanitizeOrderType(url.searchParams.get("type"));
     const { results } = await env.DB.prepare(
-      "SELECT * FROM orders WHERE restaurant_id = ?1 ORDER BY created_at DESC"
+      orderType
+        ? "SELECT * FROM orders WHERE restaurant_id = ?1 AND COALESCE(order_type, 'dine_in') = ?2 ORDER BY created_at DESC"
+        : "SELECT * FROM orders WHERE restaurant_id = ?1 ORDER BY created_at DESC"
     )
-      .bind(restaurant.id)
+      .bind(...(orderType ? [restaurant.id, orderType] : [restaurant.id]))
       .all();
     return json({ orders: (results || []).map(mapOrderRow) });
   }
@@ -3263,12 +3777,366 @@ async function handleApi(request, env, url) {
     const order = mapOrderRow(row);
     if (!canAccessRestaurant(currentUser, order.restaurantId)) return forbidden();
     const body = await parseJsonBody(request);
-    const status = (body.status || "").toString().toLowerCase();
-    const allowed = new Set(["novo", "aceito", "entregue", "cancelado"]);
-    if (!allowed.has(status)) return json({ error: "invalid_status" }, 400);
-    await env.DB.prepare("UPDATE orders SET status = ?1 WHERE id = ?2").bind(status, order.id).run();
-    order.status = status;
-    return json({ order });
+    const result = transitionOrder(order, body, currentUser.id);
+    if (result.error) {
+      return json(
+        { error: result.error, ...(result.allowed ? { from: result.from, allowed: result.allowed } : {}) },
+        result.httpStatus
+      );
+    }
+    const next = result.order;
+    // Only moves the order from the status it was read with, so two concurrent changes cannot both apply.
+    const updated = await env.DB.prepare(
+      `UPDATE orders
+       SET status = ?1, status_reason = ?2, status_history_json = ?3, updated_at = ?4
+       WHERE id = ?5 AND status = ?6`
+    )
+      .bind(next.status, next.statusReason, JSON.stringify(next.statusHistory), next.updatedAt, order.id, order.status)
+      .run();
+    if (!updated.meta || !updated.meta.changes) return json({ error: "order_status_changed" }, 409);
+    if (isOrderVoid(next)) {
+      const restaurant = await getRestaurantById(env, order.restaurantId);
+      await releaseOrderStock(env, listOrderStockClaims(order, restaurant ? restaurant.timezone : ""));
+      if (usesPickupSlot(order)) await releasePickupSlot(env, order);
+      await releasePromotionUses(env, order.promotions || []);
+    }
+    return json({ order: next });
+  }
+
+  const orderPaymentRoute = method === "PUT" && matchRoute("/api/orders/:id/payment", pathname);
+  if (orderPaymentRoute) {
+    const row = await env.DB.prepare("SELECT * FROM orders WHERE id = ?1").bind(orderPaymentRoute.id).first();
+    if (!row) return json({ error: "order_not_found" }, 404);
+    const order = mapOrderRow(row);
+    if (!canAccessRestaurant(currentUser, order.restaurantId)) return forbidden();
+    const paid = Boolean((await parseJsonBody(request)).paid);
+    if (!paid) {
+      const confirmed = await env.DB.prepare("SELECT id FROM payments WHERE order_id = ?1 AND status = 'pago' LIMIT 1")
+        .bind(order.id)
+        .first();
+      if (confirmed) return json({ error: "payment_confirmed_by_provider" }, 409);
+    }
+    const next = { ...order, paymentStatus: paid ? "pago" : "", updatedAt: new Date().toISOString() };
+    await env.DB.prepare("UPDATE orders SET payment_status = ?1, updated_at = ?2 WHERE id = ?3")
+      .bind(next.paymentStatus, next.updatedAt, order.id)
+      .run();
+    const restaurant = await getRestaurantById(env, order.restaurantId);
+    if (restaurant) {
+      await fireRestaurantWebhook(restaurant, "orders", {
+        type: "order_payment",
+        order: next,
+        payment: { method: "manual", status: next.paymentStatus, confirmedBy: currentUser.id },
+        restaurantId: restaurant.id
+      });
+    }
+    return json({ order: next });
+  }
+
+  const listTabsRoute = method === "GET" && matchRoute("/api/restaurants/:id/tabs", pathname);
+  if (listTabsRoute) {
+    const restaurant = await getRestaurantById(env, listTabsRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const status = sanitizeTabStatus(url.searchParams.get("status")) || "open";
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM table_tabs WHERE restaurant_id = ?1 AND status = ?2
+       ORDER BY ${status === "closed" ? "closed_at" : "opened_at"} DESC LIMIT ?3`
+    )
+      .bind(restaurant.id, status, TAB_LIST_LIMIT)
+      .all();
+    const tabs = await Promise.all(
+      (results || []).map(mapTabRow).map(async (tab) => ({
+        ...tab,
+        summary: tab.summary || summarizeTab(tab, await listTabOrders(env, tab))
+      }))
+    );
+    return json({
+      tabs,
+      totals: { count: tabs.length, total: roundMoney(tabs.reduce((acc, tab) => acc + tab.summary.total, 0)) }
+    });
+  }
+
+  const closeTabRoute = method === "POST" && matchRoute("/api/tabs/:id/close", pathname);
+  if (closeTabRoute) {
+    const row = await env.DB.prepare("SELECT * FROM table_tabs WHERE id = ?1").bind(closeTabRoute.id).first();
+    if (!row) return json({ error: "tab_not_found" }, 404);
+    const tab = mapTabRow(row);
+    if (!canAccessRestaurant(currentUser, tab.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const result = closeTab(tab, await listTabOrders(env, tab), currentUser.id, { force: Boolean(body.force) });
+    if (result.error) {
+      return json(
+        { error: result.error, ...(result.orderIds ? { orderIds: result.orderIds } : {}) },
+        result.httpStatus
+      );
+    }
+    const next = result.tab;
+    await env.DB.prepare(
+      `UPDATE table_tabs SET status = ?1, closed_at = ?2, closed_by = ?3, summary_json = ?4, settled = ?5
+       WHERE id = ?6`
+    )
+      .bind(next.status, next.closedAt, next.closedBy, JSON.stringify(next.summary), next.settled ? 1 : 0, next.id)
+      .run();
+    return json({ tab: next });
+  }
+
+  const tabSplitRoute = method === "POST" && matchRoute("/api/tabs/:id/split", pathname);
+  if (tabSplitRoute) {
+    const row = await env.DB.prepare("SELECT * FROM table_tabs WHERE id = ?1").bind(tabSplitRoute.id).first();
+    if (!row) return json({ error: "tab_not_found" }, 404);
+    const tab = mapTabRow(row);
+    if (!canAccessRestaurant(currentUser, tab.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const result = await replaceTabSplit(env, tab, body, Boolean(body.force));
+    if (result.error) return json({ error: result.error, detail: result.detail }, result.httpStatus);
+    return json({ tab: toPublicTab(result.tab, result.orders) });
+  }
+
+  const tabShareRoute = method === "PUT" && matchRoute("/api/tabs/:id/split/shares/:shareId", pathname);
+  if (tabShareRoute) {
+    const row = await env.DB.prepare("SELECT * FROM table_tabs WHERE id = ?1").bind(tabShareRoute.id).first();
+    if (!row) return json({ error: "tab_not_found" }, 404);
+    const tab = mapTabRow(row);
+    if (!canAccessRestaurant(currentUser, tab.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const paid = !(body.paid === false || body.paid === "false");
+    const result = setSharePaid(tab.split, tabShareRoute.shareId, paid, currentUser.id);
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    const orders = await listTabOrders(env, tab);
+    const next = { ...tab, split: result.split };
+    next.settled = isTabSettled(next, orders);
+    await saveTabSplit(env, next);
+    return json({ tab: toPublicTab(next, orders) });
+  }
+
+  const listServiceRequestsRoute =
+    method === "GET" && matchRoute("/api/restaurants/:id/service-requests", pathname);
+  if (listServiceRequestsRoute) {
+    const restaurant = await getRestaurantById(env, listServiceRequestsRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const status = url.searchParams.get("status") === "all" ? "all" : "pending";
+    return json({ requests: await listServiceRequests(env, restaurant.id, status) });
+  }
+
+  const updateServiceRequestRoute = method === "PUT" && matchRoute("/api/service-requests/:id", pathname);
+  if (updateServiceRequestRoute) {
+    const row = await env.DB.prepare("SELECT * FROM service_requests WHERE id = ?1")
+      .bind(updateServiceRequestRoute.id)
+      .first();
+    if (!row) return json({ error: "service_request_not_found" }, 404);
+    const serviceRequest = mapServiceRequestRow(row);
+    if (!canAccessRestaurant(currentUser, serviceRequest.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const result = acknowledgeServiceRequest(serviceRequest, body, currentUser.id);
+    if (result.error) return json({ error: result.error }, 400);
+    const next = result.request;
+    if (next.status !== serviceRequest.status) {
+      await env.DB.prepare(
+        "UPDATE service_requests SET status = ?1, acknowledged_at = ?2, acknowledged_by = ?3 WHERE id = ?4"
+      )
+        .bind(next.status, next.acknowledgedAt, next.acknowledgedBy, next.id)
+        .run();
+    }
+    return json({ request: next });
+  }
+
+  const listTablesRoute = method === "GET" && matchRoute("/api/restaurants/:id/tables", pathname);
+  if (listTablesRoute) {
+    const restaurant = await getRestaurantById(env, listTablesRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const tables = await listRestaurantTables(env, restaurant.id);
+    return json({ tables: await Promise.all(tables.map((table) => withTableLink(env, table, restaurant))) });
+  }
+
+  const createTablesRoute = method === "POST" && matchRoute("/api/restaurants/:id/tables", pathname);
+  if (createTablesRoute) {
+    const restaurant = await getRestaurantById(env, createTablesRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const body = await parseJsonBody(request);
+    const existing = await listRestaurantTables(env, restaurant.id);
+    const inputs = Array.isArray(body.tables) ? body.tables : [body];
+    if (!inputs.length) return json({ error: "invalid_table_label" }, 400);
+    if (existing.length + inputs.length > MAX_TABLES_PER_RESTAURANT) {
+      return json({ error: "too_many_tables", max: MAX_TABLES_PER_RESTAURANT }, 400);
+    }
+    const createdAt = new Date().toISOString();
+    const created = [];
+    for (const input of inputs) {
+      const parsed = sanitizeTableInput(input);
+      if (parsed.error) return json({ error: parsed.error }, 400);
+      if (findTableByLabel(existing.concat(created), parsed.table.label)) {
+        return json({ error: "table_label_in_use", label: parsed.table.label }, 409);
+      }
+      created.push({ id: `t-${crypto.randomUUID()}`, restaurantId: restaurant.id, ...parsed.table, createdAt });
+    }
+    await env.DB.batch(
+      created.map((table) =>
+        env.DB.prepare(
+          `INSERT INTO restaurant_tables (id, restaurant_id, label, zone, seats, active, created_at)
+           VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7)`
+        ).bind(
+          table.id,
+          table.restaurantId,
+          table.label,
+          table.zone,
+          table.seats,
+          table.active ? 1 : 0,
+          table.createdAt
+        )
+      )
+    );
+    return json({ tables: await Promise.all(created.map((table) => withTableLink(env, table, restaurant))) });
+  }
+
+  const updateTableRoute = method === "PUT" && matchRoute("/api/tables/:id", pathname);
+  if (updateTableRoute) {
+    const row = await env.DB.prepare("SELECT * FROM restaurant_tables WHERE id = ?1").bind(updateTableRoute.id).first();
+    if (!row) return json({ error: "table_not_found" }, 404);
+    const table = mapTableRow(row);
+    if (!canAccessRestaurant(currentUser, table.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const parsed = sanitizeTableInput(body, table);
+    if (parsed.error) return json({ error: parsed.error }, 400);
+    const others = (await listRestaurantTables(env, table.restaurantId)).filter((entry) => entry.id !== table.id);
+    if (findTableByLabel(others, parsed.table.label)) {
+      return json({ error: "table_label_in_use", label: parsed.table.label }, 409);
+    }
+    Object.assign(table, parsed.table);
+    await env.DB.prepare("UPDATE restaurant_tables SET label = ?1, zone = ?2, seats = ?3, active = ?4 WHERE id = ?5")
+      .bind(table.label, table.zone, table.seats, table.active ? 1 : 0, table.id)
+      .run();
+    const restaurant = await getRestaurantById(env, table.restaurantId);
+    return json({ table: await withTableLink(env, table, restaurant) });
+  }
+
+  const deleteTableRoute = method === "DELETE" && matchRoute("/api/tables/:id", pathname);
+  if (deleteTableRoute) {
+    const row = await env.DB.prepare("SELECT * FROM restaurant_tables WHERE id = ?1").bind(deleteTableRoute.id).first();
+    if (!row) return json({ error: "table_not_found" }, 404);
+    const table = mapTableRow(row);
+    if (!canAccessRestaurant(currentUser, table.restaurantId)) return forbidden();
+    await env.DB.prepare("DELETE FROM restaurant_tables WHERE id = ?1").bind(table.id).run();
+    return json({ ok: true, removedTableId: table.id });
+  }
+
+  const listPromotionsRoute = method === "GET" && matchRoute("/api/restaurants/:id/promotions", pathname);
+  if (listPromotionsRoute) {
+    const restaurant = await getRestaurantById(env, listPromotionsRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    return json({ promotions: await listRestaurantPromotions(env, restaurant.id) });
+  }
+
+  const createPromotionRoute = method === "POST" && matchRoute("/api/restaurants/:id/promotions", pathname);
+  if (createPromotionRoute) {
+    const restaurant = await getRestaurantById(env, createPromotionRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const existing = await listRestaurantPromotions(env, restaurant.id);
+    if (existing.length >= MAX_PROMOTIONS_PER_RESTAURANT) {
+      return json({ error: "too_many_promotions", max: MAX_PROMOTIONS_PER_RESTAURANT }, 400);
+    }
+    const parsed = sanitizePromotionInput(await parseJsonBody(request));
+    if (parsed.error) return json({ error: parsed.error }, 400);
+    if (parsed.promotion.code && existing.some((entry) => entry.code === parsed.promotion.code)) {
+      return json({ error: "coupon_code_in_use", code: parsed.promotion.code }, 409);
+    }
+    const createdAt = new Date().toISOString();
+    const promotion = {
+      id: `pr-${crypto.randomUUID()}`,
+      restaurantId: restaurant.id,
+      ...parsed.promotion,
+      usedCount: 0,
+      createdAt,
+      updatedAt: createdAt
+    };
+    await env.DB.prepare(
+      `INSERT INTO promotions (
+        name, type, code, rule_json, max_uses, starts_at, expires_at, active, updated_at, id, restaurant_id, created_at
+      ) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12)`
+    )
+      .bind(...toPromotionBindings(promotion), promotion.id, promotion.restaurantId, promotion.createdAt)
+      .run();
+    return json({ promotion });
+  }
+
+  const updatePromotionRoute = method === "PUT" && matchRoute("/api/promotions/:id", pathname);
+  if (updatePromotionRoute) {
+    const row = await env.DB.prepare("SELECT * FROM promotions WHERE id = ?1").bind(updatePromotionRoute.id).first();
+    if (!row) return json({ error: "promotion_not_found" }, 404);
+    const promotion = mapPromotionRow(row);
+    if (!canAccessRestaurant(currentUser, promotion.restaurantId)) return forbidden();
+    const parsed = sanitizePromotionInput(await parseJsonBody(request), promotion);
+    if (parsed.error) return json({ error: parsed.error }, 400);
+    const others = (await listRestaurantPromotions(env, promotion.restaurantId)).filter(
+      (entry) => entry.id !== promotion.id
+    );
+    if (parsed.promotion.code && others.some((entry) => entry.code === parsed.promotion.code)) {
+      return json({ error: "coupon_code_in_use", code: parsed.promotion.code }, 409);
+    }
+    Object.assign(promotion, parsed.promotion, { updatedAt: new Date().toISOString() });
+    await env.DB.prepare(
+      `UPDATE promotions SET name = ?1, type = ?2, code = ?3, rule_json = ?4, max_uses = ?5, starts_at = ?6,
+        expires_at = ?7, active = ?8, updated_at = ?9
+       WHERE id = ?10`
+    )
+      .bind(...toPromotionBindings(promotion), promotion.id)
+      .run();
+    return json({ promotion });
+  }
+
+  const deletePromotionRoute = method === "DELETE" && matchRoute("/api/promotions/:id", pathname);
+  if (deletePromotionRoute) {
+    const row = await env.DB.prepare("SELECT * FROM promotions WHERE id = ?1").bind(deletePromotionRoute.id).first();
+    if (!row) return json({ error: "promotion_not_found" }, 404);
+    const promotion = mapPromotionRow(row);
+    if (!canAccessRestaurant(currentUser, promotion.restaurantId)) return forbidden();
+    await env.DB.prepare("DELETE FROM promotions WHERE id = ?1").bind(promotion.id).run();
+    return json({ ok: true, removedPromotionId: promotion.id });
+  }
+
+  const qrKitRoute = method === "GET" && matchRoute("/api/restaurants/:id/qr-kit", pathname);
+  if (qrKitRoute) {
+    const restaurant = await getRestaurantById(env, qrKitRoute.id);
+    if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
+    if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
+    const { layout, source } = sanitizeQrKitOptions({
+      layout: url.searchParams.get("layout"),
+      source: url.searchParams.get("source")
+    });
+    let tables = [];
+    let items = [];
+    if (source === "tables") {
+      const rows = await listRestaurantTables(env, restaurant.id);
+      tables = await Promise.all(rows.map((table) => withTableLink(env, table, restaurant)));
+    } else {
+      const { results } = await env.DB.prepare(
+        "SELECT * FROM items WHERE restaurant_id = ?1 ORDER BY name COLLATE NOCASE"
+      )
+        .bind(restaurant.id)
+        .all();
+      items = (results || []).map(mapItemRow);
+    }
+    const entries = buildQrKitEntries(source, url.origin, { tables, items });
+    if (!entries.length) return json({ error: "qr_kit_empty" }, 400);
+    const { pdf, warnings } = buildQrKitPdf({
+      restaurant,
+      entries,
+      layout,
+      logoBytes: await loadLogoBytes(env, restaurant.logo)
+    });
+    return new Response(pdf, {
+      status: 200,
+      headers: {
+        "content-type": "application/pdf",
+        "content-disposition": `attachment; filename="qr-${restaurant.slug}-${source}-${layout}.pdf"`,
+        "cache-control": "no-store",
+        ...(warnings.length ? { "x-qr-kit-warnings": warnings.join(",") } : {})
+      }
+    });
   }
 
   const listLeadsRoute = method === "GET" && matchRoute("/api/restaurants/:id/leads", pathname);
@@ -3276,7 +4144,7 @@ async function handleApi(request, env, url) {
     const restaurant = await getRestaurantById(env, listLeadsRoute.id);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
-    const limit = Math.max(10, Math.min(200, toInt(url.searchParams.get("limit"), 80)));
+    const limit = sanitizeListLimit(url.searchParams.get("limit"));
     const { results } = await env.DB.prepare(
       "SELECT * FROM leads WHERE restaurant_id = ?1 ORDER BY created_at DESC LIMIT ?2"
     )
@@ -3290,7 +4158,7 @@ async function handleApi(request, env, url) {
     const restaurant = await getRestaurantById(env, listReservationsRoute.id);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
-    const limit = Math.max(10, Math.min(200, toInt(url.searchParams.get("limit"), 80)));
+    const limit = sanitizeListLimit(url.searchParams.get("limit"));
     const { results } = await env.DB.prepare(
       "SELECT * FROM reservations WHERE restaurant_id = ?1 ORDER BY created_at DESC LIMIT ?2"
     )
@@ -3306,14 +4174,10 @@ async function handleApi(request, env, url) {
     const reservation = mapReservationRow(row);
     if (!canAccessRestaurant(currentUser, reservation.restaurantId)) return forbidden();
     const body = await parseJsonBody(request);
-    const status = sanitizeText(body.status, 24).toLowerCase();
-    const allowed = new Set(["novo", "confirmado", "cancelado", "finalizado"]);
-    if (!allowed.has(status)) return json({ error: "invalid_status" }, 400);
-    await env.DB.prepare("UPDATE reservations SET status = ?1 WHERE id = ?2")
-      .bind(status, reservation.id)
-      .run();
-    reservation.status = status;
-    return json({ reservation });
+    const result = applyReservationStatus(reservation, sanitizeText(body.status, 24).toLowerCase());
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    await env.DB.batch(prepareReservationStatusUpdate(env, result.reservation));
+    return json({ reservation: result.reservation });
   }
 
   const listWaitlistRoute = method === "GET" && matchRoute("/api/restaurants/:id/waitlist", pathname);
@@ -3321,51 +4185,83 @@ async function handleApi(request, env, url) {
     const restaurant = await getRestaurantById(env, listWaitlistRoute.id);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
-    const limit = Math.max(10, Math.min(200, toInt(url.searchParams.get("limit"), 80)));
+    const limit = sanitizeListLimit(url.searchParams.get("limit"));
     const { results } = await env.DB.prepare(
       "SELECT * FROM waitlist_entries WHERE restaurant_id = ?1 ORDER BY created_at DESC LIMIT ?2"
     )
       .bind(restaurant.id, limit)
       .all();
-    const waitlist = (results || []).map((row) => ({
-      id: row.id,
-      restaurantId: row.restaurant_id,
-      name: row.name || "",
-      phone: row.phone || "",
-      guests: toInt(row.guests, 2),
-      etaMinutes: toInt(row.eta_minutes, 0),
-      source: row.source || "",
-      meta: parseJsonSafe(row.meta_json, {}),
-      createdAt: row.created_at
-    }));
+    const queue = describeWaitlistQueue(await listWaitlistQueueEntries(env, restaurant.id));
+    const waitlist = (results || []).map(mapWaitlistRow).map((entry) => ({ ...entry, ...queue.get(entry.id) }));
     return json({ waitlist });
   }
 
+  // Staff call the guest with "avisado"; the message goes out after the status check and its outcome is stored.
+  const updateWaitlistRoute = method === "PUT" && matchRoute("/api/waitlist/:id", pathname);
+  if (updateWaitlistRoute) {
+    const row = await env.DB.prepare("SELECT * FROM waitlist_entries WHERE id = ?1")
+      .bind(updateWaitlistRoute.id)
+      .first();
+    if (!row) return json({ error: "waitlist_not_found" }, 404);
+    const entry = mapWaitlistRow(row);
+    if (!canAccessRestaurant(currentUser, entry.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const result = applyWaitlistStatus(entry, sanitizeText(body.status, 24).toLowerCase());
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    const updated = result.entry;
+    const restaurant = await getRestaurantById(env, entry.restaurantId);
+    if (updated.status === "avisado") {
+      const statusUrl = `${url.origin}/r/${restaurant ? restaurant.slug : ""}?fila=${updated.token}`;
+      const notice = buildWaitlistNotice(updated, { restaurantName: restaurant ? restaurant.name : "", statusUrl });
+      const settings = getNotifierSettings(env);
+      updated.lastNotice = await sendGuestNotice(getGuestNotifier(settings), settings.channel, notice);
+    }
+    await prepareWaitlistUpdate(env, updated).run();
+    if (restaurant) {
+      await fireRestaurantWebhook(restaurant, "waitlist", {
+        type: "waitlist_updated",
+        waitlist: updated,
+        restaurantId: restaurant.id
+      });
+    }
+    const queue = describeWaitlistQueue(await listWaitlistQueueEntries(env, entry.restaurantId));
+    return json({ waitlist: { ...updated, ...queue.get(updated.id) } });
+  }
+
   const listFeedbackRoute = method === "GET" && matchRoute("/api/restaurants/:id/feedback", pathname);
   if (listFeedbackRoute) {
     const restaurant = await getRestaurantById(env, listFeedbackRoute.id);
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
-    const limit = Math.max(10, Math.min(200, toInt(url.searchParams.get("limit"), 80)));
+    const limit = sanitizeListLimit(url.searchParams.get("limit"));
     const { results } = await env.DB.prepare(
       "SELECT * FROM feedback_entries WHERE restaurant_id = ?1 ORDER BY created_at DESC LIMIT ?2"
     )
       .bind(restaurant.id, limit)
       .all();
-    const feedback = (results || []).map((row) => ({
-      id: row.id,
-      restaurantId: row.restaurant_id,
-      name: row.name || "",
-      email: row.email || "",
-      rating: toInt(row.rating, 0),
-      comment: row.comment || "",
-      source: row.source || "",
-      meta: parseJsonSafe(row.meta_json, {}),
-      createdAt: row.created_at
-    }));
+    const feedback = (results || []).map(mapFeedbackRow);
     return json({ feedback });
   }
 
+  const updateFeedbackRoute = method === "PUT" && matchRoute("/api/feedback/:id", pathname);
+  if (updateFeedbackRoute) {
+    const row = await env.DB.prepare("SELECT * FROM feedback_entries WHERE id = ?1")
+      .bind(updateFeedbackRoute.id)
+      .first();
+    if (!row) return json({ error: "feedback_not_found" }, 404);
+    const entry = mapFeedbackRow(row);
+    if (!canAccessRestaurant(currentUser, entry.restaurantId)) return forbidden();
+    const body = await parseJsonBody(request);
+    const result = applyFeedbackFollowUp(entry, sanitizeText(body.followUp, 24).toLowerCase(), currentUser.id);
+    if (result.error) return json({ error: result.error }, result.httpStatus);
+    await env.DB.prepare(
+      "UPDATE feedback_entries SET follow_up = ?1, follow_up_at = ?2, follow_up_by = ?3 WHERE id = ?4"
+    )
+      .bind(result.entry.followUp, result.entry.followUpAt, result.entry.followUpBy, entry.id)
+      .run();
+    return json({ feedback: result.entry });
+  }
+
   const listJobsRoute = method === "GET" && matchRoute("/api/restaurants/:id/model-jobs", pathname);
   if (listJobsRoute) {
     const restaurant = await getRestaurantById(env, listJobsRoute.id);
@@ -3394,7 +4290,7 @@ async function handleApi(request, env, url) {
     const sourceType = (body.sourceType || "").toString().trim();
     if (!new Set(["scanner", "upload", "api"]).has(sourceType)) return json({ error: "source_invalid" }, 400);
     const providerId = (body.provider || "manual").toString().trim().toLowerCase();
-    if (!getAiProvider(env, providerId)) return json({ error: "provider_invalid" }, 400);
+    if (!getAiProvider(getMeshySettings(env), providerId)) return json({ error: "provider_invalid" }, 400);
     const nowIso = new Date().toISOString();
     const job = {
       id: `mj-${crypto.randomUUID()}`,
@@ -3524,7 +4420,7 @@ async function handleApi(request, env, url) {
     if (body.modelUsdz !== undefined) job.modelUsdz = sanitizeNullableUrl(body.modelUsdz);
     if (body.provider !== undefined) {
       const provider = (body.provider || "").toString().trim().toLowerCase();
-      if (!getAiProvider(env, provider)) return json({ error: "provider_invalid" }, 400);
+      if (!getAiProvider(getMeshySettings(env), provider)) return json({ error: "provider_invalid" }, 400);
       job.provider = provider;
     }
     if (body.aiModel !== undefined) job.aiModel = sanitizeText(body.aiModel, 60);
@@ -3619,7 +4515,7 @@ async function handleApi(request, env, url) {
     if (!item) return json({ error: "item_not_found" }, 400);
     const body = await parseJsonBody(request);
 
-    const evaluation = await evaluateJobQuality(env, item, job);
+    const evaluation = await evaluateJobQuality(getRuntime(env), item, job);
     const extraChecks = Array.isArray(body.extraChecklist)
       ? body.extraChecklist.map((entry) => sanitizeText(entry, 80)).filter(Boolean).slice(0, 20)
       : [];
@@ -3654,7 +4550,7 @@ async function handleApi(request, env, url) {
     const item = await getItemById(env, job.itemId);
     if (!item) return json({ error: "item_not_found" }, 400);
 
-    const evaluation = await evaluateJobQuality(env, item, job);
+    const evaluation = await evaluateJobQuality(getRuntime(env), item, job);
     const hasRequiredModels = Boolean(job.modelGlb) && Boolean(job.modelUsdz);
     if (!hasRequiredModels || evaluation.score < config.qaMinPublishScore) {
       await env.DB.prepare(
@@ -3722,7 +4618,7 @@ async function handleApi(request, env, url) {
 
     const body = await parseJsonBody(request);
     const providerId = sanitizeText(body.provider || job.provider || "manual", 32).toLowerCase();
-    const provider = getAiProvider(env, providerId);
+    const provider = getAiProvider(getMeshySettings(env), providerId);
     if (!provider) return json({ error: "provider_invalid" }, 400);
     if (!provider.enabled) return json({ error: "provider_not_configured" }, 400);
     if (provider.id !== "meshy") return json({ error: "provider_not_implemented" }, 400);
@@ -3732,10 +4628,10 @@ async function handleApi(request, env, url) {
     }
 
     try {
-      const imageInputs = await buildJobImageInputs(env, item, job);
+      const imageInputs = await buildJobImageInputs(getRuntime(env), item, job);
       if (!imageInputs.length) return json({ error: "image_source_not_found" }, 400);
       const aiModel = sanitizeText(body.aiModel || job.aiModel || config.meshyModel, 60);
-      const startResult = await startMeshyImageTo3D(env, imageInputs, {
+      const startResult = await startMeshyImageTo3D(getMeshySettings(env), imageInputs, {
         aiModel,
         targetPolycount: body.targetPolycount
       });
@@ -3818,7 +4714,7 @@ async function handleApi(request, env, url) {
 
     const body = await parseJsonBody(request);
     try {
-      const sync = await fetchMeshyTask(env, job.providerTaskId, job.providerTaskEndpoint || "");
+      const sync = await fetchMeshyTask(getMeshySettings(env), job.providerTaskId, job.providerTaskEndpoint || "");
       const taskData = sync.task || {};
       const taskStatus = (taskData.status || "").toString();
       job.providerTaskEndpoint = sync.endpoint || job.providerTaskEndpoint || "";
@@ -3836,7 +4732,7 @@ async function handleApi(request, env, url) {
         if (job.autoMode && body.autoPublish === true) {
           const item = await getItemById(env, job.itemId);
           if (item) {
-            const evaluation = await evaluateJobQuality(env, item, job);
+            const evaluation = await evaluateJobQuality(getRuntime(env), item, job);
             job.qaScore = evaluation.score;
             job.qaBand = evaluation.band;
             job.qaChecklist = evaluation.checklist;
@@ -3894,7 +4790,7 @@ async function handleApi(request, env, url) {
     if (!restaurant) return json({ error: "restaurant_not_found" }, 404);
     if (!canAccessRestaurant(currentUser, restaurant.id)) return forbidden();
     const body = await parseJsonBody(request);
-    const summary = await autoProcessRestaurantJobs(env, restaurant.id, {
+    const summary = await autoProcessRestaurantJobs(getRuntime(env), restaurant.id, {
       maxJobs: body.maxJobs
     });
     return json({ ok: true, summary });